@@ -25,6 +25,7 @@ export default [
         URLSearchParams: 'readonly',
         FormData: 'readonly',
         Blob: 'readonly',
+        AbortController: 'readonly',
         fetch: 'readonly',
         require: 'readonly',
         module: 'readonly',
@@ -0,0 +1,273 @@
+/**
+ * MCP Argument Completion Registry for JasperReports MCP Server
+ *
+ * This module implements completion/complete so clients can autocomplete
+ * repository URIs, job IDs, usernames and role names from live listings instead of
+ * discovering typos only when ValidationManager rejects the value.
+ *
+ * Repository paths are completed one folder at a time: the folder containing the
+ * typed value is listed once, cached for a short time, and its children are matched
+ * against the last path segment.
+ *
+ * Features:
+ * - Completion by argument name for prompt and resource template references
+ * - Repository URI completion filtered by resource type
+ * - Job, user and role completion
+ * - Short-lived per-session listing cache
+ */
+
+import { getConfiguration } from '../config/environment.js';
+import { CacheManager } from '../utils/resilience.js';
+import { JASPER_URI_PREFIX } from '../resources/mcpResources.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('MCP Completions');
+
+/**
+ * Maximum number of values in a completion result (MCP limit)
+ */
+const MAX_COMPLETION_VALUES = 100;
+
+/**
+ * Lifetime of cached listings used for completion
+ */
+const COMPLETION_CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Maximum number of jobs, users or roles fetched for completion
+ */
+const COMPLETION_LIST_LIMIT = 1000;
+
+/**
+ * Repository datasource resource types
+ */
+const DATASOURCE_TYPES = [
+  'jdbcDataSource',
+  'jndiJdbcDataSource',
+  'awsDataSource',
+  'virtualDataSource',
+  'customDataSource',
+  'beanDataSource',
+];
+
+/**
+ * Repository URI arguments and the resource types they complete to (null for any type).
+ * Folders are always offered so deeper paths can be completed step by step.
+ */
+const REPOSITORY_ARGUMENTS = {
+  reportUri: ['reportUnit'],
+  resourceUri: null,
+  folderUri: [],
+  domainUri: ['semanticLayerDataSource'],
+  datasourceUri: DATASOURCE_TYPES,
+};
+
+/**
+ * Argument names supported by completion/complete
+ */
+const COMPLETION_ARGUMENTS = [
+  ...Object.keys(REPOSITORY_ARGUMENTS),
+  'jobId',
+  'username',
+  'roleName',
+];
+
+/**
+ * MCP Completion Registry class
+ */
+class MCPCompletionRegistry {
+  /**
+   * @param {object} config - Server configuration
+   * @param {MCPToolRegistry} toolRegistry - Tool registry whose services (and session) are reused
+   */
+  constructor(config = null, toolRegistry = null) {
+    this.config = config || getConfiguration();
+    this.toolRegistry = toolRegistry;
+    this.cache = new CacheManager({ metadataTTL: COMPLETION_CACHE_TTL_MS });
+  }
+
+  /**
+   * Complete an argument value for the MCP protocol
+   * @param {object} ref - Prompt or resource template reference
+   * @param {object} argument - Argument name and current value
+   * @returns {Promise<object>} Completion result
+   */
+  async complete(ref, argument) {
+    const { name, value = '' } = argument || {};
+
+    let candidates = [];
+    try {
+      candidates = await this._getCandidates(ref, name, value);
+    } catch (error) {
+      // Completion is best effort; a mistyped folder simply has no completions
+      logger.debug(`No completions for ${name}`, { error: error.message });
+    }
+
+    const values = candidates.slice(0, MAX_COMPLETION_VALUES);
+
+    return {
+      completion: {
+        values,
+        total: candidates.length,
+        hasMore: candidates.length > values.length,
+      },
+    };
+  }
+
+  /**
+   * Get all matching completion values for an argument
+   * @private
+   */
+  async _getCandidates(ref, name, value) {
+    // jasper://repo/{+path} templates complete repository paths without the leading slash
+    if (ref?.type === 'ref/resource' && ref.uri?.startsWith(JASPER_URI_PREFIX) && name === 'path') {
+      const uris = await this._completeRepositoryUri(`/${value}`, null);
+      return uris.map(uri => uri.slice(1));
+    }
+
+    if (Object.prototype.hasOwnProperty.call(REPOSITORY_ARGUMENTS, name)) {
+      return this._completeRepositoryUri(value, REPOSITORY_ARGUMENTS[name]);
+    }
+
+    switch (name) {
+      case 'jobId':
+        return this._matchValues(await this._getJobIds(), value);
+      case 'username':
+        return this._matchValues(await this._getUsernames(), value);
+      case 'roleName':
+        return this._matchValues(await this._getRoleNames(), value);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Complete a repository URI from the children of the folder it points into
+   * @private
+   */
+  async _completeRepositoryUri(value, resourceTypes) {
+    const uri = value.startsWith('/') ? value : `/${value}`;
+    const separatorIndex = uri.lastIndexOf('/');
+    const folderUri = separatorIndex > 0 ? uri.slice(0, separatorIndex) : '/';
+    const prefix = uri.slice(separatorIndex + 1);
+
+    const children = await this._getFolderChildren(folderUri);
+    const candidates = children
+      .filter(
+        resource =>
+          resource.type === 'folder' || !resourceTypes || resourceTypes.includes(resource.type)
+      )
+      .map(resource => resource.uri);
+
+    return this._matchValues(candidates, prefix, candidate => candidate.split('/').pop());
+  }
+
+  /**
+   * Match values against the typed text: prefix matches first, then substring matches
+   * @private
+   */
+  _matchValues(values, text, getName = candidate => candidate) {
+    const needle = text.toLowerCase();
+    const sorted = [...values].sort((a, b) => a.localeCompare(b));
+
+    const prefixMatches = sorted.filter(value => getName(value).toLowerCase().startsWith(needle));
+    const substringMatches = sorted.filter(
+      value =>
+        !getName(value).toLowerCase().startsWith(needle) &&
+        getName(value).toLowerCase().includes(needle)
+    );
+
+    return [...prefixMatches, ...substringMatches];
+  }
+
+  /**
+   * List folder children through the short-lived cache
+   * @private
+   */
+  async _getFolderChildren(folderUri) {
+    return this._cached(`folder:${folderUri}`, async () => {
+      const result = await this.toolRegistry._getService('resource').listResources({
+        folderUri,
+        recursive: false,
+        limit: COMPLETION_LIST_LIMIT,
+      });
+
+      return (result.resources || []).map(resource => ({
+        uri: resource.uri,
+        type: resource.type,
+      }));
+    });
+  }
+
+  /**
+   * Get job IDs through the short-lived cache
+   * @private
+   */
+  async _getJobIds() {
+    return this._cached('jobs', async () => {
+      const result = await this.toolRegistry
+        ._getService('job')
+        .listJobs({ limit: COMPLETION_LIST_LIMIT });
+
+      return (result.jobs || []).map(job => String(job.id));
+    });
+  }
+
+  /**
+   * Get usernames through the short-lived cache
+   * @private
+   */
+  async _getUsernames() {
+    return this._cached('users', async () => {
+      const result = await this.toolRegistry
+        ._getService('user')
+        .listUsers({ limit: COMPLETION_LIST_LIMIT });
+
+      return (result.users || []).map(user => user.username);
+    });
+  }
+
+  /**
+   * Get role names through the short-lived cache
+   * @private
+   */
+  async _getRoleNames() {
+    return this._cached('roles', async () => {
+      const result = await this.toolRegistry
+        ._getService('user')
+        .listRoles({ limit: COMPLETION_LIST_LIMIT });
+
+      return (result.roles || []).map(role => role.roleName);
+    });
+  }
+
+  /**
+   * Return a cached listing or load and cache it
+   * @private
+   */
+  async _cached(key, load) {
+    const cached = this.cache.getMetadata(key);
+    if (cached) {
+      return cached;
+    }
+
+    const values = await load();
+    this.cache.setMetadata(key, values);
+    return values;
+  }
+
+  /**
+   * Dispose the registry and its cache
+   */
+  dispose() {
+    this.cache.destroy();
+  }
+}
+
+export default MCPCompletionRegistry;
+export {
+  MCPCompletionRegistry,
+  COMPLETION_ARGUMENTS,
+  COMPLETION_CACHE_TTL_MS,
+  MAX_COMPLETION_VALUES,
+};
@@ -6,10 +6,13 @@
  */
 
 import dotenv from 'dotenv';
+import { createLogger } from '../utils/logger.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
+const logger = createLogger('Configuration');
+
 /**
  * Determines if we're in a test environment
  */
@@ -28,6 +31,38 @@ const isDevelopmentEnvironment = () => {
   );
 };
 
+/**
+ * Parses a comma-separated environment value into a list of trimmed entries
+ */
+const parseList = value =>
+  value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Connection settings a server profile can set, with the suffix of their
+ * JASPER_PROFILE_<NAME>_* environment variables
+ */
+const PROFILE_SETTINGS = {
+  jasperUrl: 'URL',
+  username: 'USERNAME',
+  password: 'PASSWORD',
+  organization: 'ORGANIZATION',
+  authType: 'AUTH_TYPE',
+};
+
+/**
+ * Name of the profile for the server configured by JASPER_URL
+ */
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Gets the environment variable holding a setting of a server profile
+ */
+const profileEnvVar = (name, setting) =>
+  `JASPER_PROFILE_${name.toUpperCase()}_${PROFILE_SETTINGS[setting]}`;
+
 /**
  * Configuration schema with validation rules and defaults
  */
@@ -268,6 +303,157 @@ const CONFIG_SCHEMA = {
     transform: value => parseInt(value, 10),
   },
 
+  // MCP transport settings
+  transport: {
+    envVar: 'JASPER_MCP_TRANSPORT',
+    required: false,
+    type: 'string',
+    default: 'stdio',
+    validate: value => {
+      const validTransports = ['stdio', 'http', 'sse'];
+      if (value && !validTransports.includes(value.toLowerCase())) {
+        return `JASPER_MCP_TRANSPORT must be one of: ${validTransports.join(', ')}`;
+      }
+      return null;
+    },
+    transform: value => value.toLowerCase(),
+  },
+
+  httpHost: {
+    envVar: 'JASPER_MCP_HTTP_HOST',
+    required: false,
+    type: 'string',
+    default: '127.0.0.1',
+  },
+
+  httpPort: {
+    envVar: 'JASPER_MCP_HTTP_PORT',
+    required: false,
+    type: 'number',
+    default: 3000,
+    validate: value => {
+      const num = parseInt(value, 10);
+      if (isNaN(num) || num <= 0 || num > 65535) {
+        return 'JASPER_MCP_HTTP_PORT must be a valid port number (1-65535)';
+      }
+      return null;
+    },
+    transform: value => parseInt(value, 10),
+  },
+
+  httpPath: {
+    envVar: 'JASPER_MCP_HTTP_PATH',
+    required: false,
+    type: 'string',
+    default: '/mcp',
+    validate: value => {
+      if (value && !value.startsWith('/')) {
+        return 'JASPER_MCP_HTTP_PATH must start with "/"';
+      }
+      return null;
+    },
+  },
+
+  sessionTimeout: {
+    envVar: 'JASPER_MCP_SESSION_TIMEOUT',
+    required: false,
+    type: 'number',
+    default: 1800000, // 30 minutes
+    validate: value => {
+      const num = parseInt(value, 10);
+      if (isNaN(num) || num <= 0) {
+        return 'JASPER_MCP_SESSION_TIMEOUT must be a positive number (milliseconds)';
+      }
+      return null;
+    },
+    transform: value => parseInt(value, 10),
+  },
+
+  // Tool access settings
+  readOnly: {
+    envVar: 'JASPER_READ_ONLY',
+    required: false,
+    type: 'boolean',
+    default: false,
+    validate: value => {
+      if (value !== undefined && !['true', 'false', '1', '0'].includes(value.toLowerCase())) {
+        return 'JASPER_READ_ONLY must be true, false, 1, or 0';
+      }
+      return null;
+    },
+    transform: value => ['true', '1'].includes(value.toLowerCase()),
+  },
+
+  allowedTools: {
+    envVar: 'JASPER_ALLOWED_TOOLS',
+    required: false,
+    type: 'array',
+    default: () => [],
+    transform: parseList,
+  },
+
+  deniedTools: {
+    envVar: 'JASPER_DENIED_TOOLS',
+    required: false,
+    type: 'array',
+    default: () => [],
+    transform: parseList,
+  },
+
+  // Local directory the folder sync tools may read and write
+  syncRoot: {
+    envVar: 'JASPER_SYNC_ROOT',
+    required: false,
+    type: 'string',
+    default: null,
+    validate: value => {
+      if (value !== undefined && value.trim().length === 0) {
+        return 'JASPER_SYNC_ROOT cannot be empty if provided';
+      }
+      return null;
+    },
+  },
+
+  // Server profiles
+  profiles: {
+    envVar: 'JASPER_PROFILES',
+    required: false,
+    type: 'object',
+    default: () => ({}),
+    validate: value => {
+      for (const name of parseList(value)) {
+        if (!/^[a-zA-Z0-9_]+$/.test(name)) {
+          return `JASPER_PROFILES entry '${name}' may only contain letters, digits and underscores`;
+        }
+        if (name === DEFAULT_PROFILE) {
+          return `JASPER_PROFILES cannot define '${DEFAULT_PROFILE}', the server of JASPER_URL`;
+        }
+        for (const setting of ['jasperUrl', 'username', 'password']) {
+          if (!process.env[profileEnvVar(name, setting)]) {
+            return `${profileEnvVar(name, setting)} is required for profile '${name}'`;
+          }
+        }
+        try {
+          new URL(process.env[profileEnvVar(name, 'jasperUrl')]);
+        } catch {
+          return `${profileEnvVar(name, 'jasperUrl')} must be a valid URL`;
+        }
+      }
+      return null;
+    },
+    transform: value =>
+      Object.fromEntries(
+        parseList(value).map(name => [
+          name,
+          Object.fromEntries(
+            Object.keys(PROFILE_SETTINGS)
+              .filter(setting => process.env[profileEnvVar(name, setting)])
+              .map(setting => [setting, process.env[profileEnvVar(name, setting)]])
+          ),
+        ])
+      ),
+  },
+
   // Test server settings
   testServerPort: {
     envVar: 'TEST_SERVER_PORT',
@@ -428,7 +614,7 @@ function getConfiguration(forceReload = false) {
 
     // Log configuration loading in debug mode
     if (cachedConfig.debugMode) {
-      console.log('Configuration loaded:', {
+      logger.debug('Configuration loaded', {
         jasperUrl: cachedConfig.jasperUrl,
         authType: cachedConfig.authType,
         organization: cachedConfig.organization || 'none',
@@ -439,6 +625,10 @@ function getConfiguration(forceReload = false) {
         retryAttempts: cachedConfig.retryAttempts,
         testServerEnabled: cachedConfig.testServerEnabled,
         testServerPort: cachedConfig.testServerPort,
+        transport: cachedConfig.transport,
+        readOnly: cachedConfig.readOnly,
+        syncRoot: cachedConfig.syncRoot || 'none',
+        profiles: Object.keys(cachedConfig.profiles),
       });
     }
   }
@@ -505,6 +695,25 @@ function validateConfiguration() {
   }
 }
 
+/**
+ * Gets the configuration for a named server profile
+ *
+ * Profiles override the connection settings of the configuration they are read from;
+ * timeouts, SSL and the other settings are shared. The 'default' profile is the server
+ * configured by JASPER_URL.
+ * @param {string} name - Profile name
+ * @param {object} config - Configuration holding the profiles
+ * @returns {object|null} Configuration for the profile, or null if it is not defined
+ */
+function getProfileConfiguration(name, config = getConfiguration()) {
+  if (name === DEFAULT_PROFILE) {
+    return config;
+  }
+
+  const profile = config.profiles?.[name];
+  return profile ? { ...config, ...profile } : null;
+}
+
 /**
  * Clears the cached configuration (useful for testing)
  */
@@ -552,6 +761,9 @@ function generateExampleConfig(environment = 'development') {
       JASPER_MAX_FILE_SIZE: '104857600',
       JASPER_MAX_TOTAL_MEMORY: '524288000',
       JASPER_HEALTH_CHECK_INTERVAL: '30000',
+      JASPER_MCP_TRANSPORT: 'http',
+      JASPER_MCP_HTTP_HOST: '0.0.0.0',
+      JASPER_MCP_HTTP_PORT: '3000',
     },
   };
 
@@ -564,9 +776,11 @@ function generateExampleConfig(environment = 'development') {
 
 export {
   getConfiguration,
+  getProfileConfiguration,
   validateConfiguration,
   clearConfigurationCache,
   getConfigurationSchema,
   generateExampleConfig,
   ConfigurationError,
+  DEFAULT_PROFILE,
 };
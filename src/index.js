@@ -8,10 +8,14 @@
  *
  * Features:
  * - Full MCP protocol implementation
+ * - Selectable transport (stdio, Streamable HTTP, legacy SSE) with per-client sessions
  * - Tool registration and request handling
+ * - Repository browsing through MCP resources (jasper://repo/...)
+ * - Report-authoring prompts built from templates and tool documentation
  * - Server lifecycle management (start, stop, cleanup)
  * - Configuration loading and service initialization
- * - Comprehensive logging and error handling
+ * - Central logging forwarded to clients (logging/setLevel, notifications/message)
+ * - Comprehensive error handling
  * - Graceful shutdown handling
  */
 
@@ -19,15 +23,36 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { ConfigurationError } from './config/environment.js';
 import MCPToolRegistry from './tools/mcpTools.js';
-import { ErrorHandler } from './utils/errorHandler.js';
+import MCPResourceRegistry from './resources/mcpResources.js';
+import MCPPromptRegistry from './prompts/mcpPrompts.js';
+import MCPCompletionRegistry from './completions/mcpCompletions.js';
+import { ErrorHandler, MCP_ERROR_TYPES } from './utils/errorHandler.js';
 import { ConfigValidator } from './utils/ConfigValidator.js';
+import { ResponseFormatter } from './utils/responseFormatter.js';
+import { ProgressReporter } from './utils/progressReporter.js';
+import { logManager, createLogger } from './utils/logger.js';
+import { HttpTransportServer, TRANSPORT_TYPES } from './transports/httpTransport.js';
+
+/**
+ * JSON-RPC error code for unknown resources (MCP specification)
+ */
+const RESOURCE_NOT_FOUND_CODE = -32002;
+
+const logger = createLogger('MCP Server');
 
 /**
  * JasperReports MCP Server class
@@ -36,15 +61,26 @@ class JasperReportsMCPServer {
   constructor() {
     this.server = null;
     this.transport = null;
+    this.httpTransport = null;
     this.config = null;
     this.toolRegistry = null;
+    this.resourceRegistry = null;
+    this.promptRegistry = null;
+    this.completionRegistry = null;
     this.errorHandler = null;
+    this.responseFormatter = null;
     this.isRunning = false;
     this.shutdownHandlers = [];
 
     // Bind methods to preserve context
     this.handleListTools = this.handleListTools.bind(this);
     this.handleCallTool = this.handleCallTool.bind(this);
+    this.handleListResources = this.handleListResources.bind(this);
+    this.handleListResourceTemplates = this.handleListResourceTemplates.bind(this);
+    this.handleReadResource = this.handleReadResource.bind(this);
+    this.handleListPrompts = this.handleListPrompts.bind(this);
+    this.handleGetPrompt = this.handleGetPrompt.bind(this);
+    this.handleComplete = this.handleComplete.bind(this);
     this.handleShutdown = this.handleShutdown.bind(this);
   }
 
@@ -56,11 +92,15 @@ class JasperReportsMCPServer {
       // Load and validate configuration
       await this.loadConfiguration();
 
-      // Initialize error handler
+      // Initialize error handler and response formatter
       this.errorHandler = new ErrorHandler(this.config);
+      this.responseFormatter = new ResponseFormatter(this.config);
 
       // Initialize tool registry
       this.toolRegistry = new MCPToolRegistry(this.config);
+      this.resourceRegistry = new MCPResourceRegistry(this.config, this.toolRegistry);
+      this.promptRegistry = new MCPPromptRegistry(this.config, this.toolRegistry);
+      this.completionRegistry = new MCPCompletionRegistry(this.config, this.toolRegistry);
 
       // Initialize health service
       await this.initializeHealthService();
@@ -76,26 +116,21 @@ class JasperReportsMCPServer {
         }
       });
 
-      // Create MCP server instance
-      this.server = new Server(
-        {
-          name: 'jasperreports-mcp-server',
-          version: '1.0.0',
-        },
-        {
-          capabilities: {
-            tools: {},
-          },
-        }
-      );
-
-      // Set up request handlers
-      this.setupRequestHandlers();
-
       // Set up transport
-      this.transport = new StdioServerTransport();
+      if (this.config.transport === TRANSPORT_TYPES.STDIO) {
+        this.server = this.createServer();
+        this.transport = new StdioServerTransport();
+      } else {
+        // HTTP transports create one MCP server instance per client session
+        this.httpTransport = new HttpTransportServer(this.config, {
+          createSession: () => this.createSession(),
+          log: (level, message, data) => this.log(level, message, data),
+        });
+      }
 
-      this.log('info', 'JasperReports MCP Server initialized successfully');
+      this.log('info', 'JasperReports MCP Server initialized successfully', {
+        transport: this.config.transport,
+      });
     } catch (error) {
       this.log('error', 'Failed to initialize MCP server', { error: error.message });
       throw error;
@@ -132,6 +167,7 @@ class JasperReportsMCPServer {
       }
 
       this.config = validationResult.config;
+      logManager.configure(this.config);
 
       if (this.config.debugMode) {
         this.log('debug', 'Configuration loaded and validated', {
@@ -170,15 +206,131 @@ class JasperReportsMCPServer {
     }
   }
 
+  /**
+   * Create an MCP server instance with all request handlers registered
+   * @returns {Server} MCP server instance
+   */
+  createServer() {
+    const server = new Server(
+      {
+        name: 'jasperreports-mcp-server',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {},
+          prompts: {},
+          completions: {},
+          logging: {},
+        },
+      }
+    );
+
+    this.setupRequestHandlers(server);
+
+    // Forward log records of this server's session to its client
+    logManager.addServer(server);
+
+    return server;
+  }
+
+  /**
+   * Create state for a new HTTP client session
+   * Each session gets its own tool registry so authentication and active executions
+   * are isolated between clients sharing the deployment.
+   * @returns {object} Session state with server and toolRegistry
+   */
+  createSession() {
+    const toolRegistry = new MCPToolRegistry(this.config);
+
+    return {
+      server: this.createServer(),
+      toolRegistry,
+      resourceRegistry: new MCPResourceRegistry(this.config, toolRegistry),
+      promptRegistry: new MCPPromptRegistry(this.config, toolRegistry),
+      completionRegistry: new MCPCompletionRegistry(this.config, toolRegistry),
+    };
+  }
+
+  /**
+   * Resolve the HTTP session serving a request
+   * @param {object} extra - Request handler extra data from the MCP SDK
+   * @returns {object|null} Session state, or null for stdio
+   */
+  getSession(extra) {
+    return this.httpTransport?.getSession(extra?.sessionId) || null;
+  }
+
+  /**
+   * Resolve the tool registry serving a request
+   * @param {object} extra - Request handler extra data from the MCP SDK
+   * @returns {MCPToolRegistry} Session tool registry, or the default registry
+   */
+  getToolRegistry(extra) {
+    return this.getSession(extra)?.toolRegistry || this.toolRegistry;
+  }
+
+  /**
+   * Resolve the resource registry serving a request
+   * @param {object} extra - Request handler extra data from the MCP SDK
+   * @returns {MCPResourceRegistry} Session resource registry, or the default registry
+   */
+  getResourceRegistry(extra) {
+    return this.getSession(extra)?.resourceRegistry || this.resourceRegistry;
+  }
+
+  /**
+   * Resolve the prompt registry serving a request
+   * @param {object} extra - Request handler extra data from the MCP SDK
+   * @returns {MCPPromptRegistry} Session prompt registry, or the default registry
+   */
+  getPromptRegistry(extra) {
+    return this.getSession(extra)?.promptRegistry || this.promptRegistry;
+  }
+
+  /**
+   * Resolve the completion registry serving a request
+   * @param {object} extra - Request handler extra data from the MCP SDK
+   * @returns {MCPCompletionRegistry} Session completion registry, or the default registry
+   */
+  getCompletionRegistry(extra) {
+    return this.getSession(extra)?.completionRegistry || this.completionRegistry;
+  }
+
   /**
    * Set up MCP request handlers
+   * @param {Server} server - MCP server instance
    */
-  setupRequestHandlers() {
+  setupRequestHandlers(server = this.server) {
+    // Records logged while handling a request are forwarded to the requesting session
+    const setRequestHandler = (schema, handler) =>
+      server.setRequestHandler(schema, (request, extra) =>
+        logManager.runWithContext({ sessionId: extra?.sessionId }, () => handler(request, extra))
+      );
+
     // Handle list tools requests
-    this.server.setRequestHandler(ListToolsRequestSchema, this.handleListTools);
+    setRequestHandler(ListToolsRequestSchema, this.handleListTools);
 
     // Handle call tool requests
-    this.server.setRequestHandler(CallToolRequestSchema, this.handleCallTool);
+    setRequestHandler(CallToolRequestSchema, this.handleCallTool);
+
+    // Handle resource requests
+    setRequestHandler(ListResourcesRequestSchema, this.handleListResources);
+    setRequestHandler(ListResourceTemplatesRequestSchema, this.handleListResourceTemplates);
+    setRequestHandler(ReadResourceRequestSchema, this.handleReadResource);
+
+    // Handle prompt requests
+    setRequestHandler(ListPromptsRequestSchema, this.handleListPrompts);
+    setRequestHandler(GetPromptRequestSchema, this.handleGetPrompt);
+
+    // Handle argument completion requests
+    setRequestHandler(CompleteRequestSchema, this.handleComplete);
+
+    // Handle log level requests
+    setRequestHandler(SetLevelRequestSchema, (request, extra) =>
+      this.handleSetLevel(server, request, extra)
+    );
 
     this.log('debug', 'Request handlers registered');
   }
@@ -186,9 +338,9 @@ class JasperReportsMCPServer {
   /**
    * Handle list tools request
    */
-  async handleListTools() {
+  async handleListTools(_request, extra) {
     try {
-      const tools = this.toolRegistry.getToolList();
+      const tools = this.getToolRegistry(extra).getToolList();
 
       this.log('debug', `Returning ${tools.length} available tools`);
 
@@ -197,6 +349,8 @@ class JasperReportsMCPServer {
           name: tool.name,
           description: tool.description,
           inputSchema: tool.inputSchema,
+          outputSchema: tool.outputSchema,
+          annotations: tool.annotations,
         })),
       };
     } catch (error) {
@@ -208,20 +362,26 @@ class JasperReportsMCPServer {
   /**
    * Handle call tool request
    */
-  async handleCallTool(request) {
+  async handleCallTool(request, extra) {
     const { name: toolName, arguments: toolArgs } = request.params;
+    const toolRegistry = this.getToolRegistry(extra);
 
     try {
       this.log('debug', `Executing tool: ${toolName}`, { arguments: toolArgs });
 
       // Validate tool exists
-      if (!this.toolRegistry.hasTool(toolName)) {
+      if (!toolRegistry.getTool(toolName)) {
         throw new McpError(ErrorCode.MethodNotFound, `Tool not found: ${toolName}`);
       }
 
       // Execute tool
       const startTime = Date.now();
-      const result = await this.toolRegistry.executeTool(toolName, toolArgs || {});
+      const context = {
+        progressReporter: ProgressReporter.fromRequest(extra, { startTime }),
+        // Aborted by the SDK when the client sends notifications/cancelled
+        signal: extra?.signal,
+      };
+      const result = await toolRegistry.executeTool(toolName, toolArgs || {}, context);
       const executionTime = Date.now() - startTime;
 
       this.log('debug', `Tool executed successfully: ${toolName}`, {
@@ -229,14 +389,7 @@ class JasperReportsMCPServer {
         success: result.success !== false,
       });
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(result, null, 2),
-          },
-        ],
-      };
+      return this.responseFormatter.formatToolResult(result);
     } catch (error) {
       this.log('error', `Error executing tool: ${toolName}`, {
         error: error.message,
@@ -249,11 +402,128 @@ class JasperReportsMCPServer {
       }
 
       // Map other errors to appropriate MCP error types
-      const mcpError = this.errorHandler.mapToMCPError(error);
-      throw new McpError(mcpError.code, mcpError.message);
+      throw this.toMcpError(error);
     }
   }
 
+  /**
+   * Handle list resources request
+   */
+  async handleListResources(request, extra) {
+    try {
+      const result = await this.getResourceRegistry(extra).listResources(request.params?.cursor);
+
+      this.log('debug', `Returning ${result.resources.length} repository resources`);
+
+      return result;
+    } catch (error) {
+      this.log('error', 'Error listing resources', { error: error.message });
+      throw this.toMcpError(error);
+    }
+  }
+
+  /**
+   * Handle list resource templates request
+   */
+  async handleListResourceTemplates(_request, extra) {
+    return this.getResourceRegistry(extra).listResourceTemplates();
+  }
+
+  /**
+   * Handle read resource request
+   */
+  async handleReadResource(request, extra) {
+    const { uri } = request.params;
+
+    try {
+      this.log('debug', `Reading resource: ${uri}`);
+
+      return await this.getResourceRegistry(extra).readResource(uri);
+    } catch (error) {
+      this.log('error', `Error reading resource: ${uri}`, { error: error.message });
+      throw this.toMcpError(error);
+    }
+  }
+
+  /**
+   * Handle list prompts request
+   */
+  async handleListPrompts(_request, extra) {
+    return {
+      prompts: this.getPromptRegistry(extra).getPromptList(),
+    };
+  }
+
+  /**
+   * Handle get prompt request
+   */
+  async handleGetPrompt(request, extra) {
+    const { name: promptName, arguments: promptArgs } = request.params;
+    const promptRegistry = this.getPromptRegistry(extra);
+
+    try {
+      this.log('debug', `Rendering prompt: ${promptName}`, { arguments: promptArgs });
+
+      if (!promptRegistry.hasPrompt(promptName)) {
+        throw new McpError(ErrorCode.InvalidParams, `Prompt not found: ${promptName}`);
+      }
+
+      return await promptRegistry.getPrompt(promptName, promptArgs || {});
+    } catch (error) {
+      this.log('error', `Error rendering prompt: ${promptName}`, { error: error.message });
+      throw this.toMcpError(error);
+    }
+  }
+
+  /**
+   * Handle argument completion request
+   */
+  async handleComplete(request, extra) {
+    const { ref, argument } = request.params;
+
+    this.log('debug', `Completing argument: ${argument.name}`, { ref });
+
+    return this.getCompletionRegistry(extra).complete(ref, argument);
+  }
+
+  /**
+   * Handle logging/setLevel request
+   * @param {Server} server - MCP server the client is connected to
+   */
+  async handleSetLevel(server, request, _extra) {
+    const { level } = request.params;
+
+    logManager.setServerLevel(server, level);
+    this.log('debug', `Client log level set to ${level}`);
+
+    return {};
+  }
+
+  /**
+   * Convert an internal error to an MCP protocol error
+   * @param {Error} error - Error to convert
+   * @returns {McpError} Protocol error
+   */
+  toMcpError(error) {
+    if (error instanceof McpError) {
+      return error;
+    }
+
+    const mcpError = this.errorHandler.mapToMCPError(error);
+    const errorCodes = {
+      [MCP_ERROR_TYPES.INVALID_PARAMS]: ErrorCode.InvalidParams,
+      [MCP_ERROR_TYPES.INVALID_REQUEST]: ErrorCode.InvalidRequest,
+      [MCP_ERROR_TYPES.METHOD_NOT_FOUND]: ErrorCode.MethodNotFound,
+      [MCP_ERROR_TYPES.RESOURCE_NOT_FOUND]: RESOURCE_NOT_FOUND_CODE,
+      [MCP_ERROR_TYPES.TIMEOUT]: ErrorCode.RequestTimeout,
+    };
+
+    return new McpError(errorCodes[mcpError.type] || ErrorCode.InternalError, mcpError.message, {
+      type: mcpError.type,
+      ...(mcpError.details?.field && { field: mcpError.details.field }),
+    });
+  }
+
   /**
    * Start the MCP server
    */
@@ -265,7 +535,7 @@ class JasperReportsMCPServer {
       }
 
       // Initialize if not already done
-      if (!this.server) {
+      if (!this.server && !this.httpTransport) {
         await this.initialize();
       }
 
@@ -273,11 +543,16 @@ class JasperReportsMCPServer {
       this.setupShutdownHandlers();
 
       // Connect server to transport
-      await this.server.connect(this.transport);
+      if (this.httpTransport) {
+        await this.httpTransport.start();
+      } else {
+        await this.server.connect(this.transport);
+      }
 
       this.isRunning = true;
 
       this.log('info', 'JasperReports MCP Server started successfully', {
+        transport: this.config.transport,
         tools: this.toolRegistry.getToolCount(),
         jasperUrl: this.config.jasperUrl,
         authType: this.config.authType,
@@ -304,10 +579,17 @@ class JasperReportsMCPServer {
       await this.executeShutdownHandlers();
 
       // Close server connection
+      if (this.httpTransport) {
+        await this.httpTransport.stop();
+      }
+
       if (this.server) {
         await this.server.close();
+        logManager.removeServer(this.server);
       }
 
+      this.completionRegistry?.dispose();
+
       this.isRunning = false;
 
       this.log('info', 'JasperReports MCP Server stopped successfully');
@@ -385,26 +667,7 @@ class JasperReportsMCPServer {
    * Log message with appropriate level
    */
   log(level, message, data = {}) {
-    const timestamp = new Date().toISOString();
-    const logEntry = {
-      timestamp,
-      level: level.toUpperCase(),
-      message,
-      ...data,
-    };
-
-    // Only log if level is appropriate
-    const logLevels = ['error', 'warn', 'info', 'debug', 'trace'];
-    const currentLevelIndex = logLevels.indexOf(this.config?.logLevel || 'info');
-    const messageLevelIndex = logLevels.indexOf(level);
-
-    if (messageLevelIndex <= currentLevelIndex) {
-      if (this.config?.debugMode || level === 'error') {
-        console.error(JSON.stringify(logEntry, null, 2));
-      } else {
-        console.error(`[${logEntry.level}] ${logEntry.message}`);
-      }
-    }
+    logger.log(level, message, data);
   }
 
   /**
@@ -414,6 +677,8 @@ class JasperReportsMCPServer {
     return {
       isRunning: this.isRunning,
       toolCount: this.toolRegistry?.getToolCount() || 0,
+      transport: this.config?.transport || null,
+      sessionCount: this.httpTransport?.getSessionCount() || 0,
       config: this.config
         ? {
             jasperUrl: this.config.jasperUrl,
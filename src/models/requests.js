@@ -51,8 +51,15 @@ class ResourceUploadRequest extends BaseRequest {
     this.jrxmlContent = data.jrxmlContent;
     this.dataSourceUri = data.dataSourceUri;
     this.localResources = data.localResources || [];
+    this.content = data.content;
+    this.fileType = data.fileType;
     this.overwrite = data.overwrite || false;
     this.createFolders = data.createFolders !== undefined ? data.createFolders : true;
+    this.validateJRXML = data.validateJRXML !== undefined ? data.validateJRXML : true;
+    this.autoFix = data.autoFix || false;
+    this.createInputControls = data.createInputControls || false;
+    this.inputControlOptions = data.inputControlOptions || [];
+    this.bundle = data.bundle;
   }
 }
 
@@ -87,6 +94,16 @@ class ResourceUpdateRequest extends BaseRequest {
     this.description = data.description;
     this.jrxmlContent = data.jrxmlContent;
     this.overwrite = data.overwrite || true;
+    this.validateJRXML = data.validateJRXML !== undefined ? data.validateJRXML : true;
+    this.autoFix = data.autoFix || false;
+  }
+}
+
+class ResourceDiffRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.resourceUri = data.resourceUri;
+    this.jrxmlContent = data.jrxmlContent;
   }
 }
 
@@ -98,6 +115,130 @@ class ResourceDeleteRequest extends BaseRequest {
   }
 }
 
+class ResourceCopyRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.sourceUri = data.sourceUri;
+    this.targetFolderUri = data.targetFolderUri;
+    this.overwrite = data.overwrite || false;
+    this.createFolders = data.createFolders !== undefined ? data.createFolders : true;
+  }
+}
+
+class ResourceMoveRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.sourceUri = data.sourceUri;
+    this.targetFolderUri = data.targetFolderUri;
+    this.overwrite = data.overwrite || false;
+    this.createFolders = data.createFolders !== undefined ? data.createFolders : true;
+  }
+}
+
+class ResourcePromoteRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.sourceProfile = data.sourceProfile || 'default';
+    this.targetProfile = data.targetProfile;
+    this.folderUri = data.folderUri;
+    this.datasourceMappings = data.datasourceMappings || [];
+    this.dryRun = data.dryRun !== undefined ? data.dryRun : true;
+  }
+}
+
+class FolderPullRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.folderUri = data.folderUri;
+    this.localDirectory = data.localDirectory;
+    this.force = data.force || false;
+  }
+}
+
+class FolderPushRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.localDirectory = data.localDirectory;
+    this.dryRun = data.dryRun || false;
+    this.force = data.force || false;
+  }
+}
+
+class DatasourceCreateRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.datasourceUri = data.datasourceUri;
+    this.label = data.label;
+    this.description = data.description || '';
+    this.datasourceType = data.datasourceType || 'jdbc';
+    this.databaseType = data.databaseType || 'generic';
+    // JDBC and AWS
+    this.driverClass = data.driverClass;
+    this.connectionUrl = data.connectionUrl;
+    this.username = data.username;
+    this.password = data.password;
+    this.timezone = data.timezone;
+    // JNDI
+    this.jndiName = data.jndiName;
+    // AWS
+    this.awsAccessKey = data.awsAccessKey;
+    this.awsSecretKey = data.awsSecretKey;
+    this.region = data.region;
+    this.service = data.service;
+    // Bean
+    this.beanName = data.beanName;
+    this.beanMethod = data.beanMethod;
+    // Custom
+    this.serviceClass = data.serviceClass;
+    this.properties = data.properties || {};
+    // MongoDB
+    this.mongoURI = data.mongoURI;
+    this.database = data.database;
+    this.overwrite = data.overwrite || false;
+    this.createFolders = data.createFolders !== undefined ? data.createFolders : true;
+  }
+}
+
+class DatasourceTestRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    // Either an existing repository datasource or an inline definition
+    this.datasourceUri = data.datasourceUri;
+    this.datasourceType = data.datasourceType || 'jdbc';
+    this.databaseType = data.databaseType || 'generic';
+    this.driverClass = data.driverClass;
+    this.connectionUrl = data.connectionUrl;
+    this.username = data.username;
+    this.password = data.password;
+    this.timezone = data.timezone;
+    this.jndiName = data.jndiName;
+  }
+}
+
+class DatasourceMetadataRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.datasourceUri = data.datasourceUri;
+    this.schema = data.schema;
+    this.table = data.table;
+    this.limit = data.limit || 100;
+    this.offset = data.offset || 0;
+    this.refresh = data.refresh || false;
+  }
+}
+
+class QueryReportRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.datasourceUri = data.datasourceUri;
+    this.query = data.query;
+    this.reportName = data.reportName || 'QueryReport';
+    this.title = data.title || 'Query Report';
+    this.pageFormat = data.pageFormat || 'A4';
+    this.orientation = data.orientation || 'portrait';
+  }
+}
+
 /**
  * Report execution request models
  */
@@ -342,7 +483,17 @@ export {
   ResourceListRequest,
   ResourceGetRequest,
   ResourceUpdateRequest,
+  ResourceDiffRequest,
   ResourceDeleteRequest,
+  ResourceCopyRequest,
+  ResourceMoveRequest,
+  ResourcePromoteRequest,
+  FolderPullRequest,
+  FolderPushRequest,
+  DatasourceCreateRequest,
+  DatasourceTestRequest,
+  DatasourceMetadataRequest,
+  QueryReportRequest,
   ReportExecutionRequest,
   ExecutionStatusRequest,
   ExecutionResultRequest,
@@ -363,6 +514,8 @@ export {
   SchemaGetRequest,
   BundleUploadRequest,
   BundleManageRequest,
+  RepositoryExportRequest,
+  RepositoryImportRequest,
   PermissionGetRequest,
   PermissionSetRequest,
   UserCreateRequest,
@@ -457,6 +610,35 @@ class BundleManageRequest extends BaseRequest {
   }
 }
 
+/**
+ * Repository export and import request models
+ */
+class RepositoryExportRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.uris = data.uris || [];
+    this.roles = data.roles || [];
+    this.users = data.users || [];
+    this.jobs = data.jobs || []; // report URIs whose scheduled jobs are exported
+    this.everything = data.everything || false;
+    this.includeRoleUsers = data.includeRoleUsers || false;
+    this.includePermissions =
+      data.includePermissions !== undefined ? data.includePermissions : true;
+    this.includeAccessEvents = data.includeAccessEvents || false;
+    this.skipDependentResources = data.skipDependentResources || false;
+  }
+}
+
+class RepositoryImportRequest extends BaseRequest {
+  constructor(data = {}) {
+    super(data);
+    this.content = data.content; // base64 zip archive
+    this.update = data.update || false;
+    this.skipUserUpdate = data.skipUserUpdate || false;
+    this.includeAccessEvents = data.includeAccessEvents || false;
+  }
+}
+
 // Update the existing DomainSchemaRequest to match our SchemaGetRequest
 class DomainSchemaRequest extends SchemaGetRequest {
   constructor(data = {}) {
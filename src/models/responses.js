@@ -55,7 +55,13 @@ class ResourceUploadResponse extends BaseResponse {
     this.uploadTimestamp = data.uploadTimestamp || new Date().toISOString();
     this.validationStatus = data.validationStatus || 'valid';
     this.validationMessages = data.validationMessages || [];
+    this.fixesApplied = data.fixesApplied || [];
     this.localResourcesUploaded = data.localResourcesUploaded || [];
+    this.inputControlsCreated = data.inputControlsCreated || [];
+    this.inputControlsSkipped = data.inputControlsSkipped || [];
+    this.dependencies = data.dependencies || [];
+    this.bundledResources = data.bundledResources || [];
+    this.unusedBundleFiles = data.unusedBundleFiles || [];
   }
 }
 
@@ -89,6 +95,18 @@ class ResourceUpdateResponse extends BaseResponse {
     this.updateTimestamp = data.updateTimestamp || new Date().toISOString();
     this.validationStatus = data.validationStatus || 'valid';
     this.validationMessages = data.validationMessages || [];
+    this.fixesApplied = data.fixesApplied || [];
+  }
+}
+
+class ResourceDiffResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.resourceUri = data.resourceUri;
+    this.jrxmlUri = data.jrxmlUri;
+    this.identical = data.identical || false;
+    this.summary = data.summary || {};
+    this.changes = data.changes || [];
   }
 }
 
@@ -101,6 +119,122 @@ class ResourceDeleteResponse extends BaseResponse {
   }
 }
 
+class ResourceCopyResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.sourceUri = data.sourceUri;
+    this.targetUri = data.targetUri;
+    this.resourceType = data.resourceType;
+    this.resourcesCopied = data.resourcesCopied || 0;
+    this.overwritten = data.overwritten || [];
+  }
+}
+
+class ResourceMoveResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.sourceUri = data.sourceUri;
+    this.targetUri = data.targetUri;
+    this.resourceType = data.resourceType;
+    this.resourcesMoved = data.resourcesMoved || 0;
+    this.overwritten = data.overwritten || [];
+  }
+}
+
+class ResourcePromoteResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.sourceProfile = data.sourceProfile;
+    this.targetProfile = data.targetProfile;
+    this.folderUri = data.folderUri;
+    this.dryRun = data.dryRun;
+    this.plan = data.plan || [];
+    this.summary = data.summary || {};
+    this.targetOnly = data.targetOnly || [];
+    this.missingDatasources = data.missingDatasources || [];
+    this.applied = data.applied || [];
+  }
+}
+
+class FolderPullResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.folderUri = data.folderUri;
+    this.localDirectory = data.localDirectory;
+    this.pulledAt = data.pulledAt;
+    this.resources = data.resources || [];
+    this.removedFiles = data.removedFiles || [];
+  }
+}
+
+class FolderPushResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.folderUri = data.folderUri;
+    this.localDirectory = data.localDirectory;
+    this.dryRun = data.dryRun;
+    this.changes = data.changes || [];
+    this.conflicts = data.conflicts || [];
+    this.unsupported = data.unsupported || [];
+    this.failed = data.failed || [];
+    this.pushed = data.pushed || [];
+  }
+}
+
+class DatasourceCreateResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.datasourceUri = data.datasourceUri;
+    this.datasourceType = data.datasourceType;
+    this.resourceType = data.resourceType;
+    this.driverClass = data.driverClass;
+    this.creationTimestamp = data.creationTimestamp || new Date().toISOString();
+  }
+}
+
+class DatasourceTestResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.datasourceUri = data.datasourceUri;
+    this.datasourceType = data.datasourceType;
+    this.resourceType = data.resourceType;
+    this.connected = data.connected || false;
+    this.errorType = data.errorType;
+    this.errorCode = data.errorCode;
+    this.errorMessage = data.errorMessage;
+    this.driverError = data.driverError;
+    this.troubleshooting = data.troubleshooting || [];
+    this.testTimestamp = data.testTimestamp || new Date().toISOString();
+  }
+}
+
+class DatasourceMetadataResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.datasourceUri = data.datasourceUri;
+    this.level = data.level;
+    this.schema = data.schema;
+    this.table = data.table;
+    this.items = data.items || [];
+    this.totalCount = data.totalCount || 0;
+    this.offset = data.offset || 0;
+    this.limit = data.limit;
+    this.hasMore = data.hasMore || false;
+    this.cached = data.cached || false;
+  }
+}
+
+class QueryReportResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.datasourceUri = data.datasourceUri;
+    this.reportName = data.reportName;
+    this.jrxmlContent = data.jrxmlContent;
+    this.base64Content = data.base64Content;
+    this.fields = data.fields || [];
+  }
+}
+
 /**
  * Report execution response models
  */
@@ -325,6 +459,32 @@ class BundleManageResponse extends BaseResponse {
   }
 }
 
+/**
+ * Repository export and import response models
+ */
+class RepositoryExportResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.exportId = data.exportId;
+    this.phase = data.phase;
+    this.message = data.message;
+    this.fileName = data.fileName;
+    this.contentType = data.contentType;
+    this.content = data.content;
+    this.size = data.size || 0;
+  }
+}
+
+class RepositoryImportResponse extends BaseResponse {
+  constructor(data = {}) {
+    super(data);
+    this.importId = data.importId;
+    this.phase = data.phase;
+    this.message = data.message;
+    this.importLog = data.importLog || [];
+  }
+}
+
 class DomainSchemaResponse extends BaseResponse {
   constructor(data = {}) {
     super(data);
@@ -537,7 +697,17 @@ export {
   ResourceListResponse,
   ResourceGetResponse,
   ResourceUpdateResponse,
+  ResourceDiffResponse,
   ResourceDeleteResponse,
+  ResourceCopyResponse,
+  ResourceMoveResponse,
+  ResourcePromoteResponse,
+  FolderPullResponse,
+  FolderPushResponse,
+  DatasourceCreateResponse,
+  DatasourceTestResponse,
+  DatasourceMetadataResponse,
+  QueryReportResponse,
   ReportExecutionResponse,
   ExecutionStatusResponse,
   ExecutionResultResponse,
@@ -558,6 +728,8 @@ export {
   SchemaGetResponse,
   BundleUploadResponse,
   BundleManageResponse,
+  RepositoryExportResponse,
+  RepositoryImportResponse,
   PermissionGetResponse,
   PermissionSetResponse,
   UserCreateResponse,
@@ -0,0 +1,480 @@
+/**
+ * MCP Prompt Definitions and Registry for JasperReports MCP Server
+ *
+ * This module defines parameterized prompts for common report-authoring workflows.
+ * Each prompt embeds the template JRXML, datasource structure and tool-usage guidance
+ * produced by the TemplateService and the tool registry, so every agent starts a task
+ * with the same context.
+ *
+ * Features:
+ * - Prompt argument definitions and validation
+ * - Context assembled from TemplateService output and tool documentation
+ * - Prompt listing and rendering for the MCP protocol
+ */
+
+import { getConfiguration } from '../config/environment.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { TEMPLATE_TYPES, DATASOURCE_TYPES, PAGE_FORMATS } from '../services/templateService.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('MCP Prompts');
+
+/**
+ * Job recurrence presets offered by the scheduling prompt
+ */
+const RECURRENCE_PRESETS = {
+  daily: { recurrenceInterval: 1, recurrenceIntervalUnit: 'DAY' },
+  weekly: { recurrenceInterval: 1, recurrenceIntervalUnit: 'WEEK' },
+  monthly: { recurrenceInterval: 1, recurrenceIntervalUnit: 'MONTH' },
+};
+
+/**
+ * Output formats accepted by scheduled jobs
+ */
+const JOB_OUTPUT_FORMATS = [
+  'pdf',
+  'html',
+  'xlsx',
+  'xls',
+  'csv',
+  'rtf',
+  'docx',
+  'odt',
+  'ods',
+  'xml',
+];
+
+/**
+ * MCP Prompt Registry class
+ */
+class MCPPromptRegistry {
+  /**
+   * @param {object} config - Server configuration
+   * @param {MCPToolRegistry} toolRegistry - Tool registry providing services and tool documentation
+   */
+  constructor(config = null, toolRegistry = null) {
+    this.config = config || getConfiguration();
+    this.toolRegistry = toolRegistry;
+    this.errorHandler = new ErrorHandler(this.config);
+
+    // Prompt definitions
+    this.prompts = this._initializePromptDefinitions();
+  }
+
+  /**
+   * Get prompt list for MCP protocol
+   * @returns {Array} Array of prompt definitions for MCP
+   */
+  getPromptList() {
+    return Object.values(this.prompts).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments.map(argument => ({
+        name: argument.name,
+        description: this._describeArgument(argument),
+        required: argument.required,
+      })),
+    }));
+  }
+
+  /**
+   * Check if a prompt exists
+   * @param {string} promptName - Name of the prompt
+   * @returns {boolean} True if prompt exists
+   */
+  hasPrompt(promptName) {
+    return Object.prototype.hasOwnProperty.call(this.prompts, promptName);
+  }
+
+  /**
+   * Render a prompt with the given arguments
+   * @param {string} promptName - Name of the prompt
+   * @param {object} args - Prompt arguments (string values)
+   * @returns {Promise<object>} Prompt description and messages
+   */
+  async getPrompt(promptName, args = {}) {
+    if (!this.hasPrompt(promptName)) {
+      throw this.errorHandler.createResourceNotFoundError('Prompt', promptName);
+    }
+
+    const prompt = this.prompts[promptName];
+    const resolvedArgs = this._resolveArguments(prompt, args);
+    const text = await prompt.build(resolvedArgs);
+
+    logger.debug(`Rendered prompt: ${promptName}`);
+
+    return {
+      description: prompt.description,
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Initialize all prompt definitions
+   * @private
+   */
+  _initializePromptDefinitions() {
+    return {
+      jasper_design_report: {
+        name: 'jasper_design_report',
+        description:
+          'Design a new report for a datasource, starting from a JRXML template and the datasource structure',
+        arguments: [
+          {
+            name: 'datasourceUri',
+            description: 'Repository URI of the datasource the report will use',
+            required: true,
+          },
+          {
+            name: 'templateType',
+            description: 'Report layout to start from',
+            required: false,
+            enum: [
+              TEMPLATE_TYPES.BASIC,
+              TEMPLATE_TYPES.TABULAR,
+              TEMPLATE_TYPES.MASTER_DETAIL,
+              TEMPLATE_TYPES.CHART,
+            ],
+            default: TEMPLATE_TYPES.TABULAR,
+          },
+          {
+            name: 'datasourceType',
+            description: 'Type of the datasource',
+            required: false,
+            enum: Object.values(DATASOURCE_TYPES),
+            default: DATASOURCE_TYPES.JDBC,
+          },
+          {
+            name: 'databaseType',
+            description: 'Database vendor for JDBC datasources (mysql, postgresql, oracle, ...)',
+            required: false,
+            default: 'generic',
+          },
+          {
+            name: 'pageFormat',
+            description: 'Page format',
+            required: false,
+            enum: Object.keys(PAGE_FORMATS),
+            default: 'A4',
+          },
+          {
+            name: 'orientation',
+            description: 'Page orientation',
+            required: false,
+            enum: ['portrait', 'landscape'],
+            default: 'portrait',
+          },
+        ],
+        build: args => this._buildDesignReportPrompt(args),
+      },
+
+      jasper_schedule_report: {
+        name: 'jasper_schedule_report',
+        description: 'Schedule an existing report to run on a recurring basis',
+        arguments: [
+          {
+            name: 'reportUri',
+            description: 'Repository URI of the report to schedule',
+            required: true,
+          },
+          {
+            name: 'recurrence',
+            description: 'How often the report should run',
+            required: false,
+            enum: Object.keys(RECURRENCE_PRESETS),
+            default: 'weekly',
+          },
+          {
+            name: 'outputFormat',
+            description: 'Output format of the scheduled report',
+            required: false,
+            enum: JOB_OUTPUT_FORMATS,
+            default: 'pdf',
+          },
+          {
+            name: 'recipients',
+            description: 'Comma-separated email addresses that receive the output',
+            required: false,
+          },
+        ],
+        build: args => this._buildScheduleReportPrompt(args),
+      },
+
+      jasper_diagnose_execution: {
+        name: 'jasper_diagnose_execution',
+        description: 'Diagnose a failed or stuck report execution and propose a fix',
+        arguments: [
+          {
+            name: 'executionId',
+            description: 'ID of the report execution to diagnose',
+            required: true,
+          },
+          {
+            name: 'reportUri',
+            description: 'Repository URI of the executed report, if known',
+            required: false,
+          },
+        ],
+        build: args => this._buildDiagnoseExecutionPrompt(args),
+      },
+    };
+  }
+
+  /**
+   * Build the report design prompt
+   * @private
+   */
+  async _buildDesignReportPrompt(args) {
+    const templateService = this.toolRegistry._getService('template');
+
+    const template = await templateService.generateJRXMLTemplate({
+      templateType: args.templateType,
+      pageFormat: args.pageFormat,
+      orientation: args.orientation,
+    });
+    const datasource = await templateService.getDatasourceStructure({
+      datasourceType: args.datasourceType,
+      databaseType: args.databaseType,
+      includeExamples: false,
+    });
+
+    return [
+      `Design a ${args.templateType} JasperReports report that uses the datasource at ${args.datasourceUri}.`,
+      '',
+      '## Starting template',
+      'Adapt the query, fields and bands of this JRXML to the datasource:',
+      this._codeBlock(template.jrxmlContent, 'xml'),
+      '## Template structure',
+      this._codeBlock(JSON.stringify(template.structure, null, 2), 'json'),
+      '## Usage instructions',
+      this._codeBlock(JSON.stringify(template.usage, null, 2), 'json'),
+      '## Validation notes',
+      this._bulletList(template.validationNotes),
+      '',
+      `## Datasource structure (${args.datasourceType})`,
+      this._codeBlock(
+        JSON.stringify(
+          {
+            requiredFields: datasource.requiredFields,
+            optionalFields: datasource.optionalFields,
+            commonErrors: datasource.commonErrors,
+            bestPractices: datasource.bestPractices,
+          },
+          null,
+          2
+        ),
+        'json'
+      ),
+      '## Tools',
+      this._toolGuidance([
+        'jasper_get_resource',
+        'jasper_upload_resource',
+        'jasper_run_report_sync',
+      ]),
+      '## Steps',
+      this._numberedList([
+        `Inspect the datasource with jasper_get_resource (resourceUri: ${args.datasourceUri}).`,
+        'Write the report query and declare a field for every selected column.',
+        `Upload the JRXML with jasper_upload_resource, passing dataSourceUri: ${args.datasourceUri}.`,
+        'Run the report with jasper_run_report_sync and review the output.',
+      ]),
+    ].join('\n');
+  }
+
+  /**
+   * Build the report scheduling prompt
+   * @private
+   */
+  async _buildScheduleReportPrompt(args) {
+    const recipients = args.recipients
+      ? args.recipients
+          .split(',')
+          .map(recipient => recipient.trim())
+          .filter(Boolean)
+      : [];
+
+    const exampleJob = {
+      label: `${args.recurrence.charAt(0).toUpperCase()}${args.recurrence.slice(1)} ${args.reportUri.split('/').pop()}`,
+      reportUri: args.reportUri,
+      schedule: {
+        type: 'simple',
+        startDate: '<ISO-8601 date-time of the first run>',
+        ...RECURRENCE_PRESETS[args.recurrence],
+      },
+      outputFormats: [args.outputFormat],
+      ...(recipients.length > 0 && { recipients }),
+    };
+
+    return [
+      `Schedule the report ${args.reportUri} to run ${args.recurrence} and produce ${args.outputFormat} output.`,
+      '',
+      '## Proposed job',
+      this._codeBlock(JSON.stringify(exampleJob, null, 2), 'json'),
+      '## Tools',
+      this._toolGuidance([
+        'jasper_get_input_controls',
+        'jasper_validate_input_controls',
+        'jasper_list_jobs',
+        'jasper_create_job',
+        'jasper_run_job_now',
+      ]),
+      '## Steps',
+      this._numberedList([
+        `Read the report input controls with jasper_get_input_controls (reportUri: ${args.reportUri}) and choose parameter values.`,
+        'Validate the chosen values with jasper_validate_input_controls.',
+        `Check jasper_list_jobs for an existing job on ${args.reportUri} to avoid duplicates.`,
+        'Create the job with jasper_create_job, replacing the placeholder start date.',
+        'Optionally trigger one run with jasper_run_job_now to verify the output.',
+      ]),
+    ].join('\n');
+  }
+
+  /**
+   * Build the execution diagnosis prompt
+   * @private
+   */
+  async _buildDiagnoseExecutionPrompt(args) {
+    const templateService = this.toolRegistry._getService('template');
+    const template = await templateService.generateJRXMLTemplate({
+      includeParameters: false,
+      includeFields: false,
+    });
+    const datasource = await templateService.getDatasourceStructure({
+      datasourceType: DATASOURCE_TYPES.JDBC,
+      includeValidation: false,
+      includeExamples: false,
+    });
+    const reportReference = args.reportUri || 'the report reported by the execution status';
+
+    return [
+      `Diagnose why the report execution ${args.executionId} failed or did not complete, and propose a fix.`,
+      '',
+      '## Tools',
+      this._toolGuidance([
+        'jasper_get_execution_status',
+        'jasper_get_execution_result',
+        'jasper_get_resource',
+        'jasper_get_input_controls',
+        'jasper_validate_input_controls',
+        'jasper_test_connection',
+        'jasper_health_status',
+      ]),
+      '## Steps',
+      this._numberedList([
+        `Get the status with jasper_get_execution_status (executionId: ${args.executionId}, includeDetails: true) and read the error descriptor.`,
+        `Inspect ${reportReference} with jasper_get_resource, including its datasource reference.`,
+        'Check the parameter values against jasper_get_input_controls and jasper_validate_input_controls.',
+        'Verify server and datasource connectivity with jasper_test_connection and jasper_health_status.',
+        'Summarize the root cause and the change needed (JRXML, parameters, datasource or server).',
+      ]),
+      '## Common JRXML problems',
+      this._bulletList(template.validationNotes),
+      '',
+      '## Common datasource problems',
+      this._bulletList(datasource.commonErrors),
+    ].join('\n');
+  }
+
+  /**
+   * Validate prompt arguments and apply defaults
+   * @private
+   */
+  _resolveArguments(prompt, args) {
+    const resolved = {};
+
+    for (const definition of prompt.arguments) {
+      const value = args?.[definition.name];
+
+      if (value === undefined || value === null || value === '') {
+        if (definition.required) {
+          throw this.errorHandler.createValidationError(
+            definition.name,
+            `Argument '${definition.name}' is required for prompt ${prompt.name}`
+          );
+        }
+        resolved[definition.name] = definition.default;
+        continue;
+      }
+
+      if (definition.enum && !definition.enum.includes(value)) {
+        throw this.errorHandler.createValidationError(
+          definition.name,
+          `Must be one of: ${definition.enum.join(', ')}`,
+          value
+        );
+      }
+
+      resolved[definition.name] = value;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Describe an argument including its allowed values and default
+   * @private
+   */
+  _describeArgument(argument) {
+    const hints = [];
+    if (argument.enum) {
+      hints.push(`one of: ${argument.enum.join(', ')}`);
+    }
+    if (argument.default !== undefined) {
+      hints.push(`default: ${argument.default}`);
+    }
+
+    return hints.length > 0
+      ? `${argument.description} (${hints.join('; ')})`
+      : argument.description;
+  }
+
+  /**
+   * Render tool documentation for the given tools
+   * @private
+   */
+  _toolGuidance(toolNames) {
+    return toolNames
+      .filter(toolName => this.toolRegistry.hasTool(toolName))
+      .map(toolName => {
+        const documentation = this.toolRegistry.getToolDocumentation(toolName);
+        return [
+          `### ${documentation.name}`,
+          documentation.description,
+          this._codeBlock(JSON.stringify(documentation.inputSchema, null, 2), 'json'),
+        ].join('\n');
+      })
+      .join('\n');
+  }
+
+  /**
+   * Format a fenced code block
+   * @private
+   */
+  _codeBlock(content, language = '') {
+    return `\`\`\`${language}\n${content}\n\`\`\`\n`;
+  }
+
+  /**
+   * Format a bullet list
+   * @private
+   */
+  _bulletList(items = []) {
+    return items.map(item => `- ${item}`).join('\n');
+  }
+
+  /**
+   * Format a numbered list
+   * @private
+   */
+  _numberedList(items = []) {
+    return items.map((item, index) => `${index + 1}. ${item}`).join('\n');
+  }
+}
+
+export default MCPPromptRegistry;
+export { MCPPromptRegistry, RECURRENCE_PRESETS };
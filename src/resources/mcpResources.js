@@ -0,0 +1,339 @@
+/**
+ * MCP Resource Definitions and Registry for JasperReports MCP Server
+ *
+ * This module exposes the JasperReports Server repository as MCP resources so
+ * clients can browse folders, JRXML sources and report unit metadata as context
+ * without calling a tool.
+ *
+ * Repository URIs are mapped onto the jasper://repo/ scheme:
+ * - jasper://repo/reports/sales          -> /reports/sales
+ * - jasper://repo/reports/sales?view=metadata -> resource descriptor only
+ *
+ * Features:
+ * - Paginated resource listing (resources/list)
+ * - Resource templates for arbitrary repository URIs (resources/templates/list)
+ * - Folder listings, file content (text or blob) and descriptors (resources/read)
+ */
+
+import { getConfiguration } from '../config/environment.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { isTextMimeType } from '../utils/responseFormatter.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('MCP Resources');
+
+/**
+ * URI prefix for repository resources
+ */
+const JASPER_URI_PREFIX = 'jasper://repo';
+
+/**
+ * Supported resource views
+ */
+const RESOURCE_VIEWS = {
+  CONTENT: 'content',
+  METADATA: 'metadata',
+};
+
+/**
+ * Number of repository entries returned per resources/list page
+ */
+const RESOURCE_PAGE_SIZE = 100;
+
+/**
+ * Maximum number of children included in a folder listing
+ */
+const FOLDER_LISTING_LIMIT = 1000;
+
+/**
+ * MIME types for repository file types
+ */
+const FILE_MIME_TYPES = {
+  jrxml: 'application/xml',
+  jrtx: 'application/xml',
+  xml: 'application/xml',
+  json: 'application/json',
+  prop: 'text/plain',
+  txt: 'text/plain',
+  css: 'text/css',
+  csv: 'text/csv',
+  html: 'text/html',
+  pdf: 'application/pdf',
+  jar: 'application/java-archive',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  font: 'application/octet-stream',
+};
+
+/**
+ * MIME type used for JSON documents generated by this module
+ */
+const JSON_MIME_TYPE = 'application/json';
+
+/**
+ * Convert a repository URI to a jasper:// resource URI
+ * @param {string} repositoryUri - Repository URI (e.g. /reports/sales)
+ * @returns {string} MCP resource URI
+ */
+function toJasperUri(repositoryUri) {
+  const path =
+    repositoryUri && repositoryUri.startsWith('/') ? repositoryUri : `/${repositoryUri || ''}`;
+  return `${JASPER_URI_PREFIX}${path}`;
+}
+
+/**
+ * Parse a jasper:// resource URI
+ * @param {string} uri - MCP resource URI
+ * @returns {object|null} Parsed { repositoryUri, view } or null if the URI is not a repository URI
+ */
+function parseJasperUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(`${JASPER_URI_PREFIX}/`)) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(uri);
+  } catch {
+    return null;
+  }
+
+  let repositoryUri;
+  try {
+    repositoryUri = decodeURIComponent(parsed.pathname);
+  } catch {
+    return null;
+  }
+
+  if (repositoryUri.length > 1 && repositoryUri.endsWith('/')) {
+    repositoryUri = repositoryUri.slice(0, -1);
+  }
+
+  return {
+    repositoryUri: repositoryUri || '/',
+    view: parsed.searchParams.get('view') || RESOURCE_VIEWS.CONTENT,
+  };
+}
+
+/**
+ * MCP Resource Registry class
+ */
+class MCPResourceRegistry {
+  /**
+   * @param {object} config - Server configuration
+   * @param {MCPToolRegistry} toolRegistry - Tool registry whose services (and session) are reused
+   */
+  constructor(config = null, toolRegistry = null) {
+    this.config = config || getConfiguration();
+    this.toolRegistry = toolRegistry;
+    this.errorHandler = new ErrorHandler(this.config);
+  }
+
+  /**
+   * List repository resources for the MCP protocol
+   * @param {string} [cursor] - Pagination cursor from a previous page
+   * @returns {Promise<object>} Resources and optional next cursor
+   */
+  async listResources(cursor) {
+    const offset = this._parseCursor(cursor);
+
+    const result = await this._getResourceService().listResources({
+      folderUri: '/',
+      recursive: true,
+      limit: RESOURCE_PAGE_SIZE,
+      offset,
+      sortBy: 'uri',
+    });
+
+    const resources = (result.resources || []).map(resource => this._toMcpResource(resource));
+    const response = { resources };
+
+    if (result.hasMore) {
+      response.nextCursor = String(offset + resources.length);
+    }
+
+    logger.debug(`Listed ${resources.length} resources (offset ${offset})`);
+
+    return response;
+  }
+
+  /**
+   * List resource templates for the MCP protocol
+   * @returns {object} Resource templates
+   */
+  listResourceTemplates() {
+    return {
+      resourceTemplates: [
+        {
+          uriTemplate: `${JASPER_URI_PREFIX}/{+path}`,
+          name: 'Repository resource',
+          description:
+            'Folder listing, file content (JRXML, images, properties, ...) or resource descriptor for a repository URI',
+        },
+        {
+          uriTemplate: `${JASPER_URI_PREFIX}/{+path}?view=${RESOURCE_VIEWS.METADATA}`,
+          name: 'Repository resource metadata',
+          description: 'Resource descriptor for a repository URI, e.g. report unit metadata',
+          mimeType: JSON_MIME_TYPE,
+        },
+      ],
+    };
+  }
+
+  /**
+   * Read a repository resource for the MCP protocol
+   * @param {string} uri - jasper://repo/... resource URI
+   * @returns {Promise<object>} Resource contents
+   */
+  async readResource(uri) {
+    const parsed = parseJasperUri(uri);
+    if (!parsed) {
+      throw this.errorHandler.createValidationError(
+        'uri',
+        `Resource URI must start with ${JASPER_URI_PREFIX}/`,
+        uri
+      );
+    }
+
+    if (!Object.values(RESOURCE_VIEWS).includes(parsed.view)) {
+      throw this.errorHandler.createValidationError(
+        'view',
+        `View must be one of: ${Object.values(RESOURCE_VIEWS).join(', ')}`,
+        parsed.view
+      );
+    }
+
+    const { repositoryUri, view } = parsed;
+
+    // The repository root has no descriptor of its own
+    if (repositoryUri === '/') {
+      return this._readFolder(uri, repositoryUri, null);
+    }
+
+    const result = await this._getResourceService().getResource({
+      resourceUri: repositoryUri,
+      includeMetadata: true,
+    });
+
+    if (view === RESOURCE_VIEWS.METADATA) {
+      return this._jsonContents(uri, { resource: result.resource, descriptor: result.metadata });
+    }
+
+    switch (result.resource?.type) {
+      case 'folder':
+        return this._readFolder(uri, repositoryUri, result.resource);
+      case 'file':
+        return this._readFile(uri, repositoryUri, result.metadata);
+      default:
+        return this._jsonContents(uri, { resource: result.resource, descriptor: result.metadata });
+    }
+  }
+
+  /**
+   * Read a folder as a JSON listing of its children
+   * @private
+   */
+  async _readFolder(uri, folderUri, folder) {
+    const result = await this._getResourceService().listResources({
+      folderUri,
+      recursive: false,
+      limit: FOLDER_LISTING_LIMIT,
+    });
+
+    return this._jsonContents(uri, {
+      folder: folder || { uri: folderUri, type: 'folder' },
+      children: (result.resources || []).map(resource => ({
+        ...resource,
+        resourceUri: toJasperUri(resource.uri),
+      })),
+      hasMore: result.hasMore,
+    });
+  }
+
+  /**
+   * Read a file resource as text or blob content
+   * @private
+   */
+  async _readFile(uri, fileUri, descriptor) {
+    const { content, contentType } = await this._getResourceService().getResourceContent(fileUri);
+    const mimeType = FILE_MIME_TYPES[descriptor?.type] || contentType || 'application/octet-stream';
+
+    if (isTextMimeType(mimeType)) {
+      return {
+        contents: [{ uri, mimeType, text: content.toString('utf8') }],
+      };
+    }
+
+    return {
+      contents: [{ uri, mimeType, blob: content.toString('base64') }],
+    };
+  }
+
+  /**
+   * Map repository resource info to an MCP resource
+   * @private
+   */
+  _toMcpResource(resource) {
+    const mcpResource = {
+      uri: toJasperUri(resource.uri),
+      name: resource.label || resource.uri.split('/').pop() || resource.uri,
+    };
+
+    if (resource.description) {
+      mcpResource.description = resource.description;
+    }
+
+    // File content types are only known once the descriptor is read
+    if (resource.type !== 'file') {
+      mcpResource.mimeType = JSON_MIME_TYPE;
+    }
+
+    return mcpResource;
+  }
+
+  /**
+   * Build a single JSON text content entry
+   * @private
+   */
+  _jsonContents(uri, data) {
+    return {
+      contents: [{ uri, mimeType: JSON_MIME_TYPE, text: JSON.stringify(data, null, 2) }],
+    };
+  }
+
+  /**
+   * Parse a pagination cursor into an offset
+   * @private
+   */
+  _parseCursor(cursor) {
+    if (cursor === undefined || cursor === null || cursor === '') {
+      return 0;
+    }
+
+    const offset = Number(cursor);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw this.errorHandler.createValidationError('cursor', 'Invalid pagination cursor', cursor);
+    }
+
+    return offset;
+  }
+
+  /**
+   * Get the resource service shared with the tool registry
+   * @private
+   */
+  _getResourceService() {
+    return this.toolRegistry._getService('resource');
+  }
+}
+
+export default MCPResourceRegistry;
+export {
+  MCPResourceRegistry,
+  JASPER_URI_PREFIX,
+  RESOURCE_VIEWS,
+  FILE_MIME_TYPES,
+  toJasperUri,
+  parseJasperUri,
+};
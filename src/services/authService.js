@@ -17,6 +17,9 @@
 import APIClient, { AUTH_TYPES } from '../utils/apiClient.js';
 import { getConfiguration } from '../config/environment.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Auth Service');
 
 /**
  * Authentication states
@@ -70,13 +73,11 @@ class AuthService {
    * @private
    */
   _initializeService() {
-    if (this.config.debugMode) {
-      console.log('[Auth Service] Initializing authentication service', {
-        authType: this.config.authType,
-        jasperUrl: this.config.jasperUrl,
-        organization: this.config.organization || 'none',
-      });
-    }
+    logger.debug('Initializing authentication service', {
+      authType: this.config.authType,
+      jasperUrl: this.config.jasperUrl,
+      organization: this.config.organization || 'none',
+    });
   }
 
   /**
@@ -164,13 +165,11 @@ class AuthService {
         ...authResult,
       };
 
-      if (this.config.debugMode) {
-        console.log('[Auth Service] Authentication successful', {
-          authType: this.config.authType,
-          sessionExpiry: this.sessionExpiry,
-          serverVersion: connectionTest.serverInfo?.version,
-        });
-      }
+      logger.debug('Authentication successful', {
+        authType: this.config.authType,
+        sessionExpiry: this.sessionExpiry,
+        serverVersion: connectionTest.serverInfo?.version,
+      });
 
       this._notifyAuthStateChange(AUTH_STATES.AUTHENTICATED, result);
       return result;
@@ -314,8 +313,8 @@ class AuthService {
     const oldState = this.authState;
     this.authState = newState;
 
-    if (this.config.debugMode && oldState !== newState) {
-      console.log(`[Auth Service] State transition: ${oldState} -> ${newState}`);
+    if (oldState !== newState) {
+      logger.debug(`State transition: ${oldState} -> ${newState}`);
     }
   }
 
@@ -401,9 +400,7 @@ class AuthService {
       };
     }
 
-    if (this.config.debugMode) {
-      console.log('[Auth Service] Renewing session');
-    }
+    logger.debug('Renewing session');
 
     try {
       const result = await this.authenticate(true);
@@ -513,9 +510,7 @@ class AuthService {
 
       result.responseTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log('[Auth Service] Connection test completed', result);
-      }
+      logger.debug('Connection test completed', result);
 
       return result;
     } catch (error) {
@@ -567,15 +562,11 @@ class AuthService {
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
-        if (this.config.debugMode) {
-          console.log(`[Auth Service] Authentication retry attempt ${attempt}/${maxAttempts}`);
-        }
+        logger.debug(`Authentication retry attempt ${attempt}/${maxAttempts}`);
 
         const result = await this.authenticate(true);
 
-        if (this.config.debugMode) {
-          console.log(`[Auth Service] Authentication retry successful on attempt ${attempt}`);
-        }
+        logger.debug(`Authentication retry successful on attempt ${attempt}`);
 
         return result;
       } catch (error) {
@@ -584,11 +575,7 @@ class AuthService {
         if (attempt < maxAttempts) {
           const delay = SESSION_CONSTANTS.RETRY_DELAY_MS * Math.pow(2, attempt - 1);
 
-          if (this.config.debugMode) {
-            console.log(
-              `[Auth Service] Authentication attempt ${attempt} failed, retrying in ${delay}ms`
-            );
-          }
+          logger.debug(`Authentication attempt ${attempt} failed, retrying in ${delay}ms`);
 
           await new Promise(resolve => setTimeout(resolve, delay));
         }
@@ -614,9 +601,7 @@ class AuthService {
 
     this.apiClient.clearAuthentication();
 
-    if (this.config.debugMode) {
-      console.log('[Auth Service] Authentication state cleared');
-    }
+    logger.debug('Authentication state cleared');
 
     this._notifyAuthStateChange(AUTH_STATES.NOT_AUTHENTICATED);
   }
@@ -714,9 +699,7 @@ class AuthService {
     this.serverInfo = null;
     this.serverInfoExpiry = null;
 
-    if (this.config.debugMode) {
-      console.log('[Auth Service] Service disposed');
-    }
+    logger.debug('Service disposed');
   }
 }
 
@@ -33,6 +33,9 @@ import {
   SchemaGetResponse,
   DomainInfo,
 } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Domain Service');
 
 /**
  * Domain types supported by JasperReports Server
@@ -79,9 +82,7 @@ class DomainService {
 
       this.initialized = true;
 
-      if (this.config.debugMode) {
-        console.log('[Domain Service] Service initialized successfully');
-      }
+      logger.debug('Service initialized successfully');
     } catch (error) {
       this.errorHandler.logError(error, 'DomainService.initialize');
       throw this.errorHandler.mapJasperError(error, 'Failed to initialize domain service');
@@ -119,9 +120,7 @@ class DomainService {
 
       const url = queryParams.toString() ? `${endpoint}?${queryParams}` : endpoint;
 
-      if (this.config.debugMode) {
-        console.log(`[Domain Service] Retrieving domain: ${domainUri}`);
-      }
+      logger.debug(`Retrieving domain: ${domainUri}`);
 
       const response = await this.apiClient.get(url);
 
@@ -194,9 +193,7 @@ class DomainService {
 
       const url = `${endpoint}?${queryParams}`;
 
-      if (this.config.debugMode) {
-        console.log(`[Domain Service] Listing domains with filters: ${JSON.stringify(request)}`);
-      }
+      logger.debug(`Listing domains with filters: ${JSON.stringify(request)}`);
 
       const response = await this.apiClient.get(url);
 
@@ -250,9 +247,7 @@ class DomainService {
 
       const url = queryParams.toString() ? `${endpoint}?${queryParams}` : endpoint;
 
-      if (this.config.debugMode) {
-        console.log(`[Domain Service] Retrieving schema for domain: ${domainUri}`);
-      }
+      logger.debug(`Retrieving schema for domain: ${domainUri}`);
 
       const response = await this.apiClient.get(url);
 
@@ -334,9 +329,7 @@ class DomainService {
         formData.append('skipDependencyValidation', 'true');
       }
 
-      if (this.config.debugMode) {
-        console.log(`[Domain Service] Uploading bundle: ${request.bundleName}`);
-      }
+      logger.debug(`Uploading bundle: ${request.bundleName}`);
 
       const response = await this.apiClient.post(endpoint, formData, {
         headers: {
@@ -448,9 +441,7 @@ class DomainService {
 
       const url = queryParams.toString() ? `${endpoint}?${queryParams}` : endpoint;
 
-      if (this.config.debugMode) {
-        console.log(`[Domain Service] Validating domain: ${domainUri}`);
-      }
+      logger.debug(`Validating domain: ${domainUri}`);
 
       const response = await this.apiClient.post(url, {});
 
@@ -502,9 +493,7 @@ class DomainService {
       // Prepare update payload
       const updatePayload = this._buildDomainUpdatePayload(request);
 
-      if (this.config.debugMode) {
-        console.log(`[Domain Service] Updating domain: ${domainUri}`);
-      }
+      logger.debug(`Updating domain: ${domainUri}`);
 
       const response = await this.apiClient.put(endpoint, updatePayload, {
         headers: {
@@ -666,9 +655,7 @@ class DomainService {
       includeMonitoringEvents: request.includeMonitoringEvents || false,
     };
 
-    if (this.config.debugMode) {
-      console.log(`[Domain Service] Exporting bundle: ${domainUri}`);
-    }
+    logger.debug(`Exporting bundle: ${domainUri}`);
 
     const response = await this.apiClient.post(endpoint, exportParams);
 
@@ -688,9 +675,7 @@ class DomainService {
     const domainUri = this._normalizeDomainUri(request.bundleUri);
     const endpoint = `/rest_v2/resources${domainUri}`;
 
-    if (this.config.debugMode) {
-      console.log(`[Domain Service] Deleting bundle: ${domainUri}`);
-    }
+    logger.debug(`Deleting bundle: ${domainUri}`);
 
     await this.apiClient.delete(endpoint);
 
@@ -709,9 +694,7 @@ class DomainService {
     const domainUri = this._normalizeDomainUri(request.bundleUri);
     const endpoint = `/rest_v2/resources${domainUri}/validate`;
 
-    if (this.config.debugMode) {
-      console.log(`[Domain Service] Validating bundle: ${domainUri}`);
-    }
+    logger.debug(`Validating bundle: ${domainUri}`);
 
     const response = await this.apiClient.post(endpoint, {});
 
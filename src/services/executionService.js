@@ -33,6 +33,9 @@ import {
   ExecutionCancelResponse,
   ExportInfo,
 } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Execution Service');
 
 /**
  * Execution status constants
@@ -145,14 +148,12 @@ class ExecutionService {
       this.executionStats.statusStats[status] = 0;
     });
 
-    if (this.config.debugMode) {
-      console.log('[Execution Service] Initializing async execution service', {
-        supportedFormats: Object.values(ASYNC_OUTPUT_FORMATS),
-        maxExecutionTime: EXECUTION_CONSTANTS.MAX_EXECUTION_TIME_MS,
-        maxConcurrentExecutions: EXECUTION_CONSTANTS.MAX_CONCURRENT_EXECUTIONS,
-        pollInterval: EXECUTION_CONSTANTS.POLL_INTERVAL_MS,
-      });
-    }
+    logger.debug('Initializing async execution service', {
+      supportedFormats: Object.values(ASYNC_OUTPUT_FORMATS),
+      maxExecutionTime: EXECUTION_CONSTANTS.MAX_EXECUTION_TIME_MS,
+      maxConcurrentExecutions: EXECUTION_CONSTANTS.MAX_CONCURRENT_EXECUTIONS,
+      pollInterval: EXECUTION_CONSTANTS.POLL_INTERVAL_MS,
+    });
   }
 
   /**
@@ -177,13 +178,11 @@ class ExecutionService {
       // Validate input parameters
       const validatedRequest = this._validateAsyncExecutionRequest(executionRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Execution Service] Starting async execution', {
-          reportUri: validatedRequest.reportUri,
-          outputFormat: validatedRequest.outputFormat,
-          parametersCount: Object.keys(validatedRequest.parameters).length,
-        });
-      }
+      logger.debug('Starting async execution', {
+        reportUri: validatedRequest.reportUri,
+        outputFormat: validatedRequest.outputFormat,
+        parametersCount: Object.keys(validatedRequest.parameters).length,
+      });
 
       // Execute the report asynchronously
       const executionResult = await this._executeReportAsync(validatedRequest);
@@ -207,13 +206,11 @@ class ExecutionService {
         totalPages: executionResult.totalPages,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Execution Service] Async execution started', {
-          executionId: executionResult.executionId,
-          status: executionResult.status,
-          outputFormat: validatedRequest.outputFormat,
-        });
-      }
+      logger.debug('Async execution started', {
+        executionId: executionResult.executionId,
+        status: executionResult.status,
+        outputFormat: validatedRequest.outputFormat,
+      });
 
       return response;
     } catch (error) {
@@ -244,11 +241,9 @@ class ExecutionService {
       // Validate input parameters
       const validatedRequest = this._validateStatusRequest(statusRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Execution Service] Getting execution status', {
-          executionId: validatedRequest.executionId,
-        });
-      }
+      logger.debug('Getting execution status', {
+        executionId: validatedRequest.executionId,
+      });
 
       // Get status from JasperReports Server
       const statusResult = await this._getExecutionStatusFromServer(validatedRequest.executionId);
@@ -271,13 +266,11 @@ class ExecutionService {
         requestId: validatedRequest.requestId,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Execution Service] Execution status retrieved', {
-          executionId: validatedRequest.executionId,
-          status: statusResult.status,
-          progress: statusResult.progress,
-        });
-      }
+      logger.debug('Execution status retrieved', {
+        executionId: validatedRequest.executionId,
+        status: statusResult.status,
+        progress: statusResult.progress,
+      });
 
       return response;
     } catch (error) {
@@ -299,12 +292,10 @@ class ExecutionService {
       // Validate input parameters
       const validatedRequest = this._validateResultRequest(resultRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Execution Service] Getting execution result', {
-          executionId: validatedRequest.executionId,
-          exportId: validatedRequest.exportId,
-        });
-      }
+      logger.debug('Getting execution result', {
+        executionId: validatedRequest.executionId,
+        exportId: validatedRequest.exportId,
+      });
 
       // Get result from JasperReports Server
       const resultData = await this._getExecutionResultFromServer(
@@ -334,13 +325,11 @@ class ExecutionService {
         requestId: validatedRequest.requestId,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Execution Service] Execution result retrieved', {
-          executionId: validatedRequest.executionId,
-          exportId: validatedRequest.exportId,
-          fileSize: resultData.fileSize,
-        });
-      }
+      logger.debug('Execution result retrieved', {
+        executionId: validatedRequest.executionId,
+        exportId: validatedRequest.exportId,
+        fileSize: resultData.fileSize,
+      });
 
       return response;
     } catch (error) {
@@ -363,12 +352,10 @@ class ExecutionService {
       // Validate input parameters
       const validatedRequest = this._validateCancelRequest(cancelRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Execution Service] Cancelling execution', {
-          executionId: validatedRequest.executionId,
-          force: validatedRequest.force,
-        });
-      }
+      logger.debug('Cancelling execution', {
+        executionId: validatedRequest.executionId,
+        force: validatedRequest.force,
+      });
 
       // Cancel execution on JasperReports Server
       const cancelResult = await this._cancelExecutionOnServer(
@@ -404,13 +391,11 @@ class ExecutionService {
         requestId: validatedRequest.requestId,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Execution Service] Execution cancelled', {
-          executionId: validatedRequest.executionId,
-          cancelled: cancelResult.cancelled,
-          finalStatus: cancelResult.finalStatus,
-        });
-      }
+      logger.debug('Execution cancelled', {
+        executionId: validatedRequest.executionId,
+        cancelled: cancelResult.cancelled,
+        finalStatus: cancelResult.finalStatus,
+      });
 
       return response;
     } catch (error) {
@@ -424,8 +409,12 @@ class ExecutionService {
 
   /**
    * Poll execution until completion or timeout
+   *
+   * When the abort signal fires, polling stops and the execution is cancelled on
+   * JasperReports Server so abandoned waits do not leave reports rendering.
    * @param {string} executionId - Execution ID to poll
    * @param {object} options - Polling options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the execution when aborted
    * @returns {Promise<object>} Final execution status
    */
   async pollExecutionUntilComplete(executionId, options = {}) {
@@ -433,19 +422,22 @@ class ExecutionService {
       maxAttempts = EXECUTION_CONSTANTS.MAX_POLL_ATTEMPTS,
       pollInterval = EXECUTION_CONSTANTS.POLL_INTERVAL_MS,
       onProgress = null,
+      signal = null,
     } = options;
 
     let attempts = 0;
 
-    if (this.config.debugMode) {
-      console.log('[Execution Service] Starting execution polling', {
-        executionId,
-        maxAttempts,
-        pollInterval,
-      });
-    }
+    logger.debug('Starting execution polling', {
+      executionId,
+      maxAttempts,
+      pollInterval,
+    });
 
     while (attempts < maxAttempts) {
+      if (signal?.aborted) {
+        throw await this._cancelAbandonedExecution(executionId);
+      }
+
       try {
         const statusResponse = await this.getExecutionStatus({ executionId });
 
@@ -456,27 +448,23 @@ class ExecutionService {
 
         // Check if execution is complete
         if (this._isExecutionComplete(statusResponse.status)) {
-          if (this.config.debugMode) {
-            console.log('[Execution Service] Execution polling completed', {
-              executionId,
-              finalStatus: statusResponse.status,
-              attempts: attempts + 1,
-            });
-          }
+          logger.debug('Execution polling completed', {
+            executionId,
+            finalStatus: statusResponse.status,
+            attempts: attempts + 1,
+          });
           return statusResponse;
         }
 
         // Wait before next poll
-        await this._sleep(pollInterval);
+        await this._sleep(pollInterval, signal);
         attempts++;
       } catch (error) {
-        if (this.config.debugMode) {
-          console.log('[Execution Service] Polling error, retrying', {
-            executionId,
-            attempt: attempts + 1,
-            error: error.message,
-          });
-        }
+        logger.debug('Polling error, retrying', {
+          executionId,
+          attempt: attempts + 1,
+          error: error.message,
+        });
 
         // If it's a not found error, the execution might have been cleaned up
         if (error.type === 'ResourceNotFound') {
@@ -492,10 +480,14 @@ class ExecutionService {
           throw error;
         }
 
-        await this._sleep(pollInterval);
+        await this._sleep(pollInterval, signal);
       }
     }
 
+    if (signal?.aborted) {
+      throw await this._cancelAbandonedExecution(executionId);
+    }
+
     // Timeout reached
     throw this.errorHandler.createTimeoutError(
       `Execution polling for ${executionId}`,
@@ -1000,11 +992,47 @@ class ExecutionService {
   }
 
   /**
-   * Sleep for specified milliseconds
+   * Cancel an execution whose caller stopped waiting for it
    * @private
+   * @returns {Promise<MCPError>} Cancellation error to throw to the caller
    */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async _cancelAbandonedExecution(executionId) {
+    try {
+      await this.cancelExecution({ executionId });
+    } catch (error) {
+      // The execution may already be finished; the wait is cancelled either way
+      logger.debug('Failed to cancel abandoned execution', {
+        executionId,
+        error: error.message,
+      });
+      this.activeExecutions.delete(executionId);
+    }
+
+    return this.errorHandler.createCancellationError(`Execution polling for ${executionId}`);
+  }
+
+  /**
+   * Sleep for specified milliseconds, waking early when the signal aborts
+   * @private
+   */
+  _sleep(ms, signal = null) {
+    return new Promise(resolve => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -1206,9 +1234,7 @@ class ExecutionService {
       this.executionStats.statusStats[status] = 0;
     });
 
-    if (this.config.debugMode) {
-      console.log('[Execution Service] Execution history and statistics cleared');
-    }
+    logger.debug('Execution history and statistics cleared');
   }
 
   /**
@@ -1245,8 +1271,8 @@ class ExecutionService {
 
     const cleanedCount = initialCount - this.executionHistory.length;
 
-    if (this.config.debugMode && cleanedCount > 0) {
-      console.log(`[Execution Service] Cleaned up ${cleanedCount} old executions`);
+    if (cleanedCount > 0) {
+      logger.debug(`Cleaned up ${cleanedCount} old executions`);
     }
 
     return cleanedCount;
@@ -1259,19 +1285,15 @@ class ExecutionService {
     // Cancel all active executions
     const activeExecutionIds = Array.from(this.activeExecutions.keys());
 
-    if (activeExecutionIds.length > 0 && this.config.debugMode) {
-      console.log(
-        `[Execution Service] Disposing service with ${activeExecutionIds.length} active executions`
-      );
+    if (activeExecutionIds.length > 0) {
+      logger.debug(`Disposing service with ${activeExecutionIds.length} active executions`);
     }
 
     // Clear all tracking data
     this.activeExecutions.clear();
     this.executionHistory = [];
 
-    if (this.config.debugMode) {
-      console.log('[Execution Service] Service disposed');
-    }
+    logger.debug('Service disposed');
   }
 }
 
@@ -13,6 +13,9 @@ import { getConfiguration } from '../config/environment.js';
 import { getErrorHandler } from '../utils/errorHandler.js';
 import { getResilienceManager } from '../utils/resilience.js';
 import APIClient from '../utils/apiClient.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Health Service');
 
 /**
  * Health Check Service class
@@ -39,9 +42,7 @@ class HealthService {
       // Start API client resilience
       this.apiClient.startResilience();
 
-      if (this.config.debugMode) {
-        console.log('[Health Service] Health monitoring initialized');
-      }
+      logger.debug('Health monitoring initialized');
     } catch (error) {
       this.errorHandler.logError(error, 'HealthService.initialize');
       throw this.errorHandler.mapToMCPError(error, 'Failed to initialize health service');
@@ -344,9 +345,7 @@ class HealthService {
       this.resilienceManager.stop();
       this.apiClient.stopResilience();
 
-      if (this.config.debugMode) {
-        console.log('[Health Service] Health monitoring stopped');
-      }
+      logger.debug('Health monitoring stopped');
     } catch (error) {
       this.errorHandler.logError(error, 'HealthService.stop');
     }
@@ -360,9 +359,7 @@ class HealthService {
       this.stop();
       this.resilienceManager.destroy();
 
-      if (this.config.debugMode) {
-        console.log('[Health Service] Health service destroyed');
-      }
+      logger.debug('Health service destroyed');
     } catch (error) {
       this.errorHandler.logError(error, 'HealthService.destroy');
     }
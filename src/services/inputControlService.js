@@ -26,6 +26,9 @@ import {
   InputControl,
   ValidationResult,
 } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Input Control Service');
 
 /**
  * Input control types supported by JasperReports Server
@@ -107,9 +110,7 @@ class InputControlService {
 
       this.initialized = true;
 
-      if (this.config.debugMode) {
-        console.log('[Input Control Service] Service initialized successfully');
-      }
+      logger.debug('Service initialized successfully');
     } catch (error) {
       this.errorHandler.logError(error, 'InputControlService.initialize');
       throw this.errorHandler.mapJasperError(error, 'Failed to initialize input control service');
@@ -135,11 +136,7 @@ class InputControlService {
       const cacheKey = `${request.reportUri}:${request.includeStructure}:${request.includeValues}`;
       const cachedResult = this._getCachedResult(cacheKey);
       if (cachedResult) {
-        if (this.config.debugMode) {
-          console.log(
-            `[Input Control Service] Retrieved cached input controls for ${request.reportUri}`
-          );
-        }
+        logger.debug(`Retrieved cached input controls for ${request.reportUri}`);
         return cachedResult;
       }
 
@@ -188,11 +185,9 @@ class InputControlService {
       // Cache the result
       this._setCachedResult(cacheKey, result);
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Input Control Service] Retrieved ${inputControls.length} input controls for ${request.reportUri} (${executionTime}ms)`
-        );
-      }
+      logger.debug(
+        `Retrieved ${inputControls.length} input controls for ${request.reportUri} (${executionTime}ms)`
+      );
 
       return result;
     } catch (error) {
@@ -271,11 +266,9 @@ class InputControlService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Input Control Service] Set values for control ${request.controlId} in ${request.reportUri} (${executionTime}ms)`
-        );
-      }
+      logger.debug(
+        `Set values for control ${request.controlId} in ${request.reportUri} (${executionTime}ms)`
+      );
 
       return new InputControlValuesResponse({
         reportUri: request.reportUri,
@@ -366,11 +359,9 @@ class InputControlService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Input Control Service] Validated ${inputControls.length} controls for ${request.reportUri} - Valid: ${overallValid} (${executionTime}ms)`
-        );
-      }
+      logger.debug(
+        `Validated ${inputControls.length} controls for ${request.reportUri} - Valid: ${overallValid} (${executionTime}ms)`
+      );
 
       return new InputControlValidationResponse({
         reportUri: request.reportUri,
@@ -426,11 +417,9 @@ class InputControlService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Input Control Service] Retrieved default values for ${Object.keys(defaultValues).length} controls in ${reportUri} (${executionTime}ms)`
-        );
-      }
+      logger.debug(
+        `Retrieved default values for ${Object.keys(defaultValues).length} controls in ${reportUri} (${executionTime}ms)`
+      );
 
       return defaultValues;
     } catch (error) {
@@ -948,9 +937,7 @@ class InputControlService {
       this.cacheExpiry.clear();
     }
 
-    if (this.config.debugMode) {
-      console.log(`[Input Control Service] Cache cleared${reportUri ? ' for ' + reportUri : ''}`);
-    }
+    logger.debug(`Cache cleared${reportUri ? ' for ' + reportUri : ''}`);
   }
 
   /**
@@ -977,9 +964,7 @@ class InputControlService {
     this.clearCache();
     this.dependencyResolutionStack.clear();
 
-    if (this.config.debugMode) {
-      console.log('[Input Control Service] Service disposed');
-    }
+    logger.debug('Service disposed');
   }
 }
 
@@ -35,6 +35,9 @@ import {
   JobExecuteResponse,
   JobInfo,
 } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Job Service');
 
 /**
  * Supported schedule types
@@ -121,13 +124,11 @@ class JobService {
    * @private
    */
   _initializeService() {
-    if (this.config.debugMode) {
-      console.log('[Job Service] Initializing job scheduling service', {
-        supportedScheduleTypes: Object.values(SCHEDULE_TYPES),
-        supportedStates: Object.values(JOB_STATES),
-        maxRecipients: JOB_CONSTANTS.MAX_RECIPIENTS,
-      });
-    }
+    logger.debug('Initializing job scheduling service', {
+      supportedScheduleTypes: Object.values(SCHEDULE_TYPES),
+      supportedStates: Object.values(JOB_STATES),
+      maxRecipients: JOB_CONSTANTS.MAX_RECIPIENTS,
+    });
   }
 
   /**
@@ -142,14 +143,12 @@ class JobService {
       // Validate input parameters
       const validatedRequest = this._validateJobCreationRequest(jobRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Creating scheduled job', {
-          label: validatedRequest.label,
-          reportUri: validatedRequest.reportUri,
-          scheduleType: validatedRequest.schedule.type,
-          outputFormats: validatedRequest.outputFormats,
-        });
-      }
+      logger.debug('Creating scheduled job', {
+        label: validatedRequest.label,
+        reportUri: validatedRequest.reportUri,
+        scheduleType: validatedRequest.schedule.type,
+        outputFormats: validatedRequest.outputFormats,
+      });
 
       // Create job descriptor for JasperReports API
       const jobDescriptor = this._buildJobDescriptor(validatedRequest);
@@ -191,14 +190,12 @@ class JobService {
         executionTime,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Job created successfully', {
-          jobId: jobData.id,
-          label: jobData.label,
-          nextFireTime: jobData.nextFireTime,
-          executionTime,
-        });
-      }
+      logger.debug('Job created successfully', {
+        jobId: jobData.id,
+        label: jobData.label,
+        nextFireTime: jobData.nextFireTime,
+        executionTime,
+      });
 
       return jobResponse;
     } catch (error) {
@@ -227,13 +224,11 @@ class JobService {
       // Validate and normalize request
       const validatedRequest = this._validateJobListRequest(listRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Listing jobs', {
-          limit: validatedRequest.limit,
-          offset: validatedRequest.offset,
-          searchQuery: validatedRequest.searchQuery,
-        });
-      }
+      logger.debug('Listing jobs', {
+        limit: validatedRequest.limit,
+        offset: validatedRequest.offset,
+        searchQuery: validatedRequest.searchQuery,
+      });
 
       // Build query parameters
       const queryParams = {
@@ -280,13 +275,11 @@ class JobService {
         executionTime,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Jobs listed successfully', {
-          count: jobs.length,
-          totalCount: jobsData.totalCount,
-          executionTime,
-        });
-      }
+      logger.debug('Jobs listed successfully', {
+        count: jobs.length,
+        totalCount: jobsData.totalCount,
+        executionTime,
+      });
 
       return listResponse;
     } catch (error) {
@@ -315,12 +308,10 @@ class JobService {
       // Validate input parameters
       const validatedRequest = this._validateJobUpdateRequest(updateRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Updating job', {
-          jobId: validatedRequest.jobId,
-          label: validatedRequest.label,
-        });
-      }
+      logger.debug('Updating job', {
+        jobId: validatedRequest.jobId,
+        label: validatedRequest.label,
+      });
 
       // Get existing job first
       const existingJob = await this._getJobById(validatedRequest.jobId);
@@ -365,13 +356,11 @@ class JobService {
         executionTime,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Job updated successfully', {
-          jobId: jobData.id,
-          nextFireTime: jobData.nextFireTime,
-          executionTime,
-        });
-      }
+      logger.debug('Job updated successfully', {
+        jobId: jobData.id,
+        nextFireTime: jobData.nextFireTime,
+        executionTime,
+      });
 
       return updateResponse;
     } catch (error) {
@@ -399,12 +388,10 @@ class JobService {
       // Validate input parameters
       const validatedRequest = this._validateJobDeleteRequest(deleteRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Deleting job', {
-          jobId: validatedRequest.jobId,
-          force: validatedRequest.force,
-        });
-      }
+      logger.debug('Deleting job', {
+        jobId: validatedRequest.jobId,
+        force: validatedRequest.force,
+      });
 
       // Delete the job via REST API
       const response = await this.apiClient.delete(`/rest_v2/jobs/${validatedRequest.jobId}`, {
@@ -436,12 +423,10 @@ class JobService {
         executionTime,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Job deleted successfully', {
-          jobId: validatedRequest.jobId,
-          executionTime,
-        });
-      }
+      logger.debug('Job deleted successfully', {
+        jobId: validatedRequest.jobId,
+        executionTime,
+      });
 
       return deleteResponse;
     } catch (error) {
@@ -460,21 +445,21 @@ class JobService {
   /**
    * Execute a job immediately
    * @param {object} executeRequest - Job execution request parameters
+   * @param {object} options - Execution options
+   * @param {AbortSignal} [options.signal] - Signal that aborts the run request
    * @returns {Promise<object>} Job execution result
    */
-  async executeJobNow(executeRequest) {
+  async executeJobNow(executeRequest, options = {}) {
     const startTime = Date.now();
 
     try {
       // Validate input parameters
       const validatedRequest = this._validateJobExecuteRequest(executeRequest);
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Executing job immediately', {
-          jobId: validatedRequest.jobId,
-          parametersCount: Object.keys(validatedRequest.parameters).length,
-        });
-      }
+      logger.debug('Executing job immediately', {
+        jobId: validatedRequest.jobId,
+        parametersCount: Object.keys(validatedRequest.parameters).length,
+      });
 
       // Build execution request body
       const executionBody = {
@@ -490,6 +475,7 @@ class JobService {
           headers: {
             'Content-Type': 'application/json',
           },
+          ...(options.signal && { signal: options.signal }),
         }
       );
 
@@ -525,13 +511,11 @@ class JobService {
         executionTime,
       });
 
-      if (this.config.debugMode) {
-        console.log('[Job Service] Job executed successfully', {
-          jobId: validatedRequest.jobId,
-          executionId: executeResponse.executionId,
-          executionTime,
-        });
-      }
+      logger.debug('Job executed successfully', {
+        jobId: validatedRequest.jobId,
+        executionId: executeResponse.executionId,
+        executionTime,
+      });
 
       return executeResponse;
     } catch (error) {
@@ -543,6 +527,10 @@ class JobService {
         executionTime,
       });
 
+      if (options.signal?.aborted) {
+        throw this.errorHandler.createCancellationError(`Job run ${executeRequest.jobId}`);
+      }
+
       throw error;
     }
   }
@@ -1330,9 +1318,7 @@ class JobService {
       failedExecutions: 0,
     };
 
-    if (this.config.debugMode) {
-      console.log('[Job Service] Cache and statistics cleared');
-    }
+    logger.debug('Cache and statistics cleared');
   }
 
   /**
@@ -1342,9 +1328,7 @@ class JobService {
     this.jobCache.clear();
     this.executionHistory = [];
 
-    if (this.config.debugMode) {
-      console.log('[Job Service] Service disposed');
-    }
+    logger.debug('Service disposed');
   }
 }
 
@@ -28,6 +28,9 @@ import {
   PermissionInfo,
   RoleInfo,
 } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Permission Service');
 
 /**
  * Permission mask constants for JasperReports Server
@@ -97,9 +100,7 @@ class PermissionService {
 
       this.initialized = true;
 
-      if (this.config.debugMode) {
-        console.log('[Permission Service] Service initialized successfully');
-      }
+      logger.debug('Service initialized successfully');
     } catch (error) {
       this.errorHandler.logError(error, 'PermissionService.initialize');
       throw this.errorHandler.mapJasperError(error, 'Failed to initialize permission service');
@@ -181,11 +182,7 @@ class PermissionService {
       // Cache the result
       this._setCachedData(cacheKey, result, 5 * 60 * 1000); // Cache for 5 minutes
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Permission Service] Retrieved permissions for ${request.resourceUri} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`Retrieved permissions for ${request.resourceUri} (${executionTime}ms)`);
 
       return result;
     } catch (error) {
@@ -271,11 +268,7 @@ class PermissionService {
         requestId: request.requestId,
       });
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Permission Service] Set permissions for ${request.resourceUri} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`Set permissions for ${request.resourceUri} (${executionTime}ms)`);
 
       return result;
     } catch (error) {
@@ -369,11 +362,9 @@ class PermissionService {
         timestamp: new Date().toISOString(),
       };
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Permission Service] Validated access for ${username} on ${resourceUri}: ${hasAccess} (${executionTime}ms)`
-        );
-      }
+      logger.debug(
+        `Validated access for ${username} on ${resourceUri}: ${hasAccess} (${executionTime}ms)`
+      );
 
       return result;
     } catch (error) {
@@ -449,9 +440,7 @@ class PermissionService {
         requestId: request.requestId,
       });
 
-      if (this.config.debugMode) {
-        console.log(`[Permission Service] Created role ${request.roleName} (${executionTime}ms)`);
-      }
+      logger.debug(`Created role ${request.roleName} (${executionTime}ms)`);
 
       return result;
     } catch (error) {
@@ -534,9 +523,7 @@ class PermissionService {
       // Cache the result
       this._setCachedData(cacheKey, result, 10 * 60 * 1000); // Cache for 10 minutes
 
-      if (this.config.debugMode) {
-        console.log(`[Permission Service] Listed ${roles.length} roles (${executionTime}ms)`);
-      }
+      logger.debug(`Listed ${roles.length} roles (${executionTime}ms)`);
 
       return result;
     } catch (error) {
@@ -635,9 +622,7 @@ class PermissionService {
         executionTime,
       };
 
-      if (this.config.debugMode) {
-        console.log(`[Permission Service] Updated role ${roleName} (${executionTime}ms)`);
-      }
+      logger.debug(`Updated role ${roleName} (${executionTime}ms)`);
 
       return result;
     } catch (error) {
@@ -708,9 +693,7 @@ class PermissionService {
         executionTime,
       };
 
-      if (this.config.debugMode) {
-        console.log(`[Permission Service] Deleted role ${roleName} (${executionTime}ms)`);
-      }
+      logger.debug(`Deleted role ${roleName} (${executionTime}ms)`);
 
       return result;
     } catch (error) {
@@ -808,11 +791,7 @@ class PermissionService {
           });
         } catch (error) {
           // Resource might not exist or have no permissions, continue
-          if (this.config.debugMode) {
-            console.log(
-              `[Permission Service] No permissions found for ${currentPath}: ${error.message}`
-            );
-          }
+          logger.debug(`No permissions found for ${currentPath}: ${error.message}`);
         }
       }
 
@@ -1186,9 +1165,7 @@ class PermissionService {
     this.roleCache.clear();
     this.cacheExpiry.clear();
 
-    if (this.config.debugMode) {
-      console.log('[Permission Service] Service disposed');
-    }
+    logger.debug('Service disposed');
   }
 }
 
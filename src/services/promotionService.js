@@ -0,0 +1,470 @@
+/**
+ * Promotion Service for JasperReports MCP Server
+ *
+ * This service promotes repository resources between server environments, such as
+ * dev → test → prod, each configured as a named server profile:
+ * - Plan building from a folder subtree compared by label, update date and JRXML content
+ * - Plan application copying changed resources with their local files
+ * - Datasource reference remapping to the datasources of the target environment
+ *
+ * Each profile gets its own API client and resource service. Datasources are never
+ * promoted; reports are pointed at the datasources of the target instead.
+ */
+
+import APIClient from '../utils/apiClient.js';
+import {
+  getConfiguration,
+  getProfileConfiguration,
+  DEFAULT_PROFILE,
+} from '../config/environment.js';
+import { getErrorHandler, MCPError, MCP_ERROR_TYPES } from '../utils/errorHandler.js';
+import { Validator } from '../utils/validators.js';
+import JRXMLDiff from '../utils/jrxmlDiff.js';
+import ResourceService from './resourceService.js';
+import { ResourcePromoteRequest } from '../models/requests.js';
+import { ResourcePromoteResponse } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Promotion Service');
+
+/**
+ * Plan actions for promoted resources
+ */
+const PROMOTION_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  UNCHANGED: 'unchanged',
+  SKIP: 'skip',
+};
+
+/**
+ * Descriptor properties managed by the server, left out of promoted descriptors
+ */
+const SERVER_MANAGED_PROPERTIES = ['version', 'creationDate', 'updateDate', 'permissionMask'];
+
+/**
+ * Descriptor properties holding local files whose content is promoted with them
+ */
+const LOCAL_FILE_PROPERTIES = ['jrxmlFile', 'fileResource'];
+
+/**
+ * Promotion Service class
+ */
+class PromotionService {
+  constructor(config = null, apiClients = {}, errorHandler = null) {
+    this.config = config || getConfiguration();
+    this.apiClients = apiClients;
+    this.errorHandler = errorHandler || getErrorHandler();
+    this.jrxmlDiff = new JRXMLDiff();
+
+    // One resource service, with its own API client, per profile
+    this.resourceServices = new Map();
+  }
+
+  /**
+   * Compare a folder subtree between two server profiles and promote the changes
+   * @param {object} params - Promotion parameters: profiles, folder, datasource mappings
+   *   and dry-run flag
+   * @returns {Promise<ResourcePromoteResponse>} Promotion plan and the resources applied
+   */
+  async promoteResources(params) {
+    // Validate input parameters
+    const request = new ResourcePromoteRequest(params);
+    Validator.validateResourcePromote(request);
+
+    if (request.sourceProfile === request.targetProfile) {
+      throw new MCPError(MCP_ERROR_TYPES.INVALID_PARAMS, 'Source and target profiles must differ', {
+        field: 'targetProfile',
+      });
+    }
+
+    const source = await this._getResourceService(request.sourceProfile, 'sourceProfile');
+    const target = await this._getResourceService(request.targetProfile, 'targetProfile');
+
+    try {
+      const startTime = Date.now();
+
+      const { entries, targetOnly } = await this._buildPlan(request.folderUri, source, target);
+      const pending = entries.filter(entry =>
+        [PROMOTION_ACTIONS.CREATE, PROMOTION_ACTIONS.UPDATE].includes(entry.action)
+      );
+
+      // Remap datasource references in the descriptors to promote
+      const mappings = new Map(
+        request.datasourceMappings.map(mapping => [mapping.sourceUri, mapping.targetUri])
+      );
+      const descriptors = new Map();
+      for (const entry of pending) {
+        const descriptor = await this._getDescriptor(source, entry);
+        const datasources = this._remapDatasources(descriptor, mappings);
+        if (datasources.length > 0) {
+          entry.datasources = datasources;
+        }
+        descriptors.set(entry.uri, descriptor);
+      }
+      const missingDatasources = await this._findMissingDatasources(target, pending);
+
+      const applied = [];
+      if (!request.dryRun) {
+        if (missingDatasources.length > 0) {
+          throw new MCPError(
+            MCP_ERROR_TYPES.INVALID_REQUEST,
+            `Datasources missing on profile '${request.targetProfile}': ${missingDatasources.join(', ')}. Map them with datasourceMappings`,
+            { missingDatasources, plan: pending }
+          );
+        }
+
+        for (const entry of pending) {
+          try {
+            await this._applyEntry(source, target, entry, descriptors.get(entry.uri));
+          } catch (error) {
+            throw new MCPError(
+              error.type || MCP_ERROR_TYPES.INTERNAL_ERROR,
+              `Promotion stopped at ${entry.uri}: ${error.message}`,
+              { failedUri: entry.uri, applied, cause: error.details }
+            );
+          }
+          applied.push(entry.uri);
+        }
+      }
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Promotion ${request.sourceProfile} -> ${request.targetProfile} of ${request.folderUri}: ` +
+          `${pending.length} change(s), ${applied.length} applied (${executionTime}ms)`
+      );
+
+      return new ResourcePromoteResponse({
+        sourceProfile: request.sourceProfile,
+        targetProfile: request.targetProfile,
+        folderUri: request.folderUri,
+        dryRun: request.dryRun,
+        plan: entries.filter(entry => entry.action !== PROMOTION_ACTIONS.UNCHANGED),
+        summary: this._summarize(entries),
+        targetOnly,
+        missingDatasources,
+        applied,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'PromotionService.promoteResources', {
+        sourceProfile: request.sourceProfile,
+        targetProfile: request.targetProfile,
+        folderUri: request.folderUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to promote resources in folder: ${request.folderUri}`
+      );
+    }
+  }
+
+  /**
+   * Get the resource service of a profile, creating its API client on first use
+   * @private
+   */
+  async _getResourceService(profile, field) {
+    if (!this.resourceServices.has(profile)) {
+      const profileConfig = getProfileConfiguration(profile, this.config);
+      if (!profileConfig) {
+        throw new MCPError(MCP_ERROR_TYPES.INVALID_PARAMS, `Unknown server profile '${profile}'`, {
+          field,
+          availableProfiles: [DEFAULT_PROFILE, ...Object.keys(this.config.profiles || {})],
+        });
+      }
+
+      const apiClient = this.apiClients[profile] || new APIClient(profileConfig);
+      this.resourceServices.set(
+        profile,
+        new ResourceService(profileConfig, apiClient, this.errorHandler)
+      );
+    }
+
+    const resourceService = this.resourceServices.get(profile);
+    await resourceService.initialize();
+    return resourceService;
+  }
+
+  /**
+   * Compare the folder and everything below it on both profiles. Entries are sorted by
+   * URI, so folders come before their contents; resources only the target has are listed
+   * apart and left alone.
+   * @private
+   */
+  async _buildPlan(folderUri, source, target) {
+    const { resource: sourceFolder } = await source.getResource({ resourceUri: folderUri });
+    const sourceTree = [sourceFolder, ...(await source.listTree(folderUri))];
+
+    let targetTree = [];
+    try {
+      const { resource: targetFolder } = await target.getResource({ resourceUri: folderUri });
+      targetTree = [targetFolder, ...(await target.listTree(folderUri))];
+    } catch (error) {
+      if (error.type !== MCP_ERROR_TYPES.RESOURCE_NOT_FOUND) {
+        throw error;
+      }
+    }
+    const targetByUri = new Map(targetTree.map(resource => [resource.uri, resource]));
+
+    const entries = [];
+    for (const resource of sourceTree) {
+      entries.push(await this._planEntry(resource, targetByUri.get(resource.uri), source, target));
+    }
+    entries.sort((a, b) => a.uri.localeCompare(b.uri));
+
+    const sourceUris = new Set(sourceTree.map(resource => resource.uri));
+    const targetOnly = targetTree
+      .map(resource => resource.uri)
+      .filter(uri => !sourceUris.has(uri))
+      .sort();
+
+    return { entries, targetOnly };
+  }
+
+  /**
+   * Decide what to do with one source resource
+   * @private
+   */
+  async _planEntry(resource, existing, source, target) {
+    const entry = { uri: resource.uri, type: resource.type, label: resource.label };
+
+    if (/DataSource$/.test(resource.type)) {
+      return {
+        ...entry,
+        action: PROMOTION_ACTIONS.SKIP,
+        reasons: ['datasources stay per environment; map references with datasourceMappings'],
+      };
+    }
+    if (!existing) {
+      return { ...entry, action: PROMOTION_ACTIONS.CREATE, reasons: ['new'] };
+    }
+
+    const reasons = [];
+    if (existing.type !== resource.type) {
+      reasons.push('type');
+    }
+    if (existing.label !== resource.label) {
+      reasons.push('label');
+    }
+    if (resource.type !== 'folder' && this._isNewer(resource.updateDate, existing.updateDate)) {
+      reasons.push('updateDate');
+    }
+    if (resource.type === 'reportUnit' && existing.type === 'reportUnit') {
+      const comparison = this._compareJRXML(
+        (await source.getMainJRXML(resource.uri)).jrxmlContent,
+        (await target.getMainJRXML(resource.uri)).jrxmlContent
+      );
+      if (!comparison.identical) {
+        reasons.push('jrxml');
+        if (comparison.summary) {
+          entry.jrxmlChanges = comparison.summary;
+        }
+      }
+    }
+
+    return {
+      ...entry,
+      action: reasons.length > 0 ? PROMOTION_ACTIONS.UPDATE : PROMOTION_ACTIONS.UNCHANGED,
+      reasons,
+    };
+  }
+
+  /**
+   * Compare two JRXML documents element by element, or as text when one does not parse
+   * @private
+   */
+  _compareJRXML(sourceJRXML, targetJRXML) {
+    try {
+      const { identical, summary } = this.jrxmlDiff.compare(targetJRXML, sourceJRXML);
+      return { identical, summary };
+    } catch (error) {
+      if (error.name !== 'MCPError') {
+        throw error;
+      }
+      return { identical: sourceJRXML === targetJRXML };
+    }
+  }
+
+  /**
+   * Whether the source update date is later than the target one
+   * @private
+   */
+  _isNewer(sourceDate, targetDate) {
+    const sourceTime = Date.parse(sourceDate);
+    const targetTime = Date.parse(targetDate);
+    return !isNaN(sourceTime) && !isNaN(targetTime) && sourceTime > targetTime;
+  }
+
+  /**
+   * Get the descriptor of a source resource. It is not expanded: local files are inline
+   * anyway, and references to datasources and repository files must stay references.
+   * @private
+   */
+  async _getDescriptor(source, entry) {
+    const response = await source.apiClient.get(`/rest_v2/resources${entry.uri}`, {
+      headers: { Accept: `application/repository.${entry.type}+json` },
+    });
+
+    if (response.status === 404) {
+      throw this.errorHandler.createResourceNotFoundError('Resource', entry.uri);
+    }
+    if (response.status !== 200) {
+      throw this.errorHandler.mapHttpError(
+        response.status,
+        response.data,
+        `Resource descriptor retrieval failed for ${entry.uri}`
+      );
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Point the datasource references of a descriptor at their mapped datasources
+   * @private
+   * @returns {Array} Datasource references found, with the datasource they are mapped to
+   */
+  _remapDatasources(descriptor, mappings) {
+    const references = new Map();
+
+    const visit = node => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+
+      for (const [key, value] of Object.entries(node)) {
+        if (key === 'dataSourceReference' && value?.uri) {
+          const mappedTo = mappings.get(value.uri);
+          references.set(value.uri, { uri: value.uri, ...(mappedTo && { mappedTo }) });
+          if (mappedTo) {
+            value.uri = mappedTo;
+          }
+        } else {
+          visit(value);
+        }
+      }
+    };
+    visit(descriptor);
+
+    return [...references.values()];
+  }
+
+  /**
+   * Find the datasources referenced by the resources to promote that the target lacks
+   * @private
+   */
+  async _findMissingDatasources(target, entries) {
+    const uris = new Set(
+      entries.flatMap(entry =>
+        (entry.datasources || []).map(reference => reference.mappedTo || reference.uri)
+      )
+    );
+
+    const missing = [];
+    for (const uri of uris) {
+      const response = await target.apiClient.get(`/rest_v2/resources${uri}`);
+      if (response.status === 404) {
+        missing.push(uri);
+      }
+    }
+
+    return missing.sort();
+  }
+
+  /**
+   * Write one resource of the plan to the target, with the content of its local files
+   * @private
+   */
+  async _applyEntry(source, target, entry, descriptor) {
+    if (entry.type === 'file') {
+      descriptor.content = (await source.getResourceContent(entry.uri)).content.toString('base64');
+    }
+    for (const file of this._findLocalFiles(descriptor)) {
+      file.content = (await source.getResourceContent(file.uri)).content.toString('base64');
+    }
+    this._stripServerProperties(descriptor);
+
+    const response = await target.apiClient.put(`/rest_v2/resources${entry.uri}`, descriptor, {
+      headers: { 'Content-Type': `application/repository.${entry.type}+json` },
+      params: {
+        createFolders: true,
+        // Overwriting a folder would replace its contents; its descriptor is updated in place
+        ...(entry.type !== 'folder' && { overwrite: true }),
+      },
+    });
+
+    if (response.status !== 200 && response.status !== 201) {
+      throw this.errorHandler.mapHttpError(
+        response.status,
+        response.data,
+        `Resource promotion failed for ${entry.uri}`
+      );
+    }
+  }
+
+  /**
+   * Collect the local file descriptors embedded in a descriptor
+   * @private
+   */
+  _findLocalFiles(node, files = []) {
+    if (Array.isArray(node)) {
+      node.forEach(child => this._findLocalFiles(child, files));
+    } else if (node && typeof node === 'object') {
+      for (const [key, value] of Object.entries(node)) {
+        if (LOCAL_FILE_PROPERTIES.includes(key) && value?.uri && !value.content) {
+          files.push(value);
+        } else {
+          this._findLocalFiles(value, files);
+        }
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Remove the properties the target server manages from a descriptor
+   * @private
+   */
+  _stripServerProperties(node) {
+    if (Array.isArray(node)) {
+      node.forEach(child => this._stripServerProperties(child));
+    } else if (node && typeof node === 'object') {
+      SERVER_MANAGED_PROPERTIES.forEach(property => delete node[property]);
+      Object.values(node).forEach(value => this._stripServerProperties(value));
+    }
+  }
+
+  /**
+   * Count the plan entries per action
+   * @private
+   */
+  _summarize(entries) {
+    const summary = Object.fromEntries(Object.values(PROMOTION_ACTIONS).map(action => [action, 0]));
+    entries.forEach(entry => summary[entry.action]++);
+    return summary;
+  }
+
+  /**
+   * Dispose of the service and the resource services of its profiles
+   */
+  dispose() {
+    this.resourceServices.forEach(resourceService => resourceService.dispose());
+    this.resourceServices.clear();
+    logger.debug('Service disposed');
+  }
+}
+
+export default PromotionService;
+export { PromotionService, PROMOTION_ACTIONS };
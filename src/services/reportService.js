@@ -17,10 +17,13 @@
 
 import APIClient, { HTTP_STATUS } from '../utils/apiClient.js';
 import { getConfiguration } from '../config/environment.js';
-import { ErrorHandler } from '../utils/errorHandler.js';
+import { ErrorHandler, MCP_ERROR_TYPES } from '../utils/errorHandler.js';
 import { Validator } from '../utils/validators.js';
 import { ReportExecutionRequest } from '../models/requests.js';
 import { ReportExecutionResponse } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Report Service');
 
 /**
  * Supported output formats and their MIME types
@@ -150,41 +153,53 @@ class ReportService {
       };
     });
 
-    if (this.config.debugMode) {
-      console.log('[Report Service] Initializing report execution service', {
-        supportedFormats: Object.keys(OUTPUT_FORMATS),
-        maxExecutionTime: EXECUTION_CONSTANTS.MAX_EXECUTION_TIME_MS,
-        maxFileSize: EXECUTION_CONSTANTS.MAX_FILE_SIZE_BYTES,
-      });
-    }
+    logger.debug('Initializing report execution service', {
+      supportedFormats: Object.keys(OUTPUT_FORMATS),
+      maxExecutionTime: EXECUTION_CONSTANTS.MAX_EXECUTION_TIME_MS,
+      maxFileSize: EXECUTION_CONSTANTS.MAX_FILE_SIZE_BYTES,
+    });
   }
 
   /**
    * Execute a report synchronously
    * @param {object} executionRequest - Report execution request parameters
+   * @param {object} options - Execution options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the execution when aborted
    * @returns {Promise<object>} Report execution result with content and metadata
    */
-  async runReportSync(executionRequest) {
+  async runReportSync(executionRequest, options = {}) {
     const startTime = Date.now();
     const executionId = this._generateExecutionId();
+    const { signal } = options;
+    const onAbort = () => this.cancelExecution(executionId);
 
     try {
       // Validate input parameters
       const validatedRequest = this._validateExecutionRequest(executionRequest);
 
       // Track active execution
-      this._trackExecution(executionId, validatedRequest, startTime);
-
-      if (this.config.debugMode) {
-        console.log(`[Report Service] Starting synchronous execution ${executionId}`, {
-          reportUri: validatedRequest.reportUri,
-          outputFormat: validatedRequest.outputFormat,
-          parametersCount: Object.keys(validatedRequest.parameters).length,
-        });
+      const execution = this._trackExecution(executionId, validatedRequest, startTime);
+
+      if (signal) {
+        if (signal.aborted) {
+          this.cancelExecution(executionId);
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
       }
 
+      logger.debug(`Starting synchronous execution ${executionId}`, {
+        reportUri: validatedRequest.reportUri,
+        outputFormat: validatedRequest.outputFormat,
+        parametersCount: Object.keys(validatedRequest.parameters).length,
+      });
+
       // Execute the report
-      const result = await this._executeReport(executionId, validatedRequest);
+      const result = await this._executeReport(
+        executionId,
+        validatedRequest,
+        execution.abortController.signal
+      );
 
       // Calculate execution metrics
       const executionTime = Date.now() - startTime;
@@ -213,13 +228,11 @@ class ReportService {
       // Add to execution history
       this._addToExecutionHistory(executionId, validatedRequest, response, executionTime);
 
-      if (this.config.debugMode) {
-        console.log(`[Report Service] Execution ${executionId} completed successfully`, {
-          executionTime,
-          fileSize,
-          outputFormat: validatedRequest.outputFormat,
-        });
-      }
+      logger.debug(`Execution ${executionId} completed successfully`, {
+        executionTime,
+        fileSize,
+        outputFormat: validatedRequest.outputFormat,
+      });
 
       return response;
     } catch (error) {
@@ -241,6 +254,8 @@ class ReportService {
 
       throw error;
     } finally {
+      signal?.removeEventListener('abort', onAbort);
+
       // Remove from active executions
       this.activeExecutions.delete(executionId);
     }
@@ -308,7 +323,7 @@ class ReportService {
    * Execute the report using JasperReports REST API
    * @private
    */
-  async _executeReport(executionId, request) {
+  async _executeReport(executionId, request, abortSignal = null) {
     const formatInfo = this._getFormatInfo(request.outputFormat);
 
     // Prepare execution request body
@@ -341,10 +356,15 @@ class ReportService {
     }
 
     try {
+      if (abortSignal?.aborted) {
+        throw this.errorHandler.createCancellationError(`Report execution ${executionId}`);
+      }
+
       // Execute report via REST API
       const response = await this.apiClient.post('/rest_v2/reportExecutions', executionBody, {
         timeout: EXECUTION_CONSTANTS.DEFAULT_TIMEOUT_MS,
         responseType: formatInfo.binary ? 'arraybuffer' : 'text',
+        ...(abortSignal && { signal: abortSignal }),
       });
 
       if (response.status !== HTTP_STATUS.OK && response.status !== HTTP_STATUS.CREATED) {
@@ -358,6 +378,13 @@ class ReportService {
       // Handle response based on format
       return this._processExecutionResponse(response, formatInfo, request);
     } catch (error) {
+      // Aborted requests surface as network errors, report them as cancellations
+      if (abortSignal?.aborted) {
+        throw error.type === MCP_ERROR_TYPES.CANCELLED
+          ? error
+          : this.errorHandler.createCancellationError(`Report execution ${executionId}`);
+      }
+
       if (error.name === 'APIError') {
         throw error;
       }
@@ -526,13 +553,17 @@ class ReportService {
    * @private
    */
   _trackExecution(executionId, request, startTime) {
-    this.activeExecutions.set(executionId, {
+    const execution = {
       executionId,
       reportUri: request.reportUri,
       outputFormat: request.outputFormat,
       startTime,
       status: 'running',
-    });
+      abortController: new AbortController(),
+    };
+
+    this.activeExecutions.set(executionId, execution);
+    return execution;
   }
 
   /**
@@ -659,15 +690,16 @@ class ReportService {
       };
     });
 
-    if (this.config.debugMode) {
-      console.log('[Report Service] Execution history and statistics cleared');
-    }
+    logger.debug('Execution history and statistics cleared');
   }
 
   /**
-   * Cancel active execution (if possible)
+   * Cancel an active synchronous execution
+   *
+   * Aborts the in-flight HTTP request to JasperReports Server so the server stops
+   * rendering, and removes the execution from the active executions.
    * @param {string} executionId - Execution ID to cancel
-   * @returns {boolean} True if cancellation was attempted
+   * @returns {boolean} True if an active execution was cancelled
    */
   cancelExecution(executionId) {
     const execution = this.activeExecutions.get(executionId);
@@ -675,15 +707,16 @@ class ReportService {
       return false;
     }
 
-    // For synchronous executions, we can't really cancel them once started
-    // This method is here for interface compatibility
-    if (this.config.debugMode) {
-      console.log(
-        `[Report Service] Cancellation requested for execution ${executionId} (synchronous executions cannot be cancelled)`
-      );
-    }
+    execution.status = 'cancelled';
+    execution.abortController.abort();
+    this.activeExecutions.delete(executionId);
+
+    logger.debug(`Cancelled execution ${executionId}`, {
+      reportUri: execution.reportUri,
+      elapsedTime: Date.now() - execution.startTime,
+    });
 
-    return false;
+    return true;
   }
 
   /**
@@ -762,11 +795,7 @@ class ReportService {
         }
       } catch (error) {
         // Input controls might not be available, continue without them
-        if (this.config.debugMode) {
-          console.log(
-            `[Report Service] Could not retrieve input controls for ${reportUri}: ${error.message}`
-          );
-        }
+        logger.debug(`Could not retrieve input controls for ${reportUri}: ${error.message}`);
       }
 
       return {
@@ -793,9 +822,7 @@ class ReportService {
     this.activeExecutions.clear();
     this.executionHistory = [];
 
-    if (this.config.debugMode) {
-      console.log('[Report Service] Service disposed');
-    }
+    logger.debug('Service disposed');
   }
 }
 
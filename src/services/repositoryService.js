@@ -0,0 +1,414 @@
+/**
+ * Repository Service for JasperReports MCP Server
+ *
+ * This service moves repository content between servers through export archives:
+ * - Repository export of resources, roles, users and scheduled jobs to a zip archive
+ * - Repository import of an export archive with a per-resource import log
+ *
+ * Features:
+ * - Export and import run as server tasks that are polled until they finish
+ * - Cancellation through an abort signal while a task is polled
+ * - Progress callbacks for each polled task state
+ */
+
+import APIClient from '../utils/apiClient.js';
+import { getConfiguration } from '../config/environment.js';
+import { getErrorHandler, MCPError, MCP_ERROR_TYPES } from '../utils/errorHandler.js';
+import { Validator } from '../utils/validators.js';
+import { RepositoryExportRequest, RepositoryImportRequest } from '../models/requests.js';
+import { RepositoryExportResponse, RepositoryImportResponse } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Repository Service');
+
+/**
+ * Phases of export and import tasks
+ */
+const TASK_PHASES = {
+  IN_PROGRESS: 'inprogress',
+  FINISHED: 'finished',
+  FAILED: 'failed',
+  PENDING: 'pending',
+};
+
+/**
+ * Export parameters for the boolean export options
+ */
+const EXPORT_PARAMETERS = {
+  everything: 'everything',
+  includeRoleUsers: 'role-users',
+  includePermissions: 'repository-permissions',
+  includeAccessEvents: 'include-access-events',
+  skipDependentResources: 'skip-dependent-resources',
+};
+
+/**
+ * Import query parameters for the boolean import options
+ */
+const IMPORT_PARAMETERS = {
+  update: 'update',
+  skipUserUpdate: 'skip-user-update',
+  includeAccessEvents: 'include-access-events',
+};
+
+/**
+ * Repository service constants
+ */
+const REPOSITORY_CONSTANTS = {
+  POLL_INTERVAL_MS: 2000,
+  MAX_WAIT_MS: 1800000, // 30 minutes
+  EXPORT_FILE_NAME: 'export.zip',
+  ZIP_CONTENT_TYPE: 'application/zip',
+};
+
+/**
+ * Repository Service class
+ */
+class RepositoryService {
+  constructor(config = null, apiClient = null, errorHandler = null) {
+    this.config = config || getConfiguration();
+    this.apiClient = apiClient || new APIClient(this.config);
+    this.errorHandler = errorHandler || getErrorHandler();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the service
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    try {
+      // Ensure API client is authenticated
+      if (!this.apiClient.isSessionValid()) {
+        await this.apiClient.authenticate();
+      }
+
+      this.initialized = true;
+
+      logger.debug('Service initialized successfully');
+    } catch (error) {
+      this.errorHandler.logError(error, 'RepositoryService.initialize');
+      throw this.errorHandler.mapJasperError(error, 'Failed to initialize repository service');
+    }
+  }
+
+  /**
+   * Export repository content to a zip archive
+   * @param {object} params - Export parameters: uris, roles, users, jobs and export options
+   * @param {object} options - Polling options
+   * @param {number} options.pollInterval - Milliseconds between task state requests
+   * @param {AbortSignal} options.signal - Signal that cancels the export while it is polled
+   * @param {Function} options.onProgress - Called with each polled task state
+   * @returns {Promise<RepositoryExportResponse>} Export archive content
+   */
+  async exportRepository(params, options = {}) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new RepositoryExportRequest(params);
+    Validator.validateRepositoryExport(request);
+
+    const selectors = ['uris', 'roles', 'users', 'jobs'].filter(name => request[name].length > 0);
+    if (selectors.length === 0 && !request.everything) {
+      throw this.errorHandler.createValidationError(
+        'uris',
+        'Give uris, roles, users or jobs to export, or set everything',
+        undefined,
+        'selection'
+      );
+    }
+
+    try {
+      const startTime = Date.now();
+
+      const response = await this.apiClient.post('/rest_v2/export', this._buildExportBody(request));
+      if (response.status !== 200) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          'Repository export could not be started'
+        );
+      }
+
+      const exportId = response.data.id;
+      const state = await this._waitForTask('export', exportId, response.data, options);
+
+      if (state.phase !== TASK_PHASES.FINISHED) {
+        throw new MCPError(
+          MCP_ERROR_TYPES.INTERNAL_ERROR,
+          `Repository export failed: ${state.message || state.phase}`,
+          { exportId, phase: state.phase, errorDescriptor: state.errorDescriptor }
+        );
+      }
+
+      const fileResponse = await this.apiClient.get(
+        `/rest_v2/export/${exportId}/${REPOSITORY_CONSTANTS.EXPORT_FILE_NAME}`,
+        { responseType: 'arraybuffer' }
+      );
+      if (fileResponse.status !== 200) {
+        throw this.errorHandler.mapHttpError(
+          fileResponse.status,
+          fileResponse.data,
+          'Repository export archive download failed'
+        );
+      }
+
+      const content = Buffer.from(fileResponse.data);
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Repository exported: ${exportId} (${content.length} bytes, ${executionTime}ms)`
+      );
+
+      return new RepositoryExportResponse({
+        exportId,
+        phase: state.phase,
+        message: state.message,
+        fileName: REPOSITORY_CONSTANTS.EXPORT_FILE_NAME,
+        contentType: REPOSITORY_CONSTANTS.ZIP_CONTENT_TYPE,
+        content,
+        size: content.length,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'RepositoryService.exportRepository', {
+        selectors,
+        everything: request.everything,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        'Failed to export repository'
+      );
+    }
+  }
+
+  /**
+   * Import a repository export archive
+   * @param {object} params - Import parameters: base64 zip content and import options
+   * @param {object} options - Polling options
+   * @param {number} options.pollInterval - Milliseconds between task state requests
+   * @param {AbortSignal} options.signal - Signal that cancels the import while it is polled
+   * @param {Function} options.onProgress - Called with each polled task state
+   * @returns {Promise<RepositoryImportResponse>} Import outcome and per-resource import log
+   */
+  async importRepository(params, options = {}) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new RepositoryImportRequest(params);
+    Validator.validateRepositoryImport(request);
+
+    const archive = Buffer.from(request.content, 'base64');
+    if (archive.length < 4 || archive.readUInt32LE(0) !== 0x04034b50) {
+      throw this.errorHandler.createValidationError(
+        'content',
+        'Content must be a base64-encoded zip archive',
+        undefined,
+        'zip'
+      );
+    }
+
+    try {
+      const startTime = Date.now();
+
+      const queryParams = {};
+      for (const [option, parameter] of Object.entries(IMPORT_PARAMETERS)) {
+        if (request[option]) {
+          queryParams[parameter] = true;
+        }
+      }
+
+      const response = await this.apiClient.post('/rest_v2/import', archive, {
+        headers: { 'Content-Type': REPOSITORY_CONSTANTS.ZIP_CONTENT_TYPE },
+        params: queryParams,
+      });
+      if (response.status !== 200) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          'Repository import could not be started'
+        );
+      }
+
+      const importId = response.data.id;
+      const state = await this._waitForTask('import', importId, response.data, options);
+      const importLog = this._buildImportLog(state);
+
+      if (state.phase !== TASK_PHASES.FINISHED) {
+        throw new MCPError(
+          state.phase === TASK_PHASES.PENDING
+            ? MCP_ERROR_TYPES.INVALID_REQUEST
+            : MCP_ERROR_TYPES.INTERNAL_ERROR,
+          `Repository import ${state.phase}: ${state.message || 'no message from server'}`,
+          { importId, phase: state.phase, errorDescriptor: state.errorDescriptor, importLog }
+        );
+      }
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Repository imported: ${importId} (${importLog.length} log entries, ${executionTime}ms)`
+      );
+
+      return new RepositoryImportResponse({
+        importId,
+        phase: state.phase,
+        message: state.message,
+        importLog,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'RepositoryService.importRepository', {
+        size: archive.length,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        'Failed to import repository'
+      );
+    }
+  }
+
+  /**
+   * Build the export task request body
+   * @private
+   */
+  _buildExportBody(request) {
+    const body = {
+      parameters: Object.entries(EXPORT_PARAMETERS)
+        .filter(([option]) => request[option])
+        .map(([, parameter]) => parameter),
+    };
+
+    if (request.uris.length > 0) {
+      body.uris = request.uris;
+    }
+    if (request.roles.length > 0) {
+      body.roles = request.roles;
+    }
+    if (request.users.length > 0) {
+      body.users = request.users;
+    }
+    if (request.jobs.length > 0) {
+      body.scheduledJobs = request.jobs;
+    }
+
+    return body;
+  }
+
+  /**
+   * Poll an export or import task until it leaves the in-progress phase
+   * @private
+   */
+  async _waitForTask(kind, taskId, initialState, options = {}) {
+    const {
+      pollInterval = REPOSITORY_CONSTANTS.POLL_INTERVAL_MS,
+      maxWait = REPOSITORY_CONSTANTS.MAX_WAIT_MS,
+      signal = null,
+      onProgress = null,
+    } = options;
+    const deadline = Date.now() + maxWait;
+    let state = initialState;
+
+    while (state.phase === TASK_PHASES.IN_PROGRESS) {
+      if (Date.now() >= deadline) {
+        throw this.errorHandler.createTimeoutError(`Repository ${kind} ${taskId}`, maxWait);
+      }
+
+      await this._sleep(pollInterval, signal);
+      if (signal?.aborted) {
+        throw this.errorHandler.createCancellationError(
+          `Repository ${kind} ${taskId}`,
+          `The ${kind} task keeps running on the server`
+        );
+      }
+
+      const response = await this.apiClient.get(`/rest_v2/${kind}/${taskId}/state`);
+      if (response.status === 404) {
+        throw this.errorHandler.createResourceNotFoundError(`${kind} task`, taskId);
+      }
+      if (response.status !== 200) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          `Repository ${kind} state retrieval failed`
+        );
+      }
+
+      state = response.data;
+      if (onProgress && typeof onProgress === 'function') {
+        onProgress(state);
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Build the per-resource import log from the warnings of an import task
+   * @private
+   */
+  _buildImportLog(state) {
+    return (state.warnings || []).map(warning => {
+      const parameters = warning.parameters || [];
+
+      return {
+        code: warning.code,
+        message: warning.message || warning.code,
+        ...(parameters.length > 0 && { resourceUri: parameters[0] }),
+        parameters,
+      };
+    });
+  }
+
+  /**
+   * Sleep between polls, waking early when the signal aborts
+   * @private
+   */
+  _sleep(ms, signal = null) {
+    return new Promise(resolve => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Dispose of the service
+   */
+  dispose() {
+    this.initialized = false;
+    logger.debug('Service disposed');
+  }
+}
+
+export default RepositoryService;
+export { RepositoryService, TASK_PHASES, REPOSITORY_CONSTANTS };
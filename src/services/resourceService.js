@@ -12,23 +12,47 @@
 
 import APIClient from '../utils/apiClient.js';
 import { getConfiguration } from '../config/environment.js';
-import { getErrorHandler } from '../utils/errorHandler.js';
+import { getErrorHandler, MCPError, MCP_ERROR_TYPES } from '../utils/errorHandler.js';
 import { Validator } from '../utils/validators.js';
+import JRXMLValidator from '../utils/jrxmlValidator.js';
+import JRXMLLinter from '../utils/jrxmlLinter.js';
+import JRXMLDiff from '../utils/jrxmlDiff.js';
+import InputControlBuilder from '../utils/inputControlBuilder.js';
+import ReportBundler, { EXTENSION_TYPES } from '../utils/reportBundler.js';
+import { CacheManager } from '../utils/resilience.js';
+import TemplateService, { DATASOURCE_TYPES } from './templateService.js';
 import {
   ResourceUploadRequest,
   ResourceListRequest,
   ResourceGetRequest,
   ResourceUpdateRequest,
+  ResourceDiffRequest,
   ResourceDeleteRequest,
+  ResourceCopyRequest,
+  ResourceMoveRequest,
+  DatasourceCreateRequest,
+  DatasourceTestRequest,
+  DatasourceMetadataRequest,
+  QueryReportRequest,
 } from '../models/requests.js';
 import {
   ResourceUploadResponse,
   ResourceListResponse,
   ResourceGetResponse,
   ResourceUpdateResponse,
+  ResourceDiffResponse,
   ResourceDeleteResponse,
+  ResourceCopyResponse,
+  ResourceMoveResponse,
+  DatasourceCreateResponse,
+  DatasourceTestResponse,
+  DatasourceMetadataResponse,
+  QueryReportResponse,
   ResourceInfo,
 } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Resource Service');
 
 /**
  * Resource types supported by JasperReports Server
@@ -58,6 +82,41 @@ const CONTENT_TYPES = {
   [RESOURCE_TYPES.JRTX]: 'application/xml',
 };
 
+/**
+ * Labels of report dependency kinds in validation messages
+ */
+const DEPENDENCY_LABELS = {
+  subreport: 'Subreport',
+  image: 'Image',
+  template: 'Style template',
+  resourceBundle: 'Resource bundle',
+};
+
+/**
+ * Repository resource type created for each datasource type
+ */
+const DATASOURCE_RESOURCE_TYPES = {
+  [DATASOURCE_TYPES.JDBC]: 'jdbcDataSource',
+  [DATASOURCE_TYPES.JNDI]: 'jndiJdbcDataSource',
+  [DATASOURCE_TYPES.AWS]: 'awsDataSource',
+  [DATASOURCE_TYPES.BEAN]: 'beanDataSource',
+  [DATASOURCE_TYPES.CUSTOM]: 'customDataSource',
+  [DATASOURCE_TYPES.MONGODB]: 'customDataSource',
+};
+
+/**
+ * Custom datasource name of the JasperReports Server MongoDB connector
+ */
+const MONGODB_DATASOURCE_NAME = 'MongoDbDataSource';
+
+/**
+ * Repository datasource types supported by the connections and contexts APIs
+ */
+const CONNECTION_DATASOURCE_TYPES = [
+  DATASOURCE_RESOURCE_TYPES[DATASOURCE_TYPES.JDBC],
+  DATASOURCE_RESOURCE_TYPES[DATASOURCE_TYPES.JNDI],
+];
+
 /**
  * Resource Service class providing comprehensive resource management
  */
@@ -66,6 +125,13 @@ class ResourceService {
     this.config = config || getConfiguration();
     this.apiClient = apiClient || new APIClient(this.config);
     this.errorHandler = errorHandler || getErrorHandler();
+    this.templateService = new TemplateService(this.config);
+    this.jrxmlValidator = new JRXMLValidator();
+    this.jrxmlLinter = new JRXMLLinter();
+    this.jrxmlDiff = new JRXMLDiff();
+    this.inputControlBuilder = new InputControlBuilder();
+    this.reportBundler = new ReportBundler();
+    this.metadataCache = new CacheManager();
     this.initialized = false;
   }
 
@@ -85,9 +151,7 @@ class ResourceService {
 
       this.initialized = true;
 
-      if (this.config.debugMode) {
-        console.log('[Resource Service] Service initialized successfully');
-      }
+      logger.debug('Service initialized successfully');
     } catch (error) {
       this.errorHandler.logError(error, 'ResourceService.initialize');
       throw this.errorHandler.mapJasperError(error, 'Failed to initialize resource service');
@@ -105,6 +169,10 @@ class ResourceService {
     // Validate input parameters
     const request = new ResourceUploadRequest(params);
     Validator.validateResourceUpload(request);
+    const fixesApplied = this._fixJRXMLReport(request);
+    const dependencies = this._bundleJRXMLReport(request);
+    const jrxmlValidation = this._validateJRXMLReport(request, dependencies);
+    const inputControls = this._buildInputControls(request);
 
     try {
       const startTime = Date.now();
@@ -112,7 +180,7 @@ class ResourceService {
       // Determine the upload strategy based on resource type
       let result;
       if (request.jrxmlContent) {
-        result = await this._uploadJRXMLReport(request);
+        result = await this._uploadJRXMLReport(request, inputControls);
       } else if (request.resourceType === RESOURCE_TYPES.FOLDER) {
         result = await this._createFolder(request);
       } else {
@@ -121,14 +189,13 @@ class ResourceService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Resource Service] Resource uploaded successfully: ${request.resourcePath} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`Resource uploaded successfully: ${request.resourcePath} (${executionTime}ms)`);
 
       return new ResourceUploadResponse({
         ...result,
+        ...jrxmlValidation,
+        ...dependencies,
+        fixesApplied,
         executionTime,
         requestId: request.requestId,
       });
@@ -179,11 +246,9 @@ class ResourceService {
       const resources = this._processResourceList(response.data);
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Resource Service] Listed ${resources.length} resources from ${request.folderUri} (${executionTime}ms)`
-        );
-      }
+      logger.debug(
+        `Listed ${resources.length} resources from ${request.folderUri} (${executionTime}ms)`
+      );
 
       return new ResourceListResponse({
         resources,
@@ -259,22 +324,19 @@ class ResourceService {
           }
         } catch (contentError) {
           // Content retrieval is optional, log but don't fail
-          if (this.config.debugMode) {
-            console.log(
-              `[Resource Service] Could not retrieve content for ${request.resourceUri}: ${contentError.message}`
-            );
-          }
+          logger.debug(
+            `Could not retrieve content for ${request.resourceUri}: ${contentError.message}`
+          );
         }
       }
 
-      const resource = this._processResourceMetadata(metadataResponse.data);
+      const resource = this._processResourceMetadata(
+        metadataResponse.data,
+        metadataResponse.headers
+      );
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Resource Service] Retrieved resource: ${request.resourceUri} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`Retrieved resource: ${request.resourceUri} (${executionTime}ms)`);
 
       return new ResourceGetResponse({
         resource,
@@ -291,220 +353,1497 @@ class ResourceService {
         resourceUri: request.resourceUri,
       });
 
-      if (error.name === 'MCPError') {
-        throw error;
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to get resource: ${request.resourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Download the raw content of a file resource
+   * @param {string} resourceUri - Repository URI of the file resource
+   * @returns {Promise<object>} Content buffer with content type and size
+   */
+  async getResourceContent(resourceUri) {
+    await this.initialize();
+
+    // Validate input parameters
+    Validator.validateResourceGet(new ResourceGetRequest({ resourceUri }));
+
+    try {
+      const response = await this.apiClient.get(`/rest_v2/resources${resourceUri}`, {
+        headers: { Accept: 'application/octet-stream' },
+        responseType: 'arraybuffer',
+      });
+
+      if (response.status === 404) {
+        throw this.errorHandler.createResourceNotFoundError('Resource', resourceUri);
+      }
+
+      if (response.status !== 200) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          'Resource content retrieval failed'
+        );
+      }
+
+      const content = Buffer.from(response.data);
+
+      return {
+        content,
+        contentType: response.headers?.['content-type'] || null,
+        size: content.length,
+      };
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.getResourceContent', { resourceUri });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to get resource content: ${resourceUri}`
+      );
+    }
+  }
+
+  /**
+   * List every resource below a folder, page by page
+   * @param {string} folderUri - Repository URI of the folder
+   * @returns {Promise<Array<ResourceInfo>>} Resources at any depth below the folder
+   */
+  async listTree(folderUri) {
+    await this.initialize();
+
+    const limit = 1000;
+    const resources = [];
+
+    for (let offset = 0; ; offset += limit) {
+      const response = await this.apiClient.get('/rest_v2/resources', {
+        params: { folderUri, recursive: true, limit, offset },
+      });
+      if (response.status === 204) {
+        return resources;
+      }
+      if (response.status !== 200) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          `Resource listing failed for ${folderUri}`
+        );
+      }
+
+      const page = this._processResourceList(response.data);
+      resources.push(...page);
+      if (page.length < limit) {
+        return resources;
+      }
+    }
+  }
+
+  /**
+   * Get the main JRXML of a report unit, or the content of a JRXML file resource
+   * @param {string} resourceUri - Repository URI of the report unit or JRXML file
+   * @returns {Promise<object>} URI and content of the JRXML
+   */
+  async getMainJRXML(resourceUri) {
+    const { resource, metadata } = await this.getResource({ resourceUri, includeMetadata: true });
+
+    if (!metadata.jrxml) {
+      if (resource.type !== RESOURCE_TYPES.FILE) {
+        throw new MCPError(
+          MCP_ERROR_TYPES.INVALID_PARAMS,
+          `${resourceUri} is not a report unit or JRXML file`,
+          { field: 'resourceUri', resourceType: resource.type }
+        );
+      }
+      const { content } = await this.getResourceContent(resourceUri);
+      return { jrxmlUri: resourceUri, jrxmlContent: content.toString('utf8') };
+    }
+
+    // Local JRXML files are described in the report unit, referenced ones only linked
+    const { jrxmlFile, jrxmlFileReference } = metadata.jrxml;
+    if (jrxmlFile?.content) {
+      return {
+        jrxmlUri: jrxmlFile.uri || resourceUri,
+        jrxmlContent: Buffer.from(jrxmlFile.content, 'base64').toString('utf8'),
+      };
+    }
+
+    const jrxmlUri = jrxmlFileReference?.uri || jrxmlFile?.uri;
+    if (!jrxmlUri) {
+      throw this.errorHandler.createResourceNotFoundError('Main JRXML of report unit', resourceUri);
+    }
+
+    const { content } = await this.getResourceContent(jrxmlUri);
+    return { jrxmlUri, jrxmlContent: content.toString('utf8') };
+  }
+
+  /**
+   * Update an existing resource
+   * @param {object} params - Update parameters
+   * @returns {Promise<ResourceUpdateResponse>} Update result
+   */
+  async updateResource(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new ResourceUpdateRequest(params);
+    Validator.validateResourceUpdate(request);
+    const fixesApplied = this._fixJRXMLReport(request);
+    const jrxmlValidation = this._validateJRXMLReport(request);
+
+    try {
+      const startTime = Date.now();
+
+      // Check if resource exists
+      const existsResponse = await this.apiClient.get(`/rest_v2/resources${request.resourceUri}`);
+      if (existsResponse.status === 404) {
+        throw this.errorHandler.createResourceNotFoundError('Resource', request.resourceUri);
+      }
+
+      // Build update payload
+      const updatePayload = this._buildUpdatePayload(request);
+
+      // Perform update
+      const response = await this.apiClient.put(
+        `/rest_v2/resources${request.resourceUri}`,
+        updatePayload,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          params: {
+            overwrite: request.overwrite,
+          },
+        }
+      );
+
+      if (response.status !== 200 && response.status !== 201) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          'Resource update failed'
+        );
+      }
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(`Resource updated successfully: ${request.resourceUri} (${executionTime}ms)`);
+
+      return new ResourceUpdateResponse({
+        resourceUri: request.resourceUri,
+        updateTimestamp: new Date().toISOString(),
+        validationStatus: 'valid',
+        validationMessages: [],
+        ...jrxmlValidation,
+        fixesApplied,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.updateResource', {
+        resourceUri: request.resourceUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to update resource: ${request.resourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Compare JRXML with the main JRXML of a report unit in the repository, element by
+   * element, to review a change before it is uploaded
+   * @param {object} params - Diff parameters
+   * @returns {Promise<ResourceDiffResponse>} Changes from the repository version to the JRXML
+   */
+  async diffReportJRXML(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new ResourceDiffRequest(params);
+    Validator.validateResourceDiff(request);
+
+    try {
+      const startTime = Date.now();
+
+      const { jrxmlUri, jrxmlContent } = await this.getMainJRXML(request.resourceUri);
+      const { identical, summary, changes } = this.jrxmlDiff.compare(
+        jrxmlContent,
+        request.jrxmlContent
+      );
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Compared JRXML with ${jrxmlUri}: ${changes.length} change(s) (${executionTime}ms)`
+      );
+
+      return new ResourceDiffResponse({
+        resourceUri: request.resourceUri,
+        jrxmlUri,
+        identical,
+        summary,
+        changes,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.diffReportJRXML', {
+        resourceUri: request.resourceUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to compare JRXML with resource: ${request.resourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Delete a resource from JasperReports Server
+   * @param {object} params - Delete parameters
+   * @returns {Promise<ResourceDeleteResponse>} Delete result
+   */
+  async deleteResource(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new ResourceDeleteRequest(params);
+    Validator.validateResourceDelete(request);
+
+    try {
+      const startTime = Date.now();
+      const deletedResources = [];
+
+      // Check if resource exists and get its type
+      const existsResponse = await this.apiClient.get(`/rest_v2/resources${request.resourceUri}`);
+      if (existsResponse.status === 404) {
+        throw this.errorHandler.createResourceNotFoundError('Resource', request.resourceUri);
+      }
+
+      const resourceType = existsResponse.data?.resourceType || existsResponse.data?.type;
+
+      // Perform main resource deletion first
+      const response = await this.apiClient.delete(`/rest_v2/resources${request.resourceUri}`, {
+        params: {
+          force: request.force,
+        },
+      });
+
+      if (response.status !== 200 && response.status !== 204) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          'Resource deletion failed'
+        );
+      }
+
+      deletedResources.push(request.resourceUri);
+
+      // If it's a reportUnit, check for _files folder (for local resources like images, subreports)
+      // Note: With embedded JRXML, we no longer need to delete separate .jrxml files
+      if (resourceType === 'reportUnit') {
+        const filesUri = `${request.resourceUri}_files`;
+
+        try {
+          // Check if _files folder exists
+          const filesExistsResponse = await this.apiClient.get(`/rest_v2/resources${filesUri}`);
+          if (filesExistsResponse.status === 200) {
+            // Delete the _files folder and all its contents
+            const filesDeleteResponse = await this.apiClient.delete(
+              `/rest_v2/resources${filesUri}`,
+              {
+                params: {
+                  force: true, // Force delete to remove all contents
+                },
+              }
+            );
+
+            if (filesDeleteResponse.status === 200 || filesDeleteResponse.status === 204) {
+              deletedResources.push(filesUri);
+              logger.debug(`Associated files folder deleted: ${filesUri}`);
+            }
+          }
+        } catch (filesError) {
+          // Log warning but don't fail the main deletion if _files folder deletion fails
+          logger.debug(`Could not delete associated files folder ${filesUri}`, {
+            error: filesError.message,
+          });
+        }
+      }
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(`Resource deleted successfully: ${request.resourceUri} (${executionTime}ms)`);
+      if (deletedResources.length > 1) {
+        logger.debug(`Total resources deleted: ${deletedResources.join(', ')}`);
+      }
+
+      return new ResourceDeleteResponse({
+        resourceUri: request.resourceUri,
+        deleteTimestamp: new Date().toISOString(),
+        deletedResources,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.deleteResource', {
+        resourceUri: request.resourceUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to delete resource: ${request.resourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Copy a resource into another folder with the REST v2 Content-Location semantics.
+   * Folders are copied with their contents, report units with their input controls and
+   * local resources.
+   * @param {object} params - Copy parameters
+   * @returns {Promise<ResourceCopyResponse>} Copy result
+   */
+  async copyResource(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new ResourceCopyRequest(params);
+    Validator.validateResourceCopy(request);
+
+    try {
+      const startTime = Date.now();
+      const result = await this._relocateResource(request, 'copy');
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Resource copied: ${request.sourceUri} -> ${result.targetUri} (${executionTime}ms)`
+      );
+
+      return new ResourceCopyResponse({
+        sourceUri: request.sourceUri,
+        targetUri: result.targetUri,
+        resourceType: result.resourceType,
+        resourcesCopied: result.resourceCount,
+        overwritten: result.overwritten,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.copyResource', {
+        sourceUri: request.sourceUri,
+        targetFolderUri: request.targetFolderUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to copy resource: ${request.sourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Move a resource into another folder with the REST v2 Content-Location semantics.
+   * Folders are moved with their contents.
+   * @param {object} params - Move parameters
+   * @returns {Promise<ResourceMoveResponse>} Move result
+   */
+  async moveResource(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new ResourceMoveRequest(params);
+    Validator.validateResourceMove(request);
+
+    try {
+      const startTime = Date.now();
+      const result = await this._relocateResource(request, 'move');
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Resource moved: ${request.sourceUri} -> ${result.targetUri} (${executionTime}ms)`
+      );
+
+      return new ResourceMoveResponse({
+        sourceUri: request.sourceUri,
+        targetUri: result.targetUri,
+        resourceType: result.resourceType,
+        resourcesMoved: result.resourceCount,
+        overwritten: result.overwritten,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.moveResource', {
+        sourceUri: request.sourceUri,
+        targetFolderUri: request.targetFolderUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to move resource: ${request.sourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Create a datasource with the descriptor required by its type
+   *
+   * Required fields and default JDBC drivers come from the datasource structures
+   * TemplateService describes, so jasper_get_datasource_structure documents exactly
+   * what this method accepts.
+   * @param {object} params - Datasource parameters
+   * @returns {Promise<DatasourceCreateResponse>} Creation result
+   */
+  async createDatasource(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new DatasourceCreateRequest(params);
+    Validator.validateDatasourceCreate(request);
+
+    await this._prepareDatasourceRequest(request);
+
+    const resourceType = DATASOURCE_RESOURCE_TYPES[request.datasourceType];
+
+    try {
+      const startTime = Date.now();
+
+      const response = await this.apiClient.put(
+        `/rest_v2/resources${request.datasourceUri}`,
+        this._buildDatasourceDescriptor(request),
+        {
+          headers: {
+            'Content-Type': `application/repository.${resourceType}+json`,
+          },
+          params: {
+            createFolders: request.createFolders,
+            overwrite: request.overwrite,
+          },
+        }
+      );
+
+      if (response.status !== 200 && response.status !== 201) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          'Datasource creation failed'
+        );
+      }
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(`Datasource created: ${request.datasourceUri} (${executionTime}ms)`, {
+        resourceType,
+      });
+
+      return new DatasourceCreateResponse({
+        datasourceUri: request.datasourceUri,
+        datasourceType: request.datasourceType,
+        resourceType,
+        driverClass: request.driverClass,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.createDatasource', {
+        datasourceUri: request.datasourceUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to create datasource: ${request.datasourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Test the connection of an existing or inline JDBC/JNDI datasource
+   *
+   * A failed connection is a test result rather than an error: the driver error reported
+   * by the server is returned together with troubleshooting hints for the datasource type.
+   * @param {object} params - Datasource URI or inline datasource definition
+   * @returns {Promise<DatasourceTestResponse>} Connection test result
+   */
+  async testDatasource(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new DatasourceTestRequest(params);
+    Validator.validateDatasourceTest(request);
+
+    if (!request.datasourceUri && !request.connectionUrl && !request.jndiName) {
+      throw this.errorHandler.createValidationError(
+        'datasourceUri',
+        'Provide the URI of a repository datasource or an inline JDBC/JNDI definition',
+        null,
+        'required'
+      );
+    }
+
+    try {
+      const startTime = Date.now();
+
+      const { resourceType, descriptor } = request.datasourceUri
+        ? await this._getStoredDatasourceDescriptor(request.datasourceUri)
+        : await this._getInlineDatasourceDescriptor(request);
+
+      const datasourceType = Object.keys(DATASOURCE_RESOURCE_TYPES).find(
+        type => DATASOURCE_RESOURCE_TYPES[type] === resourceType
+      );
+
+      const response = await this.apiClient.post('/rest_v2/connections', descriptor, {
+        headers: {
+          'Content-Type': `application/repository.${resourceType}+json`,
+          Accept: `application/repository.${resourceType}+json`,
+        },
+        useRetry: false,
+      });
+
+      const result = {
+        datasourceUri: request.datasourceUri,
+        datasourceType,
+        resourceType,
+        requestId: request.requestId,
+      };
+
+      if (response.status === 200 || response.status === 201) {
+        result.connected = true;
+      } else if (response.status === 400) {
+        // The server rejects the connection with the driver error in the error descriptor
+        const connectionError = this.errorHandler.mapJasperError(
+          response.data,
+          'Datasource connection failed'
+        );
+        const { commonErrors } = await this.templateService.getDatasourceStructure({
+          datasourceType,
+          includeValidation: false,
+          includeExamples: false,
+        });
+
+        Object.assign(result, {
+          connected: false,
+          errorType: connectionError.type,
+          errorCode: connectionError.details.jasperErrorCode,
+          errorMessage: connectionError.details.jasperMessage,
+          driverError: this._getDriverError(connectionError.details),
+          troubleshooting: commonErrors,
+        });
+      } else {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          'Datasource connection test failed'
+        );
+      }
+
+      result.executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Datasource connection test ${result.connected ? 'succeeded' : 'failed'} (${result.executionTime}ms)`,
+        { datasourceUri: request.datasourceUri, errorCode: result.errorCode }
+      );
+
+      return new DatasourceTestResponse(result);
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.testDatasource', {
+        datasourceUri: request.datasourceUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        'Failed to test datasource connection'
+      );
+    }
+  }
+
+  /**
+   * Introspect the schemas, tables or columns of a repository datasource
+   *
+   * Metadata is read through a datasource context of the contexts API. Each level is
+   * fetched once and cached, so paging through a large schema does not hit the database
+   * again.
+   * @param {object} params - Datasource URI, optional schema and table, and paging options
+   * @returns {Promise<DatasourceMetadataResponse>} One page of metadata items
+   */
+  async getDatasourceMetadata(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new DatasourceMetadataRequest(params);
+    Validator.validateDatasourceMetadata(request);
+
+    const path = [request.schema, request.table].filter(Boolean);
+    let level = 'schemas';
+    if (request.table) {
+      level = 'columns';
+    } else if (request.schema) {
+      level = 'tables';
+    }
+
+    try {
+      const startTime = Date.now();
+      const cacheKey = `datasource:${request.datasourceUri}:${path.join('.')}`;
+
+      let items = request.refresh ? null : this.metadataCache.getMetadata(cacheKey);
+      const cached = items !== null;
+
+      if (!cached) {
+        const metadata = await this._fetchDatasourceMetadata(request.datasourceUri, path);
+        const group = this._findMetadataGroup(metadata, path);
+
+        if (!group) {
+          throw this.errorHandler.createResourceNotFoundError(
+            level === 'columns' ? 'Table' : 'Schema',
+            path.join('.')
+          );
+        }
+
+        items = this._getMetadataChildren(group).map(entry => this._toMetadataItem(entry));
+        this.metadataCache.setMetadata(cacheKey, items);
+      }
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(`Retrieved ${level} of ${request.datasourceUri} (${executionTime}ms)`, {
+        itemCount: items.length,
+        cached,
+      });
+
+      return new DatasourceMetadataResponse({
+        datasourceUri: request.datasourceUri,
+        level,
+        schema: request.schema,
+        table: request.table,
+        items: items.slice(request.offset, request.offset + request.limit),
+        totalCount: items.length,
+        offset: request.offset,
+        limit: request.limit,
+        hasMore: request.offset + request.limit < items.length,
+        cached,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.getDatasourceMetadata', {
+        datasourceUri: request.datasourceUri,
+        path: path.join('.'),
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to get datasource metadata: ${request.datasourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Generate a tabular JRXML report from a SQL query
+   *
+   * The query is run through the query executor with a one-row limit to learn its result
+   * columns, which become the report fields, column headers and detail text fields.
+   * @param {object} params - Datasource URI, SQL query and layout options
+   * @returns {Promise<QueryReportResponse>} Generated JRXML and its fields
+   */
+  async generateReportFromQuery(params) {
+    await this.initialize();
+
+    // Validate input parameters
+    const request = new QueryReportRequest(params);
+    Validator.validateQueryReport(request);
+
+    try {
+      const startTime = Date.now();
+
+      const response = await this.apiClient.post(
+        `/rest_v2/queryExecutor${request.datasourceUri}`,
+        { query: request.query, language: 'sql', offset: 0, limit: 1 },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json',
+          },
+        }
+      );
+
+      if (response.status === 404) {
+        throw this.errorHandler.createResourceNotFoundError('Datasource', request.datasourceUri);
+      }
+
+      if (response.status !== 200) {
+        throw this.errorHandler.mapHttpError(
+          response.status,
+          response.data,
+          'Query execution failed'
+        );
+      }
+
+      const columns = this._getQueryColumns(response.data);
+
+      if (columns.length === 0) {
+        throw this.errorHandler.createValidationError(
+          'query',
+          'The query does not return any columns',
+          request.query,
+          'result_columns'
+        );
+      }
+
+      const report = await this.templateService.generateQueryReport({
+        query: request.query,
+        columns,
+        reportName: request.reportName,
+        title: request.title,
+        pageFormat: request.pageFormat,
+        orientation: request.orientation,
+      });
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(`Generated report from query on ${request.datasourceUri} (${executionTime}ms)`, {
+        fieldCount: report.fields.length,
+      });
+
+      return new QueryReportResponse({
+        datasourceUri: request.datasourceUri,
+        reportName: request.reportName,
+        jrxmlContent: report.jrxmlContent,
+        base64Content: report.base64Content,
+        fields: report.fields,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'ResourceService.generateReportFromQuery', {
+        datasourceUri: request.datasourceUri,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to generate report from query on ${request.datasourceUri}`
+      );
+    }
+  }
+
+  /**
+   * Get the result columns from a query executor response. Columns are either described
+   * as objects or as parallel name and type lists.
+   * @private
+   */
+  _getQueryColumns(data) {
+    const columns = data?.columns || data?.metadata?.columns || data?.fields;
+
+    if (Array.isArray(columns)) {
+      return columns
+        .map(column =>
+          typeof column === 'string'
+            ? { name: column }
+            : { ...column, name: column.name || column.label }
+        )
+        .filter(column => column.name);
+    }
+
+    if (Array.isArray(data?.names)) {
+      return data.names.map((name, index) => ({ name, type: data.types?.[index] }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Create a datasource context and read the metadata below a schema/table path
+   * @private
+   */
+  async _fetchDatasourceMetadata(datasourceUri, path) {
+    const { resourceType, descriptor } = await this._getStoredDatasourceDescriptor(datasourceUri);
+
+    const contextResponse = await this.apiClient.post('/rest_v2/contexts', descriptor, {
+      headers: {
+        'Content-Type': `application/repository.${resourceType}+json`,
+        Accept: `application/repository.${resourceType}+json`,
+      },
+    });
+
+    if (contextResponse.status !== 200 && contextResponse.status !== 201) {
+      throw this.errorHandler.mapHttpError(
+        contextResponse.status,
+        contextResponse.data,
+        'Datasource context creation failed'
+      );
+    }
+
+    const contextUuid = this._getContextUuid(contextResponse);
+
+    try {
+      // The root metadata lists schemas; deeper levels are requested as partial metadata
+      const metadataResponse =
+        path.length === 0
+          ? await this.apiClient.get(`/rest_v2/contexts/${contextUuid}/metadata`, {
+              headers: { Accept: 'application/json' },
+            })
+          : await this.apiClient.post(
+              `/rest_v2/contexts/${contextUuid}/metadata`,
+              { includes: [path.join('.')] },
+              {
+                headers: {
+                  'Content-Type': 'application/contexts.partialMetadataOptions+json',
+                  Accept: 'application/json',
+                },
+              }
+            );
+
+      if (metadataResponse.status !== 200) {
+        throw this.errorHandler.mapHttpError(
+          metadataResponse.status,
+          metadataResponse.data,
+          'Datasource metadata retrieval failed'
+        );
+      }
+
+      return metadataResponse.data;
+    } finally {
+      await this._deleteContext(contextUuid);
+    }
+  }
+
+  /**
+   * Delete a datasource context so it does not hold a connection on the server until it
+   * expires. Failures are only logged; the metadata has been read either way.
+   * @private
+   */
+  async _deleteContext(contextUuid) {
+    if (!contextUuid) {
+      return;
+    }
+
+    try {
+      await this.apiClient.delete(`/rest_v2/contexts/${contextUuid}`);
+    } catch (error) {
+      logger.debug(`Failed to delete datasource context ${contextUuid}`, {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Get the UUID of a created context from its Location header or descriptor
+   * @private
+   */
+  _getContextUuid(response) {
+    const location = response.headers?.location;
+    if (location) {
+      return location.split('/').pop();
+    }
+    return response.data?.uuid || response.data?.id;
+  }
+
+  /**
+   * Find the metadata group at a schema/table path
+   * @private
+   */
+  _findMetadataGroup(metadata, path) {
+    let group = metadata;
+
+    for (const name of path) {
+      const child = this._getMetadataChildren(group)
+        .map(entry => entry.group)
+        .find(candidate => candidate && candidate.name === name);
+
+      if (!child) {
+        return null;
+      }
+      group = child;
+    }
+
+    return group;
+  }
+
+  /**
+   * Get the child entries of a metadata group
+   * @private
+   */
+  _getMetadataChildren(group) {
+    return group?.elements || group?.items || [];
+  }
+
+  /**
+   * Convert a metadata entry to a schema, table or column item
+   * @private
+   */
+  _toMetadataItem(entry) {
+    if (entry.group) {
+      return { name: entry.group.name, kind: entry.group.kind || 'group' };
+    }
+
+    const element = entry.element || entry;
+    const item = { name: element.name, kind: 'column', type: element.type };
+
+    // Not every server version reports the native SQL type
+    const sqlType = element.sqlType || element.typeName;
+    if (sqlType) {
+      item.sqlType = sqlType;
+    }
+
+    return item;
+  }
+
+  /**
+   * Load the descriptor of a JDBC/JNDI repository datasource for the connections and
+   * contexts APIs. Stored passwords are not returned; the server uses them for
+   * descriptors with a URI.
+   * @private
+   */
+  async _getStoredDatasourceDescriptor(datasourceUri) {
+    const response = await this.apiClient.get(`/rest_v2/resources${datasourceUri}`);
+
+    if (response.status === 404) {
+      throw this.errorHandler.createResourceNotFoundError('Datasource', datasourceUri);
+    }
+
+    if (response.status !== 200) {
+      throw this.errorHandler.mapHttpError(
+        response.status,
+        response.data,
+        'Datasource retrieval failed'
+      );
+    }
+
+    const { type } = this._processResourceMetadata(response.data, response.headers);
+
+    if (!CONNECTION_DATASOURCE_TYPES.includes(type)) {
+      throw this.errorHandler.createValidationError(
+        'datasourceUri',
+        `Only JDBC and JNDI datasources are supported, not ${type || 'unknown'} resources`,
+        datasourceUri,
+        'datasource_type'
+      );
+    }
+
+    return { resourceType: type, descriptor: { ...response.data, uri: datasourceUri } };
+  }
+
+  /**
+   * Build the descriptor of an inline datasource definition for a connection test
+   * @private
+   */
+  async _getInlineDatasourceDescriptor(request) {
+    await this._prepareDatasourceRequest(request);
+
+    return {
+      resourceType: DATASOURCE_RESOURCE_TYPES[request.datasourceType],
+      descriptor: this._buildDatasourceDescriptor(request),
+    };
+  }
+
+  /**
+   * Get the driver error from a mapped connection error
+   * @private
+   */
+  _getDriverError(details) {
+    const { parameters } = details;
+
+    if (Array.isArray(parameters) && parameters.length > 0) {
+      return parameters.join('; ');
+    }
+
+    return typeof parameters === 'string' ? parameters : details.jasperMessage;
+  }
+
+  /**
+   * Apply the datasource structure to a request: default the driver class and check the
+   * required fields
+   * @private
+   */
+  async _prepareDatasourceRequest(request) {
+    const { structure } = await this.templateService.getDatasourceStructure({
+      datasourceType: request.datasourceType,
+      databaseType: request.databaseType,
+      includeValidation: false,
+      includeExamples: false,
+    });
+
+    // Drivers are mapped per database type; 'generic' has no usable default.
+    // AWS datasources connect through JDBC, so they share the JDBC driver mappings.
+    if (!request.driverClass && request.databaseType !== 'generic') {
+      request.driverClass = await this._getDefaultDriverClass(request, structure);
+    }
+
+    this._validateDatasourceFields(request, structure);
+  }
+
+  /**
+   * Get the driver mapped to the database type of a JDBC or AWS datasource
+   * @private
+   */
+  async _getDefaultDriverClass(request, structure) {
+    if (request.datasourceType !== DATASOURCE_TYPES.AWS) {
+      return structure.driverClass;
+    }
+
+    const { structure: jdbcStructure } = await this.templateService.getDatasourceStructure({
+      datasourceType: DATASOURCE_TYPES.JDBC,
+      databaseType: request.databaseType,
+      includeValidation: false,
+      includeExamples: false,
+    });
+    return jdbcStructure.driverClass;
+  }
+
+  /**
+   * Check the fields required by the datasource structure
+   * @private
+   */
+  _validateDatasourceFields(request, structure) {
+    // The name is taken from the datasource URI and the label is checked by the request schema
+    const requiredFields = structure.required.filter(
+      field => field !== 'name' && field !== 'label'
+    );
+
+    for (const field of requiredFields) {
+      if (request[field] === undefined || request[field] === '') {
+        throw this.errorHandler.createValidationError(
+          field,
+          `${field} is required for ${request.datasourceType} datasources`,
+          request[field],
+          'required'
+        );
       }
+    }
 
-      throw this.errorHandler.mapHttpError(
-        error.statusCode || 500,
-        error.responseData || error.message,
-        `Failed to get resource: ${request.resourceUri}`
+    if (request.connectionUrl && !request.connectionUrl.startsWith('jdbc:')) {
+      throw this.errorHandler.createValidationError(
+        'connectionUrl',
+        `Must be a valid JDBC connection URL (${structure.connectionUrlPattern || 'jdbc:...'})`,
+        request.connectionUrl,
+        'format'
+      );
+    }
+
+    if (request.mongoURI && !/^mongodb(\+srv)?:\/\//.test(request.mongoURI)) {
+      throw this.errorHandler.createValidationError(
+        'mongoURI',
+        `Must be a valid MongoDB URI (${structure.mongoURIPattern})`,
+        request.mongoURI,
+        'format'
       );
     }
   }
 
   /**
-   * Update an existing resource
-   * @param {object} params - Update parameters
-   * @returns {Promise<ResourceUpdateResponse>} Update result
+   * Build the repository descriptor for a datasource
+   * @private
    */
-  async updateResource(params) {
-    await this.initialize();
+  _buildDatasourceDescriptor(request) {
+    const descriptor = {
+      label: request.label,
+      description: request.description,
+    };
 
-    // Validate input parameters
-    const request = new ResourceUpdateRequest(params);
-    Validator.validateResourceUpdate(request);
+    switch (request.datasourceType) {
+      case DATASOURCE_TYPES.JDBC:
+        return {
+          ...descriptor,
+          driverClass: request.driverClass,
+          connectionUrl: request.connectionUrl,
+          username: request.username,
+          password: request.password,
+          timezone: request.timezone,
+        };
+      case DATASOURCE_TYPES.JNDI:
+        return {
+          ...descriptor,
+          jndiName: request.jndiName,
+          timezone: request.timezone,
+        };
+      case DATASOURCE_TYPES.AWS:
+        return {
+          ...descriptor,
+          accessKey: request.awsAccessKey,
+          secretKey: request.awsSecretKey,
+          region: request.region,
+          dbService: request.service,
+          driverClass: request.driverClass,
+          connectionUrl: request.connectionUrl,
+          username: request.username,
+          password: request.password,
+          timezone: request.timezone,
+        };
+      case DATASOURCE_TYPES.BEAN:
+        return {
+          ...descriptor,
+          beanName: request.beanName,
+          beanMethod: request.beanMethod,
+        };
+      case DATASOURCE_TYPES.MONGODB:
+        return {
+          ...descriptor,
+          dataSourceName: MONGODB_DATASOURCE_NAME,
+          properties: this._toDatasourceProperties({
+            mongoURI: this._getMongoURI(request.mongoURI, request.database),
+            username: request.username,
+            password: request.password,
+          }),
+        };
+      default:
+        return {
+          ...descriptor,
+          dataSourceName: request.serviceClass,
+          properties: this._toDatasourceProperties(request.properties),
+        };
+    }
+  }
 
-    try {
-      const startTime = Date.now();
+  /**
+   * Convert an object to custom datasource key/value properties, skipping empty values
+   * @private
+   */
+  _toDatasourceProperties(values) {
+    return Object.entries(values)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => ({ key, value: String(value) }));
+  }
 
-      // Check if resource exists
-      const existsResponse = await this.apiClient.get(`/rest_v2/resources${request.resourceUri}`);
-      if (existsResponse.status === 404) {
-        throw this.errorHandler.createResourceNotFoundError('Resource', request.resourceUri);
+  /**
+   * Add the database to a MongoDB URI that does not name one
+   * @private
+   */
+  _getMongoURI(mongoURI, database) {
+    if (/^mongodb(\+srv)?:\/\/[^/]+\/?$/.test(mongoURI)) {
+      return `${mongoURI.replace(/\/$/, '')}/${database}`;
+    }
+    return mongoURI;
+  }
+
+  /**
+   * Fix the JRXML layout before it is validated and sent to the server. whenNoDataType is
+   * always added, so the report renders without data; autoFix applies every lint fix.
+   * @private
+   */
+  _fixJRXMLReport(request) {
+    if (!request.jrxmlContent) {
+      return [];
+    }
+
+    let result;
+    try {
+      result = this.jrxmlLinter.fix(request.jrxmlContent, {
+        rules: request.autoFix ? undefined : ['missing-when-no-data'],
+      });
+    } catch (error) {
+      // Malformed JRXML is reported by the validator
+      if (error.name === 'MCPError') {
+        return [];
       }
+      throw error;
+    }
 
-      // Build update payload
-      const updatePayload = this._buildUpdatePayload(request);
+    result.changes.forEach(change => logger.debug(`JRXML fix: ${change.message}`));
+    request.jrxmlContent = result.jrxmlContent;
 
-      // Perform update
-      const response = await this.apiClient.put(
-        `/rest_v2/resources${request.resourceUri}`,
-        updatePayload,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          params: {
-            overwrite: request.overwrite,
-          },
-        }
+    return result.changes;
+  }
+
+  /**
+   * Copy or move a resource into a folder, keeping its name. Resources that already exist
+   * at the target, including those inside a target folder of the same name, are conflicts:
+   * they fail the request unless overwrite is set.
+   * @private
+   */
+  async _relocateResource(request, operation) {
+    const { sourceUri } = request;
+    const targetFolderUri = request.targetFolderUri.replace(/\/+$/, '') || '/';
+    const name = sourceUri.slice(sourceUri.lastIndexOf('/') + 1);
+    const targetUri = `${targetFolderUri === '/' ? '' : targetFolderUri}/${name}`;
+
+    if (targetUri === sourceUri) {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `${sourceUri} is already in ${targetFolderUri}`,
+        { field: 'targetFolderUri' }
       );
+    }
+    if (targetFolderUri === sourceUri || targetFolderUri.startsWith(`${sourceUri}/`)) {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `Cannot ${operation} ${sourceUri} into itself`,
+        { field: 'targetFolderUri' }
+      );
+    }
 
-      if (response.status !== 200 && response.status !== 201) {
-        throw this.errorHandler.mapHttpError(
-          response.status,
-          response.data,
-          'Resource update failed'
+    const sourceResponse = await this.apiClient.get(`/rest_v2/resources${sourceUri}`);
+    if (sourceResponse.status === 404) {
+      throw this.errorHandler.createResourceNotFoundError('Resource', sourceUri);
+    }
+    const resourceType = this._processResourceMetadata(
+      sourceResponse.data,
+      sourceResponse.headers
+    ).type;
+    const sourceTree = resourceType === RESOURCE_TYPES.FOLDER ? await this.listTree(sourceUri) : [];
+
+    const conflicts = [];
+    const targetResponse = await this.apiClient.get(`/rest_v2/resources${targetUri}`);
+    if (targetResponse.status === 200) {
+      const targetType = this._processResourceMetadata(
+        targetResponse.data,
+        targetResponse.headers
+      ).type;
+      conflicts.push({ sourceUri, targetUri, sourceType: resourceType, targetType });
+
+      if (resourceType === RESOURCE_TYPES.FOLDER && targetType === RESOURCE_TYPES.FOLDER) {
+        const targetTree = new Map(
+          (await this.listTree(targetUri)).map(resource => [
+            resource.uri.slice(targetUri.length),
+            resource,
+          ])
         );
+        sourceTree.forEach(resource => {
+          const existing = targetTree.get(resource.uri.slice(sourceUri.length));
+          if (existing) {
+            conflicts.push({
+              sourceUri: resource.uri,
+              targetUri: existing.uri,
+              sourceType: resource.type,
+              targetType: existing.type,
+            });
+          }
+        });
       }
-
-      const executionTime = Date.now() - startTime;
-
-      if (this.config.debugMode) {
-        console.log(
-          `[Resource Service] Resource updated successfully: ${request.resourceUri} (${executionTime}ms)`
-        );
+    } else if (!request.createFolders && targetFolderUri !== '/') {
+      const folderResponse = await this.apiClient.get(`/rest_v2/resources${targetFolderUri}`);
+      if (folderResponse.status === 404) {
+        throw this.errorHandler.createResourceNotFoundError('Folder', targetFolderUri);
       }
+    }
 
-      return new ResourceUpdateResponse({
-        resourceUri: request.resourceUri,
-        updateTimestamp: new Date().toISOString(),
-        validationStatus: 'valid',
-        validationMessages: [],
-        executionTime,
-        requestId: request.requestId,
-      });
-    } catch (error) {
-      this.errorHandler.logError(error, 'ResourceService.updateResource', {
-        resourceUri: request.resourceUri,
-      });
+    if (conflicts.length > 0 && !request.overwrite) {
+      throw this._createConflictError(operation, sourceUri, conflicts);
+    }
 
-      if (error.name === 'MCPError') {
-        throw error;
-      }
+    const url = `/rest_v2/resources${targetFolderUri}`;
+    const options = {
+      headers: { 'Content-Location': sourceUri },
+      params: { createFolders: request.createFolders, overwrite: request.overwrite },
+    };
+    const response =
+      operation === 'copy'
+        ? await this.apiClient.post(url, null, options)
+        : await this.apiClient.put(url, null, options);
 
+    if (response.status === 409) {
+      throw this._createConflictError(operation, sourceUri, [{ sourceUri, targetUri }]);
+    }
+    if (response.status !== 200 && response.status !== 201) {
       throw this.errorHandler.mapHttpError(
-        error.statusCode || 500,
-        error.responseData || error.message,
-        `Failed to update resource: ${request.resourceUri}`
+        response.status,
+        response.data,
+        `Resource ${operation} failed`
       );
     }
+
+    return {
+      targetUri,
+      resourceType,
+      resourceCount: sourceTree.length + 1,
+      overwritten: conflicts.map(conflict => conflict.targetUri),
+    };
   }
 
   /**
-   * Delete a resource from JasperReports Server
-   * @param {object} params - Delete parameters
-   * @returns {Promise<ResourceDeleteResponse>} Delete result
+   * @private
    */
-  async deleteResource(params) {
-    await this.initialize();
+  _createConflictError(operation, sourceUri, conflicts) {
+    const uris = conflicts.map(conflict => conflict.targetUri);
+    return new MCPError(
+      MCP_ERROR_TYPES.INVALID_REQUEST,
+      `Cannot ${operation} ${sourceUri}: ${uris.length} resource(s) already exist at the target (${uris.join(', ')}); set overwrite to replace them`,
+      { conflicts }
+    );
+  }
 
-    // Validate input parameters
-    const request = new ResourceDeleteRequest(params);
-    Validator.validateResourceDelete(request);
+  /**
+   * Resolve the subreports, images, templates and resource bundles of an uploaded report
+   * against its local resources and bundle, adding the bundled files to the local resources
+   * and pointing the references at them
+   * @private
+   */
+  _bundleJRXMLReport(request) {
+    if (!request.jrxmlContent) {
+      return null;
+    }
 
+    let result;
     try {
-      const startTime = Date.now();
-      const deletedResources = [];
-
-      // Check if resource exists and get its type
-      const existsResponse = await this.apiClient.get(`/rest_v2/resources${request.resourceUri}`);
-      if (existsResponse.status === 404) {
-        throw this.errorHandler.createResourceNotFoundError('Resource', request.resourceUri);
+      result = this.reportBundler.bundle(request.jrxmlContent, {
+        reportUri: request.resourcePath,
+        localResources: request.localResources,
+        bundle: request.bundle,
+      });
+    } catch (error) {
+      // Malformed JRXML is reported by the validator; a bundle cannot be applied to it
+      if (error.name === 'MCPError' && !request.bundle) {
+        return null;
       }
+      throw error;
+    }
 
-      const resourceType = existsResponse.data?.resourceType || existsResponse.data?.type;
-
-      // Perform main resource deletion first
-      const response = await this.apiClient.delete(`/rest_v2/resources${request.resourceUri}`, {
-        params: {
-          force: request.force,
-        },
-      });
+    result.dependencies
+      .filter(dependency => dependency.rewrittenTo)
+      .forEach(dependency =>
+        logger.debug(`JRXML reference ${dependency.reference} -> ${dependency.rewrittenTo}`)
+      );
+    request.jrxmlContent = result.jrxmlContent;
+    request.localResources = result.localResources;
 
-      if (response.status !== 200 && response.status !== 204) {
-        throw this.errorHandler.mapHttpError(
-          response.status,
-          response.data,
-          'Resource deletion failed'
-        );
-      }
+    return {
+      dependencies: result.dependencies,
+      bundledResources: result.bundledResources,
+      unusedBundleFiles: result.unusedBundleFiles,
+    };
+  }
 
-      deletedResources.push(request.resourceUri);
+  /**
+   * Validate JRXML offline before it is sent to the server.
+   * Errors reject the request; warnings, layout lint findings and missing dependencies are
+   * returned as validation messages.
+   * @private
+   */
+  _validateJRXMLReport(request, dependencies = null) {
+    if (!request.jrxmlContent) {
+      return {};
+    }
+    if (request.validateJRXML === false) {
+      return { validationStatus: 'skipped' };
+    }
 
-      // If it's a reportUnit, check for _files folder (for local resources like images, subreports)
-      // Note: With embedded JRXML, we no longer need to delete separate .jrxml files
-      if (resourceType === 'reportUnit') {
-        const filesUri = `${request.resourceUri}_files`;
+    // Resource bundles uploaded with the report are used to check its $R{} keys
+    const resourceBundles = (request.localResources || [])
+      .filter(localResource => localResource.type === 'prop')
+      .map(localResource =>
+        Buffer.isBuffer(localResource.content)
+          ? localResource.content.toString('utf8')
+          : Buffer.from(localResource.content, 'base64').toString('utf8')
+      );
 
-        try {
-          // Check if _files folder exists
-          const filesExistsResponse = await this.apiClient.get(`/rest_v2/resources${filesUri}`);
-          if (filesExistsResponse.status === 200) {
-            // Delete the _files folder and all its contents
-            const filesDeleteResponse = await this.apiClient.delete(
-              `/rest_v2/resources${filesUri}`,
-              {
-                params: {
-                  force: true, // Force delete to remove all contents
-                },
-              }
-            );
+    const { errors, warnings } = this.jrxmlValidator.validate(request.jrxmlContent, {
+      resourceBundles,
+    });
+    const toMessage = finding => `Line ${finding.line}: ${finding.message}`;
 
-            if (filesDeleteResponse.status === 200 || filesDeleteResponse.status === 204) {
-              deletedResources.push(filesUri);
-              if (this.config.debugMode) {
-                console.log(`[Resource Service] Associated files folder deleted: ${filesUri}`);
-              }
-            }
-          }
-        } catch (filesError) {
-          // Log warning but don't fail the main deletion if _files folder deletion fails
-          if (this.config.debugMode) {
-            console.warn(
-              `[Resource Service] Could not delete associated files folder ${filesUri}:`,
-              filesError.message
-            );
-          }
-        }
-      }
-      const executionTime = Date.now() - startTime;
+    if (errors.length > 0) {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `JRXML validation failed with ${errors.length} error(s): ${errors.map(toMessage).join('; ')}`,
+        { field: 'jrxmlContent', errors, warnings }
+      );
+    }
 
-      if (this.config.debugMode) {
-        console.log(
-          `[Resource Service] Resource deleted successfully: ${request.resourceUri} (${executionTime}ms)`
+    // Layout errors, such as band overflow, are already validation errors
+    const lintWarnings = this.jrxmlLinter
+      .lint(request.jrxmlContent)
+      .findings.filter(finding => finding.severity === 'warning');
+    const messages = [...warnings, ...lintWarnings].map(toMessage);
+    (dependencies?.dependencies || [])
+      .filter(dependency => dependency.status === 'missing')
+      .forEach(dependency => {
+        const location = dependency.source
+          ? `${dependency.source} line ${dependency.line}`
+          : `Line ${dependency.line}`;
+        messages.push(
+          `${location}: ${DEPENDENCY_LABELS[dependency.kind]} ${dependency.reference} is neither a local resource nor in the bundle`
         );
-        if (deletedResources.length > 1) {
-          console.log(`[Resource Service] Total resources deleted: ${deletedResources.join(', ')}`);
-        }
-      }
-
-      return new ResourceDeleteResponse({
-        resourceUri: request.resourceUri,
-        deleteTimestamp: new Date().toISOString(),
-        deletedResources,
-        executionTime,
-        requestId: request.requestId,
-      });
-    } catch (error) {
-      this.errorHandler.logError(error, 'ResourceService.deleteResource', {
-        resourceUri: request.resourceUri,
       });
 
-      if (error.name === 'MCPError') {
-        throw error;
-      }
+    return {
+      validationStatus: messages.length > 0 ? 'warnings' : 'valid',
+      validationMessages: messages,
+    };
+  }
 
-      throw this.errorHandler.mapHttpError(
-        error.statusCode || 500,
-        error.responseData || error.message,
-        `Failed to delete resource: ${request.resourceUri}`
-      );
+  /**
+   * Build input controls for the prompting parameters of an uploaded report when requested;
+   * per-parameter options imply the request
+   * @private
+   */
+  _buildInputControls(request) {
+    if (
+      !request.jrxmlContent ||
+      (!request.createInputControls && request.inputControlOptions.length === 0)
+    ) {
+      return null;
     }
+
+    return this.inputControlBuilder.build(request.jrxmlContent, {
+      reportUri: request.resourcePath,
+      controls: request.inputControlOptions,
+      dataSourceUri: request.dataSourceUri,
+    });
   }
 
   /**
    * Upload JRXML report with embedded content (single-step process)
    * @private
    */
-  async _uploadJRXMLReport(request) {
+  async _uploadJRXMLReport(request, inputControls = null) {
     // Validate JRXML content
     Validator.validateJRXMLContent(request.jrxmlContent);
 
-    // Fix JRXML content to ensure it works without data source
-    const fixedJrxmlContent = this._fixJRXMLContent(request.jrxmlContent);
-
     // Create folder structure if needed
     if (request.createFolders) {
       await this._ensureFolderStructure(request.resourcePath);
@@ -520,7 +1859,7 @@ class ResourceService {
         jrxmlFile: {
           label: 'Main JRXML',
           type: 'jrxml',
-          content: Buffer.from(fixedJrxmlContent).toString('base64'),
+          content: Buffer.from(request.jrxmlContent).toString('base64'),
         },
       },
     };
@@ -534,6 +1873,11 @@ class ResourceService {
       };
     }
 
+    // Input controls are stored inside the report unit, named after their parameter
+    if (inputControls?.inputControls.length > 0) {
+      reportUnitDescriptor.inputControls = inputControls.inputControls;
+    }
+
     // Upload local resources if provided
     const localResourcesUploaded = [];
     if (request.localResources && request.localResources.length > 0) {
@@ -625,6 +1969,8 @@ class ResourceService {
       validationStatus: 'valid',
       validationMessages: [],
       localResourcesUploaded,
+      inputControlsCreated: inputControls?.created || [],
+      inputControlsSkipped: inputControls?.skipped || [],
       embeddedJrxml: true, // Indicates JRXML is embedded, not a separate file
     };
   }
@@ -678,8 +2024,6 @@ class ResourceService {
    * @private
    */
   async _uploadGenericResource(request) {
-    // This would handle other resource types like images, JARs, etc.
-    // For now, we'll implement basic file upload
     const resourceDescriptor = {
       label: request.label,
       description: request.description || '',
@@ -687,12 +2031,21 @@ class ResourceService {
       type: request.resourceType || RESOURCE_TYPES.FILE,
     };
 
+    // File resources with content carry their file type and base64 content in the descriptor
+    let contentType = 'application/json';
+    if (request.content !== undefined) {
+      const extension = request.resourcePath.split('.').pop().toLowerCase();
+      resourceDescriptor.type = request.fileType || EXTENSION_TYPES[extension] || 'unspecified';
+      resourceDescriptor.content = request.content;
+      contentType = 'application/repository.file+json';
+    }
+
     const response = await this.apiClient.put(
       `/rest_v2/resources${request.resourcePath}`,
       resourceDescriptor,
       {
         headers: {
-          'Content-Type': 'application/json',
+          'Content-Type': contentType,
         },
         params: {
           createFolders: request.createFolders,
@@ -746,11 +2099,7 @@ class ResourceService {
         }
       } catch (error) {
         // If folder creation fails, log but continue
-        if (this.config.debugMode) {
-          console.log(
-            `[Resource Service] Could not create folder ${currentPath}: ${error.message}`
-          );
-        }
+        logger.debug(`Could not create folder ${currentPath}: ${error.message}`);
       }
     }
   }
@@ -832,16 +2181,21 @@ class ResourceService {
    * Process resource metadata response
    * @private
    */
-  _processResourceMetadata(responseData) {
+  _processResourceMetadata(responseData, headers = {}) {
     if (!responseData) {
       return {};
     }
 
+    // Single resource descriptors carry their type in the media type, e.g. application/repository.folder+json
+    const mediaTypeMatch = /application\/repository\.([a-zA-Z]+)\+json/.exec(
+      headers?.['content-type'] || ''
+    );
+
     return new ResourceInfo({
       uri: responseData.uri,
       label: responseData.label,
       description: responseData.description,
-      type: responseData.resourceType,
+      type: responseData.resourceType || (mediaTypeMatch ? mediaTypeMatch[1] : undefined),
       creationDate: responseData.creationDate,
       updateDate: responseData.updateDate,
       version: responseData.version,
@@ -866,12 +2220,11 @@ class ResourceService {
 
     if (request.jrxmlContent) {
       // For JRXML updates with embedded content
-      const fixedJrxmlContent = this._fixJRXMLContent(request.jrxmlContent);
       payload.jrxml = {
         jrxmlFile: {
           label: 'Main JRXML',
           type: 'jrxml',
-          content: Buffer.from(fixedJrxmlContent).toString('base64'),
+          content: Buffer.from(request.jrxmlContent).toString('base64'),
         },
       };
     }
@@ -891,29 +2244,6 @@ class ResourceService {
     return responseData.uri || responseData.id || null;
   }
 
-  /**
-   * Fix JRXML content to ensure it works without data source
-   * @private
-   */
-  _fixJRXMLContent(jrxmlContent) {
-    // Check if JRXML already has whenNoDataType attribute
-    if (jrxmlContent.includes('whenNoDataType=')) {
-      return jrxmlContent;
-    }
-
-    // Add whenNoDataType="AllSectionsNoDetail" to ensure report renders without data
-    const fixedContent = jrxmlContent.replace(
-      /<jasperReport([^>]*?)>/,
-      '<jasperReport$1 whenNoDataType="AllSectionsNoDetail">'
-    );
-
-    if (this.config.debugMode) {
-      console.log('[Resource Service] Added whenNoDataType attribute to JRXML');
-    }
-
-    return fixedContent;
-  }
-
   /**
    * Get resource service statistics
    * @returns {object} Service statistics
@@ -932,12 +2262,11 @@ class ResourceService {
    */
   dispose() {
     this.initialized = false;
+    this.metadataCache.destroy();
 
-    if (this.config.debugMode) {
-      console.log('[Resource Service] Service disposed');
-    }
+    logger.debug('Service disposed');
   }
 }
 
 export default ResourceService;
-export { RESOURCE_TYPES, CONTENT_TYPES };
+export { RESOURCE_TYPES, CONTENT_TYPES, DATASOURCE_RESOURCE_TYPES };
@@ -0,0 +1,894 @@
+/**
+ * Sync Service for JasperReports MCP Server
+ *
+ * This service mirrors a repository folder to a local directory so report sources can be
+ * kept in version control:
+ * - Folder pull writing JRXML, properties, images and a JSON descriptor per resource
+ * - Folder push uploading local changes back through the resource service
+ * - Conflict detection against the server versions recorded at the last pull
+ *
+ * Subfolders are pulled as directories, report units as directories holding their local
+ * files and file resources as files. Every resource gets a <name>.resource.json descriptor
+ * beside it, and a state file records the server version of each resource and a hash of
+ * each local file.
+ */
+
+import { mkdir, readFile, readdir, rm, rmdir, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { dirname, join, relative, resolve, sep } from 'path';
+import { getConfiguration } from '../config/environment.js';
+import { getErrorHandler, MCPError, MCP_ERROR_TYPES } from '../utils/errorHandler.js';
+import { Validator } from '../utils/validators.js';
+import JRXMLValidator from '../utils/jrxmlValidator.js';
+import { EXTENSION_TYPES } from '../utils/reportBundler.js';
+import ResourceService from './resourceService.js';
+import { FolderPullRequest, FolderPushRequest } from '../models/requests.js';
+import { FolderPullResponse, FolderPushResponse } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Sync Service');
+
+/**
+ * Push actions for local changes
+ */
+const SYNC_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+};
+
+/**
+ * Resource types pushed from a local directory; other resources are pulled as a
+ * descriptor only
+ */
+const SYNCED_TYPES = {
+  FOLDER: 'folder',
+  REPORT_UNIT: 'reportUnit',
+  FILE: 'file',
+};
+
+/**
+ * Sync service constants
+ */
+const SYNC_CONSTANTS = {
+  STATE_FILE: '.jasper-sync.json',
+  DESCRIPTOR_SUFFIX: '.resource.json',
+};
+
+/**
+ * Sync Service class
+ */
+class SyncService {
+  constructor(config = null, apiClient = null, errorHandler = null) {
+    this.config = config || getConfiguration();
+    this.errorHandler = errorHandler || getErrorHandler();
+    this.resourceService = new ResourceService(this.config, apiClient, this.errorHandler);
+    this.jrxmlValidator = new JRXMLValidator();
+  }
+
+  /**
+   * Mirror a repository folder to a local directory
+   * @param {object} params - Pull parameters: folder URI, local directory and force flag
+   * @returns {Promise<FolderPullResponse>} Resources pulled with their local files
+   */
+  async pullFolder(params) {
+    // Validate input parameters
+    const request = new FolderPullRequest(params);
+    Validator.validateFolderPull(request);
+    const root = this._getRoot(request.localDirectory);
+
+    try {
+      const startTime = Date.now();
+
+      const previous = await this._readState(root);
+      if (previous && !request.force) {
+        if (previous.folderUri !== request.folderUri) {
+          throw new MCPError(
+            MCP_ERROR_TYPES.INVALID_REQUEST,
+            `${root} mirrors ${previous.folderUri}; pull ${request.folderUri} into another directory or set force`,
+            { field: 'localDirectory', folderUri: previous.folderUri }
+          );
+        }
+
+        const { changes } = await this._detectChanges(root, previous);
+        if (changes.length > 0) {
+          throw new MCPError(
+            MCP_ERROR_TYPES.INVALID_REQUEST,
+            `Pulling would overwrite ${changes.length} local change(s); push them first or set force`,
+            { changes }
+          );
+        }
+      }
+
+      const state = {
+        folderUri: request.folderUri,
+        pulledAt: new Date().toISOString(),
+        resources: {},
+      };
+      const resources = await this.resourceService.listTree(request.folderUri);
+      resources.sort((a, b) => a.uri.localeCompare(b.uri));
+      for (const resource of resources) {
+        state.resources[resource.uri] = await this._pullResource(root, state.folderUri, resource);
+      }
+
+      const removedFiles =
+        previous?.folderUri === request.folderUri
+          ? await this._removeStaleFiles(root, previous, state)
+          : [];
+      await this._writeState(root, state);
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Folder pulled: ${request.folderUri} -> ${root} (${resources.length} resource(s), ${executionTime}ms)`
+      );
+
+      return new FolderPullResponse({
+        folderUri: request.folderUri,
+        localDirectory: root,
+        pulledAt: state.pulledAt,
+        resources: Object.entries(state.resources).map(([uri, entry]) => ({
+          uri,
+          type: entry.type,
+          path: entry.path,
+          files: Object.keys(entry.files),
+        })),
+        removedFiles,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'SyncService.pullFolder', {
+        folderUri: request.folderUri,
+        localDirectory: root,
+      });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to pull folder: ${request.folderUri}`
+      );
+    }
+  }
+
+  /**
+   * Upload the local changes of a pulled directory back to the repository
+   * @param {object} params - Push parameters: local directory, dry-run and force flags
+   * @returns {Promise<FolderPushResponse>} Changes found, conflicts and resources pushed
+   */
+  async pushFolder(params) {
+    // Validate input parameters
+    const request = new FolderPushRequest(params);
+    Validator.validateFolderPush(request);
+    const root = this._getRoot(request.localDirectory);
+
+    try {
+      const startTime = Date.now();
+
+      const state = await this._readState(root);
+      if (!state) {
+        throw new MCPError(
+          MCP_ERROR_TYPES.INVALID_REQUEST,
+          `${root} has no ${SYNC_CONSTANTS.STATE_FILE}; pull a folder into it first`,
+          { field: 'localDirectory' }
+        );
+      }
+
+      const { changes, unsupported, descriptors } = await this._detectChanges(root, state);
+
+      // Resources changed on the server since the last pull are only pushed with force
+      const conflicts = [];
+      const pending = [];
+      for (const change of changes) {
+        const conflict = await this._findConflict(change, state.resources[change.uri]);
+        if (conflict) {
+          conflicts.push(conflict);
+        }
+        if (!conflict || request.force) {
+          pending.push(change);
+        }
+      }
+
+      const pushed = [];
+      const failed = [];
+      if (!request.dryRun) {
+        for (const change of pending) {
+          try {
+            await this._pushChange(root, state, change, descriptors.get(change.uri));
+            await this._recordPush(root, state, change);
+            pushed.push(change.uri);
+          } catch (error) {
+            failed.push({ uri: change.uri, path: change.path, message: error.message });
+          }
+        }
+
+        if (pushed.length > 0) {
+          await this._writeState(root, state);
+        }
+      }
+
+      const executionTime = Date.now() - startTime;
+
+      logger.debug(
+        `Folder pushed: ${root} -> ${state.folderUri} (${changes.length} change(s), ` +
+          `${conflicts.length} conflict(s), ${pushed.length} pushed, ${executionTime}ms)`
+      );
+
+      return new FolderPushResponse({
+        folderUri: state.folderUri,
+        localDirectory: root,
+        dryRun: request.dryRun,
+        changes,
+        conflicts,
+        unsupported,
+        failed,
+        pushed,
+        executionTime,
+        requestId: request.requestId,
+      });
+    } catch (error) {
+      this.errorHandler.logError(error, 'SyncService.pushFolder', { localDirectory: root });
+
+      if (error.name === 'MCPError') {
+        throw error;
+      }
+
+      throw this.errorHandler.mapHttpError(
+        error.statusCode || 500,
+        error.responseData || error.message,
+        `Failed to push directory: ${root}`
+      );
+    }
+  }
+
+  /**
+   * Write one resource, its local files and its descriptor to the local directory
+   * @private
+   * @returns {object} State entry of the resource
+   */
+  async _pullResource(root, folderUri, resource) {
+    const path = resource.uri.slice(folderUri.length + 1);
+    const { metadata: descriptor } = await this.resourceService.getResource({
+      resourceUri: resource.uri,
+    });
+    const entry = {
+      path,
+      type: resource.type,
+      version: descriptor.version,
+      updateDate: descriptor.updateDate,
+      label: descriptor.label,
+      description: descriptor.description || '',
+      files: {},
+    };
+
+    if (resource.type === SYNCED_TYPES.FOLDER) {
+      await mkdir(this._localPath(root, path), { recursive: true });
+    } else if (resource.type === SYNCED_TYPES.FILE) {
+      entry.files[path] = await this._pullFile(root, path, resource.uri, descriptor.type);
+    } else if (resource.type === SYNCED_TYPES.REPORT_UNIT) {
+      for (const { file, main } of this._findLocalFiles(resource.uri, descriptor)) {
+        const filePath = `${path}/${this._getName(file.uri)}`;
+        entry.files[filePath] = {
+          ...(await this._pullFile(root, filePath, file.uri, file.type)),
+          ...(main && { main }),
+        };
+      }
+    }
+
+    await this._writeDescriptor(root, entry, descriptor);
+    return entry;
+  }
+
+  /**
+   * Download a file resource to a local file
+   * @private
+   */
+  async _pullFile(root, path, uri, fileType) {
+    const { content } = await this.resourceService.getResourceContent(uri);
+    await this._writeLocalFile(root, path, content);
+    return { uri, fileType, hash: this._hash(content) };
+  }
+
+  /**
+   * Find the files stored inside a report unit; files it references elsewhere in the
+   * repository are left out
+   * @private
+   */
+  _findLocalFiles(reportUnitUri, descriptor) {
+    const prefix = `${reportUnitUri}_files/`;
+    const files = [
+      { file: descriptor.jrxml?.jrxmlFile, main: true },
+      ...(descriptor.resources?.resource || []).map(resource => ({
+        file: resource.file?.fileResource,
+        main: false,
+      })),
+    ];
+
+    return files.filter(({ file }) => file?.uri?.startsWith(prefix));
+  }
+
+  /**
+   * Delete the local files of resources that disappeared from the server since the last pull
+   * @private
+   */
+  async _removeStaleFiles(root, previous, state) {
+    const localPaths = entry => [
+      `${entry.path}${SYNC_CONSTANTS.DESCRIPTOR_SUFFIX}`,
+      ...Object.keys(entry.files),
+    ];
+    const current = new Set(Object.values(state.resources).flatMap(localPaths));
+    const stale = Object.values(previous.resources)
+      .flatMap(localPaths)
+      .filter(path => !current.has(path))
+      .sort();
+
+    for (const path of stale) {
+      await rm(this._localPath(root, path), { force: true });
+    }
+
+    // Directories of removed folders and report units go once they are empty, deepest first
+    const directories = Object.entries(previous.resources)
+      .filter(([uri, entry]) => !state.resources[uri] && entry.type !== SYNCED_TYPES.FILE)
+      .map(([, entry]) => entry.path)
+      .sort((a, b) => b.length - a.length);
+    for (const path of directories) {
+      await rmdir(this._localPath(root, path)).catch(() => {});
+    }
+
+    return stale;
+  }
+
+  /**
+   * Compare the local directory with the state of the last pull
+   * @private
+   * @returns {object} Changes to push, local changes that cannot be pushed and the local
+   *   descriptors of the changed resources
+   */
+  async _detectChanges(root, state) {
+    const unsupported = [];
+    const descriptors = new Map();
+    const tracked = new Set();
+    const updates = [];
+    const reportUnits = new Map();
+
+    for (const [uri, entry] of Object.entries(state.resources)) {
+      const change = {
+        uri,
+        type: entry.type,
+        action: SYNC_ACTIONS.UPDATE,
+        path: entry.path,
+        files: [],
+        metadata: [],
+      };
+
+      for (const [path, file] of Object.entries(entry.files)) {
+        tracked.add(path);
+        const content = await this._readLocalFile(root, path);
+        if (content === null) {
+          unsupported.push({
+            path,
+            reason: 'Deleted locally; delete resources with jasper_delete_resource',
+          });
+        } else if (this._hash(content) !== file.hash) {
+          change.files.push(path);
+        }
+      }
+
+      const descriptorPath = `${entry.path}${SYNC_CONSTANTS.DESCRIPTOR_SUFFIX}`;
+      tracked.add(descriptorPath);
+      const descriptor = await this._readDescriptor(root, descriptorPath, unsupported);
+      if (descriptor) {
+        descriptors.set(uri, descriptor);
+        const metadata = this._getMetadata(descriptor, entry);
+        const fields = Object.keys(metadata).filter(field => metadata[field] !== entry[field]);
+        if (Object.values(SYNCED_TYPES).includes(entry.type)) {
+          change.metadata = fields;
+        } else if (fields.length > 0) {
+          unsupported.push({
+            path: descriptorPath,
+            reason: `${entry.type} resources are not pushed from a local directory`,
+          });
+        }
+      }
+
+      updates.push(change);
+      if (entry.type === SYNCED_TYPES.REPORT_UNIT) {
+        reportUnits.set(entry.path, change);
+      }
+    }
+
+    const untracked = (await this._listLocalFiles(root)).filter(path => !tracked.has(path));
+
+    // New descriptors describe the resources to create at their path
+    const creations = new Map();
+    for (const descriptorPath of untracked.filter(path =>
+      path.endsWith(SYNC_CONSTANTS.DESCRIPTOR_SUFFIX)
+    )) {
+      const descriptor = await this._readDescriptor(root, descriptorPath, unsupported);
+      if (!descriptor) {
+        continue;
+      }
+
+      const path = descriptorPath.slice(0, -SYNC_CONSTANTS.DESCRIPTOR_SUFFIX.length);
+      if (!Object.values(SYNCED_TYPES).includes(descriptor.resourceType)) {
+        unsupported.push({
+          path: descriptorPath,
+          reason: 'New descriptors need a resourceType of folder, reportUnit or file',
+        });
+        continue;
+      }
+
+      const uri = `${state.folderUri}/${path}`;
+      descriptors.set(uri, descriptor);
+      creations.set(path, {
+        uri,
+        type: descriptor.resourceType,
+        action: SYNC_ACTIONS.CREATE,
+        path,
+        files: [],
+      });
+    }
+
+    // Other new files belong to a report unit or a described file, or are new file resources
+    for (const path of untracked.filter(path => !path.endsWith(SYNC_CONSTANTS.DESCRIPTOR_SUFFIX))) {
+      const directory = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+      const owner =
+        creations.get(path) ||
+        reportUnits.get(directory) ||
+        (creations.get(directory)?.type === SYNCED_TYPES.REPORT_UNIT
+          ? creations.get(directory)
+          : null);
+
+      if (owner) {
+        owner.files.push(path);
+      } else if (this._getFileType(path)) {
+        creations.set(path, {
+          uri: `${state.folderUri}/${path}`,
+          type: SYNCED_TYPES.FILE,
+          action: SYNC_ACTIONS.CREATE,
+          path,
+          files: [path],
+        });
+      } else {
+        unsupported.push({
+          path,
+          reason: `Unknown file type; describe it in ${this._getName(path)}${SYNC_CONSTANTS.DESCRIPTOR_SUFFIX}`,
+        });
+      }
+    }
+
+    for (const [path, change] of creations) {
+      if (change.type === SYNCED_TYPES.FILE && change.files.length === 0) {
+        unsupported.push({ path, reason: 'File descriptor without a local file' });
+        creations.delete(path);
+      }
+    }
+
+    const changes = [
+      ...updates.filter(change => change.files.length > 0 || change.metadata.length > 0),
+      ...creations.values(),
+    ].sort((a, b) => a.path.localeCompare(b.path));
+
+    return { changes, unsupported, descriptors };
+  }
+
+  /**
+   * Check whether the server copy of a changed resource moved on since the last pull
+   * @private
+   * @returns {object|null} Conflict, or null when the change can be pushed
+   */
+  async _findConflict(change, entry) {
+    let resource;
+    try {
+      ({ resource } = await this.resourceService.getResource({ resourceUri: change.uri }));
+    } catch (error) {
+      if (error.type !== MCP_ERROR_TYPES.RESOURCE_NOT_FOUND) {
+        throw error;
+      }
+      return change.action === SYNC_ACTIONS.UPDATE
+        ? {
+            uri: change.uri,
+            path: change.path,
+            reason: 'Deleted on the server since the last pull',
+          }
+        : null;
+    }
+
+    if (change.action === SYNC_ACTIONS.CREATE) {
+      return {
+        uri: change.uri,
+        path: change.path,
+        reason: 'Created on the server since the last pull',
+        serverUpdateDate: resource.updateDate,
+      };
+    }
+
+    if (resource.version !== entry.version || resource.updateDate !== entry.updateDate) {
+      return {
+        uri: change.uri,
+        path: change.path,
+        reason: 'Changed on the server since the last pull',
+        pulledVersion: entry.version,
+        serverVersion: resource.version,
+        serverUpdateDate: resource.updateDate,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Upload one local change. Files are uploaded one by one, so the datasource and input
+   * controls of a report unit are left as they are
+   * @private
+   */
+  async _pushChange(root, state, change, descriptor) {
+    const entry = state.resources[change.uri];
+    const metadata = this._getMetadata(descriptor, entry, this._getName(change.path));
+
+    if (change.action === SYNC_ACTIONS.CREATE && change.type === SYNCED_TYPES.FOLDER) {
+      await this.resourceService.uploadResource({
+        resourcePath: change.uri,
+        resourceType: SYNCED_TYPES.FOLDER,
+        ...metadata,
+      });
+      return;
+    }
+
+    if (change.action === SYNC_ACTIONS.CREATE && change.type === SYNCED_TYPES.REPORT_UNIT) {
+      await this._createReportUnit(root, change, descriptor, metadata);
+      return;
+    }
+
+    if (change.type === SYNCED_TYPES.FILE) {
+      // The descriptor of a file resource is uploaded with its content
+      await this._pushFile(root, change, change.path, {
+        ...metadata,
+        fileType: entry?.files[change.path]?.fileType || descriptor?.type,
+        createFolders: true,
+      });
+      return;
+    }
+
+    for (const path of change.files) {
+      await this._pushFile(root, change, path, {
+        label: this._getName(path),
+        fileType: entry.files[path]?.fileType,
+        createFolders: false,
+      });
+    }
+
+    if (change.metadata.length > 0) {
+      await this.resourceService.updateResource({ resourceUri: change.uri, ...metadata });
+    }
+  }
+
+  /**
+   * Upload a local file as a file resource, checking JRXML files offline first
+   * @private
+   */
+  async _pushFile(root, change, path, options) {
+    const content = await readFile(this._localPath(root, path));
+    const fileType = options.fileType || this._getFileType(path);
+
+    if (fileType === 'jrxml') {
+      this._validateJRXML(path, content.toString('utf8'));
+    }
+
+    await this.resourceService.uploadResource({
+      resourcePath: this._getFileUri(change, path),
+      label: options.label,
+      description: options.description,
+      resourceType: SYNCED_TYPES.FILE,
+      fileType,
+      content: content.toString('base64'),
+      overwrite: true,
+      createFolders: options.createFolders,
+    });
+  }
+
+  /**
+   * Create a report unit from a local directory holding its JRXML and local files
+   * @private
+   */
+  async _createReportUnit(root, change, descriptor, metadata) {
+    const mainPath = this._findMainJRXML(change);
+    if (!mainPath) {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `Report unit ${change.path} needs one .jrxml file, or a main.jrxml among several`,
+        { path: change.path }
+      );
+    }
+
+    const localResources = [];
+    for (const path of change.files.filter(path => path !== mainPath)) {
+      localResources.push({
+        name: this._getName(path),
+        type: this._getFileType(path),
+        content: (await readFile(this._localPath(root, path))).toString('base64'),
+      });
+    }
+
+    await this.resourceService.uploadResource({
+      resourcePath: change.uri,
+      ...metadata,
+      jrxmlContent: (await readFile(this._localPath(root, mainPath))).toString('utf8'),
+      dataSourceUri: descriptor.dataSource?.dataSourceReference?.uri,
+      localResources,
+      createFolders: true,
+    });
+  }
+
+  /**
+   * Local path of the main JRXML of a new report unit: its only JRXML file, or main.jrxml
+   * @private
+   */
+  _findMainJRXML(change) {
+    const jrxmlFiles = change.files.filter(path => path.endsWith('.jrxml'));
+    return jrxmlFiles.length === 1
+      ? jrxmlFiles[0]
+      : jrxmlFiles.find(path => path.endsWith('/main.jrxml'));
+  }
+
+  /**
+   * Record the server version and local file hashes of a pushed resource, and refresh its
+   * local descriptor
+   * @private
+   */
+  async _recordPush(root, state, change) {
+    const { metadata: descriptor } = await this.resourceService.getResource({
+      resourceUri: change.uri,
+    });
+    const entry = state.resources[change.uri] || {
+      path: change.path,
+      type: change.type,
+      files: {},
+    };
+    Object.assign(entry, {
+      version: descriptor.version,
+      updateDate: descriptor.updateDate,
+      label: descriptor.label,
+      description: descriptor.description || '',
+    });
+
+    // The server names the main JRXML of a new report unit itself
+    const mainPath =
+      change.action === SYNC_ACTIONS.CREATE && change.type === SYNCED_TYPES.REPORT_UNIT
+        ? this._findMainJRXML(change)
+        : null;
+    for (const path of change.files) {
+      const content = await readFile(this._localPath(root, path));
+      const isMain = path === mainPath && Boolean(descriptor.jrxml?.jrxmlFile?.uri);
+
+      entry.files[path] = {
+        ...entry.files[path],
+        uri: isMain ? descriptor.jrxml.jrxmlFile.uri : this._getFileUri(change, path, entry),
+        fileType: entry.files[path]?.fileType || this._getFileType(path) || descriptor.type,
+        hash: this._hash(content),
+        ...(isMain && { main: true }),
+      };
+    }
+
+    state.resources[change.uri] = entry;
+    await this._writeDescriptor(root, entry, descriptor);
+  }
+
+  /**
+   * Repository URI of a local file: the file resource itself, or a file stored inside a
+   * report unit
+   * @private
+   */
+  _getFileUri(change, path, entry = null) {
+    if (change.type === SYNCED_TYPES.FILE) {
+      return change.uri;
+    }
+    return entry?.files[path]?.uri || `${change.uri}_files/${this._getName(path)}`;
+  }
+
+  /**
+   * Label and description of a resource, taken from its local descriptor
+   * @private
+   */
+  _getMetadata(descriptor, entry, name = null) {
+    return {
+      label: descriptor?.label || entry?.label || name,
+      description: descriptor?.description || '',
+    };
+  }
+
+  /**
+   * Check a JRXML file offline before it is uploaded
+   * @private
+   */
+  _validateJRXML(path, jrxmlContent) {
+    const { errors } = this.jrxmlValidator.validate(jrxmlContent);
+    if (errors.length > 0) {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `JRXML validation failed with ${errors.length} error(s): ${errors
+          .map(finding => `Line ${finding.line}: ${finding.message}`)
+          .join('; ')}`,
+        { path, errors }
+      );
+    }
+  }
+
+  /**
+   * List the files below a local directory as slash-separated relative paths, skipping
+   * the sync state file and other dotfiles such as .git
+   * @private
+   */
+  async _listLocalFiles(root, directory = root, files = []) {
+    const entries = await readdir(directory, { withFileTypes: true }).catch(error => {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    });
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const localPath = join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await this._listLocalFiles(root, localPath, files);
+      } else if (entry.isFile()) {
+        files.push(relative(root, localPath).split(sep).join('/'));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Resolve the local directory of a request inside the configured sync root. Relative
+   * directories are resolved against the sync root.
+   * @private
+   */
+  _getRoot(localDirectory) {
+    if (!this.config.syncRoot) {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_REQUEST,
+        'Folder sync is disabled; set JASPER_SYNC_ROOT to the directory it may use',
+        { field: 'localDirectory' }
+      );
+    }
+    return this._resolveInside(resolve(this.config.syncRoot), localDirectory);
+  }
+
+  /**
+   * Resolve a slash-separated relative path inside the local directory
+   * @private
+   */
+  _localPath(root, path) {
+    return this._resolveInside(root, path.split('/').join(sep));
+  }
+
+  /**
+   * Resolve a path against a directory, rejecting paths outside of it
+   * @private
+   */
+  _resolveInside(root, path) {
+    const localPath = resolve(root, path);
+    if (localPath !== root && !localPath.startsWith(root.endsWith(sep) ? root : `${root}${sep}`)) {
+      throw new MCPError(MCP_ERROR_TYPES.INVALID_REQUEST, `Path ${path} is outside of ${root}`, {
+        path,
+      });
+    }
+    return localPath;
+  }
+
+  /**
+   * Read a local file, or null when it does not exist
+   * @private
+   */
+  async _readLocalFile(root, path) {
+    try {
+      return await readFile(this._localPath(root, path));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write a local file, creating its directory
+   * @private
+   */
+  async _writeLocalFile(root, path, content) {
+    const localPath = this._localPath(root, path);
+    await mkdir(dirname(localPath), { recursive: true });
+    await writeFile(localPath, content);
+  }
+
+  /**
+   * Read a local descriptor, recording descriptors that are not valid JSON
+   * @private
+   */
+  async _readDescriptor(root, path, unsupported) {
+    const content = await this._readLocalFile(root, path);
+    if (content === null) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      unsupported.push({ path, reason: `Invalid JSON: ${error.message}` });
+      return null;
+    }
+  }
+
+  /**
+   * Write the descriptor of a resource beside it, with the resource type it lacks
+   * @private
+   */
+  async _writeDescriptor(root, entry, descriptor) {
+    await this._writeLocalFile(
+      root,
+      `${entry.path}${SYNC_CONSTANTS.DESCRIPTOR_SUFFIX}`,
+      `${JSON.stringify({ resourceType: entry.type, ...descriptor }, null, 2)}\n`
+    );
+  }
+
+  /**
+   * Read the sync state of a local directory, or null when nothing was pulled into it
+   * @private
+   */
+  async _readState(root) {
+    const content = await this._readLocalFile(root, SYNC_CONSTANTS.STATE_FILE);
+    return content === null ? null : JSON.parse(content.toString('utf8'));
+  }
+
+  /**
+   * Write the sync state of a local directory
+   * @private
+   */
+  async _writeState(root, state) {
+    await this._writeLocalFile(
+      root,
+      SYNC_CONSTANTS.STATE_FILE,
+      `${JSON.stringify(state, null, 2)}\n`
+    );
+  }
+
+  /**
+   * @private
+   */
+  _getFileType(path) {
+    return EXTENSION_TYPES[path.split('.').pop().toLowerCase()];
+  }
+
+  /**
+   * @private
+   */
+  _getName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+  }
+
+  /**
+   * @private
+   */
+  _hash(content) {
+    return createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Dispose of the service
+   */
+  dispose() {
+    this.resourceService.dispose();
+    logger.debug('Service disposed');
+  }
+}
+
+export default SyncService;
+export { SyncService, SYNC_ACTIONS, SYNC_CONSTANTS };
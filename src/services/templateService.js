@@ -6,6 +6,8 @@
  * - Datasource structure and validation information
  *
  * Features:
+ * - Compile declarative JSON report specs to JRXML
+ * - Validate JRXML offline with line-numbered findings
  * - Generate structured JRXML templates for different report types
  * - Provide datasource structure definitions with validation rules
  * - Include examples and best practices for AI agents
@@ -14,6 +16,18 @@
 
 import { getConfiguration } from '../config/environment.js';
 import { ErrorHandler } from '../utils/errorHandler.js';
+import { createLogger } from '../utils/logger.js';
+import ReportSpecCompiler, { PAGE_FORMATS, toJavaString } from '../utils/reportSpecCompiler.js';
+import JRXMLValidator from '../utils/jrxmlValidator.js';
+import JRXMLLinter from '../utils/jrxmlLinter.js';
+
+const logger = createLogger('Template Service');
+
+/**
+ * Java identifier a result column name must be to become a field name; fields are
+ * matched to result columns by name, so other names need an alias in the query
+ */
+const FIELD_NAME_PATTERN = /^[\p{L}_$][\p{L}\p{N}_$]*$/u;
 
 /**
  * Template types supported
@@ -39,13 +53,29 @@ const DATASOURCE_TYPES = {
 };
 
 /**
- * Page format configurations
+ * JRXML field classes for SQL column types
  */
-const PAGE_FORMATS = {
-  A4: { width: 595, height: 842 },
-  Letter: { width: 612, height: 792 },
-  Legal: { width: 612, height: 1008 },
-  A3: { width: 842, height: 1191 },
+const SQL_TYPE_CLASSES = {
+  CHAR: 'java.lang.String',
+  VARCHAR: 'java.lang.String',
+  NVARCHAR: 'java.lang.String',
+  TEXT: 'java.lang.String',
+  CLOB: 'java.lang.String',
+  BOOLEAN: 'java.lang.Boolean',
+  BIT: 'java.lang.Boolean',
+  TINYINT: 'java.lang.Byte',
+  SMALLINT: 'java.lang.Short',
+  INTEGER: 'java.lang.Integer',
+  INT: 'java.lang.Integer',
+  BIGINT: 'java.lang.Long',
+  REAL: 'java.lang.Float',
+  FLOAT: 'java.lang.Double',
+  DOUBLE: 'java.lang.Double',
+  DECIMAL: 'java.math.BigDecimal',
+  NUMERIC: 'java.math.BigDecimal',
+  DATE: 'java.sql.Date',
+  TIME: 'java.sql.Time',
+  TIMESTAMP: 'java.sql.Timestamp',
 };
 
 /**
@@ -55,10 +85,11 @@ class TemplateService {
   constructor(config = null) {
     this.config = config || getConfiguration();
     this.errorHandler = new ErrorHandler(this.config);
+    this.compiler = new ReportSpecCompiler();
+    this.jrxmlValidator = new JRXMLValidator();
+    this.jrxmlLinter = new JRXMLLinter();
 
-    if (this.config.debugMode) {
-      console.log('[TemplateService] Initialized template service');
-    }
+    logger.debug('Initialized template service');
   }
 
   /**
@@ -76,19 +107,16 @@ class TemplateService {
         orientation = 'portrait',
       } = params;
 
-      if (this.config.debugMode) {
-        console.log(`[TemplateService] Generating ${templateType} JRXML template`);
-      }
-
-      // Get page dimensions
-      const pageDimensions = this._getPageDimensions(pageFormat, orientation);
+      logger.debug(`Generating ${templateType} JRXML template`);
 
-      // Generate JRXML content based on template type
-      const jrxmlContent = this._generateJRXMLContent(templateType, {
-        ...pageDimensions,
+      // Templates are report specs compiled like any other spec
+      const spec = this._getTemplateSpec(templateType, {
         includeParameters,
         includeFields,
+        pageFormat,
+        orientation,
       });
+      const { jrxmlContent } = this.compiler.compile(spec);
 
       // Convert to base64
       const base64Content = Buffer.from(jrxmlContent, 'utf8').toString('base64');
@@ -96,16 +124,13 @@ class TemplateService {
       // Generate structure information
       const structure = this._getTemplateStructure(templateType);
 
-      // Generate sample parameters and fields
-      const sampleParameters = includeParameters ? this._getSampleParameters(templateType) : [];
-      const sampleFields = includeFields ? this._getSampleFields(templateType) : [];
-
       return {
         jrxmlContent,
         base64Content,
+        spec,
         structure,
-        sampleParameters,
-        sampleFields,
+        sampleParameters: this._getSampleParameters(spec),
+        sampleFields: this._getSampleFields(spec),
         usage: this._getUsageInstructions(templateType),
         validationNotes: this._getValidationNotes(),
       };
@@ -133,9 +158,7 @@ class TemplateService {
         databaseType = 'generic',
       } = params;
 
-      if (this.config.debugMode) {
-        console.log(`[TemplateService] Getting ${datasourceType} datasource structure`);
-      }
+      logger.debug(`Getting ${datasourceType} datasource structure`);
 
       // Get structure based on datasource type
       const structure = this._getDatasourceStructureByType(datasourceType, databaseType);
@@ -168,155 +191,291 @@ class TemplateService {
   }
 
   /**
-   * Get page dimensions based on format and orientation
-   * @private
+   * Generate a tabular JRXML report for the result columns of a SQL query
+   * @param {object} params - Query, result columns and layout options
+   * @returns {object} Generated report information
    */
-  _getPageDimensions(pageFormat, orientation) {
-    const format = PAGE_FORMATS[pageFormat] || PAGE_FORMATS.A4;
+  async generateQueryReport(params = {}) {
+    try {
+      const {
+        query,
+        columns = [],
+        reportName = 'QueryReport',
+        title = 'Query Report',
+        pageFormat = 'A4',
+        orientation = 'portrait',
+      } = params;
+
+      logger.debug(`Generating query report with ${columns.length} columns`);
+
+      const invalidNames = columns
+        .map(column => column.name)
+        .filter(name => !FIELD_NAME_PATTERN.test(name || ''));
+      if (invalidNames.length > 0) {
+        throw this.errorHandler.createValidationError(
+          'query',
+          `Result column(s) ${invalidNames.map(name => `'${name}'`).join(', ')} cannot be report field names; alias them in the query, e.g. SELECT count(*) AS order_count`,
+          invalidNames,
+          'java_identifier'
+        );
+      }
+
+      const fields = columns.map(column => ({
+        name: column.name,
+        class: this._getFieldClass(column),
+        label:
+          column.label && column.label !== column.name ? column.label : this._toLabel(column.name),
+      }));
+
+      const { jrxmlContent } = this.compiler.compile({
+        name: reportName.replace(/[^a-zA-Z0-9_]/g, '_'),
+        titleExpression: '$P{ReportTitle}',
+        page: { format: pageFormat, orientation },
+        query,
+        parameters: [
+          {
+            name: 'ReportTitle',
+            class: 'java.lang.String',
+            defaultValue: toJavaString(title),
+          },
+        ],
+        fields: fields.map(field => ({ name: field.name, class: field.class })),
+        columns: fields.map(field => ({ field: field.name, header: field.label })),
+      });
 
-    if (orientation === 'landscape') {
-      return {
-        pageWidth: format.height,
-        pageHeight: format.width,
-        columnWidth: format.height - 40, // 20px margins on each side
-        leftMargin: 20,
-        rightMargin: 20,
-        topMargin: 20,
-        bottomMargin: 20,
-      };
-    } else {
       return {
-        pageWidth: format.width,
-        pageHeight: format.height,
-        columnWidth: format.width - 40, // 20px margins on each side
-        leftMargin: 20,
-        rightMargin: 20,
-        topMargin: 20,
-        bottomMargin: 20,
+        jrxmlContent,
+        base64Content: Buffer.from(jrxmlContent, 'utf8').toString('base64'),
+        fields,
       };
+    } catch (error) {
+      const mappedError = this.errorHandler.mapToMCPError(
+        error,
+        'TemplateService:generateQueryReport'
+      );
+      this.errorHandler.logError(mappedError, 'TemplateService:generateQueryReport');
+      throw mappedError;
     }
   }
 
   /**
-   * Generate JRXML content based on template type
-   * @private
+   * Compile a declarative report spec to JRXML
+   * @param {object} params - Parameters with the report spec
+   * @returns {object} JRXML content, computed layout and generated variables
    */
-  _generateJRXMLContent(templateType, options) {
-    const {
-      pageWidth,
-      pageHeight,
-      columnWidth,
-      leftMargin,
-      rightMargin,
-      topMargin,
-      bottomMargin,
-      includeParameters,
-      includeFields,
-    } = options;
+  async compileReportSpec(params = {}) {
+    try {
+      const { spec = {} } = params;
 
-    let jrxml = `<?xml version="1.0" encoding="UTF-8"?>
-<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" 
-              xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" 
-              xsi:schemaLocation="http://jasperreports.sourceforge.net/jasperreports http://jasperreports.sourceforge.net/xsd/jasperreport.xsd" 
-              name="${templateType}Report" 
-              pageWidth="${pageWidth}" 
-              pageHeight="${pageHeight}" 
-              columnWidth="${columnWidth}" 
-              leftMargin="${leftMargin}" 
-              rightMargin="${rightMargin}" 
-              topMargin="${topMargin}" 
-              bottomMargin="${bottomMargin}">`;
-
-    // Add parameters if requested
-    if (includeParameters) {
-      jrxml += this._getParametersSection(templateType);
+      logger.debug(`Compiling report spec ${spec.name}`);
+
+      const { jrxmlContent, layout, variables } = this.compiler.compile(spec);
+
+      return {
+        reportName: spec.name,
+        jrxmlContent,
+        base64Content: Buffer.from(jrxmlContent, 'utf8').toString('base64'),
+        layout,
+        variables,
+      };
+    } catch (error) {
+      const mappedError = this.errorHandler.mapToMCPError(
+        error,
+        'TemplateService:compileReportSpec'
+      );
+      this.errorHandler.logError(mappedError, 'TemplateService:compileReportSpec');
+      throw mappedError;
     }
+  }
+
+  /**
+   * Validate JRXML offline, without contacting the server
+   * @param {object} params - Parameters with the JRXML content and optional resource bundle
+   * @returns {object} Validation result with line-numbered errors and warnings
+   */
+  async validateJRXML(params = {}) {
+    try {
+      const { jrxmlContent, resourceBundle } = params;
 
-    // Add query string
-    jrxml += `
-  <queryString>
-    <![CDATA[${this._getQueryString(templateType)}]]>
-  </queryString>`;
+      logger.debug('Validating JRXML content');
 
-    // Add fields if requested
-    if (includeFields) {
-      jrxml += this._getFieldsSection(templateType);
+      return this.jrxmlValidator.validate(jrxmlContent, {
+        resourceBundles: resourceBundle ? [resourceBundle] : [],
+      });
+    } catch (error) {
+      const mappedError = this.errorHandler.mapToMCPError(error, 'TemplateService:validateJRXML');
+      this.errorHandler.logError(mappedError, 'TemplateService:validateJRXML');
+      throw mappedError;
     }
+  }
 
-    // Add bands based on template type
-    jrxml += this._getBandsSection(templateType, columnWidth);
+  /**
+   * Lint the layout of JRXML offline, optionally fixing what can be fixed
+   * @param {object} params - Parameters with the JRXML content, fix flag and rules to run
+   * @returns {object} Line-numbered findings; with fix, the fixed content and its changes
+   */
+  async lintJRXML(params = {}) {
+    try {
+      const { jrxmlContent, fix = false, rules } = params;
 
-    jrxml += `
-</jasperReport>`;
+      logger.debug(`Linting JRXML content${fix ? ' with fixes' : ''}`);
 
-    return jrxml;
+      return fix
+        ? this.jrxmlLinter.fix(jrxmlContent, { rules })
+        : this.jrxmlLinter.lint(jrxmlContent, { rules });
+    } catch (error) {
+      const mappedError = this.errorHandler.mapToMCPError(error, 'TemplateService:lintJRXML');
+      this.errorHandler.logError(mappedError, 'TemplateService:lintJRXML');
+      throw mappedError;
+    }
   }
 
   /**
-   * Get parameters section for JRXML
+   * Get the report spec of a template type
    * @private
    */
-  _getParametersSection(templateType) {
-    const commonParams = `
-  <parameter name="ReportTitle" class="java.lang.String">
-    <defaultValueExpression><![CDATA["Sample Report"]]></defaultValueExpression>
-  </parameter>
-  <parameter name="StartDate" class="java.util.Date">
-    <defaultValueExpression><![CDATA[new java.util.Date()]]></defaultValueExpression>
-  </parameter>
-  <parameter name="EndDate" class="java.util.Date">
-    <defaultValueExpression><![CDATA[new java.util.Date()]]></defaultValueExpression>
-  </parameter>`;
+  _getTemplateSpec(templateType, options = {}) {
+    const {
+      includeParameters = true,
+      includeFields = true,
+      pageFormat = 'A4',
+      orientation = 'portrait',
+    } = options;
+
+    const spec = {
+      name: `${templateType}Report`.replace(/[^a-zA-Z0-9_]/g, '_'),
+      page: { format: PAGE_FORMATS[pageFormat] ? pageFormat : 'A4', orientation },
+      query: this._getSampleQuery(templateType, includeParameters),
+    };
+
+    if (includeParameters) {
+      spec.titleExpression = '$P{ReportTitle}';
+      spec.parameters = [
+        { name: 'ReportTitle', class: 'java.lang.String', defaultValue: '"Sample Report"' },
+        { name: 'StartDate', class: 'java.util.Date', defaultValue: 'new java.util.Date()' },
+        { name: 'EndDate', class: 'java.util.Date', defaultValue: 'new java.util.Date()' },
+      ];
+
+      if (templateType === TEMPLATE_TYPES.TABULAR) {
+        spec.parameters.push({ name: 'MaxRows', class: 'java.lang.Integer', defaultValue: '100' });
+      } else if (templateType === TEMPLATE_TYPES.CHART) {
+        spec.parameters.push({
+          name: 'ChartTitle',
+          class: 'java.lang.String',
+          defaultValue: '"Chart Title"',
+        });
+      }
+    } else {
+      spec.title = 'Sample Report';
+    }
+
+    if (!includeFields) {
+      return spec;
+    }
 
     switch (templateType) {
       case TEMPLATE_TYPES.TABULAR:
-        return (
-          commonParams +
-          `
-  <parameter name="MaxRows" class="java.lang.Integer">
-    <defaultValueExpression><![CDATA[100]]></defaultValueExpression>
-  </parameter>`
-        );
+        spec.fields = [
+          { name: 'id', class: 'java.lang.Integer' },
+          { name: 'name', class: 'java.lang.String' },
+          { name: 'email', class: 'java.lang.String' },
+          { name: 'created_date', class: 'java.util.Date' },
+          { name: 'status', class: 'java.lang.String' },
+        ];
+        spec.columns = [
+          { field: 'id', header: 'ID', width: 50 },
+          { field: 'name', header: 'Name', width: 150 },
+          { field: 'email', header: 'Email', width: 200 },
+          { field: 'created_date', header: 'Created Date', width: 100 },
+          { field: 'status', header: 'Status' },
+        ];
+        break;
       case TEMPLATE_TYPES.CHART:
-        return (
-          commonParams +
-          `
-  <parameter name="ChartTitle" class="java.lang.String">
-    <defaultValueExpression><![CDATA["Chart Title"]]></defaultValueExpression>
-  </parameter>`
-        );
+        spec.fields = [
+          { name: 'category', class: 'java.lang.String' },
+          { name: 'count', class: 'java.lang.Integer' },
+          { name: 'total_amount', class: 'java.math.BigDecimal' },
+        ];
+        spec.charts = [
+          {
+            type: 'pie',
+            category: 'category',
+            value: 'total_amount',
+            ...(includeParameters
+              ? { titleExpression: '$P{ChartTitle}' }
+              : { title: 'Chart Title' }),
+          },
+        ];
+        break;
+      case TEMPLATE_TYPES.MASTER_DETAIL:
+        spec.fields = [
+          { name: 'order_id', class: 'java.lang.Integer' },
+          { name: 'order_date', class: 'java.util.Date' },
+          { name: 'customer_name', class: 'java.lang.String' },
+          { name: 'product_name', class: 'java.lang.String' },
+          { name: 'quantity', class: 'java.lang.Integer' },
+          { name: 'unit_price', class: 'java.math.BigDecimal' },
+        ];
+        spec.groups = [
+          {
+            name: 'OrderGroup',
+            expression: 'order_id',
+            header: { label: 'Order' },
+            footerLabel: 'Order Total',
+          },
+        ];
+        spec.columns = [
+          { field: 'order_date', header: 'Order Date' },
+          { field: 'customer_name', header: 'Customer' },
+          { field: 'product_name', header: 'Product', width: 155 },
+          { field: 'quantity', header: 'Quantity', total: 'Sum' },
+          { field: 'unit_price', header: 'Unit Price' },
+        ];
+        break;
       default:
-        return commonParams;
+        spec.fields = [
+          { name: 'sample_field', class: 'java.lang.String' },
+          { name: 'sample_number', class: 'java.lang.Integer' },
+          { name: 'sample_date', class: 'java.util.Date' },
+        ];
+        spec.columns = [
+          { field: 'sample_field', header: 'Sample Field', width: 200 },
+          { field: 'sample_number', header: 'Sample Number', width: 100 },
+          { field: 'sample_date', header: 'Sample Date', width: 100 },
+        ];
     }
+
+    return spec;
   }
 
   /**
-   * Get query string based on template type
+   * Get the sample query of a template type; date filters need the date parameters
    * @private
    */
-  _getQueryString(templateType) {
+  _getSampleQuery(templateType, includeParameters) {
+    const where = column =>
+      includeParameters ? `\nWHERE ${column} BETWEEN $P{StartDate} AND $P{EndDate}` : '';
+
     switch (templateType) {
       case TEMPLATE_TYPES.TABULAR:
-        return `SELECT 
+        return `SELECT
     id,
     name,
     email,
     created_date,
     status
-FROM users 
-WHERE created_date BETWEEN $P{StartDate} AND $P{EndDate}
+FROM users${where('created_date')}
 ORDER BY created_date DESC`;
       case TEMPLATE_TYPES.CHART:
-        return `SELECT 
+        return `SELECT
     category,
     COUNT(*) as count,
     SUM(amount) as total_amount
-FROM sales_data 
-WHERE sale_date BETWEEN $P{StartDate} AND $P{EndDate}
+FROM sales_data${where('sale_date')}
 GROUP BY category
 ORDER BY total_amount DESC`;
       case TEMPLATE_TYPES.MASTER_DETAIL:
-        return `SELECT 
+        return `SELECT
     o.order_id,
     o.order_date,
     o.customer_name,
@@ -324,11 +483,10 @@ ORDER BY total_amount DESC`;
     oi.quantity,
     oi.unit_price
 FROM orders o
-JOIN order_items oi ON o.order_id = oi.order_id
-WHERE o.order_date BETWEEN $P{StartDate} AND $P{EndDate}
+JOIN order_items oi ON o.order_id = oi.order_id${where('o.order_date')}
 ORDER BY o.order_date, o.order_id`;
       default:
-        return `SELECT 
+        return `SELECT
     'Sample Data' as sample_field,
     1 as sample_number,
     CURRENT_DATE as sample_date`;
@@ -336,174 +494,31 @@ ORDER BY o.order_date, o.order_id`;
   }
 
   /**
-   * Get fields section for JRXML
+   * Get the JRXML field class for a query result column
    * @private
    */
-  _getFieldsSection(templateType) {
-    switch (templateType) {
-      case TEMPLATE_TYPES.TABULAR:
-        return `
-  <field name="id" class="java.lang.Integer"/>
-  <field name="name" class="java.lang.String"/>
-  <field name="email" class="java.lang.String"/>
-  <field name="created_date" class="java.util.Date"/>
-  <field name="status" class="java.lang.String"/>`;
-      case TEMPLATE_TYPES.CHART:
-        return `
-  <field name="category" class="java.lang.String"/>
-  <field name="count" class="java.lang.Integer"/>
-  <field name="total_amount" class="java.math.BigDecimal"/>`;
-      case TEMPLATE_TYPES.MASTER_DETAIL:
-        return `
-  <field name="order_id" class="java.lang.Integer"/>
-  <field name="order_date" class="java.util.Date"/>
-  <field name="customer_name" class="java.lang.String"/>
-  <field name="product_name" class="java.lang.String"/>
-  <field name="quantity" class="java.lang.Integer"/>
-  <field name="unit_price" class="java.math.BigDecimal"/>`;
-      default:
-        return `
-  <field name="sample_field" class="java.lang.String"/>
-  <field name="sample_number" class="java.lang.Integer"/>
-  <field name="sample_date" class="java.util.Date"/>`;
+  _getFieldClass(column) {
+    const javaType =
+      column.javaType || column.className || (/^java\./.test(column.type) ? column.type : null);
+    if (javaType) {
+      return javaType;
     }
+
+    const sqlType = (column.sqlType || column.type || '').toUpperCase().replace(/\(.*$/, '');
+    return SQL_TYPE_CLASSES[sqlType] || 'java.lang.String';
   }
 
   /**
-   * Get bands section for JRXML
+   * Turn a column name such as order_date or orderDate into a header label
    * @private
    */
-  _getBandsSection(templateType, columnWidth) {
-    let bands = `
-  <title>
-    <band height="60">
-      <staticText>
-        <reportElement x="0" y="0" width="${columnWidth}" height="30"/>
-        <textElement textAlignment="Center">
-          <font size="18" isBold="true"/>
-        </textElement>
-        <text><![CDATA[$P{ReportTitle}]]></text>
-      </staticText>
-      <textField>
-        <reportElement x="0" y="30" width="${columnWidth}" height="20"/>
-        <textElement textAlignment="Center"/>
-        <textFieldExpression><![CDATA["Generated on: " + new java.text.SimpleDateFormat("yyyy-MM-dd HH:mm:ss").format(new java.util.Date())]]></textFieldExpression>
-      </textField>
-    </band>
-  </title>`;
-
-    switch (templateType) {
-      case TEMPLATE_TYPES.TABULAR:
-        bands += `
-  <columnHeader>
-    <band height="30">
-      <staticText>
-        <reportElement x="0" y="0" width="50" height="20"/>
-        <textElement><font isBold="true"/></textElement>
-        <text><![CDATA[ID]]></text>
-      </staticText>
-      <staticText>
-        <reportElement x="50" y="0" width="150" height="20"/>
-        <textElement><font isBold="true"/></textElement>
-        <text><![CDATA[Name]]></text>
-      </staticText>
-      <staticText>
-        <reportElement x="200" y="0" width="200" height="20"/>
-        <textElement><font isBold="true"/></textElement>
-        <text><![CDATA[Email]]></text>
-      </staticText>
-      <staticText>
-        <reportElement x="400" y="0" width="100" height="20"/>
-        <textElement><font isBold="true"/></textElement>
-        <text><![CDATA[Created Date]]></text>
-      </staticText>
-      <staticText>
-        <reportElement x="500" y="0" width="55" height="20"/>
-        <textElement><font isBold="true"/></textElement>
-        <text><![CDATA[Status]]></text>
-      </staticText>
-    </band>
-  </columnHeader>
-  <detail>
-    <band height="25">
-      <textField>
-        <reportElement x="0" y="0" width="50" height="20"/>
-        <textFieldExpression><![CDATA[$F{id}]]></textFieldExpression>
-      </textField>
-      <textField>
-        <reportElement x="50" y="0" width="150" height="20"/>
-        <textFieldExpression><![CDATA[$F{name}]]></textFieldExpression>
-      </textField>
-      <textField>
-        <reportElement x="200" y="0" width="200" height="20"/>
-        <textFieldExpression><![CDATA[$F{email}]]></textFieldExpression>
-      </textField>
-      <textField pattern="yyyy-MM-dd">
-        <reportElement x="400" y="0" width="100" height="20"/>
-        <textFieldExpression><![CDATA[$F{created_date}]]></textFieldExpression>
-      </textField>
-      <textField>
-        <reportElement x="500" y="0" width="55" height="20"/>
-        <textFieldExpression><![CDATA[$F{status}]]></textFieldExpression>
-      </textField>
-    </band>
-  </detail>`;
-        break;
-      case TEMPLATE_TYPES.CHART:
-        bands += `
-  <summary>
-    <band height="400">
-      <pieChart>
-        <chart>
-          <reportElement x="0" y="0" width="${columnWidth}" height="400"/>
-          <chartTitle>
-            <titleExpression><![CDATA[$P{ChartTitle}]]></titleExpression>
-          </chartTitle>
-        </chart>
-        <pieDataset>
-          <keyExpression><![CDATA[$F{category}]]></keyExpression>
-          <valueExpression><![CDATA[$F{total_amount}]]></valueExpression>
-        </pieDataset>
-      </pieChart>
-    </band>
-  </summary>`;
-        break;
-      default:
-        bands += `
-  <detail>
-    <band height="30">
-      <textField>
-        <reportElement x="0" y="0" width="200" height="20"/>
-        <textFieldExpression><![CDATA[$F{sample_field}]]></textFieldExpression>
-      </textField>
-      <textField>
-        <reportElement x="200" y="0" width="100" height="20"/>
-        <textFieldExpression><![CDATA[$F{sample_number}]]></textFieldExpression>
-      </textField>
-      <textField pattern="yyyy-MM-dd">
-        <reportElement x="300" y="0" width="100" height="20"/>
-        <textFieldExpression><![CDATA[$F{sample_date}]]></textFieldExpression>
-      </textField>
-    </band>
-  </detail>`;
-    }
-
-    bands += `
-  <pageFooter>
-    <band height="20">
-      <textField>
-        <reportElement x="0" y="0" width="100" height="20"/>
-        <textFieldExpression><![CDATA["Page " + $V{PAGE_NUMBER}]]></textFieldExpression>
-      </textField>
-      <textField evaluationTime="Report">
-        <reportElement x="${columnWidth - 100}" y="0" width="100" height="20"/>
-        <textElement textAlignment="Right"/>
-        <textFieldExpression><![CDATA[" of " + $V{PAGE_NUMBER}]]></textFieldExpression>
-      </textField>
-    </band>
-  </pageFooter>`;
-
-    return bands;
+  _toLabel(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .split(/[_\s]+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
   }
 
   /**
@@ -568,68 +583,23 @@ ORDER BY o.order_date, o.order_id`;
   }
 
   /**
-   * Get sample parameters for template type
+   * Get sample parameters from a template spec
    * @private
    */
-  _getSampleParameters(templateType) {
-    const commonParams = [
-      { name: 'ReportTitle', type: 'java.lang.String', defaultValue: 'Sample Report' },
-      { name: 'StartDate', type: 'java.util.Date', defaultValue: 'new java.util.Date()' },
-      { name: 'EndDate', type: 'java.util.Date', defaultValue: 'new java.util.Date()' },
-    ];
-
-    switch (templateType) {
-      case TEMPLATE_TYPES.TABULAR:
-        return [
-          ...commonParams,
-          { name: 'MaxRows', type: 'java.lang.Integer', defaultValue: '100' },
-        ];
-      case TEMPLATE_TYPES.CHART:
-        return [
-          ...commonParams,
-          { name: 'ChartTitle', type: 'java.lang.String', defaultValue: 'Chart Title' },
-        ];
-      default:
-        return commonParams;
-    }
+  _getSampleParameters(spec) {
+    return (spec.parameters || []).map(parameter => ({
+      name: parameter.name,
+      type: parameter.class,
+      defaultValue: parameter.defaultValue,
+    }));
   }
 
   /**
-   * Get sample fields for template type
+   * Get sample fields from a template spec
    * @private
    */
-  _getSampleFields(templateType) {
-    switch (templateType) {
-      case TEMPLATE_TYPES.TABULAR:
-        return [
-          { name: 'id', type: 'java.lang.Integer' },
-          { name: 'name', type: 'java.lang.String' },
-          { name: 'email', type: 'java.lang.String' },
-          { name: 'created_date', type: 'java.util.Date' },
-          { name: 'status', type: 'java.lang.String' },
-        ];
-      case TEMPLATE_TYPES.CHART:
-        return [
-          { name: 'category', type: 'java.lang.String' },
-          { name: 'count', type: 'java.lang.Integer' },
-          { name: 'total_amount', type: 'java.math.BigDecimal' },
-        ];
-      case TEMPLATE_TYPES.MASTER_DETAIL:
-        return [
-          { name: 'order_id', type: 'java.lang.Integer' },
-          { name: 'order_date', type: 'java.util.Date' },
-          { name: 'customer_name', type: 'java.lang.String' },
-          { name: 'product_name', type: 'java.lang.String' },
-          { name: 'quantity', type: 'java.lang.Integer' },
-          { name: 'unit_price', type: 'java.math.BigDecimal' },
-        ];
-      default:
-        return [
-          { name: 'sample_field', type: 'java.lang.String' },
-          { name: 'sample_number', type: 'java.lang.Integer' },
-          { name: 'sample_date', type: 'java.util.Date' },
-        ];
-    }
+  _getSampleFields(spec) {
+    return (spec.fields || []).map(field => ({ name: field.name, type: field.class }));
   }
 
   /**
@@ -30,6 +30,9 @@ import {
   UserInfo,
   RoleInfo,
 } from '../models/responses.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('User Service');
 
 /**
  * User states supported by JasperReports Server
@@ -85,9 +88,7 @@ class UserService {
 
       this.initialized = true;
 
-      if (this.config.debugMode) {
-        console.log('[User Service] Service initialized successfully');
-      }
+      logger.debug('Service initialized successfully');
     } catch (error) {
       this.errorHandler.logError(error, 'UserService.initialize');
       throw this.errorHandler.mapJasperError(error, 'Failed to initialize user service');
@@ -138,11 +139,7 @@ class UserService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[User Service] User created successfully: ${request.username} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`User created successfully: ${request.username} (${executionTime}ms)`);
 
       return new UserCreateResponse({
         username: request.username,
@@ -198,9 +195,7 @@ class UserService {
       const users = await this._processUserList(response.data, request.includeRoles);
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(`[User Service] Listed ${users.length} users (${executionTime}ms)`);
-      }
+      logger.debug(`Listed ${users.length} users (${executionTime}ms)`);
 
       return new UserListResponse({
         users,
@@ -269,20 +264,14 @@ class UserService {
           }
         } catch (roleError) {
           // Role retrieval is optional, log but don't fail
-          if (this.config.debugMode) {
-            console.log(
-              `[User Service] Could not retrieve roles for ${username}: ${roleError.message}`
-            );
-          }
+          logger.debug(`Could not retrieve roles for ${username}: ${roleError.message}`);
         }
       }
 
       const user = this._processUserData(userResponse.data, roles);
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(`[User Service] Retrieved user: ${username} (${executionTime}ms)`);
-      }
+      logger.debug(`Retrieved user: ${username} (${executionTime}ms)`);
 
       return user;
     } catch (error) {
@@ -360,11 +349,7 @@ class UserService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[User Service] User updated successfully: ${request.username} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`User updated successfully: ${request.username} (${executionTime}ms)`);
 
       return new UserUpdateResponse({
         username: request.username,
@@ -448,9 +433,7 @@ class UserService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(`[User Service] User deleted successfully: ${username} (${executionTime}ms)`);
-      }
+      logger.debug(`User deleted successfully: ${username} (${executionTime}ms)`);
 
       return true;
     } catch (error) {
@@ -571,11 +554,7 @@ class UserService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[User Service] Role created successfully: ${request.roleName} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`Role created successfully: ${request.roleName} (${executionTime}ms)`);
 
       return new RoleCreateResponse({
         roleName: request.roleName,
@@ -629,9 +608,7 @@ class UserService {
       const roles = this._processRoleList(response.data);
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(`[User Service] Listed ${roles.length} roles (${executionTime}ms)`);
-      }
+      logger.debug(`Listed ${roles.length} roles (${executionTime}ms)`);
 
       return new RoleListResponse({
         roles,
@@ -693,9 +670,7 @@ class UserService {
       const role = this._processRoleData(response.data);
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(`[User Service] Retrieved role: ${roleName} (${executionTime}ms)`);
-      }
+      logger.debug(`Retrieved role: ${roleName} (${executionTime}ms)`);
 
       return role;
     } catch (error) {
@@ -750,9 +725,7 @@ class UserService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(`[User Service] Role deleted successfully: ${roleName} (${executionTime}ms)`);
-      }
+      logger.debug(`Role deleted successfully: ${roleName} (${executionTime}ms)`);
 
       return true;
     } catch (error) {
@@ -819,11 +792,7 @@ class UserService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[User Service] Removed roles from user ${username}: ${roles.join(', ')} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`Removed roles from user ${username}: ${roles.join(', ')} (${executionTime}ms)`);
 
       return true;
     } catch (error) {
@@ -1047,11 +1016,7 @@ class UserService {
 
       const executionTime = Date.now() - startTime;
 
-      if (this.config.debugMode) {
-        console.log(
-          `[User Service] Assigned roles to user ${username}: ${roles.join(', ')} (${executionTime}ms)`
-        );
-      }
+      logger.debug(`Assigned roles to user ${username}: ${roles.join(', ')} (${executionTime}ms)`);
 
       return true;
     } catch (error) {
@@ -1108,9 +1073,7 @@ class UserService {
   dispose() {
     this.initialized = false;
 
-    if (this.config.debugMode) {
-      console.log('[User Service] Service disposed');
-    }
+    logger.debug('Service disposed');
   }
 }
 
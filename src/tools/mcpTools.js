@@ -24,12 +24,20 @@ import PermissionService from '../services/permissionService.js';
 import UserService from '../services/userService.js';
 import HealthService from '../services/healthService.js';
 import TemplateService from '../services/templateService.js';
+import RepositoryService from '../services/repositoryService.js';
+import PromotionService from '../services/promotionService.js';
+import SyncService from '../services/syncService.js';
+import { REPORT_SPEC_SCHEMA } from '../utils/reportSpecCompiler.js';
+import { LINT_RULES } from '../utils/jrxmlLinter.js';
 import { getConfiguration } from '../config/environment.js';
-import { ErrorHandler } from '../utils/errorHandler.js';
+import { ErrorHandler, MCPError, MCP_ERROR_TYPES } from '../utils/errorHandler.js';
 
 import { ValidationManager } from '../utils/ValidationManager.js';
 import { PermissionManager } from '../utils/permissionManager.js';
 import { ResponseFormatter, generateCorrelationId } from '../utils/responseFormatter.js';
+import { logManager, createLogger } from '../utils/logger.js';
+
+const logger = createLogger('MCP Tools');
 
 /**
  * Tool categories for organization
@@ -47,6 +55,114 @@ const TOOL_CATEGORIES = {
   TEMPLATE_AND_STRUCTURE: 'template_and_structure',
 };
 
+/**
+ * Tool operation kinds used to derive MCP tool annotations
+ */
+const TOOL_OPERATIONS = {
+  READ: 'read',
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  EXECUTE: 'execute',
+};
+
+/**
+ * MCP annotation hints for each operation kind
+ */
+const OPERATION_ANNOTATIONS = {
+  [TOOL_OPERATIONS.READ]: { readOnlyHint: true, destructiveHint: false, idempotentHint: true },
+  [TOOL_OPERATIONS.CREATE]: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+  [TOOL_OPERATIONS.UPDATE]: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+  [TOOL_OPERATIONS.DELETE]: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+  [TOOL_OPERATIONS.EXECUTE]: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+};
+
+/**
+ * Operation kind for the verb following the jasper_ prefix of a tool name
+ */
+const OPERATION_VERBS = {
+  get: TOOL_OPERATIONS.READ,
+  list: TOOL_OPERATIONS.READ,
+  test: TOOL_OPERATIONS.READ,
+  validate: TOOL_OPERATIONS.READ,
+  diff: TOOL_OPERATIONS.READ,
+  compile: TOOL_OPERATIONS.READ,
+  create: TOOL_OPERATIONS.CREATE,
+  upload: TOOL_OPERATIONS.UPDATE,
+  update: TOOL_OPERATIONS.UPDATE,
+  set: TOOL_OPERATIONS.UPDATE,
+  copy: TOOL_OPERATIONS.CREATE,
+  move: TOOL_OPERATIONS.UPDATE,
+  export: TOOL_OPERATIONS.READ,
+  import: TOOL_OPERATIONS.UPDATE,
+  promote: TOOL_OPERATIONS.UPDATE,
+  pull: TOOL_OPERATIONS.UPDATE,
+  push: TOOL_OPERATIONS.UPDATE,
+  delete: TOOL_OPERATIONS.DELETE,
+  cancel: TOOL_OPERATIONS.DELETE,
+  run: TOOL_OPERATIONS.EXECUTE,
+  authenticate: TOOL_OPERATIONS.EXECUTE,
+};
+
+/**
+ * Operations that change repository resources, jobs, permissions, users or files in a
+ * local directory. Tools performing them are hidden in read-only mode.
+ */
+const MUTATING_OPERATIONS = [
+  TOOL_OPERATIONS.CREATE,
+  TOOL_OPERATIONS.UPDATE,
+  TOOL_OPERATIONS.DELETE,
+];
+
+/**
+ * Categories whose tools never modify the server
+ */
+const READ_ONLY_CATEGORIES = [
+  TOOL_CATEGORIES.HEALTH_MONITORING,
+  TOOL_CATEGORIES.TEMPLATE_AND_STRUCTURE,
+];
+
+/**
+ * Standard metadata properties present in every tool response
+ */
+const BASE_OUTPUT_PROPERTIES = {
+  success: { type: 'boolean' },
+  toolName: { type: 'string' },
+  executionTime: { type: 'number' },
+  timestamp: { type: 'string' },
+  correlationId: { type: 'string' },
+};
+
+/**
+ * Additional output properties for each response format
+ */
+const OUTPUT_FORMAT_PROPERTIES = {
+  collection: {
+    items: { type: 'array', items: { type: 'object' } },
+    totalCount: { type: 'number' },
+    offset: { type: 'number' },
+    limit: { type: 'number' },
+    hasMore: { type: 'boolean' },
+    filteredCount: { type: 'number' },
+  },
+  binary: {
+    contentType: { type: 'string' },
+    fileName: { type: 'string' },
+    fileSize: { type: 'number' },
+    executionId: { type: 'string' },
+    resourceUri: {
+      type: 'string',
+      description: 'URI of the report output embedded as a resource in the tool result',
+    },
+  },
+  healthCheck: {
+    healthy: { type: 'boolean' },
+    components: { type: 'object' },
+    checkTimestamp: { type: 'string' },
+  },
+  standard: {},
+};
+
 /**
  * MCP Tool Registry class
  */
@@ -62,12 +178,11 @@ class MCPToolRegistry {
 
     // Tool definitions
     this.tools = this._initializeToolDefinitions();
+    this._checkToolAccessLists();
 
-    if (this.config.debugMode) {
-      console.log(
-        `[MCP Tools] Initialized ${Object.keys(this.tools).length} tools across ${Object.keys(TOOL_CATEGORIES).length} categories`
-      );
-    }
+    logger.debug(
+      `Initialized ${Object.keys(this.tools).length} tools across ${Object.keys(TOOL_CATEGORIES).length} categories`
+    );
   }
 
   /**
@@ -103,28 +218,59 @@ class MCPToolRegistry {
   }
 
   /**
-   * Check if a tool exists
+   * Check if a tool exists and is enabled
    * @param {string} toolName - Name of the tool
-   * @returns {boolean} True if tool exists
+   * @returns {boolean} True if tool exists and is enabled
    */
   hasTool(toolName) {
-    return Object.prototype.hasOwnProperty.call(this.tools, toolName);
+    return (
+      Object.prototype.hasOwnProperty.call(this.tools, toolName) &&
+      this.isToolEnabled(this.tools[toolName])
+    );
+  }
+
+  /**
+   * Check whether read-only mode and the allow/deny lists permit a tool.
+   * Allow and deny entries match tool names or TOOL_CATEGORIES values; the deny list and
+   * read-only mode take precedence over the allow list. Tools writing a local directory
+   * also need a configured sync root.
+   * @param {object} tool - Tool definition
+   * @returns {boolean} True if the tool is enabled
+   */
+  isToolEnabled(tool) {
+    const allowedTools = this.config.allowedTools || [];
+    const deniedTools = this.config.deniedTools || [];
+    const matches = entries => entries.includes(tool.name) || entries.includes(tool.category);
+
+    if (this.config.readOnly && MUTATING_OPERATIONS.includes(this._getToolOperation(tool))) {
+      return false;
+    }
+
+    if (tool.requiresSyncRoot && !this.config.syncRoot) {
+      return false;
+    }
+
+    if (matches(deniedTools)) {
+      return false;
+    }
+
+    return allowedTools.length === 0 || matches(allowedTools);
   }
 
   /**
    * Get tool list for MCP protocol
-   * @returns {Array} Array of tool definitions for MCP
+   * @returns {Array} Array of enabled tool definitions for MCP
    */
   getToolList() {
-    return Object.values(this.tools);
+    return Object.values(this.tools).filter(tool => this.isToolEnabled(tool));
   }
 
   /**
-   * Get total number of tools
+   * Get total number of enabled tools
    * @returns {number} Number of tools
    */
   getToolCount() {
-    return Object.keys(this.tools).length;
+    return this.getToolList().length;
   }
 
   /**
@@ -167,6 +313,15 @@ class MCPToolRegistry {
         case 'template':
           this.services[serviceName] = new TemplateService(this.config);
           break;
+        case 'repository':
+          this.services[serviceName] = new RepositoryService(this.config);
+          break;
+        case 'promotion':
+          this.services[serviceName] = new PromotionService(this.config);
+          break;
+        case 'sync':
+          this.services[serviceName] = new SyncService(this.config);
+          break;
         default:
           throw new Error(`Unknown service: ${serviceName}`);
       }
@@ -178,10 +333,23 @@ class MCPToolRegistry {
    * Execute a tool with enhanced validation, error handling, and response formatting
    * @param {string} toolName - Name of the tool to execute
    * @param {object} params - Tool parameters
+   * @param {object} context - Request context (e.g. progressReporter) passed to the handler
    * @returns {object} Standardized tool response
    */
-  async executeTool(toolName, params = {}) {
+  async executeTool(toolName, params = {}, context = {}) {
     const correlationId = generateCorrelationId();
+
+    // Every record logged while the tool runs carries the tool name and correlation ID
+    return logManager.runWithContext({ tool: toolName, correlationId }, () =>
+      this._executeTool(toolName, params, context, correlationId)
+    );
+  }
+
+  /**
+   * Execute a tool within its log context
+   * @private
+   */
+  async _executeTool(toolName, params, context, correlationId) {
     const timer = this.responseFormatter.createExecutionTimer();
 
     // Get tool definition
@@ -193,6 +361,17 @@ class MCPToolRegistry {
       return this.responseFormatter.formatError(toolName, error, executionTime, correlationId);
     }
 
+    // Enforce read-only mode and the allow/deny lists for direct callers
+    if (!this.isToolEnabled(tool)) {
+      const executionTime = timer.stop();
+      const error = new MCPError(
+        MCP_ERROR_TYPES.PERMISSION_DENIED,
+        `Tool '${toolName}' is disabled by the server configuration`,
+        { readOnly: this.config.readOnly || false }
+      );
+      return this.responseFormatter.formatError(toolName, error, executionTime, correlationId);
+    }
+
     try {
       // Create error context for comprehensive tracking
       const errorContext = this.errorHandler.createErrorContext(toolName, 'execute', params);
@@ -216,7 +395,7 @@ class MCPToolRegistry {
       // Execute tool handler with error context
       let result;
       try {
-        result = await tool.handler(params);
+        result = await tool.handler(params, context);
       } catch (error) {
         // Analyze permission errors using PermissionManager
         const enhancedError = this.errorHandler.analyzePermissionError(error, toolName, 'execute', {
@@ -317,7 +496,11 @@ class MCPToolRegistry {
     }
 
     // Binary content responses
-    if (toolName.includes('run_report_sync') || toolName.includes('get_execution_result')) {
+    if (
+      toolName.includes('run_report_sync') ||
+      toolName.includes('get_execution_result') ||
+      toolName.includes('export_repository')
+    ) {
       if (result && result.content) {
         return { formatAsBinary: true };
       }
@@ -337,7 +520,7 @@ class MCPToolRegistry {
    * @private
    */
   _initializeToolDefinitions() {
-    return {
+    const tools = {
       // Authentication Tools
       ...this._getAuthenticationTools(),
 
@@ -368,6 +551,86 @@ class MCPToolRegistry {
       // Template and Structure Tools
       ...this._getTemplateAndStructureTools(),
     };
+
+    for (const tool of Object.values(tools)) {
+      tool.annotations = this._getToolAnnotations(tool);
+      tool.outputSchema = tool.outputSchema || this._getToolOutputSchema(tool.name);
+    }
+
+    return tools;
+  }
+
+  /**
+   * Warn about allow/deny entries that match no tool name or category
+   * @private
+   */
+  _checkToolAccessLists() {
+    const knownEntries = [...Object.keys(this.tools), ...Object.values(TOOL_CATEGORIES)];
+    const lists = {
+      JASPER_ALLOWED_TOOLS: this.config.allowedTools || [],
+      JASPER_DENIED_TOOLS: this.config.deniedTools || [],
+    };
+
+    for (const [envVar, entries] of Object.entries(lists)) {
+      const unknownEntries = entries.filter(entry => !knownEntries.includes(entry));
+      if (unknownEntries.length > 0) {
+        logger.warning(`${envVar} contains unknown tools or categories`, { unknownEntries });
+      }
+    }
+  }
+
+  /**
+   * Derive MCP annotations from the tool operation and category
+   *
+   * The operation is taken from the verb after the jasper_ prefix unless the tool
+   * declares one; annotations declared on the tool override the derived hints.
+   * @private
+   */
+  _getToolAnnotations(tool) {
+    return {
+      ...OPERATION_ANNOTATIONS[this._getToolOperation(tool)],
+      openWorldHint: true,
+      ...tool.annotations,
+    };
+  }
+
+  /**
+   * Get the operation kind of a tool
+   * @private
+   */
+  _getToolOperation(tool) {
+    if (READ_ONLY_CATEGORIES.includes(tool.category)) {
+      return TOOL_OPERATIONS.READ;
+    }
+
+    const verb = tool.name.replace(/^jasper_/, '').split('_')[0];
+    return tool.operation || OPERATION_VERBS[verb] || TOOL_OPERATIONS.EXECUTE;
+  }
+
+  /**
+   * Build the output schema matching the response format used for a tool
+   * @private
+   */
+  _getToolOutputSchema(toolName) {
+    let format = 'standard';
+    if (toolName.includes('list_')) {
+      format = 'collection';
+    } else if (
+      toolName.includes('run_report_sync') ||
+      toolName.includes('get_execution_result') ||
+      toolName.includes('export_repository')
+    ) {
+      format = 'binary';
+    } else if (toolName.includes('health')) {
+      format = 'healthCheck';
+    }
+
+    return {
+      type: 'object',
+      properties: { ...BASE_OUTPUT_PROPERTIES, ...OUTPUT_FORMAT_PROPERTIES[format] },
+      required: ['success'],
+      additionalProperties: true,
+    };
   }
 
   /**
@@ -380,6 +643,7 @@ class MCPToolRegistry {
         name: 'jasper_authenticate',
         description: 'Authenticate with JasperReports Server using configured credentials',
         category: TOOL_CATEGORIES.AUTHENTICATION,
+        annotations: { idempotentHint: true },
         inputSchema: {
           type: 'object',
           properties: {
@@ -550,6 +814,17 @@ class MCPToolRegistry {
                 },
               },
             },
+            content: {
+              type: 'string',
+              description:
+                'Content of a file resource (base64 encoded), e.g. an image or properties file',
+            },
+            fileType: {
+              type: 'string',
+              description:
+                'File type of a file resource with content (e.g., img, jrxml, prop, jrtx, jar). Derived from the file extension when omitted',
+              pattern: '^[a-zA-Z]+$',
+            },
             overwrite: {
               type: 'boolean',
               description: 'Whether to overwrite existing resource',
@@ -560,6 +835,79 @@ class MCPToolRegistry {
               description: "Whether to create parent folders if they don't exist",
               default: true,
             },
+            validateJRXML: {
+              type: 'boolean',
+              description:
+                'Whether to validate the JRXML offline before uploading (see jasper_validate_jrxml)',
+              default: true,
+            },
+            autoFix: {
+              type: 'boolean',
+              description:
+                'Whether to fix layout issues in the JRXML before uploading (see jasper_lint_jrxml); whenNoDataType is always added',
+              default: false,
+            },
+            createInputControls: {
+              type: 'boolean',
+              description:
+                'Whether to create input controls in the report unit for the prompting parameters of the JRXML, typed by parameter class. Collection parameters are skipped unless inputControlOptions gives them values or a query',
+              default: false,
+            },
+            inputControlOptions: {
+              type: 'array',
+              description:
+                'Per-parameter input control options; giving them implies createInputControls',
+              items: {
+                type: 'object',
+                required: ['parameter'],
+                properties: {
+                  parameter: { type: 'string', description: 'Parameter name' },
+                  label: { type: 'string', description: 'Control label' },
+                  mandatory: { type: 'boolean', description: 'Whether a value is required' },
+                  values: {
+                    type: 'array',
+                    description: 'Values of a list-of-values select',
+                    items: {
+                      type: 'object',
+                      required: ['value'],
+                      properties: {
+                        value: { type: 'string' },
+                        label: { type: 'string' },
+                      },
+                    },
+                  },
+                  query: { type: 'string', description: 'SQL query of a query-backed select' },
+                  valueColumn: {
+                    type: 'string',
+                    description: 'Query column holding the parameter value',
+                  },
+                  visibleColumns: {
+                    type: 'array',
+                    description: 'Query columns shown to the user (default: valueColumn)',
+                    items: { type: 'string' },
+                  },
+                  dataSourceUri: {
+                    type: 'string',
+                    description: 'Datasource of the query (default: the report datasource)',
+                  },
+                },
+                additionalProperties: false,
+              },
+            },
+            bundle: {
+              type: 'object',
+              description:
+                'Files the report depends on - subreports, images, style templates and resource bundles - as a zip or a map of files. Referenced files are uploaded as local resources and their references rewritten to repo: paths',
+              properties: {
+                zip: { type: 'string', description: 'Base64-encoded zip archive' },
+                files: {
+                  type: 'object',
+                  description: 'Base64-encoded file contents by file path',
+                  additionalProperties: { type: 'string' },
+                },
+              },
+              additionalProperties: false,
+            },
           },
           additionalProperties: false,
         },
@@ -574,7 +922,13 @@ class MCPToolRegistry {
             uploadTimestamp: result.uploadTimestamp,
             validationStatus: result.validationStatus,
             validationMessages: result.validationMessages,
+            fixesApplied: result.fixesApplied,
             localResourcesUploaded: result.localResourcesUploaded,
+            inputControlsCreated: result.inputControlsCreated,
+            inputControlsSkipped: result.inputControlsSkipped,
+            dependencies: result.dependencies,
+            bundledResources: result.bundledResources,
+            unusedBundleFiles: result.unusedBundleFiles,
             executionTime: result.executionTime,
           };
         },
@@ -659,123 +1013,865 @@ class MCPToolRegistry {
           properties: {
             resourceUri: {
               type: 'string',
-              description: 'URI of the resource to retrieve',
-              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
-              minLength: 2,
-              maxLength: 500,
+              description: 'URI of the resource to retrieve',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            includeContent: {
+              type: 'boolean',
+              description: 'Whether to include resource content',
+              default: false,
+            },
+            includeMetadata: {
+              type: 'boolean',
+              description: 'Whether to include resource metadata',
+              default: true,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('resource').getResource(params);
+
+          return {
+            success: result.success,
+            resource: result.resource,
+            content: result.content,
+            contentType: result.contentType,
+            size: result.size,
+            metadata: result.metadata,
+            lastModified: result.lastModified,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_update_resource: {
+        name: 'jasper_update_resource',
+        description: 'Update an existing resource',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          required: ['resourceUri'],
+          properties: {
+            resourceUri: {
+              type: 'string',
+              description: 'URI of the resource to update',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            label: {
+              type: 'string',
+              description: 'New label for the resource',
+              minLength: 1,
+              maxLength: 200,
+            },
+            description: {
+              type: 'string',
+              description: 'New description for the resource',
+              maxLength: 1000,
+            },
+            jrxmlContent: {
+              type: 'string',
+              description: 'New JRXML content for report resources',
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Whether to overwrite existing resource',
+              default: true,
+            },
+            validateJRXML: {
+              type: 'boolean',
+              description:
+                'Whether to validate the JRXML offline before updating (see jasper_validate_jrxml)',
+              default: true,
+            },
+            autoFix: {
+              type: 'boolean',
+              description:
+                'Whether to fix layout issues in the JRXML before updating (see jasper_lint_jrxml); whenNoDataType is always added',
+              default: false,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('resource').updateResource(params);
+
+          return {
+            success: result.success,
+            resourceUri: result.resourceUri,
+            updateTimestamp: result.updateTimestamp,
+            validationStatus: result.validationStatus,
+            validationMessages: result.validationMessages,
+            fixesApplied: result.fixesApplied,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_diff_jrxml: {
+        name: 'jasper_diff_jrxml',
+        description:
+          'Compare JRXML with the main JRXML of a report unit in the repository element by element: added and removed declarations, query changes, moved or resized elements and changed expressions. Use it to review a change before jasper_update_resource overwrites the report',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          required: ['resourceUri', 'jrxmlContent'],
+          properties: {
+            resourceUri: {
+              type: 'string',
+              description: 'Report unit, or JRXML file resource, to compare with',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            jrxmlContent: {
+              type: 'string',
+              description: 'JRXML content to compare with the repository version',
+              minLength: 1,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('resource').diffReportJRXML(params);
+
+          return {
+            success: result.success,
+            resourceUri: result.resourceUri,
+            jrxmlUri: result.jrxmlUri,
+            identical: result.identical,
+            summary: result.summary,
+            changes: result.changes,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_delete_resource: {
+        name: 'jasper_delete_resource',
+        description: 'Delete a resource from JasperReports Server',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          required: ['resourceUri'],
+          properties: {
+            resourceUri: {
+              type: 'string',
+              description: 'URI of the resource to delete',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            force: {
+              type: 'boolean',
+              description: 'Whether to force deletion even if resource has dependencies',
+              default: false,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('resource').deleteResource(params);
+
+          return {
+            success: result.success,
+            resourceUri: result.resourceUri,
+            deleteTimestamp: result.deleteTimestamp,
+            deletedResources: result.deletedResources,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_copy_resource: {
+        name: 'jasper_copy_resource',
+        description:
+          'Copy a resource into another folder, keeping its name. Folders are copied with their contents and report units with their input controls and local resources. Resources already at the target are reported as conflicts unless overwrite is set',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          required: ['sourceUri', 'targetFolderUri'],
+          properties: {
+            sourceUri: {
+              type: 'string',
+              description: 'URI of the resource or folder to copy',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            targetFolderUri: {
+              type: 'string',
+              description: 'URI of the folder to copy the resource into (e.g., /reports/archive)',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]*$',
+              minLength: 1,
+              maxLength: 500,
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Whether to replace resources that already exist at the target',
+              default: false,
+            },
+            createFolders: {
+              type: 'boolean',
+              description: 'Whether to create the target folder if it does not exist',
+              default: true,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('resource').copyResource(params);
+
+          return {
+            success: result.success,
+            sourceUri: result.sourceUri,
+            targetUri: result.targetUri,
+            resourceType: result.resourceType,
+            resourcesCopied: result.resourcesCopied,
+            overwritten: result.overwritten,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_move_resource: {
+        name: 'jasper_move_resource',
+        description:
+          'Move a resource into another folder, keeping its name. Folders are moved with their contents. Resources already at the target are reported as conflicts unless overwrite is set',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          required: ['sourceUri', 'targetFolderUri'],
+          properties: {
+            sourceUri: {
+              type: 'string',
+              description: 'URI of the resource or folder to move',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            targetFolderUri: {
+              type: 'string',
+              description: 'URI of the folder to move the resource into (e.g., /reports/archive)',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]*$',
+              minLength: 1,
+              maxLength: 500,
+            },
+            overwrite: {
+              type: 'boolean',
+              description: 'Whether to replace resources that already exist at the target',
+              default: false,
+            },
+            createFolders: {
+              type: 'boolean',
+              description: 'Whether to create the target folder if it does not exist',
+              default: true,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('resource').moveResource(params);
+
+          return {
+            success: result.success,
+            sourceUri: result.sourceUri,
+            targetUri: result.targetUri,
+            resourceType: result.resourceType,
+            resourcesMoved: result.resourcesMoved,
+            overwritten: result.overwritten,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_promote_resources: {
+        name: 'jasper_promote_resources',
+        description:
+          'Promote a folder subtree from one server profile to another (e.g., dev to prod). Compares labels, update dates and JRXML content, and returns a plan of resources to create or update. With dryRun false, copies the changed resources with their datasource references remapped. Profiles are configured with JASPER_PROFILES; "default" is the JASPER_URL server',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          required: ['targetProfile', 'folderUri'],
+          properties: {
+            sourceProfile: {
+              type: 'string',
+              description: 'Profile to promote from',
+              pattern: '^[a-zA-Z0-9_]+$',
+              default: 'default',
+            },
+            targetProfile: {
+              type: 'string',
+              description: 'Profile to promote to',
+              pattern: '^[a-zA-Z0-9_]+$',
+            },
+            folderUri: {
+              type: 'string',
+              description: 'Folder whose subtree to promote (e.g., /reports/sales)',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            datasourceMappings: {
+              type: 'array',
+              description:
+                'Source datasource URIs and the target datasources promoted resources should use instead',
+              items: {
+                type: 'object',
+                required: ['sourceUri', 'targetUri'],
+                properties: {
+                  sourceUri: { type: 'string', pattern: '^/[a-zA-Z0-9_/\\-\\.]+$' },
+                  targetUri: { type: 'string', pattern: '^/[a-zA-Z0-9_/\\-\\.]+$' },
+                },
+                additionalProperties: false,
+              },
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'Only report the plan; set to false to apply it',
+              default: true,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('promotion').promoteResources(params);
+
+          return {
+            success: result.success,
+            sourceProfile: result.sourceProfile,
+            targetProfile: result.targetProfile,
+            folderUri: result.folderUri,
+            dryRun: result.dryRun,
+            plan: result.plan,
+            summary: result.summary,
+            targetOnly: result.targetOnly,
+            missingDatasources: result.missingDatasources,
+            applied: result.applied,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_pull_folder: {
+        name: 'jasper_pull_folder',
+        description:
+          'Mirror a repository folder to a local directory, e.g. to keep report sources in git. Subfolders become directories, report units directories of their JRXML and local files, file resources files; each resource gets a <name>.resource.json descriptor. A .jasper-sync.json state file records what was pulled for jasper_push_folder',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        requiresSyncRoot: true,
+        inputSchema: {
+          type: 'object',
+          required: ['folderUri', 'localDirectory'],
+          properties: {
+            folderUri: {
+              type: 'string',
+              description: 'Folder whose subtree to pull (e.g., /reports/sales)',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            localDirectory: {
+              type: 'string',
+              description:
+                'Local directory to write the folder to, created when missing; must be inside JASPER_SYNC_ROOT, relative paths are resolved against it',
+              minLength: 1,
+              maxLength: 1000,
+            },
+            force: {
+              type: 'boolean',
+              description:
+                'Overwrite local changes that were not pushed, or a directory mirroring another folder',
+              default: false,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('sync').pullFolder(params);
+
+          return {
+            success: result.success,
+            folderUri: result.folderUri,
+            localDirectory: result.localDirectory,
+            pulledAt: result.pulledAt,
+            resources: result.resources,
+            removedFiles: result.removedFiles,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_push_folder: {
+        name: 'jasper_push_folder',
+        description:
+          'Upload the local changes of a directory pulled with jasper_pull_folder. Changed files are uploaded one by one, new files and descriptors create resources, and label or description edits update them. Resources changed on the server since the last pull are reported as conflicts and skipped unless force is set',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        requiresSyncRoot: true,
+        inputSchema: {
+          type: 'object',
+          required: ['localDirectory'],
+          properties: {
+            localDirectory: {
+              type: 'string',
+              description: 'Local directory a folder was pulled into, inside JASPER_SYNC_ROOT',
+              minLength: 1,
+              maxLength: 1000,
+            },
+            dryRun: {
+              type: 'boolean',
+              description: 'Only report the changes and conflicts without uploading',
+              default: false,
+            },
+            force: {
+              type: 'boolean',
+              description: 'Push conflicting changes over the server copy',
+              default: false,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('sync').pushFolder(params);
+
+          return {
+            success: result.success,
+            folderUri: result.folderUri,
+            localDirectory: result.localDirectory,
+            dryRun: result.dryRun,
+            changes: result.changes,
+            conflicts: result.conflicts,
+            unsupported: result.unsupported,
+            failed: result.failed,
+            pushed: result.pushed,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_export_repository: {
+        name: 'jasper_export_repository',
+        description:
+          'Export repository resources, roles, users or the scheduled jobs of reports to a zip archive. The export runs as a server task that is polled until it finishes; the archive is returned as an embedded resource',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            uris: {
+              type: 'array',
+              description: 'Repository URIs of the resources or folders to export',
+              items: { type: 'string', pattern: '^/[a-zA-Z0-9_/\\-\\.]*$', maxLength: 500 },
+            },
+            roles: {
+              type: 'array',
+              description: 'Names of the roles to export',
+              items: { type: 'string', minLength: 1, maxLength: 100 },
+            },
+            users: {
+              type: 'array',
+              description: 'Usernames of the users to export',
+              items: { type: 'string', minLength: 1, maxLength: 100 },
+            },
+            jobs: {
+              type: 'array',
+              description: 'Report URIs whose scheduled jobs to export',
+              items: { type: 'string', pattern: '^/[a-zA-Z0-9_/\\-\\.]+$', maxLength: 500 },
+            },
+            everything: {
+              type: 'boolean',
+              description: 'Export the whole repository with all roles, users and jobs',
+              default: false,
+            },
+            includeRoleUsers: {
+              type: 'boolean',
+              description: 'Export the users holding the exported roles',
+              default: false,
+            },
+            includePermissions: {
+              type: 'boolean',
+              description: 'Export the permissions set on exported resources',
+              default: true,
+            },
+            includeAccessEvents: {
+              type: 'boolean',
+              description: 'Export the access events of exported resources',
+              default: false,
+            },
+            skipDependentResources: {
+              type: 'boolean',
+              description:
+                'Leave out resources outside the export that exported resources depend on',
+              default: false,
+            },
+            pollInterval: {
+              type: 'number',
+              description: 'Milliseconds between export state checks',
+              minimum: 1000,
+              maximum: 60000,
+              default: 2000,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async (params, context = {}) => {
+          const { pollInterval, ...exportParams } = params;
+          const { progressReporter, signal } = context;
+
+          const result = await this._getService('repository').exportRepository(exportParams, {
+            pollInterval,
+            signal,
+            onProgress: state => progressReporter?.report({ status: state.phase }),
+          });
+
+          return {
+            content: result.content,
+            contentType: result.contentType,
+            fileName: result.fileName,
+            fileSize: result.size,
+            exportId: result.exportId,
+            phase: result.phase,
+            message: result.message,
+          };
+        },
+      },
+
+      jasper_import_repository: {
+        name: 'jasper_import_repository',
+        description:
+          'Import a repository export archive (base64 zip). The import runs as a server task that is polled until it finishes; returns the import log with an entry per skipped or updated resource',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          required: ['content'],
+          properties: {
+            content: {
+              type: 'string',
+              description: 'Base64-encoded zip archive produced by a repository export',
+              minLength: 1,
+            },
+            update: {
+              type: 'boolean',
+              description: 'Replace resources, roles and users that already exist',
+              default: false,
+            },
+            skipUserUpdate: {
+              type: 'boolean',
+              description: 'Keep existing users unchanged when update is set',
+              default: false,
+            },
+            includeAccessEvents: {
+              type: 'boolean',
+              description: 'Import the access events contained in the archive',
+              default: false,
+            },
+            pollInterval: {
+              type: 'number',
+              description: 'Milliseconds between import state checks',
+              minimum: 1000,
+              maximum: 60000,
+              default: 2000,
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async (params, context = {}) => {
+          const { pollInterval, ...importParams } = params;
+          const { progressReporter, signal } = context;
+
+          const result = await this._getService('repository').importRepository(importParams, {
+            pollInterval,
+            signal,
+            onProgress: state => progressReporter?.report({ status: state.phase }),
+          });
+
+          return {
+            success: result.success,
+            importId: result.importId,
+            phase: result.phase,
+            message: result.message,
+            importLog: result.importLog,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
+      jasper_create_datasource: {
+        name: 'jasper_create_datasource',
+        description:
+          'Create a JDBC, JNDI, AWS, Bean, Custom or MongoDB datasource. Use jasper_get_datasource_structure to see the fields each type requires',
+        category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
+        inputSchema: {
+          type: 'object',
+          required: ['datasourceUri', 'label'],
+          properties: {
+            datasourceUri: {
+              type: 'string',
+              description: 'Repository URI of the new datasource (e.g., /datasources/sales)',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            label: {
+              type: 'string',
+              description: 'Display label for the datasource',
+              minLength: 1,
+              maxLength: 200,
+            },
+            description: {
+              type: 'string',
+              description: 'Optional description for the datasource',
+              maxLength: 1000,
+            },
+            datasourceType: {
+              type: 'string',
+              enum: ['jdbc', 'jndi', 'aws', 'bean', 'custom', 'mongodb'],
+              description: 'Type of datasource to create',
+              default: 'jdbc',
+            },
+            databaseType: {
+              type: 'string',
+              enum: ['mysql', 'postgresql', 'oracle', 'sqlserver', 'h2', 'generic'],
+              description:
+                'Database type used to pick the JDBC driver class when driverClass is omitted (JDBC and AWS)',
+              default: 'generic',
+            },
+            driverClass: {
+              type: 'string',
+              description: 'JDBC driver class name (JDBC and AWS)',
+            },
+            connectionUrl: {
+              type: 'string',
+              description:
+                'JDBC connection URL, e.g. jdbc:postgresql://host:5432/db (JDBC and AWS)',
+            },
+            username: {
+              type: 'string',
+              description: 'Database username (JDBC, AWS and MongoDB)',
+            },
+            password: {
+              type: 'string',
+              description: 'Database password (JDBC, AWS and MongoDB)',
+            },
+            timezone: {
+              type: 'string',
+              description: 'Database timezone (JDBC, JNDI and AWS)',
+            },
+            jndiName: {
+              type: 'string',
+              description: 'JNDI resource name, e.g. java:comp/env/jdbc/mydb (JNDI)',
             },
-            includeContent: {
+            awsAccessKey: {
+              type: 'string',
+              description: 'AWS access key (AWS)',
+            },
+            awsSecretKey: {
+              type: 'string',
+              description: 'AWS secret key (AWS)',
+            },
+            region: {
+              type: 'string',
+              description: 'AWS region (AWS)',
+            },
+            service: {
+              type: 'string',
+              enum: ['rds', 'redshift', 'athena', 's3'],
+              description: 'AWS database service (AWS)',
+            },
+            beanName: {
+              type: 'string',
+              description: 'Spring bean name (Bean)',
+            },
+            beanMethod: {
+              type: 'string',
+              description: 'Bean method returning the data source (Bean)',
+            },
+            serviceClass: {
+              type: 'string',
+              description: 'Custom datasource name registered on the server (Custom)',
+            },
+            properties: {
+              type: 'object',
+              description: 'Custom datasource properties as key/value pairs (Custom)',
+            },
+            mongoURI: {
+              type: 'string',
+              description: 'MongoDB connection URI, e.g. mongodb://host:27017 (MongoDB)',
+            },
+            database: {
+              type: 'string',
+              description: 'MongoDB database, added to the URI when it names none (MongoDB)',
+            },
+            overwrite: {
               type: 'boolean',
-              description: 'Whether to include resource content',
+              description: 'Whether to overwrite an existing datasource',
               default: false,
             },
-            includeMetadata: {
+            createFolders: {
               type: 'boolean',
-              description: 'Whether to include resource metadata',
+              description: "Whether to create parent folders if they don't exist",
               default: true,
             },
           },
           additionalProperties: false,
         },
         handler: async params => {
-          const result = await this._getService('resource').getResource(params);
+          const result = await this._getService('resource').createDatasource(params);
 
           return {
             success: result.success,
-            resource: result.resource,
-            content: result.content,
-            contentType: result.contentType,
-            size: result.size,
-            metadata: result.metadata,
-            lastModified: result.lastModified,
+            datasourceUri: result.datasourceUri,
+            datasourceType: result.datasourceType,
+            resourceType: result.resourceType,
+            driverClass: result.driverClass,
+            creationTimestamp: result.creationTimestamp,
             executionTime: result.executionTime,
           };
         },
       },
 
-      jasper_update_resource: {
-        name: 'jasper_update_resource',
-        description: 'Update an existing resource',
+      jasper_test_datasource: {
+        name: 'jasper_test_datasource',
+        description:
+          'Test the connection of a JDBC or JNDI datasource, either an existing repository datasource or an inline definition. Returns the driver error and troubleshooting hints when the connection fails',
         category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
         inputSchema: {
           type: 'object',
-          required: ['resourceUri'],
           properties: {
-            resourceUri: {
+            datasourceUri: {
               type: 'string',
-              description: 'URI of the resource to update',
+              description:
+                'Repository URI of an existing datasource to test (omit to test an inline definition)',
               pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
               minLength: 2,
               maxLength: 500,
             },
-            label: {
+            datasourceType: {
               type: 'string',
-              description: 'New label for the resource',
-              minLength: 1,
-              maxLength: 200,
+              enum: ['jdbc', 'jndi'],
+              description: 'Type of the inline datasource definition',
+              default: 'jdbc',
             },
-            description: {
+            databaseType: {
               type: 'string',
-              description: 'New description for the resource',
-              maxLength: 1000,
+              enum: ['mysql', 'postgresql', 'oracle', 'sqlserver', 'h2', 'generic'],
+              description:
+                'Database type used to pick the JDBC driver class when driverClass is omitted',
+              default: 'generic',
             },
-            jrxmlContent: {
+            driverClass: {
               type: 'string',
-              description: 'New JRXML content for report resources',
+              description: 'JDBC driver class name (inline JDBC)',
             },
-            overwrite: {
-              type: 'boolean',
-              description: 'Whether to overwrite existing resource',
-              default: true,
+            connectionUrl: {
+              type: 'string',
+              description: 'JDBC connection URL (inline JDBC)',
+            },
+            username: {
+              type: 'string',
+              description: 'Database username (inline JDBC)',
+            },
+            password: {
+              type: 'string',
+              description: 'Database password (inline JDBC)',
+            },
+            timezone: {
+              type: 'string',
+              description: 'Database timezone',
+            },
+            jndiName: {
+              type: 'string',
+              description: 'JNDI resource name (inline JNDI)',
             },
           },
           additionalProperties: false,
         },
         handler: async params => {
-          const result = await this._getService('resource').updateResource(params);
+          const result = await this._getService('resource').testDatasource(params);
 
           return {
             success: result.success,
-            resourceUri: result.resourceUri,
-            updateTimestamp: result.updateTimestamp,
-            validationStatus: result.validationStatus,
-            validationMessages: result.validationMessages,
+            connected: result.connected,
+            datasourceUri: result.datasourceUri,
+            datasourceType: result.datasourceType,
+            resourceType: result.resourceType,
+            errorType: result.errorType,
+            errorCode: result.errorCode,
+            errorMessage: result.errorMessage,
+            driverError: result.driverError,
+            troubleshooting: result.troubleshooting,
+            testTimestamp: result.testTimestamp,
             executionTime: result.executionTime,
           };
         },
       },
 
-      jasper_delete_resource: {
-        name: 'jasper_delete_resource',
-        description: 'Delete a resource from JasperReports Server',
+      jasper_get_datasource_metadata: {
+        name: 'jasper_get_datasource_metadata',
+        description:
+          'List the schemas, tables or columns (with their types) of a JDBC or JNDI repository datasource. Use it to write queryString and <field> declarations with real column names',
         category: TOOL_CATEGORIES.RESOURCE_MANAGEMENT,
         inputSchema: {
           type: 'object',
-          required: ['resourceUri'],
+          required: ['datasourceUri'],
           properties: {
-            resourceUri: {
+            datasourceUri: {
               type: 'string',
-              description: 'URI of the resource to delete',
+              description: 'Repository URI of the datasource to introspect',
               pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
               minLength: 2,
               maxLength: 500,
             },
-            force: {
+            schema: {
+              type: 'string',
+              description: 'Schema whose tables to list (omit to list schemas)',
+              minLength: 1,
+              maxLength: 200,
+            },
+            table: {
+              type: 'string',
+              description: 'Table whose columns to list (within schema, when given)',
+              minLength: 1,
+              maxLength: 200,
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of items to return',
+              minimum: 1,
+              maximum: 1000,
+              default: 100,
+            },
+            offset: {
+              type: 'number',
+              description: 'Number of items to skip for pagination',
+              minimum: 0,
+              default: 0,
+            },
+            refresh: {
               type: 'boolean',
-              description: 'Whether to force deletion even if resource has dependencies',
+              description: 'Bypass cached metadata and read it from the database again',
               default: false,
             },
           },
           additionalProperties: false,
         },
         handler: async params => {
-          const result = await this._getService('resource').deleteResource(params);
+          const result = await this._getService('resource').getDatasourceMetadata(params);
 
           return {
             success: result.success,
-            resourceUri: result.resourceUri,
-            deleteTimestamp: result.deleteTimestamp,
-            deletedResources: result.deletedResources,
+            datasourceUri: result.datasourceUri,
+            level: result.level,
+            schema: result.schema,
+            table: result.table,
+            items: result.items,
+            totalCount: result.totalCount,
+            offset: result.offset,
+            limit: result.limit,
+            hasMore: result.hasMore,
+            cached: result.cached,
             executionTime: result.executionTime,
           };
         },
@@ -844,8 +1940,23 @@ class MCPToolRegistry {
           },
           additionalProperties: false,
         },
-        handler: async params => {
-          const result = await this._getService('report').runReportSync(params);
+        handler: async (params, context = {}) => {
+          const { progressReporter, signal } = context;
+
+          // Synchronous executions expose no status, so send heartbeats while waiting
+          if (progressReporter) {
+            progressReporter.report({ status: 'running' });
+            progressReporter.startHeartbeat(() => ({ status: 'running' }));
+          }
+
+          let result;
+          try {
+            result = await this._getService('report').runReportSync(params, { signal });
+          } finally {
+            progressReporter?.stopHeartbeat();
+          }
+
+          progressReporter?.report({ executionId: result.executionId, status: result.status });
 
           return {
             content: result.content,
@@ -942,11 +2053,42 @@ class MCPToolRegistry {
               description: 'Whether to include detailed execution information',
               default: true,
             },
+            waitForCompletion: {
+              type: 'boolean',
+              description:
+                'Poll until the execution is ready, failed or cancelled (sends progress notifications when requested)',
+              default: false,
+            },
+            pollInterval: {
+              type: 'number',
+              description: 'Polling interval in milliseconds when waiting for completion',
+              minimum: 1000,
+              maximum: 60000,
+              default: 5000,
+            },
           },
           additionalProperties: false,
         },
-        handler: async params => {
-          const result = await this._getService('execution').getExecutionStatus(params);
+        handler: async (params, context = {}) => {
+          const executionService = this._getService('execution');
+          const { progressReporter, signal } = context;
+
+          const result = params.waitForCompletion
+            ? await executionService.pollExecutionUntilComplete(params.executionId, {
+                pollInterval: params.pollInterval,
+                signal,
+                onProgress: status =>
+                  progressReporter?.report({
+                    executionId: params.executionId,
+                    status: status.status,
+                    currentPage: status.currentPage,
+                    totalPages: status.totalPages,
+                  }),
+              })
+            : await executionService.getExecutionStatus({
+                executionId: params.executionId,
+                includeDetails: params.includeDetails,
+              });
 
           return {
             success: result.success,
@@ -1318,6 +2460,8 @@ class MCPToolRegistry {
         name: 'jasper_run_job_now',
         description: 'Execute a scheduled job immediately',
         category: TOOL_CATEGORIES.JOB_MANAGEMENT,
+        // Saves job output to the repository and sends the job's mail notifications
+        operation: TOOL_OPERATIONS.CREATE,
         inputSchema: {
           type: 'object',
           required: ['jobId'],
@@ -1336,8 +2480,10 @@ class MCPToolRegistry {
           },
           additionalProperties: false,
         },
-        handler: async params => {
-          const result = await this._getService('job').executeJobNow(params);
+        handler: async (params, context = {}) => {
+          const result = await this._getService('job').executeJobNow(params, {
+            signal: context.signal,
+          });
 
           return {
             success: result.success,
@@ -1416,6 +2562,8 @@ class MCPToolRegistry {
         name: 'jasper_set_input_control_values',
         description: 'Set values for cascading input controls',
         category: TOOL_CATEGORIES.INPUT_CONTROLS,
+        // Only looks up the cascading values for the given selection; nothing is stored
+        operation: TOOL_OPERATIONS.READ,
         inputSchema: {
           type: 'object',
           required: ['reportUri', 'controlId'],
@@ -2231,9 +3379,7 @@ class MCPToolRegistry {
       }
     }
 
-    if (this.config.debugMode) {
-      console.log('[MCP Tools] Registry disposed');
-    }
+    logger.debug('Registry disposed');
   }
   /**
    * Get health monitoring tools
@@ -2246,6 +3392,7 @@ class MCPToolRegistry {
         description:
           'Get comprehensive health status of the JasperReports MCP Server and connected systems',
         category: TOOL_CATEGORIES.HEALTH_MONITORING,
+        annotations: { openWorldHint: false },
         inputSchema: {
           type: 'object',
           properties: {
@@ -2298,6 +3445,7 @@ class MCPToolRegistry {
         description:
           'Get detailed performance metrics including memory usage, resilience statistics, and system information',
         category: TOOL_CATEGORIES.HEALTH_MONITORING,
+        annotations: { openWorldHint: false },
         inputSchema: {
           type: 'object',
           properties: {},
@@ -2313,6 +3461,7 @@ class MCPToolRegistry {
         name: 'jasper_component_health',
         description: 'Test health of a specific system component',
         category: TOOL_CATEGORIES.HEALTH_MONITORING,
+        annotations: { openWorldHint: false },
         inputSchema: {
           type: 'object',
           properties: {
@@ -2344,6 +3493,7 @@ class MCPToolRegistry {
         description:
           'Get detailed resilience and performance statistics including retry, cache, connection pool, and memory management metrics',
         category: TOOL_CATEGORIES.HEALTH_MONITORING,
+        annotations: { openWorldHint: false },
         inputSchema: {
           type: 'object',
           properties: {
@@ -2382,6 +3532,7 @@ class MCPToolRegistry {
         description:
           'Return an empty template of report that can help AI agents use structured and valid JRXML reports',
         category: TOOL_CATEGORIES.TEMPLATE_AND_STRUCTURE,
+        annotations: { openWorldHint: false },
         inputSchema: {
           type: 'object',
           properties: {
@@ -2425,6 +3576,7 @@ class MCPToolRegistry {
             templateType: params.templateType || 'basic',
             jrxmlContent: template.jrxmlContent,
             base64Content: template.base64Content,
+            spec: template.spec,
             templateStructure: template.structure,
             sampleParameters: template.sampleParameters,
             sampleFields: template.sampleFields,
@@ -2434,11 +3586,189 @@ class MCPToolRegistry {
         },
       },
 
+      jasper_compile_report_spec: {
+        name: 'jasper_compile_report_spec',
+        description:
+          'Compile a declarative JSON report spec (page setup, parameters, fields, groups, columns with totals, variables, styles and charts) into JRXML with computed element positions and band heights. jasper_get_report_template returns example specs',
+        category: TOOL_CATEGORIES.TEMPLATE_AND_STRUCTURE,
+        annotations: { openWorldHint: false },
+        inputSchema: {
+          type: 'object',
+          required: ['spec'],
+          properties: {
+            spec: {
+              ...REPORT_SPEC_SCHEMA,
+              description: 'Report spec to compile',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const templateService = this._getService('template');
+          const result = await templateService.compileReportSpec(params);
+
+          return {
+            success: true,
+            reportName: result.reportName,
+            jrxmlContent: result.jrxmlContent,
+            base64Content: result.base64Content,
+            layout: result.layout,
+            variables: result.variables,
+          };
+        },
+      },
+
+      jasper_validate_jrxml: {
+        name: 'jasper_validate_jrxml',
+        description:
+          'Validate JRXML offline before uploading: XML syntax, schema element order, required attributes, unknown elements, duplicate declarations, band heights, elements outside their band, and $F/$P/$V/$R references and their classes in expressions. Every finding has a line number',
+        category: TOOL_CATEGORIES.TEMPLATE_AND_STRUCTURE,
+        annotations: { openWorldHint: false },
+        inputSchema: {
+          type: 'object',
+          required: ['jrxmlContent'],
+          properties: {
+            jrxmlContent: {
+              type: 'string',
+              description: 'JRXML content to validate',
+              minLength: 1,
+            },
+            resourceBundle: {
+              type: 'string',
+              description:
+                "Content of the report's resource bundle .properties file, used to check $R{} keys",
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const templateService = this._getService('template');
+          const result = await templateService.validateJRXML(params);
+
+          return {
+            success: true,
+            valid: result.valid,
+            errors: result.errors,
+            warnings: result.warnings,
+            report: result.report,
+          };
+        },
+      },
+
+      jasper_lint_jrxml: {
+        name: 'jasper_lint_jrxml',
+        description:
+          'Lint the layout of JRXML offline: overlapping elements, text fields too narrow for their pattern, elements outside the page margins or below their band, missing whenNoDataType, isStretchWithOverflow misuse and static text in the detail band. With fix, positions and attributes are rewritten in place and every change is reported',
+        category: TOOL_CATEGORIES.TEMPLATE_AND_STRUCTURE,
+        annotations: { openWorldHint: false },
+        inputSchema: {
+          type: 'object',
+          required: ['jrxmlContent'],
+          properties: {
+            jrxmlContent: {
+              type: 'string',
+              description: 'JRXML content to lint',
+              minLength: 1,
+            },
+            fix: {
+              type: 'boolean',
+              description: 'Whether to return the JRXML with fixable findings fixed',
+              default: false,
+            },
+            rules: {
+              type: 'array',
+              description: 'Rules to run (default: all)',
+              items: {
+                type: 'string',
+                enum: Object.keys(LINT_RULES),
+              },
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const templateService = this._getService('template');
+          const result = await templateService.lintJRXML(params);
+
+          return {
+            success: true,
+            findings: result.findings,
+            ...(params.fix && { jrxmlContent: result.jrxmlContent, changes: result.changes }),
+          };
+        },
+      },
+
+      jasper_generate_report_from_query: {
+        name: 'jasper_generate_report_from_query',
+        description:
+          'Generate a complete tabular JRXML report from a SQL query: the query runs against the datasource with a one-row limit and its result columns become typed fields, column headers and detail text fields. Result columns must be Java identifiers; alias expressions such as count(*)',
+        category: TOOL_CATEGORIES.TEMPLATE_AND_STRUCTURE,
+        inputSchema: {
+          type: 'object',
+          required: ['datasourceUri', 'query'],
+          properties: {
+            datasourceUri: {
+              type: 'string',
+              description: 'Repository URI of the datasource the query runs against',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+              minLength: 2,
+              maxLength: 500,
+            },
+            query: {
+              type: 'string',
+              description: 'SQL query used as the report queryString',
+              minLength: 1,
+              maxLength: 100000,
+            },
+            reportName: {
+              type: 'string',
+              description: 'Name of the generated report (Java identifier)',
+              pattern: '^[a-zA-Z_][a-zA-Z0-9_]*$',
+              maxLength: 100,
+              default: 'QueryReport',
+            },
+            title: {
+              type: 'string',
+              description: 'Report title shown in the title band',
+              maxLength: 200,
+              default: 'Query Report',
+            },
+            pageFormat: {
+              type: 'string',
+              enum: ['A4', 'Letter', 'Legal', 'A3'],
+              description: 'Page format for the report',
+              default: 'A4',
+            },
+            orientation: {
+              type: 'string',
+              enum: ['portrait', 'landscape'],
+              description: 'Page orientation',
+              default: 'portrait',
+            },
+          },
+          additionalProperties: false,
+        },
+        handler: async params => {
+          const result = await this._getService('resource').generateReportFromQuery(params);
+
+          return {
+            success: result.success,
+            datasourceUri: result.datasourceUri,
+            reportName: result.reportName,
+            jrxmlContent: result.jrxmlContent,
+            base64Content: result.base64Content,
+            fields: result.fields,
+            executionTime: result.executionTime,
+          };
+        },
+      },
+
       jasper_get_datasource_structure: {
         name: 'jasper_get_datasource_structure',
         description:
           'Return datasource structure and validation information for creating valid datasources',
         category: TOOL_CATEGORIES.TEMPLATE_AND_STRUCTURE,
+        annotations: { openWorldHint: false },
         inputSchema: {
           type: 'object',
           properties: {
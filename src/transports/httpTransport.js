@@ -0,0 +1,376 @@
+/**
+ * HTTP Transport Host for JasperReports MCP Server
+ *
+ * Serves the MCP protocol over HTTP so that several clients can share a single
+ * deployment (for example behind the Kubernetes ingress). Two wire protocols are
+ * supported:
+ * - Streamable HTTP (MCP 2025-03-26) on a single endpoint (default: /mcp)
+ * - Legacy HTTP+SSE (MCP 2024-11-05) on /sse (stream) and /messages (client POSTs)
+ *
+ * Every client connection becomes a session with its own MCP Server instance and
+ * its own tool registry, so authentication state and active executions are never
+ * shared between clients. Idle sessions are closed after the configured timeout.
+ */
+
+import { randomUUID } from 'crypto';
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { logManager } from '../utils/logger.js';
+
+/**
+ * Supported transport types
+ */
+const TRANSPORT_TYPES = {
+  STDIO: 'stdio',
+  HTTP: 'http',
+  SSE: 'sse',
+};
+
+/**
+ * Fixed endpoints used by the legacy HTTP+SSE transport
+ */
+const SSE_ENDPOINTS = {
+  STREAM: '/sse',
+  MESSAGES: '/messages',
+};
+
+/**
+ * Interval used to look for idle sessions (capped by the session timeout)
+ */
+const SESSION_SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * HTTP transport host managing per-client MCP sessions
+ */
+class HttpTransportServer {
+  /**
+   * @param {object} config - Server configuration
+   * @param {object} options - Host options
+   * @param {Function} options.createSession - Factory returning { server, toolRegistry } for a new client
+   * @param {Function} [options.log] - Logger with (level, message, data) signature
+   */
+  constructor(config, options = {}) {
+    if (typeof options.createSession !== 'function') {
+      throw new Error('HttpTransportServer requires a createSession factory');
+    }
+
+    this.config = config;
+    this.type =
+      config.transport === TRANSPORT_TYPES.SSE ? TRANSPORT_TYPES.SSE : TRANSPORT_TYPES.HTTP;
+    this.createSession = options.createSession;
+    this.log = options.log || (() => {});
+    this.sessions = new Map();
+    this.app = this._createApp();
+    this.httpServer = null;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Start listening for HTTP connections
+   * @returns {Promise<object>} Bound address information
+   */
+  async start() {
+    if (this.httpServer) {
+      return this.getAddress();
+    }
+
+    await new Promise((resolve, reject) => {
+      this.httpServer = this.app.listen(this.config.httpPort, this.config.httpHost, resolve);
+      this.httpServer.once('error', reject);
+    });
+
+    const sweepInterval = Math.min(this.config.sessionTimeout, SESSION_SWEEP_INTERVAL_MS);
+    this.sweepTimer = setInterval(() => this._closeIdleSessions(), sweepInterval);
+    if (this.sweepTimer.unref) {
+      this.sweepTimer.unref();
+    }
+
+    const address = this.getAddress();
+    this.log('info', `MCP ${this.type} transport listening`, {
+      host: address.address,
+      port: address.port,
+      endpoint: this.type === TRANSPORT_TYPES.SSE ? SSE_ENDPOINTS.STREAM : this.config.httpPath,
+    });
+
+    return address;
+  }
+
+  /**
+   * Close all sessions and stop listening
+   */
+  async stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+
+    for (const sessionId of [...this.sessions.keys()]) {
+      await this.closeSession(sessionId);
+    }
+
+    if (this.httpServer) {
+      const httpServer = this.httpServer;
+      this.httpServer = null;
+      await new Promise(resolve => {
+        httpServer.close(() => resolve());
+        if (httpServer.closeAllConnections) {
+          httpServer.closeAllConnections();
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the bound address of the HTTP server
+   * @returns {object|null} Address information
+   */
+  getAddress() {
+    return this.httpServer ? this.httpServer.address() : null;
+  }
+
+  /**
+   * Get session state by ID
+   * @param {string} sessionId - MCP session ID
+   * @returns {object|null} Session state
+   */
+  getSession(sessionId) {
+    return (sessionId && this.sessions.get(sessionId)) || null;
+  }
+
+  /**
+   * Get number of open sessions
+   * @returns {number} Session count
+   */
+  getSessionCount() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Close a session and release its resources
+   * @param {string} sessionId - MCP session ID
+   * @returns {Promise<boolean>} True if the session existed
+   */
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    try {
+      await session.transport.close();
+    } catch (error) {
+      this.log('warn', 'Error closing MCP session transport', { sessionId, error: error.message });
+    }
+
+    // Transports normally release the session via onclose; make sure it is gone either way
+    this._releaseSession(sessionId, session);
+    return true;
+  }
+
+  /**
+   * Create the Express application with MCP endpoints
+   * @private
+   */
+  _createApp() {
+    const app = express();
+    app.use(express.json({ limit: this.config.maxFileSize }));
+
+    app.get('/health', (req, res) => {
+      res.json({
+        status: 'ok',
+        transport: this.type,
+        sessions: this.sessions.size,
+      });
+    });
+
+    if (this.type === TRANSPORT_TYPES.SSE) {
+      app.get(SSE_ENDPOINTS.STREAM, (req, res) => this._handleSseConnect(req, res));
+      app.post(SSE_ENDPOINTS.MESSAGES, (req, res) => this._handleSseMessage(req, res));
+    } else {
+      app.post(this.config.httpPath, (req, res) => this._handleStreamablePost(req, res));
+      app.get(this.config.httpPath, (req, res) => this._handleStreamableSessionRequest(req, res));
+      app.delete(this.config.httpPath, (req, res) =>
+        this._handleStreamableSessionRequest(req, res)
+      );
+    }
+
+    return app;
+  }
+
+  /**
+   * Handle Streamable HTTP POST requests, creating a session on initialize
+   * @private
+   */
+  async _handleStreamablePost(req, res) {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      const existing = this.getSession(sessionId);
+
+      if (existing) {
+        existing.lastActivity = Date.now();
+        await existing.transport.handleRequest(req, res, req.body);
+        return;
+      }
+
+      if (sessionId || !isInitializeRequest(req.body)) {
+        this._sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      const session = await this.createSession();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: newSessionId =>
+          this._registerSession(newSessionId, transport, session),
+      });
+
+      session.server.onclose = () => this._releaseSession(transport.sessionId, session);
+      await session.server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      this._handleRequestError(res, error);
+    }
+  }
+
+  /**
+   * Handle Streamable HTTP GET (notification stream) and DELETE (termination) requests
+   * @private
+   */
+  async _handleStreamableSessionRequest(req, res) {
+    try {
+      const session = this.getSession(req.headers['mcp-session-id']);
+      if (!session) {
+        this._sendJsonRpcError(res, 400, 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      await session.transport.handleRequest(req, res);
+    } catch (error) {
+      this._handleRequestError(res, error);
+    }
+  }
+
+  /**
+   * Handle legacy SSE stream connections
+   * @private
+   */
+  async _handleSseConnect(req, res) {
+    try {
+      const session = await this.createSession();
+      const transport = new SSEServerTransport(SSE_ENDPOINTS.MESSAGES, res);
+
+      this._registerSession(transport.sessionId, transport, session);
+      session.server.onclose = () => this._releaseSession(transport.sessionId, session);
+      await session.server.connect(transport);
+    } catch (error) {
+      this._handleRequestError(res, error);
+    }
+  }
+
+  /**
+   * Handle legacy SSE client messages
+   * @private
+   */
+  async _handleSseMessage(req, res) {
+    try {
+      const session = this.getSession(req.query.sessionId);
+      if (!session) {
+        this._sendJsonRpcError(res, 404, 'Session not found');
+        return;
+      }
+
+      session.lastActivity = Date.now();
+      await session.transport.handlePostMessage(req, res, req.body);
+    } catch (error) {
+      this._handleRequestError(res, error);
+    }
+  }
+
+  /**
+   * Track a newly initialized session
+   * @private
+   */
+  _registerSession(sessionId, transport, session) {
+    const now = Date.now();
+    Object.assign(session, {
+      sessionId,
+      transport,
+      type: this.type,
+      createdAt: now,
+      lastActivity: now,
+    });
+    this.sessions.set(sessionId, session);
+
+    this.log('info', 'MCP session opened', { sessionId, sessions: this.sessions.size });
+  }
+
+  /**
+   * Forget a session and dispose its tool registry
+   * @private
+   */
+  _releaseSession(sessionId, session) {
+    if (this.sessions.get(sessionId) === session) {
+      this.sessions.delete(sessionId);
+      this.log('info', 'MCP session closed', { sessionId, sessions: this.sessions.size });
+    }
+
+    if (!session.disposed) {
+      session.disposed = true;
+      logManager.removeServer(session.server);
+      try {
+        session.completionRegistry?.dispose();
+        session.toolRegistry?.dispose();
+      } catch (error) {
+        this.log('warn', 'Error disposing session tool registry', {
+          sessionId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Close sessions that have been idle longer than the session timeout
+   * @private
+   */
+  async _closeIdleSessions() {
+    const cutoff = Date.now() - this.config.sessionTimeout;
+
+    for (const [sessionId, session] of this.sessions) {
+      if (session.lastActivity < cutoff) {
+        this.log('debug', 'Closing idle MCP session', { sessionId });
+        await this.closeSession(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Send an error response for a failed request
+   * @private
+   */
+  _handleRequestError(res, error) {
+    this.log('error', 'Error handling MCP HTTP request', { error: error.message });
+
+    if (!res.headersSent) {
+      this._sendJsonRpcError(res, 500, 'Internal server error', -32603);
+    }
+  }
+
+  /**
+   * Send a JSON-RPC error body with the given HTTP status
+   * @private
+   */
+  _sendJsonRpcError(res, status, message, code = -32000) {
+    res.status(status).json({
+      jsonrpc: '2.0',
+      error: { code, message },
+      id: null,
+    });
+  }
+}
+
+export default HttpTransportServer;
+export { HttpTransportServer, TRANSPORT_TYPES, SSE_ENDPOINTS };
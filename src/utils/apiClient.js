@@ -9,6 +9,9 @@
 import axios from 'axios';
 import { getConfiguration } from '../config/environment.js';
 import { getResilienceManager } from './resilience.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('API Client');
 
 /**
  * Authentication types supported by the API client
@@ -107,12 +110,10 @@ class APIClient {
     }
 
     // Debug logging
-    if (this.config.debugMode) {
-      console.log(`[API Client] ${config.method?.toUpperCase()} ${config.url}`, {
-        headers: this._sanitizeHeaders(config.headers),
-        params: this._sanitizeParams(config.params),
-      });
-    }
+    logger.debug(`${config.method?.toUpperCase()} ${config.url}`, {
+      headers: this._sanitizeHeaders(config.headers),
+      params: this._sanitizeParams(config.params),
+    });
 
     return config;
   }
@@ -122,9 +123,7 @@ class APIClient {
    * @private
    */
   _handleRequestError(error) {
-    if (this.config.debugMode) {
-      console.error('[API Client] Request error:', error.message);
-    }
+    logger.debug('Request error', { error: error.message });
     return Promise.reject(this._createAPIError('REQUEST_ERROR', error.message, error));
   }
 
@@ -138,19 +137,36 @@ class APIClient {
       this._extractSessionCookies(response.headers['set-cookie']);
     }
 
-    // Debug logging
-    if (this.config.debugMode) {
-      console.log(`[API Client] Response ${response.status}`, {
+    // Debug logging; the size is only computed when it is logged
+    if (logger.isEnabled('debug')) {
+      logger.debug(`Response ${response.status}`, {
         url: response.config.url,
         status: response.status,
         contentType: response.headers['content-type'],
-        dataSize: response.data ? JSON.stringify(response.data).length : 0,
+        dataSize: this._getResponseSize(response),
       });
     }
 
     return response;
   }
 
+  /**
+   * Get the size of a response body without serializing it; report and export downloads
+   * are Buffers that can be large
+   * @private
+   */
+  _getResponseSize(response) {
+    const { data } = response;
+    if (Buffer.isBuffer(data)) {
+      return data.length;
+    }
+    if (typeof data === 'string') {
+      return Buffer.byteLength(data);
+    }
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    return isNaN(contentLength) ? undefined : contentLength;
+  }
+
   /**
    * Handle response errors and authentication challenges
    * @private
@@ -163,9 +179,7 @@ class APIClient {
       if (status === HTTP_STATUS.UNAUTHORIZED) {
         if (this.config.authType === AUTH_TYPES.LOGIN && this.isAuthenticated) {
           // Session expired, try to re-authenticate
-          if (this.config.debugMode) {
-            console.log('[API Client] Session expired, attempting re-authentication');
-          }
+          logger.debug('Session expired, attempting re-authentication');
 
           try {
             await this.authenticate();
@@ -305,6 +319,15 @@ class APIClient {
     return this.config.username;
   }
 
+  /**
+   * Get the key of the cached session. The session cache is shared by the clients of all
+   * server profiles, so the key holds the server URL besides the username and organization.
+   * @private
+   */
+  _getSessionKey(authType) {
+    return `${authType}:${this.config.jasperUrl}:${this._getUsername()}`;
+  }
+
   /**
    * Authenticate with JasperReports Server using configured method
    * @returns {Promise<string>} Authentication token or session identifier
@@ -337,7 +360,7 @@ class APIClient {
    */
   async _authenticateBasic() {
     const username = this._getUsername();
-    const sessionKey = `basic:${username}`;
+    const sessionKey = this._getSessionKey(AUTH_TYPES.BASIC);
 
     // Check if we have cached credentials
     const cachedCredentials = this.resilienceManager.cacheManager.getSessionToken(sessionKey);
@@ -364,9 +387,7 @@ class APIClient {
       // Cache credentials for future use
       this.resilienceManager.cacheManager.setSessionToken(sessionKey, credentials);
 
-      if (this.config.debugMode) {
-        console.log('[API Client] Basic authentication successful');
-      }
+      logger.debug('Basic authentication successful');
       return credentials;
     }
 
@@ -379,7 +400,7 @@ class APIClient {
    */
   async _authenticateLogin() {
     const username = this._getUsername();
-    const sessionKey = `login:${username}`;
+    const sessionKey = this._getSessionKey(AUTH_TYPES.LOGIN);
 
     // Check if we have cached session
     const cachedSession = this.resilienceManager.cacheManager.getSessionToken(sessionKey);
@@ -417,9 +438,7 @@ class APIClient {
       };
       this.resilienceManager.cacheManager.setSessionToken(sessionKey, JSON.stringify(sessionData));
 
-      if (this.config.debugMode) {
-        console.log('[API Client] Login service authentication successful');
-      }
+      logger.debug('Login service authentication successful');
       return Array.from(this.sessionCookies.keys()).join(',');
     }
 
@@ -437,9 +456,7 @@ class APIClient {
 
     if (response.status === HTTP_STATUS.OK) {
       this.isAuthenticated = true;
-      if (this.config.debugMode) {
-        console.log('[API Client] Argument-based authentication successful');
-      }
+      logger.debug('Argument-based authentication successful');
       return 'argument-based';
     }
 
@@ -636,9 +653,7 @@ class APIClient {
       await this.getServerInfo();
       return true;
     } catch (error) {
-      if (this.config.debugMode) {
-        console.error('[API Client] Connection test failed:', error.message);
-      }
+      logger.debug('Connection test failed', { error: error.message });
       return false;
     }
   }
@@ -652,9 +667,7 @@ class APIClient {
     this.sessionCookies.clear();
     this.sessionExpiry = null;
 
-    if (this.config.debugMode) {
-      console.log('[API Client] Authentication cleared');
-    }
+    logger.debug('Authentication cleared');
   }
 
   /**
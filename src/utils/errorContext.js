@@ -7,6 +7,9 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { getConfiguration } from '../config/environment.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ErrorContext');
 
 /**
  * ErrorContext class for tracking comprehensive error information
@@ -380,15 +383,14 @@ class ErrorContext {
     const summary = this.getErrorSummary();
 
     if (this.debugMode || logLevel === 'debug') {
-      console.log(
-        `[ErrorContext] [${logLevel.toUpperCase()}] Detailed context:`,
-        JSON.stringify(this.toStructuredResponse(true), null, 2)
-      );
+      logger.log(logLevel, 'Detailed context', this.toStructuredResponse(true));
     } else {
-      console.log(
-        `[ErrorContext] [${logLevel.toUpperCase()}] ${this.toolName}:${this.operation} - ` +
-          `Correlation ID: ${this.correlationId}, Errors: ${summary.errorCounts.validation + summary.errorCounts.http + summary.errorCounts.jasper + summary.errorCounts.system}, ` +
-          `Duration: ${summary.totalExecutionTime}ms`
+      logger.log(
+        logLevel,
+        `${this.toolName}:${this.operation} - ` +
+          `Errors: ${summary.errorCounts.validation + summary.errorCounts.http + summary.errorCounts.jasper + summary.errorCounts.system}, ` +
+          `Duration: ${summary.totalExecutionTime}ms`,
+        { correlationId: this.correlationId }
       );
     }
   }
@@ -504,10 +506,7 @@ class ErrorContext {
    */
   _logDebug(type, data) {
     if (this.debugMode) {
-      console.log(
-        `[ErrorContext] [DEBUG] ${this.correlationId} - ${type}:`,
-        JSON.stringify(data, null, 2)
-      );
+      logger.debug(type, { correlationId: this.correlationId, details: data });
     }
   }
 }
@@ -13,6 +13,9 @@
 import { getConfiguration } from '../config/environment.js';
 import { PermissionManager } from './permissionManager.js';
 import { getErrorContextManager } from './errorContext.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Error Handler');
 
 /**
  * MCP Error Types based on the Model Context Protocol specification
@@ -481,6 +484,19 @@ class ErrorHandler {
     );
   }
 
+  /**
+   * Create cancellation error
+   * @param {string} operation - Operation that was cancelled
+   * @param {string} reason - Cancellation reason
+   * @returns {MCPError} Cancellation error
+   */
+  createCancellationError(operation, reason = 'Cancelled by client') {
+    return new MCPError(MCP_ERROR_TYPES.CANCELLED, `Operation '${operation}' was cancelled`, {
+      operation,
+      reason,
+    });
+  }
+
   /**
    * Create internal error for unexpected issues
    * @param {string} message - Error message
@@ -569,12 +585,12 @@ class ErrorHandler {
     // Log based on error category and configuration
     if (this._shouldLogError(error, config)) {
       if (config.debugMode || config.logLevel === 'debug') {
-        console.error('[Error Handler] Detailed error:', JSON.stringify(logData, null, 2));
-        if (error.stack) {
-          console.error('[Error Handler] Stack trace:', error.stack);
-        }
+        logger.error(`${context || 'Error'}: ${error.message}`, {
+          ...logData,
+          stack: error.stack,
+        });
       } else {
-        console.error(`[Error Handler] ${context || 'Error'}: ${error.message}`);
+        logger.error(`${context || 'Error'}: ${error.message}`);
       }
     }
   }
@@ -671,6 +687,11 @@ class ErrorHandler {
       }
     }
 
+    // Errors already mapped by a service keep their type and details
+    if (error instanceof MCPError) {
+      return error;
+    }
+
     // Fall back to regular error mapping
     return this.mapHttpError(statusCode, error.response?.data, `${toolName}:${operation}`);
   }
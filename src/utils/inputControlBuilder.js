@@ -0,0 +1,220 @@
+/**
+ * Input Control Builder for JasperReports MCP Server
+ *
+ * Builds the repository inputControl descriptors of a report unit from the prompting
+ * parameters of its JRXML. The control type follows the parameter class: Boolean parameters
+ * get a checkbox, dates, numbers and strings a single value field, and collections a
+ * multi-select. Parameters with values or a query get a list-of-values or query-backed
+ * select instead.
+ */
+
+import { MCPError, MCP_ERROR_TYPES } from './errorHandler.js';
+import { JRXMLParser, getChild, getChildren } from './jrxmlParser.js';
+
+/**
+ * Input control types of repository inputControl descriptors
+ */
+const REPOSITORY_CONTROL_TYPES = {
+  bool: 1,
+  singleValue: 2,
+  singleSelectListOfValues: 3,
+  singleSelectQuery: 4,
+  multiSelectListOfValues: 6,
+  multiSelectQuery: 7,
+};
+
+/**
+ * Single value data types for parameter classes
+ */
+const CLASS_DATA_TYPES = {
+  'java.lang.String': 'text',
+  'java.lang.Byte': 'number',
+  'java.lang.Short': 'number',
+  'java.lang.Integer': 'number',
+  'java.lang.Long': 'number',
+  'java.lang.Float': 'number',
+  'java.lang.Double': 'number',
+  'java.lang.Number': 'number',
+  'java.math.BigInteger': 'number',
+  'java.math.BigDecimal': 'number',
+  'java.util.Date': 'date',
+  'java.sql.Date': 'date',
+  'java.sql.Timestamp': 'dateTime',
+  'java.sql.Time': 'time',
+};
+
+const COLLECTION_CLASSES = [
+  'java.util.Collection',
+  'java.util.List',
+  'java.util.ArrayList',
+  'java.util.LinkedList',
+  'java.util.Set',
+  'java.util.HashSet',
+  'java.util.SortedSet',
+  'java.util.TreeSet',
+];
+
+/**
+ * Input Control Builder class
+ */
+class InputControlBuilder {
+  constructor() {
+    this.parser = new JRXMLParser();
+  }
+
+  /**
+   * Build input controls for the prompting parameters of a report
+   * @param {string} jrxmlContent - JRXML content
+   * @param {object} options - Build options
+   * @param {string} options.reportUri - Report unit URI; controls are stored in its _files folder
+   * @param {Array} options.controls - Per-parameter options: label, mandatory, list of values
+   *   or query
+   * @param {string} options.dataSourceUri - Report datasource, used by query-backed controls
+   * @returns {object} Descriptors to embed in the report unit, and the controls created and
+   *   parameters skipped
+   * @throws {MCPError} InvalidParams error for options that do not match a prompting parameter
+   */
+  build(jrxmlContent, options = {}) {
+    const { reportUri, controls = [], dataSourceUri } = options;
+    const parameters = getChildren(this.parser.parse(jrxmlContent), 'parameter').filter(
+      parameter => parameter.attributes.isForPrompting !== 'false'
+    );
+    const optionsByName = this._getOptions(controls, parameters, dataSourceUri);
+
+    const result = { inputControls: [], created: [], skipped: [] };
+    parameters.forEach(parameter => {
+      const { name } = parameter.attributes;
+      const control = this._buildControl(parameter, optionsByName.get(name) || {});
+
+      if (control.reason) {
+        result.skipped.push({ parameter: name, reason: control.reason });
+        return;
+      }
+
+      result.inputControls.push({
+        inputControl: { uri: `${reportUri}_files/${name}`, ...control.descriptor },
+      });
+      result.created.push({
+        parameter: name,
+        type: control.type,
+        ...(control.dataType && { dataType: control.dataType }),
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Check per-parameter options against the prompting parameters
+   * @private
+   */
+  _getOptions(controls, parameters, dataSourceUri) {
+    const names = parameters.map(parameter => parameter.attributes.name);
+    const optionsByName = new Map();
+
+    controls.forEach(control => {
+      const invalid = message =>
+        new MCPError(
+          MCP_ERROR_TYPES.INVALID_PARAMS,
+          `Input control for parameter '${control.parameter}': ${message}`,
+          { field: 'inputControlOptions', parameter: control.parameter }
+        );
+
+      if (!names.includes(control.parameter)) {
+        throw new MCPError(
+          MCP_ERROR_TYPES.INVALID_PARAMS,
+          `Input control options name parameter '${control.parameter}', which the report does not declare for prompting`,
+          { field: 'inputControlOptions', availableParameters: names }
+        );
+      }
+      if (optionsByName.has(control.parameter)) {
+        throw invalid('options are given more than once');
+      }
+      if (control.values && control.query) {
+        throw invalid('use either values or a query, not both');
+      }
+      if (control.query && !control.valueColumn) {
+        throw invalid('a query needs the valueColumn holding the parameter value');
+      }
+      if (control.query && !control.dataSourceUri && !dataSourceUri) {
+        throw invalid('a query needs a dataSourceUri when the report has no datasource');
+      }
+      optionsByName.set(control.parameter, control);
+    });
+
+    return optionsByName;
+  }
+
+  /**
+   * Build the descriptor of one control, or the reason the parameter gets none
+   * @private
+   */
+  _buildControl(parameter, options) {
+    const parameterClass = parameter.attributes.class || 'java.lang.String';
+    const collection = COLLECTION_CLASSES.includes(parameterClass);
+    const description = getChild(parameter, 'parameterDescription')?.text.trim();
+    const descriptor = {
+      label: options.label || description || parameter.attributes.name,
+      ...(description && { description }),
+      mandatory: options.mandatory || false,
+      readOnly: false,
+      visible: true,
+    };
+    const typed = type => ({
+      type,
+      descriptor: { ...descriptor, type: REPOSITORY_CONTROL_TYPES[type] },
+    });
+
+    if (parameterClass === 'java.lang.Boolean') {
+      if (options.values || options.query) {
+        return { reason: 'Boolean parameters get a checkbox and take no values or query' };
+      }
+      return typed('bool');
+    }
+
+    if (options.values) {
+      const control = typed(collection ? 'multiSelectListOfValues' : 'singleSelectListOfValues');
+      control.descriptor.listOfValues = {
+        listOfValues: {
+          label: `${descriptor.label} values`,
+          items: options.values.map(({ value, label }) => ({ label: label || value, value })),
+        },
+      };
+      return control;
+    }
+
+    if (options.query) {
+      const control = typed(collection ? 'multiSelectQuery' : 'singleSelectQuery');
+      control.descriptor.query = {
+        query: {
+          label: `${descriptor.label} query`,
+          value: options.query,
+          language: 'sql',
+          ...(options.dataSourceUri && {
+            dataSource: { dataSourceReference: { uri: options.dataSourceUri } },
+          }),
+        },
+      };
+      control.descriptor.queryValueColumn = options.valueColumn;
+      control.descriptor.visibleColumns = options.visibleColumns || [options.valueColumn];
+      return control;
+    }
+
+    if (collection) {
+      return { reason: `${parameterClass} needs values or a query to offer a multi-select` };
+    }
+
+    const dataType = CLASS_DATA_TYPES[parameterClass];
+    if (!dataType) {
+      return { reason: `${parameterClass} has no single value input; give values or a query` };
+    }
+
+    const control = typed('singleValue');
+    control.dataType = dataType;
+    control.descriptor.dataType = { dataType: { label: dataType, type: dataType } };
+    return control;
+  }
+}
+
+export default InputControlBuilder;
+export { InputControlBuilder, REPOSITORY_CONTROL_TYPES };
@@ -0,0 +1,645 @@
+/**
+ * JRXML Diff for JasperReports MCP Server
+ *
+ * Compares two versions of a JRXML report element by element rather than as text, so
+ * formatting and the order of attributes do not show up as changes. Changes are described
+ * in report terms: declarations added, removed or changed, query changes, bands, elements
+ * moved or resized, and changed expressions and attributes.
+ *
+ * Report elements are matched across versions by uuid, then by key, then by their content
+ * (static text or main expression), then by their position in the same band.
+ */
+
+import { MCPError, MCP_ERROR_TYPES } from './errorHandler.js';
+import { JRXMLParser, getChild, getChildren } from './jrxmlParser.js';
+import { getBands, getLayoutElements, getPage, getReportElement } from './jrxmlLayout.js';
+
+/**
+ * Dataset declarations compared by name, with the attribute holding the name
+ */
+const DATASET_DECLARATIONS = {
+  property: 'name',
+  scriptlet: 'name',
+  parameter: 'name',
+  field: 'name',
+  sortField: 'name',
+  variable: 'name',
+  group: 'name',
+};
+
+/**
+ * Report-level declarations compared by name
+ */
+const REPORT_DECLARATIONS = {
+  import: 'value',
+  style: 'name',
+};
+
+/**
+ * Report attributes that do not change how the report renders
+ */
+const IGNORED_REPORT_ATTRIBUTES = ['uuid', 'xmlns', 'xsi:schemaLocation'];
+
+const GEOMETRY_ATTRIBUTES = ['x', 'y', 'width', 'height'];
+
+const DESCRIPTION_LENGTH = 40;
+
+/**
+ * JRXML Diff class
+ */
+class JRXMLDiff {
+  constructor() {
+    this.parser = new JRXMLParser();
+  }
+
+  /**
+   * Compare two versions of a JRXML report
+   * @param {string} originalContent - JRXML content the changes are relative to
+   * @param {string} modifiedContent - Changed JRXML content
+   * @returns {object} Whether the versions are identical, change counts by kind and the
+   *   changes, with line numbers in both versions
+   * @throws {MCPError} InvalidParams error when either version is malformed
+   */
+  compare(originalContent, modifiedContent) {
+    const original = this._parse(originalContent, 'original');
+    const modified = this._parse(modifiedContent, 'modified');
+    const changes = [];
+
+    this._compareProperties(original, modified, { target: 'report' }, changes, {
+      attributesOnly: true,
+    });
+    this._compareDeclarations(original, modified, REPORT_DECLARATIONS, null, changes);
+    this._compareDataset(original, modified, null, changes);
+    this._compareSubDatasets(original, modified, changes);
+    this._compareBands(original, modified, changes);
+    this._compareElements(original, modified, changes);
+
+    const summary = { added: 0, removed: 0, changed: 0, moved: 0, resized: 0 };
+    changes.forEach(change => summary[change.kind]++);
+
+    return { identical: changes.length === 0, summary, changes };
+  }
+
+  /**
+   * @private
+   */
+  _parse(content, version) {
+    let root;
+    try {
+      root = this.parser.parse(content);
+    } catch (error) {
+      if (error.name !== 'MCPError') {
+        throw error;
+      }
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `The ${version} JRXML cannot be compared. ${error.message}`,
+        { ...error.details, version }
+      );
+    }
+
+    if (root.name !== 'jasperReport') {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `The ${version} JRXML has <${root.name}> as root element instead of <jasperReport>`,
+        { version }
+      );
+    }
+    return root;
+  }
+
+  /**
+   * Compare the declarations and query of the main dataset or a subdataset
+   * @private
+   */
+  _compareDataset(original, modified, dataset, changes) {
+    this._compareDeclarations(original, modified, DATASET_DECLARATIONS, dataset, changes);
+
+    const [originalQuery, modifiedQuery] = [original, modified].map(node =>
+      getChild(node, 'queryString')
+    );
+    if (!originalQuery && !modifiedQuery) {
+      return;
+    }
+
+    const context = { target: 'query', dataset };
+    if (!originalQuery || !modifiedQuery) {
+      this._addPresenceChange(context, originalQuery, modifiedQuery, changes);
+      return;
+    }
+
+    if (this._normalize(originalQuery.text) !== this._normalize(modifiedQuery.text)) {
+      this._addChange(changes, originalQuery, modifiedQuery, {
+        kind: 'changed',
+        ...context,
+        property: 'text()',
+        before: originalQuery.text.trim(),
+        after: modifiedQuery.text.trim(),
+        message: `Changed ${this._describeTarget(context)}`,
+      });
+    }
+    this._compareProperties(originalQuery, modifiedQuery, context, changes, {
+      attributesOnly: true,
+    });
+  }
+
+  /**
+   * @private
+   */
+  _compareSubDatasets(original, modified, changes) {
+    const [originalByName, modifiedByName] = [original, modified].map(root =>
+      this._byName(getChildren(root, 'subDataset'), node => node.attributes.name)
+    );
+
+    this._forEachName(originalByName, modifiedByName, (name, originalNode, modifiedNode) => {
+      if (originalNode && modifiedNode) {
+        this._compareProperties(
+          originalNode,
+          modifiedNode,
+          { target: 'subDataset', name },
+          changes,
+          { attributesOnly: true }
+        );
+        this._compareDataset(originalNode, modifiedNode, name, changes);
+      } else {
+        this._addPresenceChange(
+          { target: 'subDataset', name },
+          originalNode,
+          modifiedNode,
+          changes
+        );
+      }
+    });
+  }
+
+  /**
+   * Compare declarations by name; groups are compared without their bands
+   * @private
+   */
+  _compareDeclarations(original, modified, declarations, dataset, changes) {
+    Object.entries(declarations).forEach(([target, nameAttribute]) => {
+      const [originalByName, modifiedByName] = [original, modified].map(node =>
+        this._byName(getChildren(node, target), child => child.attributes[nameAttribute])
+      );
+
+      this._forEachName(originalByName, modifiedByName, (name, originalNode, modifiedNode) => {
+        const context = { target, name, dataset };
+        if (originalNode && modifiedNode) {
+          this._compareProperties(originalNode, modifiedNode, context, changes, {
+            skipChild: child => ['groupHeader', 'groupFooter'].includes(child.name),
+          });
+        } else {
+          this._addPresenceChange(context, originalNode, modifiedNode, changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Compare bands by section, without their elements
+   * @private
+   */
+  _compareBands(original, modified, changes) {
+    const [originalBands, modifiedBands] = [original, modified].map(root =>
+      this._byName(this._getBands(root), band => band.name)
+    );
+
+    this._forEachName(originalBands, modifiedBands, (name, originalBand, modifiedBand) => {
+      const context = { target: 'band', name };
+      if (originalBand && modifiedBand) {
+        this._compareProperties(originalBand.band, modifiedBand.band, context, changes, {
+          skipChild: child => this._isLayoutChild(child),
+        });
+      } else {
+        this._addPresenceChange(context, originalBand?.band, modifiedBand?.band, changes);
+      }
+    });
+  }
+
+  /**
+   * Match report elements across versions and compare each pair
+   * @private
+   */
+  _compareElements(original, modified, changes) {
+    const { pairs, removed, added } = this._matchElements(
+      this._getElements(original),
+      this._getElements(modified)
+    );
+    const elementChanges = [];
+
+    pairs.forEach(([originalElement, modifiedElement]) =>
+      this._compareElement(originalElement, modifiedElement, elementChanges)
+    );
+    removed.forEach(element =>
+      this._addChange(elementChanges, element.node, null, {
+        kind: 'removed',
+        target: 'element',
+        name: element.description,
+        message: `Removed ${element.description} from ${this._describeLocation(element)}`,
+      })
+    );
+    added.forEach(element =>
+      this._addChange(elementChanges, null, element.node, {
+        kind: 'added',
+        target: 'element',
+        name: element.description,
+        message: `Added ${element.description} at (${element.x}, ${element.y}) in ${this._describeLocation(element)}`,
+      })
+    );
+
+    // Elements in the order they appear, removed elements where they were
+    const order = change =>
+      change.line === undefined ? [1, change.originalLine] : [0, change.line];
+    elementChanges.sort((a, b) => {
+      const [[aRemoved, aLine], [bRemoved, bLine]] = [order(a), order(b)];
+      return aRemoved - bRemoved || aLine - bLine;
+    });
+    changes.push(...elementChanges);
+  }
+
+  /**
+   * @private
+   */
+  _compareElement(originalElement, modifiedElement, changes) {
+    const name = modifiedElement.description;
+    const [originalNode, modifiedNode] = [originalElement.node, modifiedElement.node];
+    const originalLocation = this._describeLocation(originalElement);
+    const modifiedLocation = this._describeLocation(modifiedElement);
+
+    if (
+      originalLocation !== modifiedLocation ||
+      originalElement.x !== modifiedElement.x ||
+      originalElement.y !== modifiedElement.y
+    ) {
+      const from = `(${originalElement.x}, ${originalElement.y})`;
+      const to = `(${modifiedElement.x}, ${modifiedElement.y})`;
+      this._addChange(changes, originalNode, modifiedNode, {
+        kind: 'moved',
+        target: 'element',
+        name,
+        before: this._getPosition(originalElement),
+        after: this._getPosition(modifiedElement),
+        message:
+          originalLocation === modifiedLocation
+            ? `Moved ${name} from ${from} to ${to} in ${modifiedLocation}`
+            : `Moved ${name} from ${from} in ${originalLocation} to ${to} in ${modifiedLocation}`,
+      });
+    }
+
+    if (
+      originalElement.width !== modifiedElement.width ||
+      originalElement.height !== modifiedElement.height
+    ) {
+      this._addChange(changes, originalNode, modifiedNode, {
+        kind: 'resized',
+        target: 'element',
+        name,
+        before: { width: originalElement.width, height: originalElement.height },
+        after: { width: modifiedElement.width, height: modifiedElement.height },
+        message: `Resized ${name} from ${originalElement.width}x${originalElement.height} to ${modifiedElement.width}x${modifiedElement.height}`,
+      });
+    }
+
+    // The geometry is compared above
+    const geometry = new Set(
+      GEOMETRY_ATTRIBUTES.map(attribute => `${modifiedElement.reportElementPath}/@${attribute}`)
+    );
+    this._compareProperties(originalNode, modifiedNode, { target: 'element', name }, changes, {
+      skipChild: child => originalNode.name === 'frame' && this._isLayoutChild(child),
+      skipProperty: property => geometry.has(property),
+    });
+  }
+
+  /**
+   * Pair elements by each matching strategy in turn; unpaired elements were removed or added
+   * @private
+   */
+  _matchElements(originalElements, modifiedElements) {
+    const strategies = [
+      element => element.reportElement.attributes.uuid,
+      element =>
+        element.reportElement.attributes.key &&
+        `${element.node.name}|${element.reportElement.attributes.key}`,
+      element => element.content && `${element.node.name}|${element.content}`,
+      element =>
+        `${element.node.name}|${this._describeLocation(element)}|${element.x}|${element.y}`,
+    ];
+    const pairs = [];
+    let removed = originalElements;
+    let added = modifiedElements;
+
+    strategies.forEach(getKey => {
+      const candidates = new Map();
+      removed.forEach(element => {
+        const key = getKey(element);
+        if (key) {
+          candidates.set(key, [...(candidates.get(key) || []), element]);
+        }
+      });
+
+      const matched = new Set();
+      added = added.filter(element => {
+        const match = candidates.get(getKey(element))?.shift();
+        if (!match) {
+          return true;
+        }
+        matched.add(match);
+        pairs.push([match, element]);
+        return false;
+      });
+      removed = removed.filter(element => !matched.has(element));
+    });
+
+    return { pairs, removed, added };
+  }
+
+  /**
+   * Compare the attributes, text and child elements of two nodes
+   * @private
+   */
+  _compareProperties(original, modified, context, changes, options = {}) {
+    const { skipProperty = () => false } = options;
+    const originalProperties = this._flatten(original, options);
+    const modifiedProperties = this._flatten(modified, options);
+    const properties = new Set([...originalProperties.keys(), ...modifiedProperties.keys()]);
+    const target = this._describeTarget(context);
+
+    properties.forEach(property => {
+      const before = originalProperties.get(property) ?? null;
+      const after = modifiedProperties.get(property) ?? null;
+      if (before === after || property.endsWith('@uuid') || skipProperty(property)) {
+        return;
+      }
+
+      // Attributes of the node itself are named without their @ in messages
+      const label = property.replace(/^@/, '');
+      let message = `Changed ${label} of ${target}`;
+      if (property.includes('@')) {
+        message += ` from ${this._formatValue(before)} to ${this._formatValue(after)}`;
+      } else if (before === null) {
+        message = `Added ${label} to ${target}`;
+      } else if (after === null) {
+        message = `Removed ${label} from ${target}`;
+      }
+
+      this._addChange(changes, original, modified, {
+        kind: 'changed',
+        ...context,
+        property,
+        before,
+        after,
+        message,
+      });
+    });
+  }
+
+  /**
+   * Flatten a node into properties named by their path, such as @class,
+   * textFieldExpression or textElement/font/@size
+   * @private
+   */
+  _flatten(node, options = {}) {
+    const { skipChild = () => false, attributesOnly = false } = options;
+    const properties = new Map();
+
+    Object.entries(node.attributes)
+      .filter(([name]) => node.name !== 'jasperReport' || !this._isIgnoredReportAttribute(name))
+      .forEach(([name, value]) => properties.set(`@${name}`, value));
+    if (attributesOnly) {
+      return properties;
+    }
+
+    const visit = (current, path) => {
+      Object.entries(current.attributes).forEach(([name, value]) =>
+        properties.set(`${path}/@${name}`, value)
+      );
+      const text = this._normalize(current.text);
+      if (text || (current.children.length === 0 && Object.keys(current.attributes).length === 0)) {
+        properties.set(path, text);
+      }
+      this._visitChildren(current, path, visit);
+    };
+    this._visitChildren(node, '', visit, skipChild);
+
+    return properties;
+  }
+
+  /**
+   * Visit child elements with their path; repeated children are numbered as in XPath
+   * @private
+   */
+  _visitChildren(node, path, visit, skipChild = () => false) {
+    const children = node.children.filter(child => !skipChild(child));
+    const counts = new Map();
+    children.forEach(child => counts.set(child.name, (counts.get(child.name) || 0) + 1));
+
+    const positions = new Map();
+    children.forEach(child => {
+      const position = (positions.get(child.name) || 0) + 1;
+      positions.set(child.name, position);
+      const step = counts.get(child.name) > 1 ? `${child.name}[${position}]` : child.name;
+      visit(child, path ? `${path}/${step}` : step);
+    });
+  }
+
+  /**
+   * Get the bands of a report named by their section; repeated bands are numbered
+   * @private
+   */
+  _getBands(root) {
+    const counts = new Map();
+
+    return getBands(root, getPage(root)).map(({ band, label }) => {
+      const count = (counts.get(label) || 0) + 1;
+      counts.set(label, count);
+      return { band, name: count > 1 ? `${label} band ${count}` : `${label} band` };
+    });
+  }
+
+  /**
+   * Get every report element with its band, enclosing frame and a description
+   * @private
+   */
+  _getElements(root) {
+    const elements = [];
+
+    const collect = (container, band, frame) => {
+      let frameCount = 0;
+      getLayoutElements(container).forEach(element => {
+        const { node, reportElement } = element;
+        const content = this._getContent(node);
+        const { key } = reportElement.attributes;
+        const details = content || (key ? `'${key}'` : '');
+
+        elements.push({
+          ...element,
+          band,
+          frame,
+          content,
+          reportElementPath: getChild(node, 'reportElement')
+            ? 'reportElement'
+            : 'chart/reportElement',
+          description: `<${node.name}>${details ? ` ${details}` : ''}`,
+        });
+
+        if (node.name === 'frame') {
+          frameCount++;
+          const label = key ? `frame '${key}'` : `frame ${frameCount}`;
+          collect(node, band, frame ? `${frame} / ${label}` : label);
+        }
+      });
+    };
+
+    this._getBands(root).forEach(({ band, name }) => collect(band, name, null));
+    return elements;
+  }
+
+  /**
+   * Get the static text or main expression of an element, shortened for messages
+   * @private
+   */
+  _getContent(node) {
+    let content = '';
+    if (node.name === 'staticText') {
+      const text = this._normalize(getChild(node, 'text')?.text);
+      content = text && `"${text}"`;
+    } else {
+      const expression = node.children.find(child => child.name.endsWith('Expression'));
+      content = this._normalize(expression?.text);
+    }
+
+    return content.length > DESCRIPTION_LENGTH
+      ? `${content.slice(0, DESCRIPTION_LENGTH)}...`
+      : content;
+  }
+
+  /**
+   * @private
+   */
+  _getPosition(element) {
+    return {
+      band: element.band,
+      ...(element.frame && { frame: element.frame }),
+      x: element.x,
+      y: element.y,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _describeLocation(element) {
+    return element.frame ? `${element.frame} in the ${element.band}` : `the ${element.band}`;
+  }
+
+  /**
+   * @private
+   */
+  _describeTarget({ target, name, dataset }) {
+    const inDataset = dataset ? ` in subdataset '${dataset}'` : '';
+    switch (target) {
+      case 'report':
+        return 'the report';
+      case 'query':
+        return dataset ? `the query of subdataset '${dataset}'` : 'the query';
+      case 'band':
+        return `the ${name}`;
+      case 'element':
+        return name;
+      default:
+        return `${target} '${name}'${inDataset}`;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _addPresenceChange(context, originalNode, modifiedNode, changes) {
+    const kind = originalNode ? 'removed' : 'added';
+    const target = this._describeTarget(context);
+
+    this._addChange(changes, originalNode, modifiedNode, {
+      kind,
+      ...context,
+      ...(context.target === 'query' && {
+        before: originalNode?.text.trim() ?? null,
+        after: modifiedNode?.text.trim() ?? null,
+      }),
+      message: `${kind === 'added' ? 'Added' : 'Removed'} ${target}`,
+    });
+  }
+
+  /**
+   * Add a change with its line in the modified version and in the original version
+   * @private
+   */
+  _addChange(changes, originalNode, modifiedNode, change) {
+    changes.push(
+      Object.fromEntries(
+        Object.entries({
+          ...change,
+          line: modifiedNode?.line,
+          originalLine: originalNode?.line,
+        }).filter(([, value]) => value !== undefined && value !== null)
+      )
+    );
+  }
+
+  /**
+   * Get items by name; only the first of duplicate names is compared
+   * @private
+   */
+  _byName(items, getName) {
+    const byName = new Map();
+    items.forEach(item => {
+      const name = getName(item);
+      if (name !== undefined && !byName.has(name)) {
+        byName.set(name, item);
+      }
+    });
+    return byName;
+  }
+
+  /**
+   * Visit names of both versions: original names in order, then names only in the modified one
+   * @private
+   */
+  _forEachName(originalByName, modifiedByName, callback) {
+    new Set([...originalByName.keys(), ...modifiedByName.keys()]).forEach(name =>
+      callback(name, originalByName.get(name), modifiedByName.get(name))
+    );
+  }
+
+  /**
+   * Report elements and element groups are compared as elements, not as part of their band
+   * or frame
+   * @private
+   */
+  _isLayoutChild(child) {
+    return child.name === 'elementGroup' || getReportElement(child) !== null;
+  }
+
+  /**
+   * @private
+   */
+  _isIgnoredReportAttribute(name) {
+    return IGNORED_REPORT_ATTRIBUTES.includes(name) || name.startsWith('xmlns:');
+  }
+
+  /**
+   * @private
+   */
+  _normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * @private
+   */
+  _formatValue(value) {
+    return value === null ? 'unset' : `"${value}"`;
+  }
+}
+
+export default JRXMLDiff;
+export { JRXMLDiff };
@@ -0,0 +1,548 @@
+/**
+ * JRXML Expression Checker for JasperReports MCP Server
+ *
+ * Checks the expressions of a parsed JRXML report offline. References are the most
+ * common reason a report fails to compile on the server, so every expression is
+ * resolved against the dataset it is evaluated in:
+ * - $F{}, $P{} and $V{} against the fields, parameters and variables of the dataset,
+ *   including built-in parameters and variables
+ * - $P{}, $P!{} and $X{} in queries against the parameters of the dataset
+ * - $R{} against the resource bundle, when its content is available
+ *
+ * Expressions inside charts, tables and lists that run on a subdataset are resolved
+ * against that subdataset. Crosstabs and conditional styles have their own evaluation
+ * context and are not checked.
+ *
+ * For reports in Java, the classes of the references are also checked against their
+ * use: operators on classes that do not support them (such as arithmetic on
+ * java.lang.String or java.math.BigDecimal), non-Boolean conditions and string
+ * comparisons with ==.
+ */
+
+import { getChildren } from './jrxmlParser.js';
+
+/**
+ * Parameters JasperReports adds to every dataset, with their classes
+ */
+const BUILT_IN_PARAMETERS = {
+  REPORT_PARAMETERS_MAP: 'java.util.Map',
+  REPORT_CONTEXT: 'net.sf.jasperreports.engine.ReportContext',
+  JASPER_REPORTS_CONTEXT: 'net.sf.jasperreports.engine.JasperReportsContext',
+  JASPER_REPORT: 'net.sf.jasperreports.engine.JasperReport',
+  REPORT_CONNECTION: 'java.sql.Connection',
+  REPORT_MAX_COUNT: 'java.lang.Integer',
+  REPORT_DATA_SOURCE: 'net.sf.jasperreports.engine.JRDataSource',
+  REPORT_SCRIPTLET: 'net.sf.jasperreports.engine.JRAbstractScriptlet',
+  REPORT_LOCALE: 'java.util.Locale',
+  REPORT_RESOURCE_BUNDLE: 'java.util.ResourceBundle',
+  REPORT_TIME_ZONE: 'java.util.TimeZone',
+  REPORT_FORMAT_FACTORY: 'net.sf.jasperreports.engine.util.FormatFactory',
+  REPORT_CLASS_LOADER: 'java.lang.ClassLoader',
+  REPORT_URL_HANDLER_FACTORY: 'java.net.URLStreamHandlerFactory',
+  REPORT_FILE_RESOLVER: 'net.sf.jasperreports.engine.util.FileResolver',
+  REPORT_TEMPLATES: 'java.util.Collection',
+  SORT_FIELDS: 'java.util.List',
+  FILTER: 'net.sf.jasperreports.engine.DatasetFilter',
+  REPORT_VIRTUALIZER: 'net.sf.jasperreports.engine.JRVirtualizer',
+  IS_IGNORE_PAGINATION: 'java.lang.Boolean',
+};
+
+/**
+ * Variables JasperReports adds to every dataset; each group adds <group>_COUNT
+ */
+const BUILT_IN_VARIABLES = [
+  'PAGE_NUMBER',
+  'COLUMN_NUMBER',
+  'REPORT_COUNT',
+  'PAGE_COUNT',
+  'COLUMN_COUNT',
+];
+
+/**
+ * Classes that numeric calculations (Sum, Average, ...) accept
+ */
+const NUMERIC_CLASSES = [
+  'java.lang.Byte',
+  'java.lang.Short',
+  'java.lang.Integer',
+  'java.lang.Long',
+  'java.lang.Float',
+  'java.lang.Double',
+  'java.math.BigDecimal',
+  'java.math.BigInteger',
+  'java.lang.Number',
+];
+
+/**
+ * Classes Java unboxes for arithmetic and comparison operators
+ */
+const OPERATOR_CLASSES = [
+  'java.lang.Byte',
+  'java.lang.Short',
+  'java.lang.Integer',
+  'java.lang.Long',
+  'java.lang.Float',
+  'java.lang.Double',
+  'java.lang.Character',
+];
+
+const NUMERIC_CALCULATIONS = ['Sum', 'Average', 'Variance', 'StandardDeviation'];
+
+/**
+ * Expressions that must evaluate to java.lang.Boolean
+ */
+const BOOLEAN_EXPRESSIONS = [
+  'printWhenExpression',
+  'filterExpression',
+  'incrementWhenExpression',
+  'hyperlinkWhenExpression',
+];
+
+const REFERENCE_KINDS = {
+  F: { kind: 'field' },
+  P: { kind: 'parameter' },
+  V: { kind: 'variable' },
+};
+
+const EXPRESSION_REFERENCE = /\$([FPVR])\{([^}]*)\}/g;
+const QUERY_REFERENCE = /\$P!?\{([^}]*)\}|\$X\{([^}]*)\}/g;
+const STRING_LITERAL = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g;
+const OPERATOR_AFTER = /^(-(?![->])|\*|\/(?![/*])|%|<=?|>=?)/;
+const OPERATOR_BEFORE = /(?:(?<![-+])-|\*|(?<![/*])\/|%|<=?|(?<!-)>=?)$/;
+
+/**
+ * JRXML Expression Checker class
+ */
+class JRXMLExpressionChecker {
+  /**
+   * Check the expressions of a report
+   * @param {object} root - Parsed jasperReport element
+   * @param {Function} addFinding - Called with (rule, location, message, severity)
+   * @param {object} options - Check options
+   * @param {Array<string>} options.resourceBundles - Contents of the report's resource
+   *   bundle .properties files; $R{} keys are only checked when given
+   */
+  check(root, addFinding, options = {}) {
+    const datasets = new Map(
+      getChildren(root, 'subDataset').map(dataset => [
+        dataset.attributes.name,
+        this._getScope(dataset, `subdataset '${dataset.attributes.name}'`),
+      ])
+    );
+    const context = {
+      addFinding,
+      datasets,
+      visited: new Set(),
+      typed: (root.attributes.language || 'java').toLowerCase() === 'java',
+      bundle: this._getBundle(root, options.resourceBundles),
+    };
+
+    this._checkNode(root, this._getScope(root, null), context);
+    getChildren(root, 'subDataset').forEach(dataset => {
+      this._checkNode(dataset, datasets.get(dataset.attributes.name), context);
+    });
+  }
+
+  /**
+   * Check a node and its descendants against a scope
+   * @private
+   */
+  _checkNode(node, scope, context) {
+    const name = this._localName(node.name);
+
+    if (name === 'variable') {
+      this._checkCalculation(node, context);
+    }
+
+    node.children.forEach(child => {
+      const childName = this._localName(child.name);
+
+      // Subdatasets are checked on their own, crosstabs and styles have their own context
+      if (['subDataset', 'crosstab', 'style'].includes(childName) || context.visited.has(child)) {
+        return;
+      }
+
+      if (childName === 'queryString') {
+        this._checkQuery(child, scope, context);
+      } else if (childName === 'expression' || childName.endsWith('Expression')) {
+        this._checkExpression(child, childName, scope, context);
+      }
+
+      const datasetRun = this._getDatasetRun(child);
+      if (!datasetRun || context.visited.has(datasetRun)) {
+        this._checkNode(child, scope, context);
+        return;
+      }
+
+      // Parameters passed to the subdataset are evaluated in the current scope
+      const { subDataset } = datasetRun.attributes;
+      this._checkNode(datasetRun, scope, context);
+      context.visited.add(datasetRun);
+
+      if (context.datasets.has(subDataset)) {
+        this._checkNode(child, context.datasets.get(subDataset), context);
+      } else {
+        context.addFinding(
+          'undeclared-reference',
+          datasetRun,
+          `<datasetRun> refers to an undeclared subdataset '${subDataset}'`
+        );
+      }
+    });
+  }
+
+  /**
+   * Check the references and types of an expression
+   * @private
+   */
+  _checkExpression(node, name, scope, context) {
+    const expression = node.text;
+    if (!expression.trim()) {
+      return;
+    }
+
+    for (const match of expression.matchAll(EXPRESSION_REFERENCE)) {
+      const [reference, type, referenceName] = match;
+      const location = this._getLocation(node, match.index);
+
+      if (type === 'R') {
+        this._checkResourceKey(referenceName, reference, location, context);
+      } else if (!scope.has(type, referenceName)) {
+        context.addFinding(
+          'undeclared-reference',
+          location,
+          this._describeUndeclared(reference, type, referenceName, scope)
+        );
+      }
+    }
+
+    if (context.typed) {
+      this._checkTypes(node, name, expression, scope, context);
+    }
+  }
+
+  /**
+   * Check the parameters used by a query
+   * @private
+   */
+  _checkQuery(node, scope, context) {
+    for (const match of node.text.matchAll(QUERY_REFERENCE)) {
+      const [reference, parameter, clause] = match;
+      // $X{IN, column, param} and $X{BETWEEN, column, from, to} name parameters after the column
+      const names =
+        clause === undefined
+          ? [parameter]
+          : clause
+              .split(',')
+              .slice(2)
+              .map(item => item.trim());
+
+      names
+        .filter(item => item && !scope.has('P', item))
+        .forEach(item => {
+          context.addFinding(
+            'undeclared-reference',
+            this._getLocation(node, match.index),
+            `${reference} in the query refers to an undeclared parameter '${item}'${scope.suffix}`
+          );
+        });
+    }
+  }
+
+  /**
+   * Check a $R{} key against the resource bundle
+   * @private
+   */
+  _checkResourceKey(key, reference, location, context) {
+    const { bundle } = context;
+
+    if (!bundle.name) {
+      context.addFinding(
+        'resource-key',
+        location,
+        `${reference} is used, but the report declares no resourceBundle`,
+        'warning'
+      );
+    } else if (bundle.keys && !bundle.keys.has(key)) {
+      context.addFinding(
+        'resource-key',
+        location,
+        `${reference} is not defined in resource bundle '${bundle.name}'`,
+        bundle.missingIsError ? 'error' : 'warning'
+      );
+    }
+  }
+
+  /**
+   * Check the classes of references against the operators and element they are used in
+   * @private
+   */
+  _checkTypes(node, name, expression, scope, context) {
+    // Blank out string literals so operators inside them are ignored
+    const masked = expression.replace(
+      STRING_LITERAL,
+      literal => literal[0] + ' '.repeat(literal.length - 2) + literal[0]
+    );
+    const references = [...masked.matchAll(EXPRESSION_REFERENCE)].filter(
+      ([, type, referenceName]) => type !== 'R' && scope.has(type, referenceName)
+    );
+
+    references.forEach(match => {
+      const [reference, type, referenceName] = match;
+      const className = scope.getClass(type, referenceName);
+      const before = masked.slice(0, match.index).trimEnd();
+      const after = masked.slice(match.index + reference.length).trimStart();
+      const location = this._getLocation(node, match.index);
+
+      // A cast or a method call changes the class the operators apply to
+      if (before.endsWith(')') || after.startsWith('.')) {
+        return;
+      }
+
+      const operator = (after.match(OPERATOR_AFTER) || before.match(OPERATOR_BEFORE) || [])[0];
+
+      if (operator && !OPERATOR_CLASSES.includes(className)) {
+        context.addFinding(
+          'type-mismatch',
+          location,
+          `${reference} is ${className}, which does not support the '${operator}' operator in Java expressions`
+        );
+      }
+
+      if (className === 'java.lang.String' && this._comparesStrings(before, after, scope)) {
+        context.addFinding(
+          'string-comparison',
+          location,
+          `${reference} is compared to a string with == or !=, which compares references; use equals() instead`,
+          'warning'
+        );
+      }
+    });
+
+    if (
+      BOOLEAN_EXPRESSIONS.includes(name) &&
+      references.length === 1 &&
+      references[0][0] === expression.trim()
+    ) {
+      const [reference, type, referenceName] = references[0];
+      const className = scope.getClass(type, referenceName);
+
+      if (className !== 'java.lang.Boolean') {
+        context.addFinding(
+          'type-mismatch',
+          this._getLocation(node, references[0].index),
+          `<${name}> must evaluate to java.lang.Boolean, but ${reference} is ${className}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Check that numeric calculations are declared with a numeric class
+   * @private
+   */
+  _checkCalculation(variable, context) {
+    const { calculation, name } = variable.attributes;
+    const className = variable.attributes.class || 'java.lang.String';
+
+    if (NUMERIC_CALCULATIONS.includes(calculation) && !NUMERIC_CLASSES.includes(className)) {
+      context.addFinding(
+        'type-mismatch',
+        variable,
+        `Variable '${name}' is ${className}, but the ${calculation} calculation needs a numeric class`
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _comparesStrings(before, after, scope) {
+    const comparedAfter = after.match(/^[!=]=\s*(?:"|\$([FPV])\{([^}]*)\})/);
+    if (comparedAfter) {
+      return (
+        comparedAfter[1] === undefined ||
+        scope.getClass(comparedAfter[1], comparedAfter[2]) === 'java.lang.String'
+      );
+    }
+    return /"\s*[!=]=$/.test(before);
+  }
+
+  /**
+   * Describe an undeclared reference, suggesting the declaration that was probably meant
+   * @private
+   */
+  _describeUndeclared(reference, type, name, scope) {
+    const { kind } = REFERENCE_KINDS[type];
+    const message = `${reference} refers to an undeclared ${kind}${scope.suffix}`;
+
+    const otherType = Object.keys(REFERENCE_KINDS).find(
+      other => other !== type && scope.has(other, name)
+    );
+    if (otherType) {
+      return `${message}; '${name}' is a ${REFERENCE_KINDS[otherType].kind}, use $${otherType}{${name}}`;
+    }
+
+    const suggestion = this._closest(name, scope.names(type));
+    return suggestion ? `${message}; did you mean $${type}{${suggestion}}?` : message;
+  }
+
+  /**
+   * Find the declared name closest to a misspelled one
+   * @private
+   */
+  _closest(name, candidates) {
+    const maxDistance = Math.max(1, Math.floor(name.length / 3));
+    let best = null;
+    let bestDistance = maxDistance + 1;
+
+    candidates.forEach(candidate => {
+      const distance = this._distance(name.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @private
+   */
+  _distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Collect the declarations of a dataset with their classes
+   * @private
+   */
+  _getScope(dataset, label) {
+    const declared = kind =>
+      new Map(
+        getChildren(dataset, kind)
+          .filter(node => node.attributes.name !== undefined)
+          .map(node => [node.attributes.name, node.attributes.class || 'java.lang.String'])
+      );
+
+    const parameters = new Map(Object.entries(BUILT_IN_PARAMETERS));
+    getChildren(dataset, 'scriptlet').forEach(scriptlet => {
+      parameters.set(`${scriptlet.attributes.name}_SCRIPTLET`, scriptlet.attributes.class);
+    });
+    declared('parameter').forEach((className, name) => parameters.set(name, className));
+
+    const variables = new Map(BUILT_IN_VARIABLES.map(name => [name, 'java.lang.Integer']));
+    getChildren(dataset, 'group').forEach(group => {
+      variables.set(`${group.attributes.name}_COUNT`, 'java.lang.Integer');
+    });
+    declared('variable').forEach((className, name) => variables.set(name, className));
+
+    const declarations = { F: declared('field'), P: parameters, V: variables };
+
+    return {
+      suffix: label ? ` in ${label}` : '',
+      has: (type, name) => declarations[type].has(name),
+      getClass: (type, name) => declarations[type].get(name),
+      names: type => [...declarations[type].keys()],
+    };
+  }
+
+  /**
+   * Get the resource bundle of a report and the keys of its .properties files
+   * @private
+   */
+  _getBundle(root, resourceBundles) {
+    const name = root.attributes.resourceBundle || null;
+    const keys =
+      name && resourceBundles && resourceBundles.length > 0
+        ? new Set(resourceBundles.flatMap(content => Object.keys(parseProperties(content))))
+        : null;
+
+    return { name, keys, missingIsError: root.attributes.whenResourceMissingType === 'Error' };
+  }
+
+  /**
+   * Get the datasetRun a chart dataset or component runs on
+   * @private
+   */
+  _getDatasetRun(node) {
+    const find = parent =>
+      parent.children.find(child => this._localName(child.name) === 'datasetRun') || null;
+
+    const dataset = node.children.find(child => this._localName(child.name) === 'dataset');
+    return find(node) || (dataset ? find(dataset) : null);
+  }
+
+  /**
+   * Get the line and column of a position in the text of a node
+   * @private
+   */
+  _getLocation(node, index) {
+    const start = node.textLocation;
+    if (!start || index < start.index) {
+      return node;
+    }
+
+    const text = node.text.slice(start.index, index);
+    const lastNewline = text.lastIndexOf('\n');
+
+    return {
+      name: node.name,
+      line: start.line + (text.match(/\n/g) || []).length,
+      column: lastNewline === -1 ? start.column + text.length : text.length - lastNewline,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+  }
+}
+
+/**
+ * Parse the keys and values of a .properties file
+ * @param {string} content - Properties file content
+ * @returns {object} Properties by key
+ */
+function parseProperties(content) {
+  const properties = {};
+  const lines = content.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index++) {
+    let line = lines[index].trimStart();
+    if (!line || line.startsWith('#') || line.startsWith('!')) {
+      continue;
+    }
+
+    // A trailing backslash continues the value on the next line
+    while (/(^|[^\\])(\\\\)*\\$/.test(line) && index + 1 < lines.length) {
+      line = line.slice(0, -1) + lines[++index].trimStart();
+    }
+
+    const match = line.match(/^((?:[^\\:=\s]|\\.)*)\s*[:=]?\s*(.*)$/);
+    properties[match[1].replace(/\\(.)/g, '$1')] = match[2];
+  }
+
+  return properties;
+}
+
+export default JRXMLExpressionChecker;
+export { JRXMLExpressionChecker, BUILT_IN_PARAMETERS, BUILT_IN_VARIABLES, parseProperties };
@@ -0,0 +1,174 @@
+/**
+ * JRXML Layout helpers for JasperReports MCP Server
+ *
+ * Page dimensions, bands and report element geometry of a parsed JRXML report, shared by
+ * the validator and the linter.
+ */
+
+import { getChild, getChildren } from './jrxmlParser.js';
+
+/**
+ * Page defaults applied by JasperReports when attributes are missing
+ */
+const PAGE_DEFAULTS = {
+  pageWidth: 595,
+  pageHeight: 842,
+  columnWidth: 555,
+  leftMargin: 20,
+  rightMargin: 20,
+  topMargin: 30,
+  bottomMargin: 30,
+};
+
+/**
+ * Bands as wide as the page; all other bands are as wide as a column
+ */
+const PAGE_WIDTH_BANDS = [
+  'background',
+  'title',
+  'pageHeader',
+  'pageFooter',
+  'lastPageFooter',
+  'summary',
+  'noData',
+];
+
+/**
+ * Report-level sections holding bands
+ */
+const BAND_SECTIONS = [
+  'background',
+  'title',
+  'pageHeader',
+  'columnHeader',
+  'detail',
+  'columnFooter',
+  'pageFooter',
+  'lastPageFooter',
+  'summary',
+  'noData',
+];
+
+/**
+ * Read an integer attribute
+ * @param {object} node - Element node
+ * @param {string} attribute - Attribute name
+ * @param {*} defaultValue - Value when the attribute is missing
+ * @returns {number|null} Attribute value, or null when it is not an integer
+ */
+function getInteger(node, attribute, defaultValue = null) {
+  const value = node.attributes[attribute];
+  if (value === undefined) {
+    return defaultValue;
+  }
+  return /^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Get page dimensions, applying JasperReports defaults
+ * @param {object} root - jasperReport element
+ * @returns {object} Page dimensions with the usable width and height inside the margins
+ */
+function getPage(root) {
+  const page = Object.fromEntries(
+    Object.entries(PAGE_DEFAULTS).map(([name, value]) => [
+      name,
+      getInteger(root, name, value) ?? value,
+    ])
+  );
+
+  return {
+    ...page,
+    usableWidth: page.pageWidth - page.leftMargin - page.rightMargin,
+    usableHeight: page.pageHeight - page.topMargin - page.bottomMargin,
+  };
+}
+
+/**
+ * Get every band of the report, group bands first
+ * @param {object} root - jasperReport element
+ * @param {object} page - Page dimensions from getPage
+ * @returns {Array} Bands with their section, width and a label used in messages
+ */
+function getBands(root, page) {
+  const bands = [];
+  const width = section =>
+    PAGE_WIDTH_BANDS.includes(section) ? page.usableWidth : page.columnWidth;
+
+  getChildren(root, 'group').forEach(group => {
+    ['groupHeader', 'groupFooter'].forEach(section => {
+      getChildren(group, section).forEach(element => {
+        getChildren(element, 'band').forEach(band => {
+          bands.push({
+            band,
+            section,
+            width: width(section),
+            label: `${group.attributes.name} group ${section === 'groupHeader' ? 'header' : 'footer'}`,
+          });
+        });
+      });
+    });
+  });
+
+  BAND_SECTIONS.forEach(section => {
+    getChildren(root, section).forEach(element => {
+      getChildren(element, 'band').forEach(band => {
+        bands.push({ band, section, width: width(section), label: section });
+      });
+    });
+  });
+
+  return bands;
+}
+
+/**
+ * Get the reportElement of a report element; charts keep it in their chart child
+ * @param {object} node - Report element node
+ * @returns {object|null} reportElement node
+ */
+function getReportElement(node) {
+  const reportElement = getChild(node, 'reportElement');
+  if (reportElement) {
+    return reportElement;
+  }
+
+  const chart = getChild(node, 'chart');
+  return chart ? getChild(chart, 'reportElement') : null;
+}
+
+/**
+ * Get the report elements of a band or frame with their geometry; element groups are
+ * transparent
+ * @param {object} container - band or frame element
+ * @returns {Array} Elements as { node, reportElement, x, y, width, height }; a coordinate
+ *   is null when its attribute is missing or not an integer
+ */
+function getLayoutElements(container) {
+  return container.children.flatMap(child => {
+    if (child.name === 'elementGroup') {
+      return getLayoutElements(child);
+    }
+
+    const reportElement = getReportElement(child);
+    if (!reportElement) {
+      return [];
+    }
+
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(attribute =>
+      getInteger(reportElement, attribute)
+    );
+
+    return [{ node: child, reportElement, x, y, width, height }];
+  });
+}
+
+export {
+  PAGE_DEFAULTS,
+  PAGE_WIDTH_BANDS,
+  BAND_SECTIONS,
+  getInteger,
+  getPage,
+  getBands,
+  getReportElement,
+  getLayoutElements,
+};
@@ -0,0 +1,718 @@
+/**
+ * JRXML Linter for JasperReports MCP Server
+ *
+ * Lints the layout of JRXML reports. The validator reports what keeps a report from
+ * compiling; the linter reports layouts that compile but render badly, and can fix most of
+ * them. Rules:
+ * - missing-when-no-data: No whenNoDataType, so the report renders no pages without data
+ * - outside-margins: Elements reaching outside the width of their band or frame, into the
+ *   page margins or the next column, where they are clipped
+ * - band-overflow: Elements reaching below their band or frame
+ * - element-overlap: Elements drawn over each other
+ * - narrow-pattern: Text fields too narrow for the values their pattern formats
+ * - stretch-with-overflow: isStretchWithOverflow where it has no effect, and elements that
+ *   stretching text fields will overlap
+ * - static-text-in-detail: Static text repeated on every row of the detail band
+ *
+ * Fixes change attributes in place in the original text, so formatting and comments are
+ * kept, and every change is reported.
+ */
+
+import { MCPError, MCP_ERROR_TYPES } from './errorHandler.js';
+import { JRXMLParser, getChild, getChildren, walkElements } from './jrxmlParser.js';
+import { getBands, getInteger, getLayoutElements, getPage } from './jrxmlLayout.js';
+import { escapeXML } from './reportSpecCompiler.js';
+
+/**
+ * Lint rules with their severity and whether they can be fixed
+ */
+const LINT_RULES = {
+  'missing-when-no-data': { severity: 'warning', fixable: true },
+  'outside-margins': { severity: 'warning', fixable: true },
+  'band-overflow': { severity: 'error', fixable: true },
+  'element-overlap': { severity: 'warning', fixable: true },
+  'narrow-pattern': { severity: 'warning', fixable: true },
+  'stretch-with-overflow': { severity: 'warning', fixable: true },
+  'static-text-in-detail': { severity: 'warning', fixable: false },
+};
+
+/**
+ * Elements drawn as decoration, which may overlap other elements
+ */
+const GRAPHIC_ELEMENTS = ['line', 'rectangle', 'ellipse', 'break'];
+
+/**
+ * Sections whose bands never stretch
+ */
+const NON_STRETCHING_SECTIONS = ['columnFooter', 'pageFooter', 'lastPageFooter'];
+
+/**
+ * Digit width relative to the font size in sans-serif fonts
+ */
+const CHAR_WIDTH_RATIO = 0.55;
+
+const DEFAULT_FONT_SIZE = 10;
+
+/**
+ * JRXML Linter class
+ */
+class JRXMLLinter {
+  constructor() {
+    this.parser = new JRXMLParser();
+  }
+
+  /**
+   * Lint JRXML content
+   * @param {string} jrxmlContent - JRXML content
+   * @param {object} options - Lint options
+   * @param {Array<string>} options.rules - Rules to run (default: all)
+   * @returns {object} Findings, each with its rule, line number and whether it can be fixed
+   * @throws {MCPError} InvalidParams error for malformed JRXML or unknown rules
+   */
+  lint(jrxmlContent, options = {}) {
+    const context = this._createContext(jrxmlContent, options, false);
+    this._run(context);
+
+    return { findings: this._sort(context.findings) };
+  }
+
+  /**
+   * Fix JRXML content
+   * @param {string} jrxmlContent - JRXML content
+   * @param {object} options - Fix options
+   * @param {Array<string>} options.rules - Rules to fix (default: all)
+   * @returns {object} Fixed JRXML content, the changes made and the findings left
+   * @throws {MCPError} InvalidParams error for malformed JRXML or unknown rules
+   */
+  fix(jrxmlContent, options = {}) {
+    const context = this._createContext(jrxmlContent, options, true);
+    this._run(context);
+
+    const fixedContent = this._applyEdits(jrxmlContent, context.edits);
+
+    return {
+      jrxmlContent: fixedContent,
+      changes: context.changes,
+      findings: this.lint(fixedContent, options).findings,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _createContext(jrxmlContent, options, fix) {
+    const rules = options.rules || Object.keys(LINT_RULES);
+    const unknown = rules.filter(rule => !LINT_RULES[rule]);
+    if (unknown.length > 0) {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `Unknown lint rule(s): ${unknown.join(', ')}`,
+        { field: 'rules', availableRules: Object.keys(LINT_RULES) }
+      );
+    }
+
+    const root = this.parser.parse(jrxmlContent);
+    const context = {
+      root,
+      page: getPage(root),
+      rules: new Set(rules),
+      fix,
+      findings: [],
+      changes: [],
+      edits: new Map(),
+    };
+
+    /**
+     * Report a finding; in fix mode the fix is applied instead when it succeeds
+     * @returns {string|null} Description of the change made
+     */
+    context.report = (rule, node, message, fixer = null) => {
+      const location = { line: node.line, column: node.column, element: node.name };
+      const change = context.fix && fixer ? fixer() : null;
+
+      if (change) {
+        context.changes.push({ rule, message: change, ...location });
+      } else {
+        const { severity, fixable } = LINT_RULES[rule];
+        context.findings.push({ rule, severity, message, ...location, fixable });
+      }
+      return change;
+    };
+    context.setAttribute = (node, name, value) => {
+      node.attributes[name] = String(value);
+      this._markEdited(context, node, name);
+    };
+    context.removeAttribute = (node, name) => {
+      delete node.attributes[name];
+      this._markEdited(context, node, name);
+    };
+
+    return context;
+  }
+
+  /**
+   * Run the enabled rules; fixes that move elements run before the rules they affect
+   * @private
+   */
+  _run(context) {
+    const { root, rules } = context;
+    const containers = this._getContainers(root, context.page);
+
+    if (rules.has('missing-when-no-data')) {
+      this._checkWhenNoDataType(context);
+    }
+    if (rules.has('stretch-with-overflow')) {
+      this._checkStretchAttributes(context);
+      containers.forEach(container => this._checkStretchingFields(container, context));
+    }
+    if (rules.has('outside-margins')) {
+      containers.forEach(container => this._checkMargins(container, context));
+    }
+    if (rules.has('narrow-pattern')) {
+      const styles = this._getStyles(root);
+      containers.forEach(container => this._checkPatterns(container, styles, context));
+    }
+    if (rules.has('element-overlap')) {
+      containers.forEach(container => this._checkOverlaps(container, context));
+    }
+    if (rules.has('band-overflow')) {
+      containers.forEach(container => this._checkOverflow(container, context));
+    }
+    if (rules.has('static-text-in-detail')) {
+      containers
+        .filter(container => container.section === 'detail')
+        .forEach(container => this._checkDetailText(container, context));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _checkWhenNoDataType({ root, report, setAttribute }) {
+    if (root.attributes.whenNoDataType !== undefined) {
+      return;
+    }
+
+    report(
+      'missing-when-no-data',
+      root,
+      'The report has no whenNoDataType, so it renders no pages when its query returns no rows',
+      () => {
+        setAttribute(root, 'whenNoDataType', 'AllSectionsNoDetail');
+        return 'Set whenNoDataType="AllSectionsNoDetail" so the report renders without data';
+      }
+    );
+  }
+
+  /**
+   * isStretchWithOverflow only applies to text fields
+   * @private
+   */
+  _checkStretchAttributes({ root, report, removeAttribute }) {
+    walkElements(root, node => {
+      if (node.attributes.isStretchWithOverflow === undefined || node.name === 'textField') {
+        return;
+      }
+
+      report(
+        'stretch-with-overflow',
+        node,
+        `isStretchWithOverflow only applies to <textField>, not <${node.name}>`,
+        () => {
+          removeAttribute(node, 'isStretchWithOverflow');
+          return `Removed isStretchWithOverflow from <${node.name}>`;
+        }
+      );
+    });
+  }
+
+  /**
+   * Stretching text fields in bands that cannot stretch, and fixed elements below them
+   * @private
+   */
+  _checkStretchingFields(container, { report, setAttribute, removeAttribute }) {
+    const elements = this._getPositioned(container);
+
+    elements
+      .filter(({ node }) => this._getStretchAttribute(node))
+      .forEach(field => {
+        const attribute = this._getStretchAttribute(field.node);
+
+        if (NON_STRETCHING_SECTIONS.includes(container.section)) {
+          report(
+            'stretch-with-overflow',
+            field.node,
+            `Text fields do not stretch in ${container.section} bands, so ${attribute} has no effect`,
+            () => {
+              removeAttribute(field.node, attribute);
+              return `Removed ${attribute} from <textField> in the ${container.section} band`;
+            }
+          );
+          return;
+        }
+
+        elements
+          .filter(
+            other =>
+              other !== field &&
+              other.y >= field.y + field.height &&
+              this._overlapsHorizontally(field, other) &&
+              ['FixRelativeToTop', undefined].includes(other.reportElement.attributes.positionType)
+          )
+          .forEach(other => {
+            report(
+              'stretch-with-overflow',
+              other.reportElement,
+              `<${other.node.name}> below the stretching <textField> at line ${field.node.line} keeps its position, so the text field overlaps it when it stretches`,
+              () => {
+                setAttribute(other.reportElement, 'positionType', 'Float');
+                return `Set positionType="Float" on <${other.node.name}> so it moves down when the <textField> at line ${field.node.line} stretches`;
+              }
+            );
+          });
+      });
+  }
+
+  /**
+   * Elements reaching outside the width of their container
+   * @private
+   */
+  _checkMargins(container, { report, setAttribute }) {
+    const { width } = this._getSize(container);
+
+    this._getPositioned(container)
+      .filter(element => element.x < 0 || element.x + element.width > width)
+      .forEach(element => {
+        const { node, reportElement, x } = element;
+        const description = `<${node.name}> at x=${x} with width ${element.width}`;
+
+        report(
+          'outside-margins',
+          reportElement,
+          `${description} reaches outside the ${container.label} (width ${width})`,
+          () => {
+            if (element.width > width) {
+              setAttribute(reportElement, 'x', 0);
+              setAttribute(reportElement, 'width', width);
+              return `Moved ${description} to x=0 with width ${width} to fit the ${container.label}`;
+            }
+
+            const fittedX = x < 0 ? 0 : width - element.width;
+            setAttribute(reportElement, 'x', fittedX);
+            return `Moved ${description} to x=${fittedX} to fit the ${container.label}`;
+          }
+        );
+      });
+  }
+
+  /**
+   * Text fields too narrow for the values their pattern formats
+   * @private
+   */
+  _checkPatterns(container, styles, { report, setAttribute }) {
+    const elements = this._getPositioned(container);
+
+    elements
+      .filter(({ node }) => node.name === 'textField' && node.attributes.pattern)
+      .forEach(field => {
+        const { pattern } = field.node.attributes;
+        const fontSize = this._getFontSize(field, styles);
+        const needed = Math.round(this._getPatternLength(pattern) * fontSize * CHAR_WIDTH_RATIO);
+
+        if (field.width >= needed) {
+          return;
+        }
+
+        report(
+          'narrow-pattern',
+          field.reportElement,
+          `<textField> is ${field.width} wide, but pattern '${pattern}' needs about ${needed} at font size ${fontSize}`,
+          () => {
+            // Widen up to the next element on the same row or the container edge
+            const limit = elements
+              .filter(
+                other =>
+                  other !== field &&
+                  other.x >= field.x + field.width &&
+                  this._overlapsVertically(field, other)
+              )
+              .reduce((edge, other) => Math.min(edge, other.x), this._getSize(container).width);
+            const widened = Math.min(needed, limit - field.x);
+
+            if (widened <= field.width) {
+              return null;
+            }
+            setAttribute(field.reportElement, 'width', widened);
+            return `Widened <textField> from width ${field.width} to ${widened} for pattern '${pattern}'`;
+          }
+        );
+      });
+  }
+
+  /**
+   * Elements drawn over each other; elements shown conditionally and graphic elements,
+   * including empty static text used as a box, are expected to overlap
+   * @private
+   */
+  _checkOverlaps(container, context) {
+    const elements = this._getPositioned(container).filter(
+      ({ node, reportElement }) =>
+        !GRAPHIC_ELEMENTS.includes(node.name) &&
+        !(node.name === 'staticText' && !this._getStaticText(node)) &&
+        !getChild(reportElement, 'printWhenExpression')
+    );
+
+    // Moving an element down can make it overlap another one, so fixing starts over
+    const limit = elements.length * elements.length;
+    for (let pass = 0; pass <= limit; pass++) {
+      if (!this._separateOverlaps(elements, context)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Report overlapping pairs; in fix mode, separate them and return true once one moved
+   * @private
+   */
+  _separateOverlaps(elements, { report, setAttribute }) {
+    for (let j = 1; j < elements.length; j++) {
+      for (let i = 0; i < j; i++) {
+        const [first, second] = [elements[i], elements[j]];
+        if (
+          !this._overlapsHorizontally(first, second) ||
+          !this._overlapsVertically(first, second)
+        ) {
+          continue;
+        }
+
+        let moved = false;
+        report(
+          'element-overlap',
+          second.reportElement,
+          `<${second.node.name}> overlaps <${first.node.name}> at line ${first.node.line}`,
+          () => {
+            // Elements on the same row are narrowed to end where the next one starts
+            if (first.y === second.y && first.x !== second.x) {
+              const [left, right] = first.x < second.x ? [first, second] : [second, first];
+              const narrowed = right.x - left.x;
+              setAttribute(left.reportElement, 'width', narrowed);
+              left.width = narrowed;
+              return `Narrowed <${left.node.name}> at line ${left.node.line} to width ${narrowed} so it ends where <${right.node.name}> at line ${right.node.line} starts`;
+            }
+
+            // Otherwise the lower element moves below the upper one
+            const [upper, lower] = first.y <= second.y ? [first, second] : [second, first];
+            const y = upper.y + upper.height;
+            setAttribute(lower.reportElement, 'y', y);
+            lower.y = y;
+            moved = true;
+            return `Moved <${lower.node.name}> at line ${lower.node.line} to y=${y} below <${upper.node.name}> at line ${upper.node.line}`;
+          }
+        );
+
+        if (moved) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Elements reaching below their container; fixing grows the container to fit them
+   * @private
+   */
+  _checkOverflow(container, { report, setAttribute }) {
+    // Fixing one element can grow the container enough for the next one
+    this._getPositioned(container).forEach(({ node, reportElement, y, height }) => {
+      const containerHeight = this._getSize(container).height;
+      if (y >= 0 && y + height <= containerHeight) {
+        return;
+      }
+
+      report(
+        'band-overflow',
+        reportElement,
+        `<${node.name}> at y=${y} with height ${height} reaches outside the ${container.label} (height ${containerHeight})`,
+        () => {
+          if (y < 0) {
+            setAttribute(reportElement, 'y', 0);
+            return `Moved <${node.name}> from y=${y} to y=0 inside the ${container.label}`;
+          }
+          if (y + height > container.maxHeight) {
+            return null;
+          }
+          setAttribute(container.box, 'height', y + height);
+          return `Grew the ${container.label} from height ${containerHeight} to ${y + height} to fit <${node.name}>`;
+        }
+      );
+    });
+  }
+
+  /**
+   * @private
+   */
+  _checkDetailText(container, { report }) {
+    this._getPositioned(container)
+      .filter(({ node }) => node.name === 'staticText' && this._getStaticText(node))
+      .forEach(({ node }) => {
+        const text = this._getStaticText(node);
+        const label = text.length > 30 ? `${text.slice(0, 30)}...` : text;
+
+        report(
+          'static-text-in-detail',
+          node,
+          `Static text "${label}" in the detail band repeats on every row; labels usually belong in the columnHeader band`
+        );
+      });
+  }
+
+  /**
+   * @private
+   */
+  _getStaticText(node) {
+    return (getChild(node, 'text')?.text || '').trim();
+  }
+
+  /**
+   * Get every band and frame, frames before the band or frame holding them
+   * @private
+   */
+  _getContainers(root, page) {
+    const containers = [];
+    const addFrames = (container, section) => {
+      getLayoutElements(container)
+        .filter(({ node }) => node.name === 'frame')
+        .forEach(({ node, reportElement }) => {
+          addFrames(node, section);
+          containers.push({
+            node,
+            box: reportElement,
+            section,
+            label: 'frame',
+            frame: true,
+            maxHeight: Infinity,
+          });
+        });
+    };
+
+    getBands(root, page).forEach(({ band, section, label, width }) => {
+      addFrames(band, section);
+      containers.push({
+        node: band,
+        box: band,
+        section,
+        label: `${label} band`,
+        width,
+        maxHeight: page.usableHeight,
+      });
+    });
+
+    return containers;
+  }
+
+  /**
+   * Get the current size of a band or frame
+   * @private
+   */
+  _getSize(container) {
+    return {
+      width: container.frame ? getInteger(container.box, 'width', 0) : container.width,
+      height: getInteger(container.box, 'height', 0),
+    };
+  }
+
+  /**
+   * Get the elements of a container that have a valid position and size
+   * @private
+   */
+  _getPositioned(container) {
+    return getLayoutElements(container.node).filter(({ x, y, width, height }) =>
+      [x, y, width, height].every(value => value !== null)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _getStretchAttribute(node) {
+    if (node.name !== 'textField') {
+      return null;
+    }
+    if (node.attributes.isStretchWithOverflow === 'true') {
+      return 'isStretchWithOverflow';
+    }
+    return node.attributes.textAdjust === 'StretchHeight' ? 'textAdjust' : null;
+  }
+
+  /**
+   * @private
+   */
+  _overlapsHorizontally(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width;
+  }
+
+  /**
+   * @private
+   */
+  _overlapsVertically(a, b) {
+    return a.y < b.y + b.height && b.y < a.y + a.height;
+  }
+
+  /**
+   * Get the report styles with their font size and parent style
+   * @private
+   */
+  _getStyles(root) {
+    return getChildren(root, 'style').map(style => ({
+      name: style.attributes.name,
+      parent: style.attributes.style,
+      isDefault: style.attributes.isDefault === 'true',
+      fontSize: style.attributes.fontSize,
+    }));
+  }
+
+  /**
+   * Get the font size of a text field from its font, its style or the default style
+   * @private
+   */
+  _getFontSize({ node, reportElement }, styles) {
+    const font = getChild(getChild(node, 'textElement') || { children: [] }, 'font');
+    if (font && parseFloat(font.attributes.size)) {
+      return parseFloat(font.attributes.size);
+    }
+
+    let style =
+      styles.find(item => item.name === reportElement.attributes.style) ||
+      styles.find(item => item.isDefault);
+    for (let depth = 0; style && depth < 10; depth++) {
+      if (parseFloat(style.fontSize)) {
+        return parseFloat(style.fontSize);
+      }
+      style = styles.find(item => item.name === style.parent);
+    }
+
+    return DEFAULT_FONT_SIZE;
+  }
+
+  /**
+   * Estimate the number of characters a number or date pattern formats values to
+   * @private
+   */
+  _getPatternLength(pattern) {
+    const positive = pattern.split(';')[0];
+    const unquoted = positive.replace(/'[^']*'/g, '');
+    const numeric = /[#0]/.test(unquoted) && !/[A-DF-Za-z]/.test(unquoted);
+    let length = 0;
+
+    for (const [token] of positive.matchAll(/'[^']*'|([A-Za-z])\1*|./g)) {
+      if (token.startsWith("'")) {
+        length += Math.max(token.length - 2, 1);
+      } else if (!numeric && /[A-Za-z]/.test(token)) {
+        length += this._getDateFieldLength(token);
+      } else {
+        length += token === '¤' ? 3 : 1;
+      }
+    }
+
+    // Numbers also need room for a sign
+    return numeric ? length + 1 : length;
+  }
+
+  /**
+   * Longest text a run of date pattern letters formats to
+   * @private
+   */
+  _getDateFieldLength(token) {
+    const letter = token[0];
+    const count = token.length;
+
+    if ('MLE'.includes(letter)) {
+      if (count >= 4) {
+        return 9;
+      }
+      return count === 3 ? 3 : 2;
+    }
+    if ('yYu'.includes(letter)) {
+      return count === 2 ? 2 : 4;
+    }
+    if (letter === 'z') {
+      return count >= 4 ? 20 : 4;
+    }
+    if ('ZX'.includes(letter)) {
+      return 6;
+    }
+    if (letter === 'D') {
+      return 3;
+    }
+    return letter === 'S' ? count : Math.max(count, 2);
+  }
+
+  /**
+   * @private
+   */
+  _markEdited(context, node, name) {
+    if (!context.edits.has(node)) {
+      context.edits.set(node, new Set());
+    }
+    context.edits.get(node).add(name);
+  }
+
+  /**
+   * Apply attribute changes to the original text
+   * @private
+   */
+  _applyEdits(content, edits) {
+    const patches = [];
+
+    edits.forEach((names, node) => {
+      const inserted = [];
+
+      names.forEach(name => {
+        const location = node.source.attributes[name];
+        const value = node.attributes[name];
+
+        if (value === undefined) {
+          if (location) {
+            let start = location.nameStart;
+            while (start > 0 && /\s/.test(content[start - 1])) {
+              start--;
+            }
+            patches.push({ start, end: location.valueEnd + 1, text: '' });
+          }
+        } else if (location) {
+          patches.push({
+            start: location.valueStart,
+            end: location.valueEnd,
+            text: escapeXML(value),
+          });
+        } else {
+          inserted.push(` ${name}="${escapeXML(value)}"`);
+        }
+      });
+
+      if (inserted.length > 0) {
+        const offset = node.source.attributesEnd;
+        patches.push({ start: offset, end: offset, text: inserted.join('') });
+      }
+    });
+
+    return patches
+      .sort((a, b) => b.start - a.start)
+      .reduce(
+        (text, patch) => text.slice(0, patch.start) + patch.text + text.slice(patch.end),
+        content
+      );
+  }
+
+  /**
+   * @private
+   */
+  _sort(findings) {
+    return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+}
+
+export default JRXMLLinter;
+export { JRXMLLinter, LINT_RULES };
@@ -0,0 +1,390 @@
+/**
+ * JRXML Parser for JasperReports MCP Server
+ *
+ * Parses JRXML into a lightweight element tree so reports can be checked offline, before
+ * anything is sent to JasperReports Server. Every element records the line and column it
+ * starts at, so findings can point at the exact place in the source.
+ *
+ * Each node has the shape { name, attributes, children, text, line, column }:
+ * - children holds child elements only
+ * - text holds the element's character data (text and CDATA sections joined)
+ * - textLocation, set when the element has non-whitespace text, holds the line and column
+ *   where that text starts and its index in text
+ *
+ * Every node also has a non-enumerable source property with the offsets of its start tag
+ * and attribute values, so tools can patch attributes without reformatting the document.
+ *
+ * The parser covers the XML used by JRXML: declarations, processing instructions,
+ * comments, DOCTYPE, CDATA sections, character and predefined entities. It does not
+ * resolve DTDs or custom entities.
+ */
+
+import { MCPError, MCP_ERROR_TYPES } from './errorHandler.js';
+
+const NAME_START = /[A-Za-z_:]/;
+const NAME_CHAR = /[A-Za-z0-9_:.-]/;
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * JRXML Parser class
+ */
+class JRXMLParser {
+  /**
+   * Parse JRXML content into an element tree
+   * @param {string} content - JRXML content
+   * @returns {object} Root element node
+   * @throws {MCPError} InvalidParams error with the line and column of malformed XML
+   */
+  parse(content) {
+    this.content = content;
+    this.position = 0;
+    this.lineStarts = [0];
+    for (let index = 0; index < content.length; index++) {
+      if (content[index] === '\n') {
+        this.lineStarts.push(index + 1);
+      }
+    }
+
+    let root = null;
+    const stack = [];
+
+    while (this.position < content.length) {
+      if (content.startsWith('<!--', this.position)) {
+        this._skipPast('-->', 'Unterminated comment');
+      } else if (content.startsWith('<![CDATA[', this.position)) {
+        const start = this.position + 9;
+        const end = this._skipPast(']]>', 'Unterminated CDATA section');
+        this._addText(stack, content.slice(start, end), start);
+      } else if (content.startsWith('<?', this.position)) {
+        this._skipPast('?>', 'Unterminated processing instruction');
+      } else if (content.startsWith('<!', this.position)) {
+        this._skipDeclaration();
+      } else if (content.startsWith('</', this.position)) {
+        this._parseEndTag(stack);
+      } else if (content[this.position] === '<') {
+        const node = this._parseStartTag();
+
+        if (stack.length > 0) {
+          stack[stack.length - 1].children.push(node);
+        } else if (root) {
+          this._fail('Only one root element is allowed', node.offset);
+        } else {
+          root = node;
+        }
+
+        if (!node.selfClosing) {
+          stack.push(node);
+        }
+        delete node.selfClosing;
+        delete node.offset;
+      } else {
+        const start = this.position;
+        const next = content.indexOf('<', start);
+        this.position = next === -1 ? content.length : next;
+        this._addText(stack, this._decode(content.slice(start, this.position), start), start);
+      }
+    }
+
+    if (stack.length > 0) {
+      const open = stack[stack.length - 1];
+      throw this._error(`Element <${open.name}> is not closed`, open.line, open.column);
+    }
+    if (!root) {
+      this._fail('No root element found', content.length);
+    }
+
+    return root;
+  }
+
+  /**
+   * Get the line and column of an offset
+   * @param {number} offset - Offset in the content
+   * @returns {object} Line and column, both starting at 1
+   */
+  getLocation(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  /**
+   * @private
+   */
+  _parseStartTag() {
+    const offset = this.position;
+    const { line, column } = this.getLocation(offset);
+    this.position++;
+
+    const name = this._readName('Expected an element name');
+    const attributes = {};
+    const source = { start: offset, attributesEnd: this.position, attributes: {} };
+
+    for (;;) {
+      const hadSpace = this._skipWhitespace();
+
+      if (this.content.startsWith('/>', this.position) || this.content[this.position] === '>') {
+        const selfClosing = this.content[this.position] === '/';
+        this.position += selfClosing ? 2 : 1;
+
+        const node = {
+          name,
+          attributes,
+          children: [],
+          text: '',
+          line,
+          column,
+          selfClosing,
+          offset,
+        };
+        Object.defineProperty(node, 'source', { value: source });
+        return node;
+      }
+      if (this.position >= this.content.length) {
+        this._fail(`Unterminated start tag <${name}>`, offset);
+      }
+      if (!hadSpace) {
+        this._fail(`Expected whitespace before attribute in <${name}>`, this.position);
+      }
+
+      const attributeOffset = this.position;
+      const attribute = this._readName(`Invalid attribute in <${name}>`);
+      this._skipWhitespace();
+      if (this.content[this.position] !== '=') {
+        this._fail(`Attribute '${attribute}' in <${name}> has no value`, attributeOffset);
+      }
+      this.position++;
+      this._skipWhitespace();
+
+      const quote = this.content[this.position];
+      if (quote !== '"' && quote !== "'") {
+        this._fail(`Value of attribute '${attribute}' in <${name}> must be quoted`, this.position);
+      }
+      const end = this.content.indexOf(quote, this.position + 1);
+      if (end === -1) {
+        this._fail(`Unterminated value of attribute '${attribute}'`, this.position);
+      }
+      if (Object.prototype.hasOwnProperty.call(attributes, attribute)) {
+        this._fail(`Duplicate attribute '${attribute}' in <${name}>`, attributeOffset);
+      }
+
+      const valueOffset = this.position + 1;
+      const value = this.content.slice(valueOffset, end);
+      if (value.includes('<')) {
+        this._fail(`Attribute '${attribute}' contains '<'`, valueOffset + value.indexOf('<'));
+      }
+      attributes[attribute] = this._decode(value, valueOffset);
+      source.attributes[attribute] = {
+        nameStart: attributeOffset,
+        valueStart: valueOffset,
+        valueEnd: end,
+      };
+      this.position = end + 1;
+      source.attributesEnd = this.position;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseEndTag(stack) {
+    const offset = this.position;
+    this.position += 2;
+    const name = this._readName('Expected an element name');
+    this._skipWhitespace();
+
+    if (this.content[this.position] !== '>') {
+      this._fail(`Unterminated end tag </${name}>`, offset);
+    }
+    this.position++;
+
+    const open = stack.pop();
+    if (!open) {
+      this._fail(`Unexpected end tag </${name}>`, offset);
+    }
+    if (open.name !== name) {
+      this._fail(
+        `End tag </${name}> does not match <${open.name}> opened at line ${open.line}`,
+        offset
+      );
+    }
+  }
+
+  /**
+   * Skip DOCTYPE and other declarations, including an internal subset
+   * @private
+   */
+  _skipDeclaration() {
+    const start = this.position;
+    let depth = 0;
+
+    while (this.position < this.content.length) {
+      const char = this.content[this.position++];
+      if (char === '[') {
+        depth++;
+      } else if (char === ']') {
+        depth--;
+      } else if (char === '>' && depth <= 0) {
+        return;
+      }
+    }
+
+    this._fail('Unterminated declaration', start);
+  }
+
+  /**
+   * Add character data to the open element; text outside the root must be whitespace
+   * @private
+   */
+  _addText(stack, text, offset) {
+    if (stack.length > 0) {
+      const node = stack[stack.length - 1];
+      if (!node.textLocation && text.trim()) {
+        node.textLocation = { ...this.getLocation(offset), index: node.text.length };
+      }
+      node.text += text;
+    } else if (text.trim()) {
+      this._fail('Text is not allowed outside the root element', offset + text.search(/\S/));
+    }
+  }
+
+  /**
+   * Decode character and predefined entities
+   * @private
+   */
+  _decode(text, offset) {
+    return text.replace(/&([^;&\s]*);?/g, (match, entity, index) => {
+      if (!match.endsWith(';')) {
+        this._fail("Unescaped '&' (use &amp;)", offset + index);
+      }
+      if (entity.startsWith('#x')) {
+        return String.fromCodePoint(parseInt(entity.slice(2), 16));
+      }
+      if (entity.startsWith('#')) {
+        return String.fromCodePoint(parseInt(entity.slice(1), 10));
+      }
+      if (ENTITIES[entity] === undefined) {
+        this._fail(`Unknown entity '&${entity};'`, offset + index);
+      }
+      return ENTITIES[entity];
+    });
+  }
+
+  /**
+   * @private
+   */
+  _readName(message) {
+    const start = this.position;
+
+    if (!NAME_START.test(this.content[this.position] || '')) {
+      this._fail(message, start);
+    }
+    while (NAME_CHAR.test(this.content[this.position] || '')) {
+      this.position++;
+    }
+
+    return this.content.slice(start, this.position);
+  }
+
+  /**
+   * @private
+   */
+  _skipWhitespace() {
+    const start = this.position;
+    while (/\s/.test(this.content[this.position] || '')) {
+      this.position++;
+    }
+    return this.position > start;
+  }
+
+  /**
+   * Move past a terminator and return the offset where it starts
+   * @private
+   */
+  _skipPast(terminator, message) {
+    const end = this.content.indexOf(terminator, this.position);
+    if (end === -1) {
+      this._fail(message, this.position);
+    }
+    this.position = end + terminator.length;
+    return end;
+  }
+
+  /**
+   * @private
+   */
+  _fail(message, offset) {
+    const { line, column } = this.getLocation(offset);
+    throw this._error(message, line, column);
+  }
+
+  /**
+   * @private
+   */
+  _error(message, line, column) {
+    return new MCPError(
+      MCP_ERROR_TYPES.INVALID_PARAMS,
+      `Malformed JRXML at line ${line}, column ${column}: ${message}`,
+      { line, column, reason: message }
+    );
+  }
+}
+
+/**
+ * Parse JRXML content into an element tree
+ * @param {string} content - JRXML content
+ * @returns {object} Root element node
+ */
+function parseJRXML(content) {
+  return new JRXMLParser().parse(content);
+}
+
+/**
+ * Get the child elements of a node with a given name
+ * @param {object} node - Element node
+ * @param {string} name - Child element name
+ * @returns {Array} Matching child elements
+ */
+function getChildren(node, name) {
+  return node.children.filter(child => child.name === name);
+}
+
+/**
+ * Get the first child element of a node with a given name
+ * @param {object} node - Element node
+ * @param {string} name - Child element name
+ * @returns {object|null} Matching child element
+ */
+function getChild(node, name) {
+  return node.children.find(child => child.name === name) || null;
+}
+
+/**
+ * Visit a node and all its descendants, depth first
+ * @param {object} node - Element node
+ * @param {Function} visitor - Called with each node and its parent
+ * @param {object} parent - Parent of the node
+ */
+function walkElements(node, visitor, parent = null) {
+  visitor(node, parent);
+  node.children.forEach(child => walkElements(child, visitor, node));
+}
+
+export default JRXMLParser;
+export { JRXMLParser, parseJRXML, getChildren, getChild, walkElements };
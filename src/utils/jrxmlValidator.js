@@ -0,0 +1,655 @@
+/**
+ * JRXML Validator for JasperReports MCP Server
+ *
+ * Checks JRXML offline against the rules JasperReports Server enforces when it compiles a
+ * report, so that mistakes are reported with line numbers before anything is uploaded
+ * instead of as a compile error from the server.
+ *
+ * Checks:
+ * - Well-formed XML with a jasperReport root element
+ * - Element order required by the JasperReports schema
+ * - Required and integer attributes
+ * - Unknown element types
+ * - Duplicate parameter, field, variable, group and style names
+ * - Band heights against the usable page height
+ * - Elements reaching below or above their band or frame
+ * - Expression references and classes (see JRXMLExpressionChecker)
+ */
+
+import { MCPError } from './errorHandler.js';
+import { JRXMLParser, getChildren } from './jrxmlParser.js';
+import { PAGE_DEFAULTS, getInteger, getPage, getBands, getLayoutElements } from './jrxmlLayout.js';
+import { JRXMLExpressionChecker } from './jrxmlExpressionChecker.js';
+
+const JASPER_NAMESPACE = 'http://jasperreports.sourceforge.net/jasperreports';
+
+const DATASET_ORDER = [
+  'property',
+  'propertyExpression',
+  'import',
+  'template',
+  'reportFont',
+  'style',
+  'subDataset',
+  'scriptlet',
+  'parameter',
+  'queryString',
+  'field',
+  'sortField',
+  'variable',
+  'filterExpression',
+  'group',
+  'background',
+  'title',
+  'pageHeader',
+  'columnHeader',
+  'detail',
+  'columnFooter',
+  'pageFooter',
+  'lastPageFooter',
+  'summary',
+  'noData',
+];
+
+/**
+ * Child element order required by the JasperReports schema
+ */
+const ELEMENT_ORDER = {
+  jasperReport: DATASET_ORDER,
+  subDataset: DATASET_ORDER,
+  group: ['groupExpression', 'groupHeader', 'groupFooter'],
+  parameter: ['property', 'propertyExpression', 'parameterDescription', 'defaultValueExpression'],
+  field: ['property', 'propertyExpression', 'fieldDescription'],
+  variable: ['variableExpression', 'initialValueExpression'],
+  band: ['property', 'printWhenExpression', 'returnValue'],
+  staticText: ['reportElement', 'box', 'textElement', 'text'],
+  textField: [
+    'reportElement',
+    'box',
+    'textElement',
+    'textFieldExpression',
+    'patternExpression',
+    'anchorNameExpression',
+    'hyperlinkReferenceExpression',
+    'hyperlinkWhenExpression',
+    'hyperlinkAnchorExpression',
+    'hyperlinkPageExpression',
+    'hyperlinkTooltipExpression',
+    'hyperlinkParameter',
+  ],
+  reportElement: ['property', 'propertyExpression', 'printWhenExpression'],
+};
+
+/**
+ * Elements that may appear only once in their parent
+ */
+const SINGLE_ELEMENTS = [
+  'queryString',
+  'filterExpression',
+  'background',
+  'title',
+  'pageHeader',
+  'columnHeader',
+  'detail',
+  'columnFooter',
+  'pageFooter',
+  'lastPageFooter',
+  'summary',
+  'noData',
+  'groupExpression',
+  'groupHeader',
+  'groupFooter',
+  'reportElement',
+  'textFieldExpression',
+  'text',
+];
+
+/**
+ * Required attributes; the parent name narrows a rule where needed
+ */
+const REQUIRED_ATTRIBUTES = {
+  jasperReport: ['name'],
+  parameter: ['name'],
+  field: ['name'],
+  variable: ['name'],
+  group: ['name'],
+  subDataset: ['name'],
+  sortField: ['name'],
+  scriptlet: ['name', 'class'],
+  import: ['value'],
+  property: ['name'],
+  'jasperReport>style': ['name'],
+  subreportParameter: ['name'],
+  datasetParameter: ['name'],
+  crosstabParameter: ['name'],
+  measure: ['name'],
+  rowGroup: ['name'],
+  columnGroup: ['name'],
+  reportElement: ['x', 'y', 'width', 'height'],
+};
+
+/**
+ * Attributes that must hold integers
+ */
+const INTEGER_ATTRIBUTES = {
+  jasperReport: [
+    'pageWidth',
+    'pageHeight',
+    'columnWidth',
+    'columnCount',
+    'leftMargin',
+    'rightMargin',
+    'topMargin',
+    'bottomMargin',
+  ],
+  band: ['height'],
+  reportElement: ['x', 'y', 'width', 'height'],
+};
+
+/**
+ * Named declarations checked for duplicates within a dataset
+ */
+const DECLARATIONS = ['parameter', 'field', 'variable', 'group'];
+
+/**
+ * Elements of the JasperReports schema (elements of component namespaces are not checked)
+ */
+const KNOWN_ELEMENTS = new Set([
+  // Report and datasets
+  'jasperReport',
+  'property',
+  'propertyExpression',
+  'import',
+  'template',
+  'reportFont',
+  'style',
+  'conditionalStyle',
+  'conditionExpression',
+  'subDataset',
+  'scriptlet',
+  'scriptletDescription',
+  'parameter',
+  'parameterDescription',
+  'defaultValueExpression',
+  'queryString',
+  'field',
+  'fieldDescription',
+  'sortField',
+  'variable',
+  'variableExpression',
+  'initialValueExpression',
+  'filterExpression',
+  'group',
+  'groupExpression',
+  'groupHeader',
+  'groupFooter',
+  'background',
+  'title',
+  'pageHeader',
+  'columnHeader',
+  'detail',
+  'columnFooter',
+  'pageFooter',
+  'lastPageFooter',
+  'summary',
+  'noData',
+  'band',
+  'part',
+  'partNameExpression',
+  'printWhenExpression',
+  'returnValue',
+  'expression',
+  // Report elements and formatting
+  'reportElement',
+  'box',
+  'pen',
+  'topPen',
+  'leftPen',
+  'bottomPen',
+  'rightPen',
+  'paragraph',
+  'tabStop',
+  'textElement',
+  'font',
+  'graphicElement',
+  'staticText',
+  'text',
+  'textField',
+  'textFieldExpression',
+  'patternExpression',
+  'anchorNameExpression',
+  'bookmarkLevelExpression',
+  'hyperlinkReferenceExpression',
+  'hyperlinkWhenExpression',
+  'hyperlinkAnchorExpression',
+  'hyperlinkPageExpression',
+  'hyperlinkTooltipExpression',
+  'hyperlinkParameter',
+  'hyperlinkParameterExpression',
+  'line',
+  'rectangle',
+  'ellipse',
+  'image',
+  'imageExpression',
+  'frame',
+  'break',
+  'elementGroup',
+  'subreport',
+  'subreportParameter',
+  'subreportParameterExpression',
+  'subreportExpression',
+  'parametersMapExpression',
+  'connectionExpression',
+  'dataSourceExpression',
+  'componentElement',
+  'genericElement',
+  'genericElementType',
+  'genericElementParameter',
+  'valueExpression',
+  'dataset',
+  'datasetRun',
+  'datasetParameter',
+  'datasetParameterExpression',
+  'incrementWhenExpression',
+  // Crosstabs
+  'crosstab',
+  'crosstabParameter',
+  'crosstabDataset',
+  'crosstabHeaderCell',
+  'rowGroup',
+  'columnGroup',
+  'bucket',
+  'bucketExpression',
+  'comparatorExpression',
+  'orderByExpression',
+  'crosstabRowHeader',
+  'crosstabColumnHeader',
+  'crosstabTotalRowHeader',
+  'crosstabTotalColumnHeader',
+  'cellContents',
+  'measure',
+  'measureExpression',
+  'crosstabCell',
+  'whenNoDataCell',
+  // Charts
+  'chart',
+  'chartTitle',
+  'titleExpression',
+  'chartSubtitle',
+  'subtitleExpression',
+  'chartLegend',
+  'pieChart',
+  'pie3DChart',
+  'barChart',
+  'bar3DChart',
+  'xyBarChart',
+  'stackedBarChart',
+  'stackedBar3DChart',
+  'lineChart',
+  'xyLineChart',
+  'areaChart',
+  'xyAreaChart',
+  'stackedAreaChart',
+  'scatterChart',
+  'bubbleChart',
+  'timeSeriesChart',
+  'highLowChart',
+  'candlestickChart',
+  'meterChart',
+  'thermometerChart',
+  'multiAxisChart',
+  'ganttChart',
+  'pieDataset',
+  'keyExpression',
+  'labelExpression',
+  'otherKeyExpression',
+  'otherLabelExpression',
+  'sectionHyperlink',
+  'otherSectionHyperlink',
+  'itemHyperlink',
+  'categoryDataset',
+  'categorySeries',
+  'seriesExpression',
+  'categoryExpression',
+  'xyDataset',
+  'xySeries',
+  'xValueExpression',
+  'yValueExpression',
+  'xyzDataset',
+  'xyzSeries',
+  'zValueExpression',
+  'timeSeriesDataset',
+  'timeSeries',
+  'timePeriodExpression',
+  'timePeriodDataset',
+  'timePeriodSeries',
+  'startDateExpression',
+  'endDateExpression',
+  'highLowDataset',
+  'dateExpression',
+  'highExpression',
+  'lowExpression',
+  'openExpression',
+  'closeExpression',
+  'volumeExpression',
+  'valueDataset',
+  'ganttDataset',
+  'ganttSeries',
+  'taskExpression',
+  'subtaskExpression',
+  'percentExpression',
+  'plot',
+  'seriesColor',
+  'piePlot',
+  'pie3DPlot',
+  'barPlot',
+  'bar3DPlot',
+  'linePlot',
+  'areaPlot',
+  'scatterPlot',
+  'bubblePlot',
+  'timeSeriesPlot',
+  'highLowPlot',
+  'candlestickPlot',
+  'meterPlot',
+  'thermometerPlot',
+  'multiAxisPlot',
+  'axis',
+  'itemLabel',
+  'axisFormat',
+  'categoryAxisFormat',
+  'valueAxisFormat',
+  'xAxisFormat',
+  'yAxisFormat',
+  'timeAxisFormat',
+  'labelFont',
+  'tickLabelFont',
+  'categoryAxisLabelExpression',
+  'valueAxisLabelExpression',
+  'xAxisLabelExpression',
+  'yAxisLabelExpression',
+  'timeAxisLabelExpression',
+  'domainAxisMinValueExpression',
+  'domainAxisMaxValueExpression',
+  'rangeAxisMinValueExpression',
+  'rangeAxisMaxValueExpression',
+  'valueDisplay',
+  'dataRange',
+  'meterInterval',
+  'lowRange',
+  'mediumRange',
+  'highRange',
+]);
+
+/**
+ * JRXML Validator class
+ */
+class JRXMLValidator {
+  constructor() {
+    this.parser = new JRXMLParser();
+    this.expressionChecker = new JRXMLExpressionChecker();
+  }
+
+  /**
+   * Validate JRXML content
+   * @param {string} jrxmlContent - JRXML content
+   * @param {object} options - Validation options
+   * @param {Array<string>} options.resourceBundles - Contents of the report's resource
+   *   bundle .properties files, used to check $R{} keys
+   * @returns {object} Validation result with errors and warnings, each with a line number
+   */
+  validate(jrxmlContent, options = {}) {
+    const findings = [];
+    const addFinding = (rule, node, message, severity = 'error') =>
+      findings.push({
+        rule,
+        severity,
+        message,
+        line: node.line,
+        column: node.column,
+        element: node.name || null,
+      });
+
+    let root;
+    try {
+      root = this.parser.parse(jrxmlContent);
+    } catch (error) {
+      if (!(error instanceof MCPError) || !error.details?.line) {
+        throw error;
+      }
+      addFinding('xml-syntax', error.details, error.details.reason);
+      return this._toResult(findings, null);
+    }
+
+    if (root.name !== 'jasperReport') {
+      addFinding('root-element', root, `Root element must be <jasperReport>, found <${root.name}>`);
+      return this._toResult(findings, null);
+    }
+
+    const page = getPage(root);
+
+    this._checkElements(root, null, addFinding);
+    this._checkDuplicateNames(root, addFinding);
+    this._checkBands(root, page, addFinding);
+    this.expressionChecker.check(root, addFinding, options);
+
+    return this._toResult(findings, { ...this._getDeclarations(root), page });
+  }
+
+  /**
+   * Check order, required attributes and element types of every element
+   * @private
+   */
+  _checkElements(node, parent, addFinding) {
+    // Component elements such as tables and lists follow their own schemas
+    if (
+      node.name.includes(':') ||
+      (node.attributes.xmlns && node.attributes.xmlns !== JASPER_NAMESPACE)
+    ) {
+      return;
+    }
+
+    if (!KNOWN_ELEMENTS.has(node.name)) {
+      addFinding(
+        'unknown-element',
+        node,
+        `Unknown element <${node.name}>${parent ? ` in <${parent.name}>` : ''}`
+      );
+      return;
+    }
+
+    const required = [
+      ...(REQUIRED_ATTRIBUTES[node.name] || []),
+      ...((parent && REQUIRED_ATTRIBUTES[`${parent.name}>${node.name}`]) || []),
+    ];
+    required
+      .filter(attribute => node.attributes[attribute] === undefined)
+      .forEach(attribute => {
+        addFinding(
+          'required-attribute',
+          node,
+          `<${node.name}> is missing required attribute '${attribute}'`
+        );
+      });
+
+    (INTEGER_ATTRIBUTES[node.name] || [])
+      .filter(
+        attribute =>
+          node.attributes[attribute] !== undefined &&
+          !/^-?\d+$/.test(node.attributes[attribute].trim())
+      )
+      .forEach(attribute => {
+        addFinding(
+          'integer-attribute',
+          node,
+          `Attribute '${attribute}' of <${node.name}> must be an integer, found '${node.attributes[attribute]}'`
+        );
+      });
+
+    this._checkOrder(node, addFinding);
+
+    node.children.forEach(child => this._checkElements(child, node, addFinding));
+  }
+
+  /**
+   * Check that children follow the schema order and single elements appear once
+   * @private
+   */
+  _checkOrder(node, addFinding) {
+    const order = ELEMENT_ORDER[node.name];
+    const seen = new Set();
+    let last = null;
+
+    node.children.forEach(child => {
+      if (SINGLE_ELEMENTS.includes(child.name) && seen.has(child.name)) {
+        addFinding('element-order', child, `Only one <${child.name}> is allowed in <${node.name}>`);
+      }
+      seen.add(child.name);
+
+      if (!order || !order.includes(child.name)) {
+        return;
+      }
+      if (last && order.indexOf(child.name) < order.indexOf(last.name)) {
+        addFinding(
+          'element-order',
+          child,
+          `<${child.name}> must come before <${last.name}> in <${node.name}>`
+        );
+        return;
+      }
+      last = child;
+    });
+  }
+
+  /**
+   * Check for duplicate declarations in the report and in each subdataset
+   * @private
+   */
+  _checkDuplicateNames(root, addFinding) {
+    const datasets = [root, ...getChildren(root, 'subDataset')];
+    const scopes = datasets.flatMap(dataset =>
+      DECLARATIONS.map(kind => ({ kind, nodes: getChildren(dataset, kind) }))
+    );
+    scopes.push({ kind: 'style', nodes: getChildren(root, 'style') });
+
+    scopes.forEach(({ kind, nodes }) => {
+      const declared = new Map();
+
+      nodes
+        .filter(node => node.attributes.name !== undefined)
+        .forEach(node => {
+          const first = declared.get(node.attributes.name);
+          if (first) {
+            addFinding(
+              'duplicate-name',
+              node,
+              `Duplicate ${kind} '${node.attributes.name}' (first declared at line ${first.line})`
+            );
+          } else {
+            declared.set(node.attributes.name, node);
+          }
+        });
+    });
+  }
+
+  /**
+   * Check band heights against the page and element bounds against their band
+   * @private
+   */
+  _checkBands(root, page, addFinding) {
+    const bands = getBands(root, page);
+
+    bands.forEach(({ band, label }) => {
+      const height = getInteger(band, 'height', 0);
+
+      if (height > page.usableHeight) {
+        addFinding(
+          'band-height',
+          band,
+          `The ${label} band height ${height} exceeds the usable page height ${page.usableHeight}`
+        );
+      }
+
+      this._checkContainer(band, { height, label: `${label} band` }, addFinding);
+    });
+
+    // These bands are all printed on every page, together with the margins
+    const pageBands = ['pageHeader', 'columnHeader', 'columnFooter', 'pageFooter'];
+    const pageBandHeight = bands
+      .filter(({ section }) => pageBands.includes(section))
+      .reduce((sum, { band }) => sum + getInteger(band, 'height', 0), 0);
+
+    if (pageBandHeight > page.usableHeight) {
+      addFinding(
+        'band-height',
+        root,
+        `Page header, column header, column footer and page footer bands are ${pageBandHeight} high together, more than the usable page height ${page.usableHeight}`
+      );
+    }
+  }
+
+  /**
+   * Check that the elements of a band or frame stay within its height; elements reaching
+   * outside its width are clipped, which the linter reports
+   * @private
+   */
+  _checkContainer(container, bounds, addFinding) {
+    getLayoutElements(container).forEach(({ node, reportElement, y, height }) => {
+      if (y === null || height === null) {
+        return;
+      }
+
+      if (y < 0 || y + height > bounds.height) {
+        addFinding(
+          'element-bounds',
+          reportElement,
+          `<${node.name}> at y=${y} with height ${height} reaches outside the ${bounds.label} (height ${bounds.height})`
+        );
+      }
+
+      if (node.name === 'frame') {
+        this._checkContainer(node, { height, label: 'frame' }, addFinding);
+      }
+    });
+  }
+
+  /**
+   * Get the names declared by the main dataset
+   * @private
+   */
+  _getDeclarations(root) {
+    const names = kind =>
+      getChildren(root, kind)
+        .map(node => node.attributes.name)
+        .filter(Boolean);
+
+    return {
+      name: root.attributes.name,
+      parameters: names('parameter'),
+      fields: names('field'),
+      variables: names('variable'),
+      groups: names('group'),
+      styles: names('style'),
+      subDatasets: names('subDataset'),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _toResult(findings, summary) {
+    findings.sort((a, b) => a.line - b.line || a.column - b.column);
+    const errors = findings.filter(finding => finding.severity === 'error');
+    const warnings = findings.filter(finding => finding.severity === 'warning');
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      report: summary,
+    };
+  }
+}
+
+export default JRXMLValidator;
+export { JRXMLValidator, KNOWN_ELEMENTS, ELEMENT_ORDER, PAGE_DEFAULTS };
@@ -0,0 +1,331 @@
+/**
+ * Central Logger for JasperReports MCP Server
+ *
+ * All server components log through named loggers created here instead of writing to
+ * the console directly. Records are written to stderr (stdout is reserved for the stdio
+ * transport) and forwarded as MCP notifications/message to connected clients, so a
+ * failing session can be debugged from the client without shell access to the server.
+ *
+ * Each record carries structured fields: the service that logged it and, when logged
+ * while handling a request, the MCP session, tool name and correlation ID. Request
+ * context is tracked with AsyncLocalStorage, so services do not have to pass it along.
+ *
+ * Levels follow the MCP (RFC 5424) names. The stderr threshold comes from the server
+ * configuration; each client can set its own threshold with logging/setLevel.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * MCP log levels in increasing order of severity
+ */
+const LOG_LEVELS = [
+  'debug',
+  'info',
+  'notice',
+  'warning',
+  'error',
+  'critical',
+  'alert',
+  'emergency',
+];
+
+/**
+ * Mapping from JASPER_LOG_LEVEL values to MCP log levels
+ */
+const CONFIG_LOG_LEVELS = {
+  trace: 'debug',
+  debug: 'debug',
+  info: 'info',
+  warn: 'warning',
+  error: 'error',
+};
+
+/**
+ * Request context attached to records logged while handling a request
+ */
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Normalize a log level name to an MCP log level
+ * @param {string} level - MCP or configuration log level
+ * @returns {string|null} MCP log level or null when unknown
+ */
+function normalizeLogLevel(level) {
+  if (LOG_LEVELS.includes(level)) {
+    return level;
+  }
+  return CONFIG_LOG_LEVELS[level] || null;
+}
+
+/**
+ * Check whether a record level passes a threshold
+ * @private
+ */
+function isLevelEnabled(level, threshold) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Log manager holding the stderr threshold and the MCP servers records are forwarded to
+ */
+class LogManager {
+  constructor() {
+    this.level = 'info';
+    this.enabled = true;
+    this.debugMode = false;
+
+    // MCP server -> client-requested level (null until the client sends logging/setLevel)
+    this.servers = new Map();
+  }
+
+  /**
+   * Apply the server configuration
+   * @param {object} config - Server configuration
+   */
+  configure(config = {}) {
+    this.enabled = config.logLevel !== 'none';
+    this.debugMode = config.debugMode || false;
+    this.level = this.debugMode ? 'debug' : normalizeLogLevel(config.logLevel) || 'info';
+  }
+
+  /**
+   * Forward records to the client connected to an MCP server
+   * @param {Server} server - MCP server
+   * @returns {Function} Function removing the server again
+   */
+  addServer(server) {
+    this.servers.set(server, null);
+    return () => this.removeServer(server);
+  }
+
+  /**
+   * Stop forwarding records to an MCP server
+   * @param {Server} server - MCP server
+   */
+  removeServer(server) {
+    this.servers.delete(server);
+  }
+
+  /**
+   * Set the level requested by the client of an MCP server
+   * @param {Server} server - MCP server
+   * @param {string} level - MCP log level
+   */
+  setServerLevel(server, level) {
+    this.servers.set(server, normalizeLogLevel(level) || 'info');
+  }
+
+  /**
+   * Run a function with request context attached to every record it logs.
+   * Context is merged with any context already active.
+   * @param {object} context - Context fields (sessionId, tool, correlationId)
+   * @param {Function} fn - Function to run
+   * @returns {*} Result of the function
+   */
+  runWithContext(context, fn) {
+    return logContext.run({ ...logContext.getStore(), ...context }, fn);
+  }
+
+  /**
+   * Get the active request context
+   * @returns {object} Context fields
+   */
+  getContext() {
+    return logContext.getStore() || {};
+  }
+
+  /**
+   * Check whether a record of a level would be written to stderr or sent to the client
+   * of the active session, so callers can skip building expensive log data
+   * @param {string} level - MCP log level
+   * @returns {boolean} True if records of the level are logged
+   */
+  isEnabled(level) {
+    if (!this.enabled) {
+      return false;
+    }
+    if (isLevelEnabled(level, this.level)) {
+      return true;
+    }
+
+    const { sessionId } = this.getContext();
+    return [...this.servers].some(
+      ([server, clientLevel]) =>
+        server.transport &&
+        server.transport.sessionId === sessionId &&
+        isLevelEnabled(level, clientLevel || this.level)
+    );
+  }
+
+  /**
+   * Write a record to stderr and forward it to matching clients
+   * @param {string} level - MCP log level
+   * @param {string} service - Name of the logging service
+   * @param {string} message - Log message
+   * @param {object} data - Additional structured fields
+   */
+  log(level, service, message, data = null) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const { sessionId, ...context } = this.getContext();
+    const record = {
+      timestamp: new Date().toISOString(),
+      level,
+      service,
+      message,
+      ...context,
+      ...this._normalizeData(data),
+    };
+
+    if (isLevelEnabled(level, this.level)) {
+      this._writeToStderr(record);
+    }
+
+    for (const [server, clientLevel] of this.servers) {
+      if (
+        server.transport &&
+        server.transport.sessionId === sessionId &&
+        isLevelEnabled(level, clientLevel || this.level)
+      ) {
+        this._sendToClient(server, record);
+      }
+    }
+  }
+
+  /**
+   * Turn log data into record fields
+   * @private
+   */
+  _normalizeData(data) {
+    if (data === null || data === undefined) {
+      return {};
+    }
+    if (data instanceof Error) {
+      return { error: data.message };
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { details: data };
+    }
+    return data;
+  }
+
+  /**
+   * Write a record to stderr; stdout belongs to the stdio transport
+   * @private
+   */
+  _writeToStderr(record) {
+    if (this.debugMode) {
+      console.error(JSON.stringify(record, null, 2));
+      return;
+    }
+
+    const { level, service, message, ...fields } = record;
+    delete fields.timestamp;
+    const line = `[${level.toUpperCase()}] [${service}] ${message}`;
+
+    if (Object.keys(fields).length > 0) {
+      console.error(`${line} ${JSON.stringify(fields)}`);
+    } else {
+      console.error(line);
+    }
+  }
+
+  /**
+   * Send a record as notifications/message; failures are ignored
+   * @private
+   */
+  _sendToClient(server, record) {
+    const { level, service, ...data } = record;
+
+    try {
+      Promise.resolve(server.sendLoggingMessage({ level, logger: service, data })).catch(() => {});
+    } catch {
+      // The client may have disconnected; logging must never fail the caller
+    }
+  }
+}
+
+/**
+ * Named logger for a single service
+ */
+class Logger {
+  /**
+   * @param {string} service - Service name included in every record
+   * @param {LogManager} manager - Log manager records are passed to
+   */
+  constructor(service, manager) {
+    this.service = service;
+    this.manager = manager;
+  }
+
+  /**
+   * Log a record
+   * @param {string} level - MCP or configuration log level
+   * @param {string} message - Log message
+   * @param {object} data - Additional structured fields
+   */
+  log(level, message, data = null) {
+    this.manager.log(normalizeLogLevel(level) || 'info', this.service, message, data);
+  }
+
+  /**
+   * Check whether records of a level are logged
+   * @param {string} level - MCP or configuration log level
+   * @returns {boolean} True if records of the level are logged
+   */
+  isEnabled(level) {
+    return this.manager.isEnabled(normalizeLogLevel(level) || 'info');
+  }
+
+  debug(message, data = null) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data = null) {
+    this.log('info', message, data);
+  }
+
+  notice(message, data = null) {
+    this.log('notice', message, data);
+  }
+
+  warning(message, data = null) {
+    this.log('warning', message, data);
+  }
+
+  error(message, data = null) {
+    this.log('error', message, data);
+  }
+
+  critical(message, data = null) {
+    this.log('critical', message, data);
+  }
+}
+
+/**
+ * Shared log manager instance
+ */
+const logManager = new LogManager();
+
+/**
+ * Create a named logger using the shared log manager
+ * @param {string} service - Service name
+ * @returns {Logger} Logger instance
+ */
+function createLogger(service) {
+  return new Logger(service, logManager);
+}
+
+export default logManager;
+export {
+  LogManager,
+  Logger,
+  logManager,
+  createLogger,
+  normalizeLogLevel,
+  LOG_LEVELS,
+  CONFIG_LOG_LEVELS,
+};
@@ -144,6 +144,44 @@ const TOOL_PERMISSION_REQUIREMENTS = {
     roles: [JASPER_ROLES.ROLE_ADMINISTRATOR.name, JASPER_ROLES.ROLE_REPORT_AUTHOR.name],
     description: 'Requires DELETE permission on the resource and its parent folder',
   },
+  jasper_copy_resource: {
+    permissions: [JASPER_PERMISSIONS.READ, JASPER_PERMISSIONS.WRITE],
+    roles: [JASPER_ROLES.ROLE_ADMINISTRATOR.name, JASPER_ROLES.ROLE_REPORT_AUTHOR.name],
+    description:
+      'Requires READ permission on the resource and WRITE permission on the target folder',
+  },
+  jasper_move_resource: {
+    permissions: [JASPER_PERMISSIONS.WRITE, JASPER_PERMISSIONS.DELETE],
+    roles: [JASPER_ROLES.ROLE_ADMINISTRATOR.name, JASPER_ROLES.ROLE_REPORT_AUTHOR.name],
+    description:
+      'Requires DELETE permission on the resource and WRITE permission on the target folder',
+  },
+  jasper_promote_resources: {
+    permissions: [JASPER_PERMISSIONS.READ, JASPER_PERMISSIONS.WRITE, JASPER_PERMISSIONS.ADMINISTER],
+    roles: [JASPER_ROLES.ROLE_ADMINISTRATOR.name],
+    description:
+      'Requires READ permission on the source profile and system admin rights on the target profile',
+  },
+  jasper_pull_folder: {
+    permissions: [JASPER_PERMISSIONS.READ],
+    roles: [JASPER_ROLES.ROLE_ADMINISTRATOR.name, JASPER_ROLES.ROLE_REPORT_AUTHOR.name],
+    description: 'Requires READ permission on the folder and the resources below it',
+  },
+  jasper_push_folder: {
+    permissions: [JASPER_PERMISSIONS.READ, JASPER_PERMISSIONS.WRITE],
+    roles: [JASPER_ROLES.ROLE_ADMINISTRATOR.name, JASPER_ROLES.ROLE_REPORT_AUTHOR.name],
+    description: 'Requires WRITE permission on the resources and folders being pushed',
+  },
+  jasper_export_repository: {
+    permissions: [JASPER_PERMISSIONS.READ, JASPER_PERMISSIONS.ADMINISTER],
+    roles: [JASPER_ROLES.ROLE_ADMINISTRATOR.name],
+    description: 'Requires ADMINISTER permission (system admin rights) to run repository exports',
+  },
+  jasper_import_repository: {
+    permissions: [JASPER_PERMISSIONS.WRITE, JASPER_PERMISSIONS.ADMINISTER],
+    roles: [JASPER_ROLES.ROLE_ADMINISTRATOR.name],
+    description: 'Requires ADMINISTER permission (system admin rights) to run repository imports',
+  },
 
   // Report execution tools
   jasper_run_report_sync: {
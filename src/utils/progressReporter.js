@@ -0,0 +1,148 @@
+/**
+ * Progress Reporter for JasperReports MCP Server
+ *
+ * Sends MCP notifications/progress messages for long-running operations when the
+ * client supplied a progress token with its request.
+ *
+ * The MCP specification requires the progress value to increase with every
+ * notification, even when the total is unknown. Page counts from JasperReports can
+ * stall for minutes on large exports, so the progress value tracks elapsed time in
+ * seconds; execution status, current/total pages and elapsed milliseconds are sent
+ * as additional notification fields and summarized in the message.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Progress Reporter');
+
+/**
+ * Default interval between heartbeat notifications
+ */
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 5000;
+
+/**
+ * Progress reporter bound to a single MCP request
+ */
+class ProgressReporter {
+  /**
+   * @param {string|number} progressToken - Progress token supplied by the client
+   * @param {Function} sendNotification - Function sending an MCP notification for the request
+   * @param {object} options - Reporter options
+   * @param {number} [options.startTime] - Operation start time (defaults to now)
+   */
+  constructor(progressToken, sendNotification, options = {}) {
+    this.progressToken = progressToken;
+    this.sendNotification = sendNotification;
+    this.startTime = options.startTime || Date.now();
+    this.lastProgress = -1;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Create a reporter for an MCP request if the client asked for progress
+   * @param {object} extra - Request handler extra data from the MCP SDK
+   * @param {object} options - Reporter options
+   * @returns {ProgressReporter|null} Reporter or null when no progress token was sent
+   */
+  static fromRequest(extra, options = {}) {
+    const progressToken = extra?._meta?.progressToken;
+    if (progressToken === undefined || typeof extra.sendNotification !== 'function') {
+      return null;
+    }
+
+    return new ProgressReporter(progressToken, extra.sendNotification, options);
+  }
+
+  /**
+   * Send a progress notification
+   * @param {object} state - Current operation state
+   * @param {string} state.status - Execution status (queued, running, ready, ...)
+   * @param {number} [state.currentPage] - Current page
+   * @param {number} [state.totalPages] - Total pages, if known
+   * @param {string} [state.executionId] - Execution ID
+   * @returns {Promise<void>}
+   */
+  async report(state = {}) {
+    const elapsedMs = Date.now() - this.startTime;
+
+    // Progress must strictly increase between notifications
+    let progress = Math.floor(elapsedMs / 1000);
+    if (progress <= this.lastProgress) {
+      progress = this.lastProgress + 1;
+    }
+    this.lastProgress = progress;
+
+    const params = {
+      progressToken: this.progressToken,
+      progress,
+      message: this._formatMessage(state, elapsedMs),
+      status: state.status,
+      elapsedMs,
+    };
+
+    if (state.executionId) {
+      params.executionId = state.executionId;
+    }
+
+    if (typeof state.currentPage === 'number') {
+      params.currentPage = state.currentPage;
+    }
+
+    if (typeof state.totalPages === 'number') {
+      params.totalPages = state.totalPages;
+    }
+
+    try {
+      await this.sendNotification({ method: 'notifications/progress', params });
+    } catch (error) {
+      // Progress is best effort and must never fail the operation
+      logger.debug('Failed to send progress notification', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Send periodic notifications while an operation without status polling runs
+   * @param {Function} getState - Returns the current state for each heartbeat
+   * @param {number} interval - Heartbeat interval in milliseconds
+   */
+  startHeartbeat(getState, interval = DEFAULT_HEARTBEAT_INTERVAL_MS) {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => this.report(getState()), interval);
+    if (this.heartbeatTimer.unref) {
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  /**
+   * Stop heartbeat notifications
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Build a human-readable progress message
+   * @private
+   */
+  _formatMessage(state, elapsedMs) {
+    const parts = [`Execution ${state.status || 'running'}`];
+
+    if (typeof state.currentPage === 'number' && typeof state.totalPages === 'number') {
+      parts.push(`page ${state.currentPage} of ${state.totalPages}`);
+    } else if (typeof state.currentPage === 'number') {
+      parts.push(`page ${state.currentPage}`);
+    }
+
+    parts.push(`${Math.round(elapsedMs / 1000)}s elapsed`);
+
+    return parts.join(', ');
+  }
+}
+
+export default ProgressReporter;
+export { ProgressReporter, DEFAULT_HEARTBEAT_INTERVAL_MS };
@@ -0,0 +1,464 @@
+/**
+ * Report Bundler for JasperReports MCP Server
+ *
+ * Finds the files a JRXML report depends on - subreports, images, style templates and
+ * resource bundles - and matches them with the local resources uploaded with the report,
+ * taking missing ones from a bundle: a zip archive or a map of files. References are
+ * rewritten to repo: paths of the report unit's own resources, so the report unit does not
+ * depend on the folder layout it was designed in. Bundled subreports are scanned as well.
+ */
+
+import { inflateRawSync } from 'zlib';
+import { MCPError, MCP_ERROR_TYPES } from './errorHandler.js';
+import { JRXMLParser, getChild, getChildren, walkElements } from './jrxmlParser.js';
+import { escapeXML } from './reportSpecCompiler.js';
+
+/**
+ * Local resource types by file extension
+ */
+const EXTENSION_TYPES = {
+  jrxml: 'jrxml',
+  jrtx: 'jrtx',
+  properties: 'prop',
+  jar: 'jar',
+  png: 'img',
+  jpg: 'img',
+  jpeg: 'img',
+  gif: 'img',
+  bmp: 'img',
+  svg: 'img',
+  tif: 'img',
+  tiff: 'img',
+};
+
+/**
+ * A string literal, optionally prefixed by a directory parameter as in
+ * $P{SUBREPORT_DIR} + "orders.jasper"
+ */
+const LITERAL_EXPRESSION = /^(?:\$P\{\w+\}\s*\+\s*)?"((?:[^"\\]|\\.)*)"$/;
+
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+const ZIP_SIGNATURES = {
+  localFile: 0x04034b50,
+  centralDirectory: 0x02014b50,
+  endOfCentralDirectory: 0x06054b50,
+};
+
+/**
+ * Report Bundler class
+ */
+class ReportBundler {
+  constructor() {
+    this.parser = new JRXMLParser();
+  }
+
+  /**
+   * Resolve the dependencies of a report against its local resources and a bundle
+   * @param {string} jrxmlContent - Main JRXML content
+   * @param {object} options - Bundle options
+   * @param {string} options.reportUri - Report unit URI
+   * @param {Array} options.localResources - Local resources uploaded with the report
+   * @param {object} options.bundle - Bundle as { zip } with base64 zip content, or as
+   *   { files } mapping file paths to base64 content
+   * @returns {object} Rewritten JRXML, the local resources to upload including the bundled
+   *   ones, every dependency with its status, and the bundle files no reference uses
+   * @throws {MCPError} InvalidParams error for malformed bundles
+   */
+  bundle(jrxmlContent, options = {}) {
+    const { reportUri, localResources = [], bundle } = options;
+    const files = this._readBundle(bundle);
+    const resources = new Map(
+      localResources.map(localResource => [localResource.name, { ...localResource }])
+    );
+    const bundled = new Set();
+    const dependencies = [];
+    const queue = [{ content: jrxmlContent }];
+    const scanned = new Set();
+    let mainContent = jrxmlContent;
+
+    while (queue.length > 0) {
+      const { content, source } = queue.shift();
+      const root = this.parser.parse(content);
+      const patches = [];
+      const lineStarts = getLineStarts(content);
+
+      this._scan(root).forEach(reference => {
+        const dependency = this._resolve(reference, { reportUri, resources, files });
+        dependencies.push({
+          ...(source && { source }),
+          kind: reference.kind,
+          reference: reference.reference,
+          line: reference.line,
+          ...dependency.record,
+        });
+
+        dependency.names.forEach(name => {
+          if (!resources.has(name)) {
+            resources.set(name, { name, type: getType(name), content: files.get(name).content });
+            bundled.add(name);
+          }
+        });
+
+        const resource = dependency.record.resource;
+        if (reference.kind === 'subreport' && resource?.endsWith('.jrxml')) {
+          if (!scanned.has(resource)) {
+            scanned.add(resource);
+            queue.push({ content: decode(resources.get(resource).content), source: resource });
+          }
+        }
+
+        if (dependency.record.rewrittenTo) {
+          const patch = this._getPatch(content, lineStarts, reference, dependency.record);
+          if (patch) {
+            patches.push(patch);
+          } else {
+            delete dependency.record.rewrittenTo;
+          }
+        }
+      });
+
+      const patched = applyPatches(content, patches);
+      if (!source) {
+        mainContent = patched;
+      } else if (patches.length > 0) {
+        resources.get(source).content = Buffer.from(patched, 'utf8');
+      }
+    }
+
+    return {
+      jrxmlContent: mainContent,
+      localResources: [...resources.values()],
+      bundledResources: [...bundled],
+      dependencies,
+      unusedBundleFiles: [...files.values()]
+        .filter(file => !resources.has(file.name))
+        .map(file => file.path),
+    };
+  }
+
+  /**
+   * Collect the references of a report with the node holding them; path is null when the
+   * reference is computed at fill time
+   * @private
+   */
+  _scan(root) {
+    const references = [];
+    const addExpression = (kind, node) => {
+      if (!node || !node.text.trim()) {
+        return;
+      }
+      const reference = node.text.trim();
+      const literal = reference.match(LITERAL_EXPRESSION);
+      references.push({
+        kind,
+        reference,
+        path: literal ? literal[1].replace(/\\(.)/g, '$1') : null,
+        line: (node.textLocation || node).line,
+        column: (node.textLocation || node).column,
+        node,
+      });
+    };
+
+    if (root.attributes.resourceBundle) {
+      references.push({
+        kind: 'resourceBundle',
+        reference: root.attributes.resourceBundle,
+        path: root.attributes.resourceBundle,
+        line: root.line,
+        column: root.column,
+        node: root,
+      });
+    }
+    getChildren(root, 'template').forEach(node => addExpression('template', node));
+    walkElements(root, node => {
+      if (node.name === 'subreport') {
+        addExpression('subreport', getChild(node, 'subreportExpression'));
+      } else if (node.name === 'image') {
+        addExpression('image', getChild(node, 'imageExpression'));
+      }
+    });
+
+    return references;
+  }
+
+  /**
+   * Match a reference with a local or bundled resource
+   * @private
+   */
+  _resolve(reference, { reportUri, resources, files }) {
+    if (reference.path === null) {
+      return { names: [], record: { status: 'dynamic' } };
+    }
+
+    if (reference.kind === 'resourceBundle') {
+      const baseName = reference.path.split(/[/.]/).pop();
+      const pattern = new RegExp(`^${escapeRegExp(baseName)}(_[A-Za-z0-9_]+)?\\.properties$`);
+      const matches = name => pattern.test(name);
+      const local = [...resources.keys()].filter(matches);
+      const bundled = [...files.keys()].filter(name => matches(name) && !resources.has(name));
+      // The base bundle sorts before its locale variants
+      const names = [...local, ...bundled].sort();
+
+      if (names.length === 0) {
+        return { names, record: { status: 'missing' } };
+      }
+      return {
+        names: bundled,
+        record: {
+          status: local.length > 0 ? 'local' : 'bundled',
+          resource: names[0],
+          ...(baseName !== reference.path && { rewrittenTo: baseName }),
+        },
+      };
+    }
+
+    const path = reference.path.replace(/^repo:/, '');
+    const localPath = path.startsWith(`${reportUri}_files/`)
+      ? path.slice(reportUri.length + 7)
+      : path;
+    const name = localPath.split('/').pop();
+    const candidates =
+      reference.kind === 'subreport' && name.endsWith('.jasper')
+        ? [name.replace(/\.jasper$/, '.jrxml'), name]
+        : [name];
+    const local = candidates.find(candidate => resources.has(candidate));
+    const found = local || candidates.find(candidate => files.has(candidate));
+
+    if (!found) {
+      const external = path.startsWith('/') || URL_PATTERN.test(path);
+      return { names: [], record: { status: external ? 'external' : 'missing' } };
+    }
+
+    const expression = `"repo:${found}"`;
+    return {
+      names: local ? [] : [found],
+      record: {
+        status: local ? 'local' : 'bundled',
+        resource: found,
+        ...(reference.reference !== expression &&
+          reference.reference !== `"${found}"` && { rewrittenTo: expression }),
+      },
+    };
+  }
+
+  /**
+   * Locate the text to replace for a rewritten reference; expressions split over several
+   * text and CDATA sections are left as they are
+   * @private
+   */
+  _getPatch(content, lineStarts, reference, record) {
+    const { node } = reference;
+
+    if (reference.kind === 'resourceBundle') {
+      const location = node.source.attributes.resourceBundle;
+      return { start: location.valueStart, end: location.valueEnd, text: record.rewrittenTo };
+    }
+
+    const { line, column } = node.textLocation;
+    const offset = lineStarts[line - 1] + column - 1;
+    const cdata = content.slice(offset - 9, offset) === '<![CDATA[';
+    const end = content.indexOf(cdata ? ']]>' : '<', offset);
+    const section = content.slice(offset, end);
+    const raw = [reference.reference, escapeXML(reference.reference)].find(
+      candidate => section.trim() === candidate && (!cdata || candidate === reference.reference)
+    );
+
+    if (!raw) {
+      return null;
+    }
+    // Plain text keeps its quoting style: literal quotes or &quot;
+    let text = record.rewrittenTo;
+    if (!cdata) {
+      text = raw === reference.reference ? escapeText(text) : escapeXML(text);
+    }
+
+    const start = offset + section.indexOf(raw);
+    return { start, end: start + raw.length, text };
+  }
+
+  /**
+   * Read the files of a bundle, keyed by file name
+   * @private
+   */
+  _readBundle(bundle) {
+    const files = new Map();
+    if (!bundle) {
+      return files;
+    }
+
+    const entries = bundle.zip
+      ? readZip(Buffer.from(bundle.zip, 'base64'))
+      : Object.entries(bundle.files || {}).map(([path, content]) => {
+          if (typeof content !== 'string') {
+            throw new MCPError(
+              MCP_ERROR_TYPES.INVALID_PARAMS,
+              `Bundle file '${path}' must have base64 content`,
+              { field: 'bundle.files', path }
+            );
+          }
+          return { path, content: Buffer.from(content, 'base64') };
+        });
+
+    entries.forEach(({ path, content }) => {
+      const name = path.split('/').pop();
+      if (!name || name.startsWith('.') || path.startsWith('__MACOSX/')) {
+        return;
+      }
+      if (files.has(name)) {
+        throw new MCPError(
+          MCP_ERROR_TYPES.INVALID_PARAMS,
+          `Bundle files '${files.get(name).path}' and '${path}' would both be uploaded as '${name}'`,
+          { field: 'bundle', name }
+        );
+      }
+      files.set(name, { name, path, content });
+    });
+
+    return files;
+  }
+}
+
+/**
+ * Read the files of a zip archive; stored and deflated entries are supported
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Array} Files as { path, content }; directories are left out
+ * @throws {MCPError} InvalidParams error for malformed, encrypted or ZIP64 archives
+ */
+function readZip(buffer) {
+  const invalid = message =>
+    new MCPError(MCP_ERROR_TYPES.INVALID_PARAMS, `Bundle zip is not readable: ${message}`, {
+      field: 'bundle.zip',
+    });
+
+  // The end of central directory record is followed by a comment of up to 64 KB
+  let end = buffer.length - 22;
+  const lowest = Math.max(0, end - 0xffff);
+  while (end >= lowest && buffer.readUInt32LE(end) !== ZIP_SIGNATURES.endOfCentralDirectory) {
+    end--;
+  }
+  if (end < lowest) {
+    throw invalid('no end of central directory record found');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw invalid('ZIP64 archives are not supported');
+  }
+
+  const files = [];
+  for (let index = 0; index < count; index++) {
+    if (
+      offset + 46 > buffer.length ||
+      buffer.readUInt32LE(offset) !== ZIP_SIGNATURES.centralDirectory
+    ) {
+      throw invalid(`central directory entry ${index + 1} is damaged`);
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const path = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+
+    if (path.endsWith('/')) {
+      continue;
+    }
+    if (flags & 1) {
+      throw invalid(`${path} is encrypted`);
+    }
+    if (
+      headerOffset + 30 > buffer.length ||
+      buffer.readUInt32LE(headerOffset) !== ZIP_SIGNATURES.localFile
+    ) {
+      throw invalid(`local header of ${path} is damaged`);
+    }
+
+    const dataStart =
+      headerOffset +
+      30 +
+      buffer.readUInt16LE(headerOffset + 26) +
+      buffer.readUInt16LE(headerOffset + 28);
+    if (dataStart + compressedSize > buffer.length) {
+      throw invalid(`data of ${path} is truncated`);
+    }
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files.push({ path, content: Buffer.from(data) });
+    } else if (method === 8) {
+      try {
+        files.push({ path, content: inflateRawSync(data, { maxOutputLength: Math.max(size, 1) }) });
+      } catch (error) {
+        throw invalid(`${path} cannot be inflated (${error.message})`);
+      }
+    } else {
+      throw invalid(`${path} uses unsupported compression method ${method}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * @private
+ */
+function getLineStarts(content) {
+  const lineStarts = [0];
+  for (let index = 0; index < content.length; index++) {
+    if (content[index] === '\n') {
+      lineStarts.push(index + 1);
+    }
+  }
+  return lineStarts;
+}
+
+/**
+ * @private
+ */
+function applyPatches(content, patches) {
+  return patches
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (text, patch) => text.slice(0, patch.start) + patch.text + text.slice(patch.end),
+      content
+    );
+}
+
+/**
+ * @private
+ */
+function getType(name) {
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  return EXTENSION_TYPES[extension] || 'file';
+}
+
+/**
+ * @private
+ */
+function decode(content) {
+  return Buffer.isBuffer(content)
+    ? content.toString('utf8')
+    : Buffer.from(content, 'base64').toString('utf8');
+}
+
+/**
+ * @private
+ */
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+/**
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default ReportBundler;
+export { ReportBundler, readZip, EXTENSION_TYPES };
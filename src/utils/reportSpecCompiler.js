@@ -0,0 +1,1085 @@
+/**
+ * Report Spec Compiler for JasperReports MCP Server
+ *
+ * Compiles a declarative JSON report spec into JRXML. Agents describe what a report
+ * contains (page setup, parameters, fields, groups, columns, totals, styles and charts)
+ * and the compiler computes element positions, band heights and the variables needed
+ * for totals, so no XML coordinates have to be written by hand.
+ *
+ * Features:
+ * - Column layout from explicit widths, with remaining width shared by the other columns
+ * - Default patterns and alignment per field class
+ * - Group headers and footers with per-group totals, grand totals in the summary
+ * - Bar, line and pie charts in the summary
+ * - Validation of the whole spec, reporting every problem at once
+ */
+
+import { MCPError, MCP_ERROR_TYPES } from './errorHandler.js';
+
+/**
+ * Page format configurations
+ */
+const PAGE_FORMATS = {
+  A4: { width: 595, height: 842 },
+  Letter: { width: 612, height: 792 },
+  Legal: { width: 612, height: 1008 },
+  A3: { width: 842, height: 1191 },
+};
+
+/**
+ * Default page margins
+ */
+const DEFAULT_MARGINS = { top: 20, bottom: 20, left: 20, right: 20 };
+
+/**
+ * Layout constants (in pixels)
+ */
+const LAYOUT = {
+  titleHeight: 30,
+  minRowHeight: 20,
+  bandPadding: 5,
+  chartHeight: 250,
+  minColumnWidth: 20,
+  defaultFontSize: 10,
+};
+
+/**
+ * Total calculations supported on columns
+ */
+const TOTAL_CALCULATIONS = ['Sum', 'Count', 'DistinctCount', 'Average', 'Highest', 'Lowest'];
+
+/**
+ * Variable calculations supported in specs
+ */
+const VARIABLE_CALCULATIONS = [
+  'Nothing',
+  'Sum',
+  'Count',
+  'DistinctCount',
+  'Average',
+  'Highest',
+  'Lowest',
+  'First',
+  'StandardDeviation',
+  'Variance',
+];
+
+/**
+ * Chart types supported in specs
+ */
+const CHART_TYPES = ['bar', 'line', 'pie'];
+
+/**
+ * Report output when the query returns no rows
+ */
+const WHEN_NO_DATA_TYPES = ['NoPages', 'BlankPage', 'AllSectionsNoDetail', 'NoDataSection'];
+
+/**
+ * Field classes right-aligned by default
+ */
+const NUMERIC_FIELD_CLASSES = [
+  'java.lang.Byte',
+  'java.lang.Short',
+  'java.lang.Integer',
+  'java.lang.Long',
+  'java.lang.Float',
+  'java.lang.Double',
+  'java.math.BigDecimal',
+  'java.math.BigInteger',
+  'java.lang.Number',
+];
+
+/**
+ * Default text field patterns per field class
+ */
+const FIELD_PATTERNS = {
+  'java.lang.Float': '#,##0.00',
+  'java.lang.Double': '#,##0.00',
+  'java.math.BigDecimal': '#,##0.00',
+  'java.util.Date': 'yyyy-MM-dd',
+  'java.sql.Date': 'yyyy-MM-dd',
+  'java.sql.Time': 'HH:mm:ss',
+  'java.sql.Timestamp': 'yyyy-MM-dd HH:mm:ss',
+};
+
+const IDENTIFIER_PATTERN = '^[a-zA-Z_][a-zA-Z0-9_]*$';
+
+/**
+ * JSON schema of a report spec, used as the input schema of jasper_compile_report_spec
+ */
+const REPORT_SPEC_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: {
+      type: 'string',
+      description: 'Report name (Java identifier)',
+      pattern: IDENTIFIER_PATTERN,
+      maxLength: 100,
+    },
+    title: { type: 'string', description: 'Static title text shown in the title band' },
+    titleExpression: {
+      type: 'string',
+      description: 'Title expression, e.g. $P{ReportTitle} (overrides title)',
+    },
+    page: {
+      type: 'object',
+      description: 'Page setup',
+      properties: {
+        format: { type: 'string', enum: Object.keys(PAGE_FORMATS), default: 'A4' },
+        orientation: { type: 'string', enum: ['portrait', 'landscape'], default: 'portrait' },
+        margins: {
+          type: 'object',
+          properties: {
+            top: { type: 'number', minimum: 0 },
+            bottom: { type: 'number', minimum: 0 },
+            left: { type: 'number', minimum: 0 },
+            right: { type: 'number', minimum: 0 },
+          },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+    query: { type: 'string', description: 'Report query (queryString)' },
+    queryLanguage: { type: 'string', description: 'Query language', default: 'sql' },
+    parameters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', pattern: IDENTIFIER_PATTERN },
+          class: { type: 'string', default: 'java.lang.String' },
+          defaultValue: { type: 'string', description: 'Default value expression' },
+          description: { type: 'string' },
+          prompt: { type: 'boolean', default: true },
+        },
+        additionalProperties: false,
+      },
+    },
+    fields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          class: { type: 'string', default: 'java.lang.String' },
+          description: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+    },
+    styles: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          isDefault: { type: 'boolean' },
+          fontName: { type: 'string' },
+          fontSize: { type: 'number', minimum: 1 },
+          bold: { type: 'boolean' },
+          italic: { type: 'boolean' },
+          underline: { type: 'boolean' },
+          forecolor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+          backcolor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+        },
+        additionalProperties: false,
+      },
+    },
+    variables: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'expression'],
+        properties: {
+          name: { type: 'string', pattern: IDENTIFIER_PATTERN },
+          class: { type: 'string', default: 'java.lang.String' },
+          calculation: { type: 'string', enum: VARIABLE_CALCULATIONS, default: 'Nothing' },
+          expression: { type: 'string', description: 'Field name or expression' },
+          initialValue: { type: 'string', description: 'Initial value expression' },
+          resetType: {
+            type: 'string',
+            enum: ['Report', 'Page', 'Column', 'Group', 'None'],
+            default: 'Report',
+          },
+          resetGroup: { type: 'string', description: 'Group name when resetType is Group' },
+        },
+        additionalProperties: false,
+      },
+    },
+    groups: {
+      type: 'array',
+      description: 'Groups, outermost first',
+      items: {
+        type: 'object',
+        required: ['name', 'expression'],
+        properties: {
+          name: { type: 'string', pattern: IDENTIFIER_PATTERN },
+          expression: { type: 'string', description: 'Field name or group expression' },
+          header: {
+            type: 'object',
+            properties: {
+              label: { type: 'string', description: 'Text shown before the group value' },
+              expression: { type: 'string', description: 'Header expression (default: group)' },
+              style: { type: 'string' },
+            },
+            additionalProperties: false,
+          },
+          showFooter: { type: 'boolean', default: true },
+          footerLabel: { type: 'string', default: 'Total' },
+        },
+        additionalProperties: false,
+      },
+    },
+    columns: {
+      type: 'array',
+      description: 'Detail columns, left to right',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', description: 'Field shown in the column' },
+          expression: { type: 'string', description: 'Expression shown instead of a field' },
+          class: { type: 'string', description: 'Expression class (default: field class)' },
+          header: { type: 'string', description: 'Column header (default: field name)' },
+          width: { type: 'number', minimum: 1 },
+          pattern: { type: 'string', description: 'Format pattern, e.g. #,##0.00' },
+          align: { type: 'string', enum: ['Left', 'Center', 'Right'] },
+          style: { type: 'string' },
+          headerStyle: { type: 'string' },
+          total: { type: 'string', enum: TOTAL_CALCULATIONS },
+        },
+        additionalProperties: false,
+      },
+    },
+    totalLabel: { type: 'string', description: 'Label of the grand total row' },
+    charts: {
+      type: 'array',
+      description: 'Charts shown in the summary band',
+      items: {
+        type: 'object',
+        required: ['type', 'category', 'value'],
+        properties: {
+          type: { type: 'string', enum: CHART_TYPES },
+          title: { type: 'string' },
+          titleExpression: { type: 'string' },
+          category: { type: 'string', description: 'Field name or category/key expression' },
+          value: { type: 'string', description: 'Field name or value expression' },
+          series: { type: 'string', description: 'Series name (bar and line charts)' },
+          height: { type: 'number', minimum: 50 },
+        },
+        additionalProperties: false,
+      },
+    },
+    pageFooter: { type: 'boolean', description: 'Show page numbers', default: true },
+    whenNoDataType: {
+      type: 'string',
+      enum: WHEN_NO_DATA_TYPES,
+      description: 'Report output when the query returns no rows',
+      default: 'AllSectionsNoDetail',
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Report Spec Compiler class
+ */
+class ReportSpecCompiler {
+  /**
+   * Compile a report spec to JRXML
+   * @param {object} spec - Report spec
+   * @returns {object} JRXML content and the computed layout
+   * @throws {MCPError} InvalidParams error listing every problem in the spec
+   */
+  compile(spec) {
+    const errors = [];
+    const report = this._resolve(spec, errors);
+    const bands = errors.length === 0 ? this._getBands(report) : [];
+
+    bands
+      .filter(band => band.height > report.page.availableHeight)
+      .forEach(band => {
+        errors.push({
+          path: band.key,
+          message: `Band height ${band.height} exceeds the available page height ${report.page.availableHeight}`,
+        });
+      });
+
+    if (errors.length > 0) {
+      throw new MCPError(
+        MCP_ERROR_TYPES.INVALID_PARAMS,
+        `Invalid report spec: ${errors.map(error => `${error.path}: ${error.message}`).join('; ')}`,
+        { validationErrors: errors }
+      );
+    }
+
+    const jrxmlContent = this._toJRXML(report, bands);
+
+    return {
+      jrxmlContent,
+      layout: {
+        pageWidth: report.page.width,
+        pageHeight: report.page.height,
+        columnWidth: report.page.columnWidth,
+        bandHeights: Object.fromEntries(bands.map(band => [band.key, band.height])),
+        columns: report.columns.map(column => ({
+          header: column.header,
+          x: column.x,
+          width: column.width,
+        })),
+      },
+      variables: report.variables.map(variable => variable.name),
+    };
+  }
+
+  /**
+   * Resolve defaults, layout and generated variables, collecting spec errors
+   * @private
+   */
+  _resolve(spec, errors) {
+    const addError = (path, message) => errors.push({ path, message });
+
+    const page = this._resolvePage(spec.page || {}, addError);
+    const fields = (spec.fields || []).map(field => ({
+      ...field,
+      class: field.class || 'java.lang.String',
+    }));
+    const fieldNames = new Set(fields.map(field => field.name));
+    const styles = spec.styles || [];
+    const styleNames = new Set(styles.map(style => style.name));
+    const groups = spec.groups || [];
+    const groupNames = new Set(groups.map(group => group.name));
+
+    this._checkUnique(fields, 'fields', addError);
+    this._checkUnique(spec.parameters || [], 'parameters', addError);
+    this._checkUnique(styles, 'styles', addError);
+    this._checkUnique(groups, 'groups', addError);
+
+    const checkStyle = (name, path) => {
+      if (name && !styleNames.has(name)) {
+        addError(path, `Unknown style '${name}'`);
+      }
+    };
+
+    if (spec.whenNoDataType && !WHEN_NO_DATA_TYPES.includes(spec.whenNoDataType)) {
+      addError('whenNoDataType', `Unknown whenNoDataType '${spec.whenNoDataType}'`);
+    }
+
+    const rowHeight = this._getRowHeight(styles);
+
+    const columns = (spec.columns || []).map((column, index) => {
+      const path = `columns[${index}]`;
+      const field = fields.find(candidate => candidate.name === column.field);
+
+      if (!column.field && !column.expression) {
+        addError(path, 'A column needs a field or an expression');
+      } else if (column.field && !field) {
+        addError(`${path}.field`, `Unknown field '${column.field}'`);
+      }
+      checkStyle(column.style, `${path}.style`);
+      checkStyle(column.headerStyle, `${path}.headerStyle`);
+
+      const valueClass = column.class || field?.class || 'java.lang.String';
+      const numeric = NUMERIC_FIELD_CLASSES.includes(valueClass);
+
+      return {
+        ...column,
+        key: column.field || `column${index + 1}`,
+        header: column.header !== undefined ? column.header : column.field || '',
+        expression: column.expression || `$F{${column.field}}`,
+        valueClass,
+        pattern: column.pattern || FIELD_PATTERNS[valueClass],
+        align: column.align || (numeric ? 'Right' : 'Left'),
+      };
+    });
+
+    this._layoutColumns(columns, page.columnWidth, addError);
+
+    groups.forEach((group, index) => {
+      checkStyle(group.header?.style, `groups[${index}].header.style`);
+    });
+
+    const variables = this._resolveVariables(spec, columns, fieldNames, groupNames, addError);
+
+    const charts = (spec.charts || []).map(chart => ({
+      ...chart,
+      category: this._toExpression(chart.category, fieldNames),
+      value: this._toExpression(chart.value, fieldNames),
+      height: chart.height || LAYOUT.chartHeight,
+    }));
+
+    return {
+      name: spec.name,
+      title: spec.titleExpression || (spec.title ? toJavaString(spec.title) : null),
+      page,
+      query: spec.query,
+      queryLanguage: spec.queryLanguage || 'sql',
+      parameters: spec.parameters || [],
+      fields,
+      styles,
+      groups: groups.map(group => ({
+        ...group,
+        expression: this._toExpression(group.expression, fieldNames),
+        showFooter: group.showFooter !== false,
+      })),
+      columns,
+      variables,
+      totalLabel: spec.totalLabel || 'Grand Total',
+      charts,
+      pageFooter: spec.pageFooter !== false,
+      whenNoDataType: spec.whenNoDataType || 'AllSectionsNoDetail',
+      rowHeight,
+    };
+  }
+
+  /**
+   * Resolve page size, margins and the width available to columns
+   * @private
+   */
+  _resolvePage(page, addError) {
+    const format = PAGE_FORMATS[page.format || 'A4'] || PAGE_FORMATS.A4;
+    if (!PAGE_FORMATS[page.format || 'A4']) {
+      addError('page.format', `Unknown page format '${page.format}'`);
+    }
+    const landscape = page.orientation === 'landscape';
+    const margins = { ...DEFAULT_MARGINS, ...page.margins };
+
+    const width = landscape ? format.height : format.width;
+    const height = landscape ? format.width : format.height;
+    const columnWidth = width - margins.left - margins.right;
+    const availableHeight = height - margins.top - margins.bottom;
+
+    if (columnWidth <= 0 || availableHeight <= 0) {
+      addError('page.margins', 'Margins leave no room for content');
+    }
+
+    return { width, height, margins, columnWidth, availableHeight };
+  }
+
+  /**
+   * Get the row height fitting the largest font used by the spec styles
+   * @private
+   */
+  _getRowHeight(styles) {
+    const fontSize = Math.max(
+      LAYOUT.defaultFontSize,
+      ...styles.map(style => style.fontSize || LAYOUT.defaultFontSize)
+    );
+    return Math.max(LAYOUT.minRowHeight, Math.ceil(fontSize * 1.6));
+  }
+
+  /**
+   * Assign x positions and widths; columns without a width share the remaining width
+   * @private
+   */
+  _layoutColumns(columns, columnWidth, addError) {
+    const fixedWidth = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+    const flexible = columns.filter(column => !column.width);
+    const remaining = columnWidth - fixedWidth;
+
+    if (fixedWidth > columnWidth) {
+      addError('columns', `Column widths add up to ${fixedWidth}, more than ${columnWidth}`);
+      return;
+    }
+
+    if (flexible.length > 0 && remaining / flexible.length < LAYOUT.minColumnWidth) {
+      addError(
+        'columns',
+        `Only ${remaining} pixels are left for ${flexible.length} columns without a width`
+      );
+      return;
+    }
+
+    const shared = flexible.length > 0 ? Math.floor(remaining / flexible.length) : 0;
+    flexible.forEach(column => {
+      column.width = shared;
+    });
+
+    // The last flexible column takes what rounding left over
+    if (flexible.length > 0) {
+      flexible[flexible.length - 1].width += remaining - shared * flexible.length;
+    }
+
+    let x = 0;
+    columns.forEach(column => {
+      column.x = x;
+      x += column.width;
+    });
+  }
+
+  /**
+   * Resolve spec variables and generate the variables behind column totals
+   * @private
+   */
+  _resolveVariables(spec, columns, fieldNames, groupNames, addError) {
+    const variables = (spec.variables || []).map((variable, index) => {
+      const resetType = variable.resetType || 'Report';
+
+      if (resetType === 'Group' && !groupNames.has(variable.resetGroup)) {
+        addError(
+          `variables[${index}].resetGroup`,
+          `Unknown group '${variable.resetGroup || ''}' for a Group reset`
+        );
+      }
+
+      return {
+        name: variable.name,
+        class: variable.class || 'java.lang.String',
+        calculation: variable.calculation || 'Nothing',
+        expression: this._toExpression(variable.expression, fieldNames),
+        initialValue: variable.initialValue,
+        resetType,
+        resetGroup: resetType === 'Group' ? variable.resetGroup : undefined,
+      };
+    });
+
+    const totalScopes = [
+      ...(spec.groups || [])
+        .filter(group => group.showFooter !== false)
+        .map(group => ({ resetType: 'Group', resetGroup: group.name })),
+      { resetType: 'Report' },
+    ];
+
+    columns
+      .filter(column => column.total)
+      .forEach(column => {
+        column.totals = {};
+        totalScopes.forEach(scope => {
+          const name = [scope.resetGroup, column.key, column.total].filter(Boolean).join('_');
+          column.totals[scope.resetGroup || ''] = name;
+          variables.push({
+            name,
+            class: this._getTotalClass(column.total, column.valueClass),
+            calculation: column.total,
+            expression: column.expression,
+            resetType: scope.resetType,
+            resetGroup: scope.resetGroup,
+            generated: true,
+          });
+        });
+      });
+
+    this._checkUnique(variables, 'variables', addError);
+
+    return variables;
+  }
+
+  /**
+   * Get the class of a total variable
+   * @private
+   */
+  _getTotalClass(calculation, valueClass) {
+    if (calculation === 'Count' || calculation === 'DistinctCount') {
+      return 'java.lang.Integer';
+    }
+    if (
+      calculation === 'Average' &&
+      ['java.lang.Byte', 'java.lang.Short', 'java.lang.Integer', 'java.lang.Long'].includes(
+        valueClass
+      )
+    ) {
+      return 'java.lang.Double';
+    }
+    return valueClass;
+  }
+
+  /**
+   * Report duplicate names in a spec list
+   * @private
+   */
+  _checkUnique(items, path, addError) {
+    const seen = new Set();
+    items.forEach((item, index) => {
+      if (seen.has(item.name)) {
+        addError(`${path}[${index}].name`, `Duplicate name '${item.name}'`);
+      }
+      seen.add(item.name);
+    });
+  }
+
+  /**
+   * Turn a field name into a field expression; other values are expressions already
+   * @private
+   */
+  _toExpression(value, fieldNames) {
+    return fieldNames.has(value) ? `$F{${value}}` : value;
+  }
+
+  /**
+   * Compute the bands of the report and their heights
+   * @private
+   */
+  _getBands(report) {
+    const { rowHeight, columns } = report;
+    const lineBand = rowHeight + LAYOUT.bandPadding;
+    const hasTotals = columns.some(column => column.total);
+    const bands = [];
+
+    if (report.title) {
+      bands.push({ key: 'title', height: LAYOUT.titleHeight + 2 * LAYOUT.bandPadding });
+    }
+
+    if (columns.length > 0) {
+      bands.push({ key: 'columnHeader', height: lineBand });
+    }
+
+    report.groups.forEach(group => {
+      bands.push({ key: `groupHeader:${group.name}`, height: lineBand });
+      if (group.showFooter && hasTotals) {
+        bands.push({ key: `groupFooter:${group.name}`, height: lineBand });
+      }
+    });
+
+    if (columns.length > 0) {
+      bands.push({ key: 'detail', height: rowHeight });
+    }
+
+    if (report.pageFooter) {
+      bands.push({ key: 'pageFooter', height: rowHeight });
+    }
+
+    const summaryHeight =
+      (hasTotals ? lineBand : 0) +
+      report.charts.reduce((sum, chart) => sum + chart.height + LAYOUT.bandPadding, 0);
+    if (summaryHeight > 0) {
+      bands.push({ key: 'summary', height: summaryHeight });
+    }
+
+    return bands;
+  }
+
+  /**
+   * Build the JRXML document
+   * @private
+   */
+  _toJRXML(report, bands) {
+    const { page } = report;
+    const bandHeight = key => bands.find(band => band.key === key)?.height;
+
+    let jrxml = `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports"
+              xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+              xsi:schemaLocation="http://jasperreports.sourceforge.net/jasperreports http://jasperreports.sourceforge.net/xsd/jasperreport.xsd"
+              name="${report.name}"
+              pageWidth="${page.width}"
+              pageHeight="${page.height}"
+              columnWidth="${page.columnWidth}"
+              leftMargin="${page.margins.left}"
+              rightMargin="${page.margins.right}"
+              topMargin="${page.margins.top}"
+              bottomMargin="${page.margins.bottom}"
+              whenNoDataType="${report.whenNoDataType}">`;
+
+    jrxml += report.styles.map(style => this._styleXML(style)).join('');
+    jrxml += report.parameters.map(parameter => this._parameterXML(parameter)).join('');
+
+    if (report.query) {
+      jrxml += `
+  <queryString language="${escapeXML(report.queryLanguage)}">
+    <![CDATA[${escapeCDATA(report.query)}]]>
+  </queryString>`;
+    }
+
+    jrxml += report.fields
+      .map(
+        field => `
+  <field name="${escapeXML(field.name)}" class="${escapeXML(field.class)}"/>`
+      )
+      .join('');
+    jrxml += report.variables.map(variable => this._variableXML(variable)).join('');
+    jrxml += report.groups
+      .map(group => this._groupXML(report, group, bandHeight(`groupFooter:${group.name}`)))
+      .join('');
+
+    if (report.title) {
+      jrxml += this._band(
+        'title',
+        bandHeight('title'),
+        `
+      <textField>
+        <reportElement x="0" y="${LAYOUT.bandPadding}" width="${page.columnWidth}" height="${LAYOUT.titleHeight}"/>
+        <textElement textAlignment="Center">
+          <font size="18" isBold="true"/>
+        </textElement>
+        <textFieldExpression><![CDATA[${escapeCDATA(report.title)}]]></textFieldExpression>
+      </textField>`
+      );
+    }
+
+    if (report.columns.length > 0) {
+      jrxml += this._band(
+        'columnHeader',
+        bandHeight('columnHeader'),
+        report.columns.map(column => this._headerXML(column, report.rowHeight)).join('')
+      );
+      jrxml += this._band(
+        'detail',
+        bandHeight('detail'),
+        report.columns.map(column => this._detailXML(column, report.rowHeight)).join('')
+      );
+    }
+
+    if (report.pageFooter) {
+      jrxml += this._band(
+        'pageFooter',
+        bandHeight('pageFooter'),
+        `
+      <textField>
+        <reportElement x="0" y="0" width="${page.columnWidth - 100}" height="${report.rowHeight}"/>
+        <textElement textAlignment="Right"/>
+        <textFieldExpression><![CDATA["Page " + $V{PAGE_NUMBER}]]></textFieldExpression>
+      </textField>
+      <textField evaluationTime="Report">
+        <reportElement x="${page.columnWidth - 100}" y="0" width="100" height="${report.rowHeight}"/>
+        <textFieldExpression><![CDATA[" of " + $V{PAGE_NUMBER}]]></textFieldExpression>
+      </textField>`
+      );
+    }
+
+    if (bandHeight('summary')) {
+      jrxml += this._band('summary', bandHeight('summary'), this._summaryXML(report));
+    }
+
+    jrxml += `
+</jasperReport>`;
+
+    return jrxml;
+  }
+
+  /**
+   * Wrap elements in a band element
+   * @private
+   */
+  _band(name, height, elements, indent = '  ') {
+    return `
+${indent}<${name}>
+${indent}  <band height="${height}">${elements.replace(/\n/g, `\n${indent.slice(2)}`)}
+${indent}  </band>
+${indent}</${name}>`;
+  }
+
+  /**
+   * @private
+   */
+  _styleXML(style) {
+    const attributes = [
+      ['name', style.name],
+      ['isDefault', style.isDefault],
+      ['mode', style.backcolor ? 'Opaque' : undefined],
+      ['forecolor', style.forecolor],
+      ['backcolor', style.backcolor],
+      ['fontName', style.fontName],
+      ['fontSize', style.fontSize],
+      ['isBold', style.bold],
+      ['isItalic', style.italic],
+      ['isUnderline', style.underline],
+    ];
+
+    return `
+  <style${this._attributes(attributes)}/>`;
+  }
+
+  /**
+   * @private
+   */
+  _parameterXML(parameter) {
+    const attributes = [
+      ['name', parameter.name],
+      ['class', parameter.class || 'java.lang.String'],
+      ['isForPrompting', parameter.prompt === false ? false : undefined],
+    ];
+    let xml = `
+  <parameter${this._attributes(attributes)}>`;
+
+    if (parameter.description) {
+      xml += `
+    <parameterDescription><![CDATA[${escapeCDATA(parameter.description)}]]></parameterDescription>`;
+    }
+    if (parameter.defaultValue) {
+      xml += `
+    <defaultValueExpression><![CDATA[${escapeCDATA(parameter.defaultValue)}]]></defaultValueExpression>`;
+    }
+
+    return `${xml}
+  </parameter>`;
+  }
+
+  /**
+   * @private
+   */
+  _variableXML(variable) {
+    const attributes = [
+      ['name', variable.name],
+      ['class', variable.class],
+      ['resetType', variable.resetType !== 'Report' ? variable.resetType : undefined],
+      ['resetGroup', variable.resetGroup],
+      ['calculation', variable.calculation !== 'Nothing' ? variable.calculation : undefined],
+    ];
+    let xml = `
+  <variable${this._attributes(attributes)}>
+    <variableExpression><![CDATA[${escapeCDATA(variable.expression)}]]></variableExpression>`;
+
+    if (variable.initialValue) {
+      xml += `
+    <initialValueExpression><![CDATA[${escapeCDATA(variable.initialValue)}]]></initialValueExpression>`;
+    }
+
+    return `${xml}
+  </variable>`;
+  }
+
+  /**
+   * @private
+   */
+  _groupXML(report, group, footerHeight) {
+    const { rowHeight, page } = report;
+    const header = group.header || {};
+    const headerExpression = header.expression || group.expression;
+    const expression = header.label
+      ? `${toJavaString(`${header.label} `)} + ${headerExpression}`
+      : headerExpression;
+    const style = header.style ? ` style="${escapeXML(header.style)}"` : '';
+
+    let xml = `
+  <group name="${escapeXML(group.name)}">
+    <groupExpression><![CDATA[${escapeCDATA(group.expression)}]]></groupExpression>`;
+
+    xml += this._band(
+      'groupHeader',
+      rowHeight + LAYOUT.bandPadding,
+      `
+      <textField isBlankWhenNull="true">
+        <reportElement${style} x="0" y="0" width="${page.columnWidth}" height="${rowHeight}"/>
+        <textElement><font isBold="true"/></textElement>
+        <textFieldExpression><![CDATA[${escapeCDATA(expression)}]]></textFieldExpression>
+      </textField>`,
+      '    '
+    );
+
+    if (footerHeight) {
+      xml += this._band(
+        'groupFooter',
+        footerHeight,
+        this._totalsXML(report, group.name, group.footerLabel || 'Total'),
+        '    '
+      );
+    }
+
+    return `${xml}
+  </group>`;
+  }
+
+  /**
+   * @private
+   */
+  _headerXML(column, rowHeight) {
+    const style = column.headerStyle ? ` style="${escapeXML(column.headerStyle)}"` : '';
+    const font = column.headerStyle ? '' : '<font isBold="true"/>';
+
+    return `
+      <staticText>
+        <reportElement${style} x="${column.x}" y="0" width="${column.width}" height="${rowHeight}"/>
+        ${this._textElementXML(column.align, font)}
+        <text><![CDATA[${escapeCDATA(column.header)}]]></text>
+      </staticText>`;
+  }
+
+  /**
+   * @private
+   */
+  _detailXML(column, rowHeight) {
+    return this._textFieldXML(column, column.expression, rowHeight, 0, column.style);
+  }
+
+  /**
+   * Total row for a group footer or, without a group, the summary
+   * @private
+   */
+  _totalsXML(report, groupName, label) {
+    const { columns, rowHeight } = report;
+    let xml = '';
+
+    if (!columns[0].total) {
+      xml += `
+      <staticText>
+        <reportElement x="${columns[0].x}" y="0" width="${columns[0].width}" height="${rowHeight}"/>
+        <textElement><font isBold="true"/></textElement>
+        <text><![CDATA[${escapeCDATA(label)}]]></text>
+      </staticText>`;
+    }
+
+    columns
+      .filter(column => column.total)
+      .forEach(column => {
+        const total = {
+          ...column,
+          pattern:
+            column.total === 'Count' || column.total === 'DistinctCount' ? null : column.pattern,
+          align: 'Right',
+        };
+        xml += this._textFieldXML(
+          total,
+          `$V{${column.totals[groupName || '']}}`,
+          rowHeight,
+          0,
+          column.style,
+          true
+        );
+      });
+
+    return xml;
+  }
+
+  /**
+   * @private
+   */
+  _summaryXML(report) {
+    const { columns, rowHeight, page } = report;
+    let xml = '';
+    let y = 0;
+
+    if (columns.some(column => column.total)) {
+      xml += this._totalsXML(report, null, report.totalLabel);
+      y += rowHeight + LAYOUT.bandPadding;
+    }
+
+    report.charts.forEach(chart => {
+      xml += this._chartXML(chart, y, page.columnWidth);
+      y += chart.height + LAYOUT.bandPadding;
+    });
+
+    return xml;
+  }
+
+  /**
+   * @private
+   */
+  _textFieldXML(column, expression, rowHeight, y, style, bold = false) {
+    const attributes = [
+      ['isBlankWhenNull', true],
+      ['pattern', column.pattern],
+    ];
+    const styleAttribute = style ? ` style="${escapeXML(style)}"` : '';
+    const font = bold ? '<font isBold="true"/>' : '';
+
+    return `
+      <textField${this._attributes(attributes)}>
+        <reportElement${styleAttribute} x="${column.x}" y="${y}" width="${column.width}" height="${rowHeight}"/>
+        ${this._textElementXML(column.align, font)}
+        <textFieldExpression><![CDATA[${escapeCDATA(expression)}]]></textFieldExpression>
+      </textField>`;
+  }
+
+  /**
+   * @private
+   */
+  _chartXML(chart, y, width) {
+    const title = chart.titleExpression || (chart.title ? toJavaString(chart.title) : null);
+    const chartElement = `
+        <chart evaluationTime="Report">
+          <reportElement x="0" y="${y}" width="${width}" height="${chart.height}"/>${
+            title
+              ? `
+          <chartTitle>
+            <titleExpression><![CDATA[${escapeCDATA(title)}]]></titleExpression>
+          </chartTitle>`
+              : ''
+          }
+        </chart>`;
+
+    if (chart.type === 'pie') {
+      return `
+      <pieChart>${chartElement}
+        <pieDataset>
+          <keyExpression><![CDATA[${escapeCDATA(chart.category)}]]></keyExpression>
+          <valueExpression><![CDATA[${escapeCDATA(chart.value)}]]></valueExpression>
+        </pieDataset>
+        <piePlot>
+          <plot/>
+        </piePlot>
+      </pieChart>`;
+    }
+
+    const series = toJavaString(chart.series || 'Series');
+    return `
+      <${chart.type}Chart>${chartElement}
+        <categoryDataset>
+          <categorySeries>
+            <seriesExpression><![CDATA[${escapeCDATA(series)}]]></seriesExpression>
+            <categoryExpression><![CDATA[${escapeCDATA(chart.category)}]]></categoryExpression>
+            <valueExpression><![CDATA[${escapeCDATA(chart.value)}]]></valueExpression>
+          </categorySeries>
+        </categoryDataset>
+        <${chart.type}Plot>
+          <plot/>
+        </${chart.type}Plot>
+      </${chart.type}Chart>`;
+  }
+
+  /**
+   * @private
+   */
+  _textElementXML(align, font) {
+    return font
+      ? `<textElement textAlignment="${align}">${font}</textElement>`
+      : `<textElement textAlignment="${align}"/>`;
+  }
+
+  /**
+   * Render XML attributes, skipping undefined and null values
+   * @private
+   */
+  _attributes(attributes) {
+    return attributes
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+      .join('');
+  }
+}
+
+/**
+ * Turn text into a Java string literal expression
+ * @param {*} text - Text to quote
+ * @returns {string} Java string literal
+ */
+function toJavaString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Escape a value for use in an XML attribute
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape a value for use in a CDATA section
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeCDATA(value) {
+  return String(value).replace(/]]>/g, ']]]]><![CDATA[>');
+}
+
+export default ReportSpecCompiler;
+export {
+  ReportSpecCompiler,
+  REPORT_SPEC_SCHEMA,
+  PAGE_FORMATS,
+  FIELD_PATTERNS,
+  NUMERIC_FIELD_CLASSES,
+  toJavaString,
+  escapeXML,
+  escapeCDATA,
+};
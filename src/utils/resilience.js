@@ -12,6 +12,9 @@
 import { EventEmitter } from 'events';
 import { getConfiguration } from '../config/environment.js';
 import { getErrorHandler, ERROR_CATEGORIES } from './errorHandler.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Retry Manager');
 
 /**
  * Default retry configuration
@@ -114,12 +117,9 @@ class RetryManager {
         const delay = this._calculateDelay(attempt, config);
 
         // Log retry attempt
-        if (this.config.debugMode) {
-          console.log(
-            `[Retry Manager] Attempt ${attempt} failed for ${operationId}, retrying in ${delay}ms:`,
-            error.message
-          );
-        }
+        logger.debug(`Attempt ${attempt} failed for ${operationId}, retrying in ${delay}ms`, {
+          error: error.message,
+        });
 
         // Wait before next attempt
         await this._delay(delay);
@@ -425,6 +425,11 @@ class CacheManager {
     this.cleanupTimer = setInterval(() => {
       this._cleanup();
     }, this.config.cleanupInterval);
+
+    // Expiry is also checked on read, so the sweep must not keep the process alive
+    if (this.cleanupTimer.unref) {
+      this.cleanupTimer.unref();
+    }
   }
 
   /**
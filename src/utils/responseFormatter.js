@@ -47,6 +47,27 @@ const BINARY_METADATA_FIELDS = {
   ENCODING: 'encoding',
 };
 
+/**
+ * URI prefix for report output embedded in tool results
+ */
+const OUTPUT_URI_PREFIX = 'jasper://output';
+
+/**
+ * Check whether content with the given MIME type can be returned as text
+ * @param {string} mimeType - MIME type, optionally with parameters
+ * @returns {boolean} True for text, XML and JSON types
+ */
+function isTextMimeType(mimeType) {
+  const baseType = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return (
+    baseType.startsWith('text/') ||
+    baseType.endsWith('/xml') ||
+    baseType.endsWith('+xml') ||
+    baseType.endsWith('/json') ||
+    baseType.endsWith('+json')
+  );
+}
+
 /**
  * Response Formatter class providing standardized response formatting
  */
@@ -164,9 +185,15 @@ class ResponseFormatter {
       fileName = null,
       fileSize = null,
       encoding = null,
+      ...metadata
     } = contentInfo;
 
-    const response = this.formatSuccess(toolName, { content }, executionTime, correlationId);
+    const response = this.formatSuccess(
+      toolName,
+      { ...metadata, content },
+      executionTime,
+      correlationId
+    );
 
     // Add binary content metadata
     response[BINARY_METADATA_FIELDS.CONTENT_TYPE] = contentType;
@@ -186,6 +213,42 @@ class ResponseFormatter {
     return response;
   }
 
+  /**
+   * Convert a formatted tool response into an MCP tool result
+   *
+   * The response fields are returned as structuredContent and mirrored in a JSON
+   * text block. Responses carrying report output (content plus contentType) also get
+   * an embedded resource: blob content for binary formats, text content for text,
+   * XML and JSON formats. Failed responses are flagged with isError.
+   * @param {object} response - Formatted tool response
+   * @returns {object} MCP tool result with content, structuredContent and isError
+   */
+  formatToolResult(response) {
+    const isOutput =
+      response.success !== false &&
+      response[BINARY_METADATA_FIELDS.CONTENT_TYPE] &&
+      (Buffer.isBuffer(response.content) || typeof response.content === 'string');
+
+    if (!isOutput) {
+      return this._toolResult(response, []);
+    }
+
+    const { content, ...metadata } = response;
+    const mimeType = metadata[BINARY_METADATA_FIELDS.CONTENT_TYPE];
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const resource = { uri: this._getOutputUri(metadata), mimeType };
+
+    if (isTextMimeType(mimeType)) {
+      resource.text = buffer.toString('utf8');
+    } else {
+      resource.blob = buffer.toString('base64');
+    }
+
+    return this._toolResult({ ...metadata, resourceUri: resource.uri }, [
+      { type: 'resource', resource },
+    ]);
+  }
+
   /**
    * Format execution status response for async operations
    * @param {string} toolName - Name of the MCP tool
@@ -381,6 +444,38 @@ class ResponseFormatter {
     return sanitized;
   }
 
+  /**
+   * Assemble an MCP tool result from structured data and extra content items
+   * @private
+   */
+  _toolResult(structuredContent, extraContent) {
+    const result = {
+      content: [
+        { type: 'text', text: JSON.stringify(structuredContent, null, 2) },
+        ...extraContent,
+      ],
+      structuredContent,
+    };
+
+    if (structuredContent[STANDARD_METADATA_FIELDS.SUCCESS] === false) {
+      result.isError = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the URI identifying report output in a tool result
+   * @private
+   */
+  _getOutputUri(metadata) {
+    const fileName = encodeURIComponent(metadata[BINARY_METADATA_FIELDS.FILE_NAME] || 'output');
+
+    return metadata.executionId
+      ? `${OUTPUT_URI_PREFIX}/${encodeURIComponent(metadata.executionId)}/${fileName}`
+      : `${OUTPUT_URI_PREFIX}/${fileName}`;
+  }
+
   /**
    * Format error details for consistent error responses
    * @private
@@ -493,6 +588,8 @@ export {
   createPaginationInfo,
   createContentInfo,
   generateCorrelationId,
+  isTextMimeType,
+  OUTPUT_URI_PREFIX,
   STANDARD_METADATA_FIELDS,
   COLLECTION_METADATA_FIELDS,
   BINARY_METADATA_FIELDS,
@@ -64,8 +64,54 @@ const schemas = {
           },
         },
       },
+      content: { type: 'string' },
+      fileType: { type: 'string', pattern: '^[a-zA-Z]+$', maxLength: 50 },
       overwrite: { type: 'boolean' },
       createFolders: { type: 'boolean' },
+      validateJRXML: { type: 'boolean' },
+      autoFix: { type: 'boolean' },
+      createInputControls: { type: 'boolean' },
+      inputControlOptions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['parameter'],
+          properties: {
+            parameter: { type: 'string', minLength: 1 },
+            label: { type: 'string', minLength: 1, maxLength: 100 },
+            mandatory: { type: 'boolean' },
+            values: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['value'],
+                properties: {
+                  value: { type: 'string' },
+                  label: { type: 'string' },
+                },
+                additionalProperties: false,
+              },
+            },
+            query: { type: 'string', minLength: 1 },
+            valueColumn: { type: 'string', minLength: 1 },
+            visibleColumns: { type: 'array', items: { type: 'string' } },
+            dataSourceUri: {
+              type: 'string',
+              pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+            },
+          },
+          additionalProperties: false,
+        },
+      },
+      bundle: {
+        type: 'object',
+        properties: {
+          zip: { type: 'string', minLength: 1 },
+          files: { type: 'object' },
+        },
+        additionalProperties: false,
+      },
     },
     additionalProperties: false,
   },
@@ -118,6 +164,23 @@ const schemas = {
       description: { type: 'string', maxLength: 1000 },
       jrxmlContent: { type: 'string' },
       overwrite: { type: 'boolean' },
+      validateJRXML: { type: 'boolean' },
+      autoFix: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  resourceDiff: {
+    type: 'object',
+    required: ['resourceUri', 'jrxmlContent'],
+    properties: {
+      resourceUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      jrxmlContent: { type: 'string', minLength: 1 },
     },
     additionalProperties: false,
   },
@@ -137,6 +200,210 @@ const schemas = {
     additionalProperties: false,
   },
 
+  resourceCopy: {
+    type: 'object',
+    required: ['sourceUri', 'targetFolderUri'],
+    properties: {
+      sourceUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      targetFolderUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]*$',
+        minLength: 1,
+        maxLength: 500,
+      },
+      overwrite: { type: 'boolean' },
+      createFolders: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  resourceMove: {
+    type: 'object',
+    required: ['sourceUri', 'targetFolderUri'],
+    properties: {
+      sourceUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      targetFolderUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]*$',
+        minLength: 1,
+        maxLength: 500,
+      },
+      overwrite: { type: 'boolean' },
+      createFolders: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  resourcePromote: {
+    type: 'object',
+    required: ['targetProfile', 'folderUri'],
+    properties: {
+      sourceProfile: { type: 'string', pattern: '^[a-zA-Z0-9_]+$', minLength: 1, maxLength: 100 },
+      targetProfile: { type: 'string', pattern: '^[a-zA-Z0-9_]+$', minLength: 1, maxLength: 100 },
+      folderUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      datasourceMappings: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['sourceUri', 'targetUri'],
+          properties: {
+            sourceUri: { type: 'string', pattern: '^/[a-zA-Z0-9_/\\-\\.]+$', maxLength: 500 },
+            targetUri: { type: 'string', pattern: '^/[a-zA-Z0-9_/\\-\\.]+$', maxLength: 500 },
+          },
+          additionalProperties: false,
+        },
+      },
+      dryRun: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  folderPull: {
+    type: 'object',
+    required: ['folderUri', 'localDirectory'],
+    properties: {
+      folderUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      localDirectory: { type: 'string', minLength: 1, maxLength: 1000 },
+      force: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  folderPush: {
+    type: 'object',
+    required: ['localDirectory'],
+    properties: {
+      localDirectory: { type: 'string', minLength: 1, maxLength: 1000 },
+      dryRun: { type: 'boolean' },
+      force: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  datasourceCreate: {
+    type: 'object',
+    required: ['datasourceUri', 'label'],
+    properties: {
+      datasourceUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      label: { type: 'string', minLength: 1, maxLength: 200 },
+      description: { type: 'string', maxLength: 1000 },
+      datasourceType: {
+        type: 'string',
+        enum: ['jdbc', 'jndi', 'aws', 'bean', 'custom', 'mongodb'],
+      },
+      databaseType: {
+        type: 'string',
+        enum: ['mysql', 'postgresql', 'oracle', 'sqlserver', 'h2', 'generic'],
+      },
+      driverClass: { type: 'string', minLength: 1 },
+      connectionUrl: { type: 'string', minLength: 1 },
+      username: { type: 'string' },
+      password: { type: 'string' },
+      timezone: { type: 'string' },
+      jndiName: { type: 'string', minLength: 1 },
+      awsAccessKey: { type: 'string' },
+      awsSecretKey: { type: 'string' },
+      region: { type: 'string' },
+      service: { type: 'string', enum: ['rds', 'redshift', 'athena', 's3'] },
+      beanName: { type: 'string', minLength: 1 },
+      beanMethod: { type: 'string', minLength: 1 },
+      serviceClass: { type: 'string', minLength: 1 },
+      properties: { type: 'object' },
+      mongoURI: { type: 'string', minLength: 1 },
+      database: { type: 'string', minLength: 1 },
+      overwrite: { type: 'boolean' },
+      createFolders: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  datasourceTest: {
+    type: 'object',
+    properties: {
+      datasourceUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      datasourceType: { type: 'string', enum: ['jdbc', 'jndi'] },
+      databaseType: {
+        type: 'string',
+        enum: ['mysql', 'postgresql', 'oracle', 'sqlserver', 'h2', 'generic'],
+      },
+      driverClass: { type: 'string', minLength: 1 },
+      connectionUrl: { type: 'string', minLength: 1 },
+      username: { type: 'string' },
+      password: { type: 'string' },
+      timezone: { type: 'string' },
+      jndiName: { type: 'string', minLength: 1 },
+    },
+    additionalProperties: false,
+  },
+
+  datasourceMetadata: {
+    type: 'object',
+    required: ['datasourceUri'],
+    properties: {
+      datasourceUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      schema: { type: 'string', minLength: 1, maxLength: 200 },
+      table: { type: 'string', minLength: 1, maxLength: 200 },
+      limit: { type: 'number', minimum: 1, maximum: 1000 },
+      offset: { type: 'number', minimum: 0 },
+      refresh: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  queryReport: {
+    type: 'object',
+    required: ['datasourceUri', 'query'],
+    properties: {
+      datasourceUri: {
+        type: 'string',
+        pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+        minLength: 2,
+        maxLength: 500,
+      },
+      query: { type: 'string', minLength: 1, maxLength: 100000 },
+      reportName: { type: 'string', pattern: '^[a-zA-Z_][a-zA-Z0-9_]*$', maxLength: 100 },
+      title: { type: 'string', maxLength: 200 },
+      pageFormat: { type: 'string', enum: ['A4', 'Letter', 'Legal', 'A3'] },
+      orientation: { type: 'string', enum: ['portrait', 'landscape'] },
+    },
+    additionalProperties: false,
+  },
+
   // Report execution schemas
   reportExecution: {
     type: 'object',
@@ -553,6 +820,50 @@ const schemas = {
     additionalProperties: false,
   },
 
+  repositoryExport: {
+    type: 'object',
+    properties: {
+      uris: {
+        type: 'array',
+        items: {
+          type: 'string',
+          pattern: '^/[a-zA-Z0-9_/\\-\\.]*$',
+          minLength: 1,
+          maxLength: 500,
+        },
+      },
+      roles: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 100 } },
+      users: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 100 } },
+      jobs: {
+        type: 'array',
+        items: {
+          type: 'string',
+          pattern: '^/[a-zA-Z0-9_/\\-\\.]+$',
+          minLength: 2,
+          maxLength: 500,
+        },
+      },
+      everything: { type: 'boolean' },
+      includeRoleUsers: { type: 'boolean' },
+      includePermissions: { type: 'boolean' },
+      includeAccessEvents: { type: 'boolean' },
+      skipDependentResources: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
+  repositoryImport: {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      content: { type: 'string', minLength: 1 },
+      update: { type: 'boolean' },
+      skipUserUpdate: { type: 'boolean' },
+      includeAccessEvents: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+
   // Permission management schemas
   permissionGet: {
     type: 'object',
@@ -872,6 +1183,13 @@ class Validator {
     return this.validateWithSchema(data, schemas.resourceUpdate, 'resourceUpdate');
   }
 
+  /**
+   * Validates resource diff request
+   */
+  static validateResourceDiff(data) {
+    return this.validateWithSchema(data, schemas.resourceDiff, 'resourceDiff');
+  }
+
   /**
    * Validates resource delete request
    */
@@ -879,6 +1197,69 @@ class Validator {
     return this.validateWithSchema(data, schemas.resourceDelete, 'resourceDelete');
   }
 
+  /**
+   * Validates resource copy request
+   */
+  static validateResourceCopy(data) {
+    return this.validateWithSchema(data, schemas.resourceCopy, 'resourceCopy');
+  }
+
+  /**
+   * Validates resource move request
+   */
+  static validateResourceMove(data) {
+    return this.validateWithSchema(data, schemas.resourceMove, 'resourceMove');
+  }
+
+  /**
+   * Validates resource promotion request
+   */
+  static validateResourcePromote(data) {
+    return this.validateWithSchema(data, schemas.resourcePromote, 'resourcePromote');
+  }
+
+  /**
+   * Validates folder pull request
+   */
+  static validateFolderPull(data) {
+    return this.validateWithSchema(data, schemas.folderPull, 'folderPull');
+  }
+
+  /**
+   * Validates folder push request
+   */
+  static validateFolderPush(data) {
+    return this.validateWithSchema(data, schemas.folderPush, 'folderPush');
+  }
+
+  /**
+   * Validates datasource creation request
+   */
+  static validateDatasourceCreate(data) {
+    return this.validateWithSchema(data, schemas.datasourceCreate, 'datasourceCreate');
+  }
+
+  /**
+   * Validates datasource connection test request
+   */
+  static validateDatasourceTest(data) {
+    return this.validateWithSchema(data, schemas.datasourceTest, 'datasourceTest');
+  }
+
+  /**
+   * Validates datasource metadata request
+   */
+  static validateDatasourceMetadata(data) {
+    return this.validateWithSchema(data, schemas.datasourceMetadata, 'datasourceMetadata');
+  }
+
+  /**
+   * Validates query report generation request
+   */
+  static validateQueryReport(data) {
+    return this.validateWithSchema(data, schemas.queryReport, 'queryReport');
+  }
+
   /**
    * Validates report execution request
    */
@@ -1079,6 +1460,20 @@ class Validator {
     return this.validateWithSchema(data, schemas.bundleManage, 'bundleManage');
   }
 
+  /**
+   * Validates repository export request
+   */
+  static validateRepositoryExport(data) {
+    return this.validateWithSchema(data, schemas.repositoryExport, 'repositoryExport');
+  }
+
+  /**
+   * Validates repository import request
+   */
+  static validateRepositoryImport(data) {
+    return this.validateWithSchema(data, schemas.repositoryImport, 'repositoryImport');
+  }
+
   /**
    * Validates permission get request
    */
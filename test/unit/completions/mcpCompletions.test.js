@@ -0,0 +1,130 @@
+/**
+ * Unit tests for MCP completion registry
+ */
+
+import { jest } from '@jest/globals';
+import { MCPCompletionRegistry } from '../../../src/completions/mcpCompletions.js';
+
+describe('MCP Completion Registry', () => {
+  let registry;
+  let services;
+
+  const promptRef = { type: 'ref/prompt', name: 'jasper_schedule_report' };
+
+  beforeEach(() => {
+    services = {
+      resource: {
+        listResources: jest.fn(async ({ folderUri }) => {
+          const listings = {
+            '/': [
+              { uri: '/reports', type: 'folder' },
+              { uri: '/datasources', type: 'folder' },
+            ],
+            '/reports': [
+              { uri: '/reports/sales', type: 'folder' },
+              { uri: '/reports/sales_summary', type: 'reportUnit' },
+              { uri: '/reports/Regional_Sales', type: 'reportUnit' },
+              { uri: '/reports/logo.png', type: 'file' },
+            ],
+          };
+
+          if (!listings[folderUri]) {
+            throw new Error('Resource not found');
+          }
+          return { resources: listings[folderUri], hasMore: false };
+        }),
+      },
+      job: {
+        listJobs: jest.fn().mockResolvedValue({ jobs: [{ id: 1201 }, { id: 1202 }, { id: 980 }] }),
+      },
+      user: {
+        listUsers: jest.fn().mockResolvedValue({
+          users: [{ username: 'jasperadmin' }, { username: 'joeuser' }, { username: 'anna' }],
+        }),
+        listRoles: jest.fn().mockResolvedValue({
+          roles: [{ roleName: 'ROLE_USER' }, { roleName: 'ROLE_ADMINISTRATOR' }],
+        }),
+      },
+    };
+
+    registry = new MCPCompletionRegistry(
+      { debugMode: false },
+      { _getService: jest.fn(name => services[name]) }
+    );
+  });
+
+  afterEach(() => {
+    registry.dispose();
+  });
+
+  describe('repository URIs', () => {
+    test('should complete report URIs from the parent folder listing', async () => {
+      const result = await registry.complete(promptRef, {
+        name: 'reportUri',
+        value: '/reports/sal',
+      });
+
+      expect(services.resource.listResources).toHaveBeenCalledWith(
+        expect.objectContaining({ folderUri: '/reports', recursive: false })
+      );
+      expect(result.completion).toEqual({
+        values: ['/reports/sales', '/reports/sales_summary', '/reports/Regional_Sales'],
+        total: 3,
+        hasMore: false,
+      });
+    });
+
+    test('should only offer folders for folder URIs', async () => {
+      const result = await registry.complete(promptRef, { name: 'folderUri', value: '/reports/' });
+
+      expect(result.completion.values).toEqual(['/reports/sales']);
+    });
+
+    test('should complete repository paths for resource templates', async () => {
+      const result = await registry.complete(
+        { type: 'ref/resource', uri: 'jasper://repo/{+path}' },
+        { name: 'path', value: 'rep' }
+      );
+
+      expect(result.completion.values).toEqual(['reports']);
+    });
+
+    test('should return no values for folders that do not exist', async () => {
+      const result = await registry.complete(promptRef, {
+        name: 'reportUri',
+        value: '/reprots/sales',
+      });
+
+      expect(result.completion).toEqual({ values: [], total: 0, hasMore: false });
+    });
+
+    test('should cache folder listings', async () => {
+      await registry.complete(promptRef, { name: 'reportUri', value: '/reports/s' });
+      await registry.complete(promptRef, { name: 'reportUri', value: '/reports/sa' });
+
+      expect(services.resource.listResources).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('jobs, users and roles', () => {
+    test('should complete job IDs', async () => {
+      const result = await registry.complete(promptRef, { name: 'jobId', value: '12' });
+
+      expect(result.completion.values).toEqual(['1201', '1202']);
+    });
+
+    test('should complete usernames and role names', async () => {
+      const users = await registry.complete(promptRef, { name: 'username', value: 'j' });
+      const roles = await registry.complete(promptRef, { name: 'roleName', value: 'role_a' });
+
+      expect(users.completion.values).toEqual(['jasperadmin', 'joeuser']);
+      expect(roles.completion.values).toEqual(['ROLE_ADMINISTRATOR']);
+    });
+
+    test('should return no values for unknown arguments', async () => {
+      const result = await registry.complete(promptRef, { name: 'outputFormat', value: 'p' });
+
+      expect(result.completion.values).toEqual([]);
+    });
+  });
+});
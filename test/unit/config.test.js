@@ -2,8 +2,10 @@
  * Unit tests for configuration management system
  */
 
+import { jest } from '@jest/globals';
 import {
   getConfiguration,
+  getProfileConfiguration,
   validateConfiguration,
   clearConfigurationCache,
   getConfigurationSchema,
@@ -139,6 +141,108 @@ describe('Configuration Management System', () => {
       expect(config.testServerPort).toBe(4000);
     });
 
+    test('should default to stdio transport', () => {
+      const config = getConfiguration();
+
+      expect(config.transport).toBe('stdio');
+      expect(config.httpHost).toBe('127.0.0.1');
+      expect(config.httpPort).toBe(3000);
+      expect(config.httpPath).toBe('/mcp');
+      expect(config.sessionTimeout).toBe(1800000);
+    });
+
+    test('should load HTTP transport settings', () => {
+      process.env.JASPER_MCP_TRANSPORT = 'HTTP';
+      process.env.JASPER_MCP_HTTP_HOST = '0.0.0.0';
+      process.env.JASPER_MCP_HTTP_PORT = '8080';
+      process.env.JASPER_MCP_HTTP_PATH = '/jasper/mcp';
+
+      const config = getConfiguration();
+
+      expect(config.transport).toBe('http');
+      expect(config.httpHost).toBe('0.0.0.0');
+      expect(config.httpPort).toBe(8080);
+      expect(config.httpPath).toBe('/jasper/mcp');
+    });
+
+    test('should validate JASPER_MCP_TRANSPORT values', () => {
+      process.env.JASPER_MCP_TRANSPORT = 'websocket';
+
+      expect(() => getConfiguration()).toThrow(ConfigurationError);
+    });
+
+    test('should validate JASPER_MCP_HTTP_PATH format', () => {
+      process.env.JASPER_MCP_HTTP_PATH = 'mcp';
+
+      expect(() => getConfiguration()).toThrow(ConfigurationError);
+    });
+
+    test('should default to all tools enabled', () => {
+      const config = getConfiguration();
+
+      expect(config.readOnly).toBe(false);
+      expect(config.allowedTools).toEqual([]);
+      expect(config.deniedTools).toEqual([]);
+    });
+
+    test('should load read-only mode and tool lists', () => {
+      process.env.JASPER_READ_ONLY = 'true';
+      process.env.JASPER_ALLOWED_TOOLS = 'report_execution, jasper_list_resources,';
+      process.env.JASPER_DENIED_TOOLS = 'jasper_cancel_execution';
+
+      const config = getConfiguration();
+
+      expect(config.readOnly).toBe(true);
+      expect(config.allowedTools).toEqual(['report_execution', 'jasper_list_resources']);
+      expect(config.deniedTools).toEqual(['jasper_cancel_execution']);
+    });
+
+    test('should validate JASPER_READ_ONLY values', () => {
+      process.env.JASPER_READ_ONLY = 'yes';
+
+      expect(() => getConfiguration()).toThrow(ConfigurationError);
+    });
+
+    test('should disable folder sync unless a sync root is set', () => {
+      delete process.env.JASPER_SYNC_ROOT;
+      expect(getConfiguration().syncRoot).toBeNull();
+
+      process.env.JASPER_SYNC_ROOT = '/srv/reports';
+      expect(getConfiguration(true).syncRoot).toBe('/srv/reports');
+    });
+
+    test('should load server profiles', () => {
+      process.env.JASPER_PROFILES = 'test, prod';
+      process.env.JASPER_PROFILE_TEST_URL = 'http://test:8080/jasperserver';
+      process.env.JASPER_PROFILE_TEST_USERNAME = 'tester';
+      process.env.JASPER_PROFILE_TEST_PASSWORD = 'secret';
+      process.env.JASPER_PROFILE_PROD_URL = 'https://prod/jasperserver';
+      process.env.JASPER_PROFILE_PROD_USERNAME = 'deployer';
+      process.env.JASPER_PROFILE_PROD_PASSWORD = 'secret';
+      process.env.JASPER_PROFILE_PROD_ORGANIZATION = 'organization_1';
+
+      const config = getConfiguration();
+
+      expect(Object.keys(config.profiles)).toEqual(['test', 'prod']);
+      expect(getProfileConfiguration('default', config)).toBe(config);
+      expect(getProfileConfiguration('prod', config)).toMatchObject({
+        jasperUrl: 'https://prod/jasperserver',
+        username: 'deployer',
+        organization: 'organization_1',
+        authType: config.authType,
+        timeout: config.timeout,
+      });
+      expect(getProfileConfiguration('test', config).organization).toBe(config.organization);
+      expect(getProfileConfiguration('staging', config)).toBeNull();
+    });
+
+    test('should require the connection settings of each profile', () => {
+      process.env.JASPER_PROFILES = 'prod';
+      process.env.JASPER_PROFILE_PROD_URL = 'https://prod/jasperserver';
+
+      expect(() => getConfiguration()).toThrow('JASPER_PROFILE_PROD_USERNAME is required');
+    });
+
     test('should cache configuration on subsequent calls', () => {
       process.env.JASPER_URL = 'http://localhost:8080/jasperserver';
       process.env.JASPER_USERNAME = 'testuser';
@@ -166,6 +270,18 @@ describe('Configuration Management System', () => {
       const config3 = getConfiguration(true); // Force reload
       expect(config3.username).toBe('newuser');
     });
+
+    test('should keep stdout free for the stdio transport in debug mode', () => {
+      process.env.JASPER_DEBUG_MODE = 'true';
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        expect(getConfiguration().debugMode).toBe(true);
+        expect(log).not.toHaveBeenCalled();
+      } finally {
+        log.mockRestore();
+      }
+    });
   });
 
   describe('validateConfiguration', () => {
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for MCP prompt registry
+ */
+
+import MCPToolRegistry from '../../../src/tools/mcpTools.js';
+import { MCPPromptRegistry } from '../../../src/prompts/mcpPrompts.js';
+
+describe('MCP Prompt Registry', () => {
+  let registry;
+  let toolRegistry;
+
+  beforeEach(() => {
+    const mockConfig = {
+      jasperUrl: 'http://localhost:8080/jasperserver',
+      username: 'jasperadmin',
+      password: 'jasperadmin',
+      authType: 'basic',
+      timeout: 30000,
+      debugMode: false,
+    };
+
+    toolRegistry = new MCPToolRegistry(mockConfig);
+    registry = new MCPPromptRegistry(mockConfig, toolRegistry);
+  });
+
+  afterEach(() => {
+    toolRegistry.dispose();
+  });
+
+  describe('getPromptList', () => {
+    test('should list prompts with their arguments', () => {
+      const prompts = registry.getPromptList();
+      const names = prompts.map(prompt => prompt.name);
+
+      expect(names).toEqual([
+        'jasper_design_report',
+        'jasper_schedule_report',
+        'jasper_diagnose_execution',
+      ]);
+
+      const designPrompt = prompts[0];
+      expect(designPrompt.arguments[0]).toEqual({
+        name: 'datasourceUri',
+        description: expect.any(String),
+        required: true,
+      });
+      expect(designPrompt.arguments[1]).not.toHaveProperty('enum');
+      expect(designPrompt.arguments[1].description).toContain('one of: basic, tabular');
+      expect(designPrompt.arguments[1].description).toContain('default: tabular');
+    });
+  });
+
+  describe('getPrompt', () => {
+    test('should embed template JRXML, datasource structure and tool guidance', async () => {
+      const result = await registry.getPrompt('jasper_design_report', {
+        datasourceUri: '/datasources/sales',
+        databaseType: 'postgresql',
+      });
+
+      expect(result.messages).toHaveLength(1);
+      expect(result.messages[0].role).toBe('user');
+
+      const { text } = result.messages[0].content;
+      expect(text).toContain('Design a tabular JasperReports report');
+      expect(text).toContain('/datasources/sales');
+      expect(text).toContain('<jasperReport');
+      expect(text).toContain('All field names must match datasource column names exactly');
+      expect(text).toContain('ClassNotFoundException');
+      expect(text).toContain('### jasper_upload_resource');
+    });
+
+    test('should build a job proposal for the requested recurrence', async () => {
+      const result = await registry.getPrompt('jasper_schedule_report', {
+        reportUri: '/reports/sales',
+        recurrence: 'daily',
+        outputFormat: 'xlsx',
+        recipients: 'a@example.com, b@example.com',
+      });
+
+      const { text } = result.messages[0].content;
+      expect(text).toContain('"recurrenceIntervalUnit": "DAY"');
+      expect(text).toContain('"xlsx"');
+      expect(text).toContain('"b@example.com"');
+      expect(text).toContain('### jasper_create_job');
+    });
+
+    test('should default optional arguments', async () => {
+      const result = await registry.getPrompt('jasper_schedule_report', {
+        reportUri: '/reports/sales',
+      });
+
+      const { text } = result.messages[0].content;
+      expect(text).toContain('"recurrenceIntervalUnit": "WEEK"');
+      expect(text).toContain('"pdf"');
+      expect(text).not.toContain('"recipients": [');
+    });
+
+    test('should reference the execution in diagnosis prompts', async () => {
+      const result = await registry.getPrompt('jasper_diagnose_execution', {
+        executionId: 'exec-123',
+      });
+
+      const { text } = result.messages[0].content;
+      expect(text).toContain('exec-123');
+      expect(text).toContain('### jasper_get_execution_status');
+    });
+
+    test('should reject missing required arguments', async () => {
+      await expect(registry.getPrompt('jasper_diagnose_execution', {})).rejects.toMatchObject({
+        type: 'InvalidParams',
+      });
+    });
+
+    test('should reject values outside the allowed set', async () => {
+      await expect(
+        registry.getPrompt('jasper_schedule_report', {
+          reportUri: '/reports/sales',
+          recurrence: 'hourly',
+        })
+      ).rejects.toMatchObject({ type: 'InvalidParams' });
+    });
+
+    test('should reject unknown prompts', async () => {
+      await expect(registry.getPrompt('unknown_prompt')).rejects.toMatchObject({
+        type: 'ResourceNotFound',
+      });
+    });
+  });
+});
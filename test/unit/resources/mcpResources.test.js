@@ -0,0 +1,222 @@
+/**
+ * Unit tests for MCP resource registry
+ */
+
+import { jest } from '@jest/globals';
+import {
+  MCPResourceRegistry,
+  toJasperUri,
+  parseJasperUri,
+} from '../../../src/resources/mcpResources.js';
+
+describe('MCP Resource Registry', () => {
+  let registry;
+  let mockResourceService;
+  let mockConfig;
+
+  beforeEach(() => {
+    mockConfig = {
+      jasperUrl: 'http://localhost:8080/jasperserver',
+      username: 'jasperadmin',
+      password: 'jasperadmin',
+      debugMode: false,
+    };
+
+    mockResourceService = {
+      listResources: jest.fn(),
+      getResource: jest.fn(),
+      getResourceContent: jest.fn(),
+    };
+
+    const mockToolRegistry = {
+      _getService: jest.fn(() => mockResourceService),
+    };
+
+    registry = new MCPResourceRegistry(mockConfig, mockToolRegistry);
+  });
+
+  describe('URI mapping', () => {
+    test('should convert repository URIs to jasper URIs', () => {
+      expect(toJasperUri('/reports/sales')).toBe('jasper://repo/reports/sales');
+      expect(toJasperUri('/')).toBe('jasper://repo/');
+    });
+
+    test('should parse jasper URIs', () => {
+      expect(parseJasperUri('jasper://repo/reports/sales')).toEqual({
+        repositoryUri: '/reports/sales',
+        view: 'content',
+      });
+      expect(parseJasperUri('jasper://repo/reports/sales/?view=metadata')).toEqual({
+        repositoryUri: '/reports/sales',
+        view: 'metadata',
+      });
+      expect(parseJasperUri('jasper://repo/')).toEqual({ repositoryUri: '/', view: 'content' });
+    });
+
+    test('should reject non-repository URIs', () => {
+      expect(parseJasperUri('file:///etc/passwd')).toBeNull();
+      expect(parseJasperUri('jasper://other/reports')).toBeNull();
+      expect(parseJasperUri(null)).toBeNull();
+    });
+  });
+
+  describe('listResources', () => {
+    test('should map repository resources to MCP resources', async () => {
+      mockResourceService.listResources.mockResolvedValue({
+        resources: [
+          { uri: '/reports', label: 'Reports', type: 'folder' },
+          { uri: '/reports/sales.jrxml', label: 'Sales JRXML', type: 'file', description: 'Main' },
+        ],
+        hasMore: false,
+      });
+
+      const result = await registry.listResources();
+
+      expect(mockResourceService.listResources).toHaveBeenCalledWith(
+        expect.objectContaining({ folderUri: '/', recursive: true, offset: 0 })
+      );
+      expect(result.resources).toEqual([
+        { uri: 'jasper://repo/reports', name: 'Reports', mimeType: 'application/json' },
+        { uri: 'jasper://repo/reports/sales.jrxml', name: 'Sales JRXML', description: 'Main' },
+      ]);
+      expect(result.nextCursor).toBeUndefined();
+    });
+
+    test('should return a cursor when more resources are available', async () => {
+      mockResourceService.listResources.mockResolvedValue({
+        resources: [{ uri: '/a', label: 'A', type: 'folder' }],
+        hasMore: true,
+      });
+
+      const result = await registry.listResources('100');
+
+      expect(mockResourceService.listResources).toHaveBeenCalledWith(
+        expect.objectContaining({ offset: 100 })
+      );
+      expect(result.nextCursor).toBe('101');
+    });
+
+    test('should reject invalid cursors', async () => {
+      await expect(registry.listResources('abc')).rejects.toThrow('Invalid pagination cursor');
+    });
+  });
+
+  describe('listResourceTemplates', () => {
+    test('should expose repository templates', () => {
+      const { resourceTemplates } = registry.listResourceTemplates();
+
+      expect(resourceTemplates.map(template => template.uriTemplate)).toEqual([
+        'jasper://repo/{+path}',
+        'jasper://repo/{+path}?view=metadata',
+      ]);
+    });
+  });
+
+  describe('readResource', () => {
+    test('should list folder children', async () => {
+      mockResourceService.getResource.mockResolvedValue({
+        resource: { uri: '/reports', label: 'Reports', type: 'folder' },
+        metadata: {},
+      });
+      mockResourceService.listResources.mockResolvedValue({
+        resources: [{ uri: '/reports/sales', label: 'Sales', type: 'reportUnit' }],
+        hasMore: false,
+      });
+
+      const result = await registry.readResource('jasper://repo/reports');
+      const listing = JSON.parse(result.contents[0].text);
+
+      expect(mockResourceService.listResources).toHaveBeenCalledWith(
+        expect.objectContaining({ folderUri: '/reports', recursive: false })
+      );
+      expect(result.contents[0].mimeType).toBe('application/json');
+      expect(listing.children[0].resourceUri).toBe('jasper://repo/reports/sales');
+    });
+
+    test('should list the repository root without a descriptor lookup', async () => {
+      mockResourceService.listResources.mockResolvedValue({ resources: [], hasMore: false });
+
+      await registry.readResource('jasper://repo/');
+
+      expect(mockResourceService.getResource).not.toHaveBeenCalled();
+      expect(mockResourceService.listResources).toHaveBeenCalledWith(
+        expect.objectContaining({ folderUri: '/' })
+      );
+    });
+
+    test('should return JRXML files as text', async () => {
+      const jrxml = '<?xml version="1.0"?><jasperReport name="sales"/>';
+      mockResourceService.getResource.mockResolvedValue({
+        resource: { uri: '/reports/sales.jrxml', type: 'file' },
+        metadata: { type: 'jrxml' },
+      });
+      mockResourceService.getResourceContent.mockResolvedValue({
+        content: Buffer.from(jrxml),
+        contentType: 'application/octet-stream',
+      });
+
+      const result = await registry.readResource('jasper://repo/reports/sales.jrxml');
+
+      expect(result.contents).toEqual([
+        { uri: 'jasper://repo/reports/sales.jrxml', mimeType: 'application/xml', text: jrxml },
+      ]);
+    });
+
+    test('should return binary files as blobs', async () => {
+      const image = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+      mockResourceService.getResource.mockResolvedValue({
+        resource: { uri: '/images/logo.png', type: 'file' },
+        metadata: { type: 'img' },
+      });
+      mockResourceService.getResourceContent.mockResolvedValue({
+        content: image,
+        contentType: 'image/png',
+      });
+
+      const result = await registry.readResource('jasper://repo/images/logo.png');
+
+      expect(result.contents[0].mimeType).toBe('image/png');
+      expect(result.contents[0].blob).toBe(image.toString('base64'));
+      expect(result.contents[0].text).toBeUndefined();
+    });
+
+    test('should return report unit descriptors as JSON', async () => {
+      const descriptor = { uri: '/reports/sales', label: 'Sales', jrxml: {} };
+      mockResourceService.getResource.mockResolvedValue({
+        resource: { uri: '/reports/sales', type: 'reportUnit' },
+        metadata: descriptor,
+      });
+
+      const result = await registry.readResource('jasper://repo/reports/sales');
+      const body = JSON.parse(result.contents[0].text);
+
+      expect(body.descriptor).toEqual(descriptor);
+      expect(mockResourceService.getResourceContent).not.toHaveBeenCalled();
+    });
+
+    test('should return metadata view without downloading content', async () => {
+      mockResourceService.getResource.mockResolvedValue({
+        resource: { uri: '/reports/sales.jrxml', type: 'file' },
+        metadata: { type: 'jrxml' },
+      });
+
+      const result = await registry.readResource('jasper://repo/reports/sales.jrxml?view=metadata');
+
+      expect(result.contents[0].mimeType).toBe('application/json');
+      expect(mockResourceService.getResourceContent).not.toHaveBeenCalled();
+    });
+
+    test('should reject URIs outside the repository scheme', async () => {
+      await expect(registry.readResource('http://example.com/x')).rejects.toMatchObject({
+        name: 'MCPError',
+        type: 'InvalidParams',
+      });
+    });
+
+    test('should reject unknown views', async () => {
+      await expect(registry.readResource('jasper://repo/reports?view=raw')).rejects.toMatchObject({
+        type: 'InvalidParams',
+      });
+    });
+  });
+});
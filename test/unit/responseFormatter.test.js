@@ -104,6 +104,88 @@ describe('ResponseFormatter', () => {
       expect(result.fileName).toBe('test.pdf');
       expect(result.fileSize).toBe(1024);
     });
+
+    test('should keep additional execution metadata', () => {
+      const result = formatter.formatBinaryContent(
+        'jasper_run_report_sync',
+        Buffer.from('%PDF'),
+        { contentType: 'application/pdf', executionId: 'exec_1', reportUri: '/reports/sales' },
+        300
+      );
+
+      expect(result.executionId).toBe('exec_1');
+      expect(result.reportUri).toBe('/reports/sales');
+    });
+  });
+
+  describe('formatToolResult', () => {
+    test('should embed binary output as a blob resource', () => {
+      const pdf = Buffer.from('%PDF-1.4 binary');
+      const response = formatter.formatBinaryContent(
+        'jasper_run_report_sync',
+        pdf,
+        { contentType: 'application/pdf', fileName: 'sales.pdf', executionId: 'exec_1' },
+        300
+      );
+
+      const result = formatter.formatToolResult(response);
+      const [metadata, output] = result.content;
+
+      expect(output).toEqual({
+        type: 'resource',
+        resource: {
+          uri: 'jasper://output/exec_1/sales.pdf',
+          mimeType: 'application/pdf',
+          blob: pdf.toString('base64'),
+        },
+      });
+      expect(metadata.type).toBe('text');
+      expect(JSON.parse(metadata.text)).toEqual(result.structuredContent);
+      expect(result.structuredContent).toMatchObject({
+        success: true,
+        fileName: 'sales.pdf',
+        resourceUri: 'jasper://output/exec_1/sales.pdf',
+      });
+      expect(result.structuredContent).not.toHaveProperty('content');
+      expect(result.isError).toBeUndefined();
+    });
+
+    test('should embed text formats as text resources', () => {
+      const csv = 'region,total\nnorth,10\n';
+      const response = formatter.formatBinaryContent(
+        'jasper_get_execution_result',
+        csv,
+        { contentType: 'text/csv; charset=UTF-8', fileName: 'sales.csv' },
+        300
+      );
+
+      const [, output] = formatter.formatToolResult(response).content;
+
+      expect(output.resource).toEqual({
+        uri: 'jasper://output/sales.csv',
+        mimeType: 'text/csv; charset=UTF-8',
+        text: csv,
+      });
+    });
+
+    test('should return other responses as structured content and a JSON text block', () => {
+      const response = formatter.formatSuccess('jasper_list_resources', { items: [] }, 10);
+
+      const result = formatter.formatToolResult(response);
+
+      expect(result.content).toHaveLength(1);
+      expect(JSON.parse(result.content[0].text)).toEqual(response);
+      expect(result.structuredContent).toBe(response);
+    });
+
+    test('should flag failed responses as errors', () => {
+      const response = formatter.formatError('jasper_get_resource', new Error('Not found'), 5);
+
+      const result = formatter.formatToolResult(response);
+
+      expect(result.isError).toBe(true);
+      expect(result.structuredContent.error.message).toBe('Not found');
+    });
   });
 
   describe('createExecutionTimer', () => {
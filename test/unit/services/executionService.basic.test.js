@@ -252,6 +252,74 @@ describe('ExecutionService Basic Tests', () => {
     });
   });
 
+  describe('polling', () => {
+    it('should report progress for every status check until completion', async () => {
+      const statuses = [
+        { executionId: 'exec_1', status: EXECUTION_STATUS.RUNNING, currentPage: 1, totalPages: 3 },
+        { executionId: 'exec_1', status: EXECUTION_STATUS.READY, currentPage: 3, totalPages: 3 },
+      ];
+      executionService.getExecutionStatus = jest.fn(async () => statuses.shift());
+      executionService._sleep = jest.fn().mockResolvedValue();
+      const onProgress = jest.fn();
+
+      const result = await executionService.pollExecutionUntilComplete('exec_1', {
+        pollInterval: 1000,
+        onProgress,
+      });
+
+      expect(result.status).toBe(EXECUTION_STATUS.READY);
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(onProgress).toHaveBeenNthCalledWith(
+        1,
+        expect.objectContaining({ status: EXECUTION_STATUS.RUNNING, currentPage: 1 })
+      );
+      expect(executionService._sleep).toHaveBeenCalledWith(1000, null);
+    });
+
+    it('should cancel the execution on the server when the wait is aborted', async () => {
+      const controller = new AbortController();
+      executionService.activeExecutions.set('exec_1', {
+        executionId: 'exec_1',
+        outputFormat: 'pdf',
+        startTime: new Date().toISOString(),
+      });
+      executionService.getExecutionStatus = jest.fn(async () => ({
+        executionId: 'exec_1',
+        status: EXECUTION_STATUS.RUNNING,
+      }));
+      mockApiClient.put.mockResolvedValue({ status: 200, data: {} });
+
+      const polling = executionService.pollExecutionUntilComplete('exec_1', {
+        pollInterval: 60000,
+        signal: controller.signal,
+        onProgress: () => controller.abort(),
+      });
+
+      await expect(polling).rejects.toMatchObject({ type: 'Cancelled' });
+      expect(executionService.getExecutionStatus).toHaveBeenCalledTimes(1);
+      expect(mockApiClient.put).toHaveBeenCalledWith(
+        '/rest_v2/reportExecutions/exec_1/status',
+        { value: EXECUTION_STATUS.CANCELLED },
+        expect.any(Object)
+      );
+      expect(executionService.activeExecutions.has('exec_1')).toBe(false);
+    });
+
+    it('should stop waiting even when the server cancellation fails', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      executionService.activeExecutions.set('exec_1', { executionId: 'exec_1' });
+      executionService.getExecutionStatus = jest.fn();
+      mockApiClient.put.mockRejectedValue(new Error('socket hang up'));
+
+      await expect(
+        executionService.pollExecutionUntilComplete('exec_1', { signal: controller.signal })
+      ).rejects.toMatchObject({ type: 'Cancelled' });
+      expect(executionService.getExecutionStatus).not.toHaveBeenCalled();
+      expect(executionService.activeExecutions.has('exec_1')).toBe(false);
+    });
+  });
+
   describe('cleanup methods', () => {
     it('should cleanup old executions', () => {
       const now = new Date();
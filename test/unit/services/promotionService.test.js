@@ -0,0 +1,277 @@
+/**
+ * Unit tests for Promotion Service
+ */
+
+import { jest } from '@jest/globals';
+import PromotionService from '../../../src/services/promotionService.js';
+import { ErrorHandler } from '../../../src/utils/errorHandler.js';
+
+const mockConfig = {
+  jasperUrl: 'http://dev:8080/jasperserver',
+  username: 'jasperadmin',
+  password: 'jasperadmin',
+  authType: 'basic',
+  timeout: 30000,
+  debugMode: false,
+  profiles: {
+    prod: {
+      jasperUrl: 'https://prod/jasperserver',
+      username: 'deployer',
+      password: 'secret',
+    },
+  },
+};
+
+const jrxml = title => `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders">
+  <title>
+    <band height="30">
+      <staticText>
+        <reportElement x="0" y="0" width="200" height="30"/>
+        <text><![CDATA[${title}]]></text>
+      </staticText>
+    </band>
+  </title>
+</jasperReport>`;
+
+const reportUnit = (uri, title, datasourceUri) => ({
+  type: 'reportUnit',
+  label: uri.slice(uri.lastIndexOf('/') + 1),
+  updateDate: '2024-03-01T10:00:00',
+  descriptor: {
+    version: 3,
+    jrxml: { jrxmlFile: { uri: `${uri}_files/main.jrxml`, label: 'Main', type: 'jrxml' } },
+    dataSource: { dataSourceReference: { uri: datasourceUri } },
+  },
+  files: { [`${uri}_files/main.jrxml`]: jrxml(title) },
+});
+
+/**
+ * Properties holding each kind of reference once the server expands it
+ */
+const EXPANDED_REFERENCES = {
+  jrxmlFileReference: () => 'jrxmlFile',
+  fileReference: () => 'fileResource',
+  inputControlReference: () => 'inputControl',
+  dataSourceReference: entry => entry.type,
+};
+
+/**
+ * Mock API client serving a repository of resources keyed by URI. With the expanded
+ * parameter, references to resources of the repository are replaced by their descriptors.
+ */
+const createServer = repository => {
+  const files = Object.assign({}, ...Object.values(repository).map(entry => entry.files || {}));
+  const descriptor = (uri, entry) => ({
+    uri,
+    label: entry.label,
+    updateDate: entry.updateDate,
+    ...entry.descriptor,
+  });
+  const expand = node => {
+    if (Array.isArray(node)) {
+      return node.map(expand);
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+    return Object.fromEntries(
+      Object.entries(node).map(([key, value]) => {
+        const entry = value?.uri && repository[value.uri];
+        return EXPANDED_REFERENCES[key] && entry
+          ? [EXPANDED_REFERENCES[key](entry), descriptor(value.uri, entry)]
+          : [key, expand(value)];
+      })
+    );
+  };
+
+  return {
+    isSessionValid: jest.fn(() => true),
+    authenticate: jest.fn(),
+    put: jest.fn(async () => ({ status: 201, data: {} })),
+    get: jest.fn(async (url, options = {}) => {
+      if (url === '/rest_v2/resources') {
+        const resourceLookup = Object.entries(repository)
+          .filter(([uri]) => uri.startsWith(`${options.params.folderUri}/`))
+          .map(([uri, entry]) => ({
+            uri,
+            label: entry.label,
+            resourceType: entry.type,
+            updateDate: entry.updateDate,
+          }));
+        return resourceLookup.length > 0
+          ? { status: 200, data: { resourceLookup } }
+          : { status: 204, data: null };
+      }
+
+      const uri = url.replace('/rest_v2/resources', '');
+      if (options.headers?.Accept === 'application/octet-stream') {
+        const content = files[uri] ?? repository[uri]?.content;
+        return content === undefined
+          ? { status: 404, data: {} }
+          : { status: 200, data: Buffer.from(content), headers: {} };
+      }
+
+      const entry = repository[uri];
+      if (!entry) {
+        return { status: 404, data: {} };
+      }
+      return {
+        status: 200,
+        data: JSON.parse(
+          JSON.stringify(
+            options.params?.expanded ? expand(descriptor(uri, entry)) : descriptor(uri, entry)
+          )
+        ),
+        headers: { 'content-type': `application/repository.${entry.type}+json` },
+      };
+    }),
+  };
+};
+
+describe('PromotionService', () => {
+  let dev;
+  let prod;
+  let promotionService;
+
+  beforeEach(() => {
+    const orders = reportUnit('/reports/sales/orders', 'Orders 2024', '/datasources/dev');
+    orders.descriptor.resources = {
+      resource: [{ name: 'stamp.png', file: { fileReference: { uri: '/images/stamp.png' } } }],
+    };
+    dev = createServer({
+      '/reports/sales': { type: 'folder', label: 'Sales' },
+      '/reports/sales/orders': orders,
+      '/reports/sales/summary': reportUnit('/reports/sales/summary', 'Summary', '/datasources/dev'),
+      '/reports/sales/logo.png': {
+        type: 'file',
+        label: 'Logo',
+        updateDate: '2024-03-02T09:00:00',
+        descriptor: { type: 'img' },
+        content: 'png',
+      },
+      '/reports/sales/sales_db': { type: 'jdbcDataSource', label: 'Sales DB' },
+      '/datasources/dev': { type: 'jdbcDataSource', label: 'Development' },
+      '/images/stamp.png': {
+        type: 'file',
+        label: 'Stamp',
+        descriptor: { type: 'img' },
+        content: 'stamp',
+      },
+    });
+    prod = createServer({
+      '/reports/sales': { type: 'folder', label: 'Sales' },
+      '/reports/sales/orders': {
+        ...reportUnit('/reports/sales/orders', 'Orders', '/datasources/prod'),
+        updateDate: '2024-03-05T10:00:00',
+      },
+      '/reports/sales/summary': {
+        ...reportUnit('/reports/sales/summary', 'Summary', '/datasources/prod'),
+        updateDate: '2024-03-05T10:00:00',
+      },
+      '/reports/sales/legacy': { type: 'reportUnit', label: 'Legacy' },
+      '/datasources/prod': { type: 'jdbcDataSource', label: 'Production' },
+    });
+    promotionService = new PromotionService(
+      mockConfig,
+      { default: dev, prod },
+      new ErrorHandler(mockConfig)
+    );
+  });
+
+  afterEach(() => {
+    promotionService.dispose();
+  });
+
+  const promote = params =>
+    promotionService.promoteResources({
+      targetProfile: 'prod',
+      folderUri: '/reports/sales',
+      datasourceMappings: [{ sourceUri: '/datasources/dev', targetUri: '/datasources/prod' }],
+      ...params,
+    });
+
+  test('should plan changed resources without applying them on a dry run', async () => {
+    const result = await promote();
+
+    expect(result).toMatchObject({
+      sourceProfile: 'default',
+      targetProfile: 'prod',
+      dryRun: true,
+      plan: [
+        {
+          uri: '/reports/sales/logo.png',
+          type: 'file',
+          action: 'create',
+          reasons: ['new'],
+        },
+        {
+          uri: '/reports/sales/orders',
+          type: 'reportUnit',
+          action: 'update',
+          reasons: ['jrxml'],
+          jrxmlChanges: expect.objectContaining({ changed: 1 }),
+          datasources: [{ uri: '/datasources/dev', mappedTo: '/datasources/prod' }],
+        },
+        { uri: '/reports/sales/sales_db', type: 'jdbcDataSource', action: 'skip' },
+      ],
+      summary: { create: 1, update: 1, unchanged: 2, skip: 1 },
+      targetOnly: ['/reports/sales/legacy'],
+      missingDatasources: [],
+      applied: [],
+    });
+    expect(prod.put).not.toHaveBeenCalled();
+  });
+
+  test('should copy the planned resources with their local files and remapped datasources', async () => {
+    const result = await promote({ dryRun: false });
+
+    expect(result.applied).toEqual(['/reports/sales/logo.png', '/reports/sales/orders']);
+    expect(prod.put).toHaveBeenCalledWith(
+      '/rest_v2/resources/reports/sales/logo.png',
+      expect.objectContaining({ type: 'img', content: Buffer.from('png').toString('base64') }),
+      {
+        headers: { 'Content-Type': 'application/repository.file+json' },
+        params: { createFolders: true, overwrite: true },
+      }
+    );
+
+    const [, descriptor] = prod.put.mock.calls[1];
+    expect(descriptor.version).toBeUndefined();
+    expect(descriptor.dataSource.dataSourceReference.uri).toBe('/datasources/prod');
+    expect(Buffer.from(descriptor.jrxml.jrxmlFile.content, 'base64').toString('utf8')).toBe(
+      jrxml('Orders 2024')
+    );
+  });
+
+  test('should keep references to repository files and datasources outside the folder', async () => {
+    await promote({ dryRun: false });
+
+    const [, descriptor] = prod.put.mock.calls[1];
+    expect(descriptor.dataSource).toEqual({ dataSourceReference: { uri: '/datasources/prod' } });
+    expect(descriptor.resources.resource).toEqual([
+      { name: 'stamp.png', file: { fileReference: { uri: '/images/stamp.png' } } },
+    ]);
+    expect(dev.get).not.toHaveBeenCalledWith(
+      '/rest_v2/resources/images/stamp.png',
+      expect.anything()
+    );
+  });
+
+  test('should refuse to apply a plan referencing datasources the target lacks', async () => {
+    const error = await promote({ dryRun: false, datasourceMappings: [] }).catch(e => e);
+
+    expect(error).toMatchObject({
+      type: 'InvalidRequest',
+      details: { missingDatasources: ['/datasources/dev'] },
+    });
+    expect(prod.put).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown profiles', async () => {
+    await expect(promote({ targetProfile: 'staging' })).rejects.toMatchObject({
+      type: 'InvalidParams',
+      details: { field: 'targetProfile', availableProfiles: ['default', 'prod'] },
+    });
+  });
+});
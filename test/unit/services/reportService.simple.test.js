@@ -2,6 +2,7 @@
  * Simple unit tests for ReportService core functionality
  */
 
+import { jest } from '@jest/globals';
 import ReportService from '../../../src/services/reportService.js';
 
 // Mock the dependencies by creating a simple test service
@@ -57,6 +58,12 @@ class MockErrorHandler {
     return error;
   }
 
+  createCancellationError(operation) {
+    const error = new Error(`Operation '${operation}' was cancelled`);
+    error.type = 'Cancelled';
+    return error;
+  }
+
   mapHttpError(status, data, context) {
     return new Error(`HTTP ${status} error: ${context}`);
   }
@@ -320,6 +327,68 @@ describe('ReportService Core Functionality', () => {
     });
   });
 
+  describe('cancellation', () => {
+    const request = {
+      reportUri: '/reports/test_report',
+      outputFormat: 'pdf',
+      parameters: {},
+    };
+
+    /**
+     * Make the mock API client hang until the request signal aborts
+     */
+    const hangUntilAborted = () => {
+      mockApiClient.post = (_url, _data, options) =>
+        new Promise((_resolve, reject) => {
+          options.signal.addEventListener('abort', () => {
+            const error = new Error('canceled');
+            error.name = 'APIError';
+            error.code = 'NETWORK_ERROR';
+            reject(error);
+          });
+        });
+    };
+
+    it('should abort the HTTP request and release the execution when the signal aborts', async () => {
+      hangUntilAborted();
+      const controller = new AbortController();
+
+      const execution = reportService.runReportSync(request, { signal: controller.signal });
+      expect(reportService.getActiveExecutions()).toHaveLength(1);
+
+      controller.abort();
+
+      await expect(execution).rejects.toMatchObject({ type: 'Cancelled' });
+      expect(reportService.getActiveExecutions()).toHaveLength(0);
+    });
+
+    it('should cancel active executions by ID', async () => {
+      hangUntilAborted();
+
+      const execution = reportService.runReportSync(request);
+      const [{ executionId }] = reportService.getActiveExecutions();
+
+      expect(reportService.cancelExecution(executionId)).toBe(true);
+      await expect(execution).rejects.toMatchObject({ type: 'Cancelled' });
+      expect(reportService.getActiveExecutions()).toHaveLength(0);
+    });
+
+    it('should not start executions whose signal is already aborted', async () => {
+      const post = jest.spyOn(mockApiClient, 'post');
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        reportService.runReportSync(request, { signal: controller.signal })
+      ).rejects.toMatchObject({ type: 'Cancelled' });
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    it('should return false for unknown executions', () => {
+      expect(reportService.cancelExecution('exec_unknown')).toBe(false);
+    });
+  });
+
   describe('getReportMetadata', () => {
     it('should return report metadata', async () => {
       mockApiClient.setResponse('/rest_v2/resources/reports/test_report', {
@@ -0,0 +1,221 @@
+/**
+ * Unit tests for Repository Service
+ */
+
+import { jest } from '@jest/globals';
+import RepositoryService from '../../../src/services/repositoryService.js';
+import { ErrorHandler } from '../../../src/utils/errorHandler.js';
+
+const mockConfig = {
+  jasperUrl: 'http://localhost:8080/jasperserver',
+  username: 'testuser',
+  password: 'testpass',
+  authType: 'basic',
+  timeout: 30000,
+  debugMode: false,
+};
+
+const mockApiClient = {
+  isSessionValid: jest.fn(() => true),
+  authenticate: jest.fn(() => Promise.resolve('mock-token')),
+  get: jest.fn(),
+  post: jest.fn(),
+  put: jest.fn(),
+  delete: jest.fn(),
+};
+
+// Local file header signature followed by placeholder bytes
+const zipArchive = Buffer.from('PK\x03\x04archive', 'latin1');
+
+describe('RepositoryService', () => {
+  let repositoryService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repositoryService = new RepositoryService(
+      mockConfig,
+      mockApiClient,
+      new ErrorHandler(mockConfig)
+    );
+  });
+
+  afterEach(() => {
+    repositoryService.dispose();
+  });
+
+  describe('exportRepository', () => {
+    test('should poll the export task and download the archive', async () => {
+      mockApiClient.post.mockResolvedValue({
+        status: 200,
+        data: { id: 'exp-1', phase: 'inprogress' },
+      });
+      mockApiClient.get
+        .mockResolvedValueOnce({ status: 200, data: { id: 'exp-1', phase: 'inprogress' } })
+        .mockResolvedValueOnce({
+          status: 200,
+          data: { id: 'exp-1', phase: 'finished', message: 'Export succeeded.' },
+        })
+        .mockResolvedValueOnce({ status: 200, data: zipArchive });
+      const onProgress = jest.fn();
+
+      const result = await repositoryService.exportRepository(
+        {
+          uris: ['/reports/sales'],
+          roles: ['ROLE_SALES'],
+          jobs: ['/reports/sales/monthly'],
+          includeRoleUsers: true,
+        },
+        { pollInterval: 1, onProgress }
+      );
+
+      expect(mockApiClient.post).toHaveBeenCalledWith('/rest_v2/export', {
+        parameters: ['role-users', 'repository-permissions'],
+        uris: ['/reports/sales'],
+        roles: ['ROLE_SALES'],
+        scheduledJobs: ['/reports/sales/monthly'],
+      });
+      expect(mockApiClient.get).toHaveBeenCalledWith('/rest_v2/export/exp-1/state');
+      expect(mockApiClient.get).toHaveBeenLastCalledWith('/rest_v2/export/exp-1/export.zip', {
+        responseType: 'arraybuffer',
+      });
+      expect(onProgress).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({
+        exportId: 'exp-1',
+        phase: 'finished',
+        message: 'Export succeeded.',
+        fileName: 'export.zip',
+        contentType: 'application/zip',
+        size: zipArchive.length,
+      });
+      expect(result.content.equals(zipArchive)).toBe(true);
+    });
+
+    test('should require something to export', async () => {
+      await expect(repositoryService.exportRepository({})).rejects.toMatchObject({
+        type: 'InvalidParams',
+      });
+      expect(mockApiClient.post).not.toHaveBeenCalled();
+    });
+
+    test('should report a failed export with the server error descriptor', async () => {
+      const errorDescriptor = { errorCode: 'export.failed', message: 'Disk full' };
+      mockApiClient.post.mockResolvedValue({
+        status: 200,
+        data: { id: 'exp-2', phase: 'inprogress' },
+      });
+      mockApiClient.get.mockResolvedValue({
+        status: 200,
+        data: { id: 'exp-2', phase: 'failed', message: 'Disk full', errorDescriptor },
+      });
+
+      const error = await repositoryService
+        .exportRepository({ everything: true }, { pollInterval: 1 })
+        .catch(e => e);
+
+      expect(error.message).toBe('Repository export failed: Disk full');
+      expect(error.details).toMatchObject({ exportId: 'exp-2', errorDescriptor });
+      expect(mockApiClient.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop polling when cancelled', async () => {
+      const controller = new AbortController();
+      mockApiClient.post.mockResolvedValue({
+        status: 200,
+        data: { id: 'exp-3', phase: 'inprogress' },
+      });
+      mockApiClient.get.mockImplementation(async () => {
+        controller.abort();
+        return { status: 200, data: { id: 'exp-3', phase: 'inprogress' } };
+      });
+
+      await expect(
+        repositoryService.exportRepository(
+          { everything: true },
+          { pollInterval: 1, signal: controller.signal }
+        )
+      ).rejects.toMatchObject({ type: 'Cancelled' });
+      expect(mockApiClient.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('importRepository', () => {
+    test('should upload the archive and return the import log', async () => {
+      mockApiClient.post.mockResolvedValue({
+        status: 200,
+        data: { id: 'imp-1', phase: 'inprogress' },
+      });
+      mockApiClient.get.mockResolvedValue({
+        status: 200,
+        data: {
+          id: 'imp-1',
+          phase: 'finished',
+          message: 'Import succeeded.',
+          warnings: [
+            {
+              code: 'import.resource.skipped',
+              message: 'Resource skipped: already exists',
+              parameters: ['/reports/sales/monthly'],
+            },
+            { code: 'import.user.skipped', parameters: ['jasperadmin'] },
+          ],
+        },
+      });
+
+      const result = await repositoryService.importRepository(
+        { content: zipArchive.toString('base64'), update: true, skipUserUpdate: true },
+        { pollInterval: 1 }
+      );
+
+      expect(mockApiClient.post).toHaveBeenCalledWith('/rest_v2/import', zipArchive, {
+        headers: { 'Content-Type': 'application/zip' },
+        params: { update: true, 'skip-user-update': true },
+      });
+      expect(mockApiClient.get).toHaveBeenCalledWith('/rest_v2/import/imp-1/state');
+      expect(result).toMatchObject({
+        importId: 'imp-1',
+        phase: 'finished',
+        message: 'Import succeeded.',
+        importLog: [
+          {
+            code: 'import.resource.skipped',
+            message: 'Resource skipped: already exists',
+            resourceUri: '/reports/sales/monthly',
+            parameters: ['/reports/sales/monthly'],
+          },
+          {
+            code: 'import.user.skipped',
+            message: 'import.user.skipped',
+            resourceUri: 'jasperadmin',
+            parameters: ['jasperadmin'],
+          },
+        ],
+      });
+    });
+
+    test('should reject content that is not a zip archive', async () => {
+      await expect(
+        repositoryService.importRepository({
+          content: Buffer.from('not a zip').toString('base64'),
+        })
+      ).rejects.toMatchObject({ type: 'InvalidParams' });
+      expect(mockApiClient.post).not.toHaveBeenCalled();
+    });
+
+    test('should report an import left pending by the server', async () => {
+      mockApiClient.post.mockResolvedValue({
+        status: 200,
+        data: { id: 'imp-2', phase: 'pending', message: 'Broken dependencies' },
+      });
+
+      const error = await repositoryService
+        .importRepository({ content: zipArchive.toString('base64') }, { pollInterval: 1 })
+        .catch(e => e);
+
+      expect(error).toMatchObject({
+        type: 'InvalidRequest',
+        message: 'Repository import pending: Broken dependencies',
+      });
+      expect(mockApiClient.get).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,952 @@
+/**
+ * Unit tests for Resource Service
+ */
+
+import { jest } from '@jest/globals';
+import ResourceService from '../../../src/services/resourceService.js';
+import { ErrorHandler } from '../../../src/utils/errorHandler.js';
+
+const mockConfig = {
+  jasperUrl: 'http://localhost:8080/jasperserver',
+  username: 'testuser',
+  password: 'testpass',
+  authType: 'basic',
+  timeout: 30000,
+  debugMode: false,
+};
+
+const mockApiClient = {
+  isSessionValid: jest.fn(() => true),
+  authenticate: jest.fn(() => Promise.resolve('mock-token')),
+  get: jest.fn(),
+  post: jest.fn(),
+  put: jest.fn(),
+  delete: jest.fn(),
+};
+
+describe('ResourceService', () => {
+  let resourceService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockApiClient.put.mockResolvedValue({ status: 201, data: {} });
+    resourceService = new ResourceService(mockConfig, mockApiClient, new ErrorHandler(mockConfig));
+  });
+
+  afterEach(() => {
+    resourceService.dispose();
+  });
+
+  describe('uploadResource', () => {
+    const jrxml = band => `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders">
+  <field name="id" class="java.lang.Integer"/>
+  <detail>
+    <band height="20">
+      <textField>
+        <reportElement x="0" y="0" width="100" height="${band}"/>
+        <textFieldExpression><![CDATA[$F{id}]]></textFieldExpression>
+      </textField>
+    </band>
+  </detail>
+</jasperReport>`;
+
+    test('should validate JRXML offline before uploading it', async () => {
+      const result = await resourceService.uploadResource({
+        resourcePath: '/reports/orders',
+        label: 'Orders',
+        jrxmlContent: jrxml(20),
+        createFolders: false,
+      });
+
+      expect(mockApiClient.put).toHaveBeenCalledWith(
+        '/rest_v2/resources/reports/orders',
+        expect.objectContaining({ type: 'reportUnit' }),
+        expect.anything()
+      );
+      expect(result).toMatchObject({
+        validationStatus: 'valid',
+        validationMessages: [],
+        fixesApplied: [expect.objectContaining({ rule: 'missing-when-no-data', line: 2 })],
+      });
+    });
+
+    test('should reject invalid JRXML without contacting the server', async () => {
+      const error = await resourceService
+        .uploadResource({
+          resourcePath: '/reports/orders',
+          label: 'Orders',
+          jrxmlContent: jrxml(30),
+        })
+        .catch(caught => caught);
+
+      expect(error.type).toBe('InvalidParams');
+      expect(error.message).toContain('Line 7: <textField> at y=0 with height 30 reaches outside');
+      expect(error.details.errors).toEqual([
+        expect.objectContaining({ rule: 'element-bounds', line: 7, element: 'reportElement' }),
+      ]);
+      expect(mockApiClient.get).not.toHaveBeenCalled();
+      expect(mockApiClient.put).not.toHaveBeenCalled();
+    });
+
+    test('should check resource keys against uploaded resource bundles', async () => {
+      const jrxmlContent = jrxml(20)
+        .replace(
+          'name="Orders"',
+          'name="Orders" resourceBundle="messages" whenResourceMissingType="Error"'
+        )
+        .replace('$F{id}', '$R{title} + $R{subtitle}');
+
+      const error = await resourceService
+        .uploadResource({
+          resourcePath: '/reports/orders',
+          label: 'Orders',
+          jrxmlContent,
+          localResources: [
+            {
+              name: 'messages.properties',
+              type: 'prop',
+              content: Buffer.from('title=Orders').toString('base64'),
+            },
+          ],
+        })
+        .catch(caught => caught);
+
+      expect(error.details.errors).toEqual([
+        expect.objectContaining({
+          rule: 'resource-key',
+          message: "$R{subtitle} is not defined in resource bundle 'messages'",
+        }),
+      ]);
+      expect(mockApiClient.put).not.toHaveBeenCalled();
+    });
+
+    test('should fix the layout before validating when autoFix is set', async () => {
+      const result = await resourceService.uploadResource({
+        resourcePath: '/reports/orders',
+        label: 'Orders',
+        jrxmlContent: jrxml(30),
+        createFolders: false,
+        autoFix: true,
+      });
+
+      const descriptor = mockApiClient.put.mock.calls[0][1];
+      const uploaded = Buffer.from(descriptor.jrxml.jrxmlFile.content, 'base64').toString('utf8');
+
+      expect(uploaded).toContain('whenNoDataType="AllSectionsNoDetail"');
+      expect(uploaded).toContain('<band height="30">');
+      expect(result.validationStatus).toBe('valid');
+      expect(result.fixesApplied.map(change => change.rule)).toEqual([
+        'missing-when-no-data',
+        'band-overflow',
+      ]);
+    });
+
+    test('should create input controls for prompting parameters inside the report unit', async () => {
+      const jrxmlContent = jrxml(20).replace(
+        '  <field',
+        `  <parameter name="Active" class="java.lang.Boolean"/>
+  <parameter name="Status" class="java.lang.String"/>
+  <parameter name="Internal" class="java.lang.String" isForPrompting="false"/>
+  <field`
+      );
+
+      const result = await resourceService.uploadResource({
+        resourcePath: '/reports/orders',
+        label: 'Orders',
+        jrxmlContent,
+        createFolders: false,
+        inputControlOptions: [{ parameter: 'Status', values: [{ value: 'OPEN' }] }],
+      });
+
+      const descriptor = mockApiClient.put.mock.calls[0][1];
+      expect(descriptor.inputControls).toEqual([
+        { inputControl: expect.objectContaining({ uri: '/reports/orders_files/Active', type: 1 }) },
+        { inputControl: expect.objectContaining({ uri: '/reports/orders_files/Status', type: 3 }) },
+      ]);
+      expect(result.inputControlsCreated).toEqual([
+        { parameter: 'Active', type: 'bool' },
+        { parameter: 'Status', type: 'singleSelectListOfValues' },
+      ]);
+      expect(result.inputControlsSkipped).toEqual([]);
+    });
+
+    test('should upload bundled dependencies and warn about missing ones', async () => {
+      const jrxmlContent = jrxml(20).replace(
+        '  <detail>',
+        `  <title>
+    <band height="40">
+      <image>
+        <reportElement x="0" y="0" width="40" height="40"/>
+        <imageExpression><![CDATA["images/logo.png"]]></imageExpression>
+      </image>
+      <image>
+        <reportElement x="40" y="0" width="40" height="40"/>
+        <imageExpression><![CDATA["images/stamp.png"]]></imageExpression>
+      </image>
+    </band>
+  </title>
+  <detail>`
+      );
+
+      const result = await resourceService.uploadResource({
+        resourcePath: '/reports/orders',
+        label: 'Orders',
+        jrxmlContent,
+        createFolders: false,
+        bundle: { files: { 'images/logo.png': Buffer.from('logo').toString('base64') } },
+      });
+
+      expect(mockApiClient.put.mock.calls.map(call => call[0])).toEqual([
+        '/rest_v2/resources/reports/orders_files/logo.png',
+        '/rest_v2/resources/reports/orders',
+      ]);
+      const descriptor = mockApiClient.put.mock.calls[1][1];
+      const uploaded = Buffer.from(descriptor.jrxml.jrxmlFile.content, 'base64').toString('utf8');
+      expect(uploaded).toContain('<![CDATA["repo:logo.png"]]>');
+      expect(result).toMatchObject({
+        validationStatus: 'warnings',
+        localResourcesUploaded: ['logo.png'],
+        bundledResources: ['logo.png'],
+        dependencies: [
+          expect.objectContaining({ status: 'bundled', rewrittenTo: '"repo:logo.png"' }),
+          expect.objectContaining({ status: 'missing', line: 12 }),
+        ],
+      });
+      expect(result.validationMessages).toContain(
+        'Line 12: Image "images/stamp.png" is neither a local resource nor in the bundle'
+      );
+    });
+
+    test('should skip offline validation when disabled', async () => {
+      const result = await resourceService.uploadResource({
+        resourcePath: '/reports/orders',
+        label: 'Orders',
+        jrxmlContent: jrxml(30),
+        createFolders: false,
+        validateJRXML: false,
+      });
+
+      expect(mockApiClient.put).toHaveBeenCalled();
+      expect(result.validationStatus).toBe('skipped');
+    });
+
+    test('should upload file resources with their content and file type', async () => {
+      const content = Buffer.from('title=Orders\n').toString('base64');
+
+      await resourceService.uploadResource({
+        resourcePath: '/reports/shared/messages.properties',
+        label: 'Messages',
+        resourceType: 'file',
+        content,
+        createFolders: false,
+      });
+
+      expect(mockApiClient.put).toHaveBeenCalledWith(
+        '/rest_v2/resources/reports/shared/messages.properties',
+        expect.objectContaining({ type: 'prop', content }),
+        {
+          headers: { 'Content-Type': 'application/repository.file+json' },
+          params: { createFolders: false, overwrite: false },
+        }
+      );
+    });
+  });
+
+  describe('diffReportJRXML', () => {
+    const jrxml = width => `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders">
+  <field name="id" class="java.lang.Integer"/>
+  <detail>
+    <band height="20">
+      <textField>
+        <reportElement x="0" y="0" width="${width}" height="20"/>
+        <textFieldExpression><![CDATA[$F{id}]]></textFieldExpression>
+      </textField>
+    </band>
+  </detail>
+</jasperReport>`;
+
+    test('should compare JRXML with the main JRXML of a report unit', async () => {
+      mockApiClient.get.mockImplementation(url =>
+        Promise.resolve(
+          url === '/rest_v2/resources/reports/orders'
+            ? {
+                status: 200,
+                headers: { 'content-type': 'application/repository.reportUnit+json' },
+                data: {
+                  uri: '/reports/orders',
+                  jrxml: { jrxmlFile: { uri: '/reports/orders_files/main_jrxml', type: 'jrxml' } },
+                },
+              }
+            : { status: 200, headers: {}, data: Buffer.from(jrxml(100)) }
+        )
+      );
+
+      const result = await resourceService.diffReportJRXML({
+        resourceUri: '/reports/orders',
+        jrxmlContent: jrxml(120),
+      });
+
+      expect(mockApiClient.get).toHaveBeenLastCalledWith(
+        '/rest_v2/resources/reports/orders_files/main_jrxml',
+        expect.objectContaining({ responseType: 'arraybuffer' })
+      );
+      expect(result).toMatchObject({
+        jrxmlUri: '/reports/orders_files/main_jrxml',
+        identical: false,
+        summary: { resized: 1 },
+        changes: [
+          expect.objectContaining({
+            kind: 'resized',
+            message: 'Resized <textField> $F{id} from 100x20 to 120x20',
+            line: 6,
+          }),
+        ],
+      });
+    });
+
+    test('should reject resources that have no JRXML', async () => {
+      mockApiClient.get.mockResolvedValue({
+        status: 200,
+        headers: { 'content-type': 'application/repository.folder+json' },
+        data: { uri: '/reports' },
+      });
+
+      const error = await resourceService
+        .diffReportJRXML({ resourceUri: '/reports', jrxmlContent: jrxml(100) })
+        .catch(caught => caught);
+
+      expect(error.type).toBe('InvalidParams');
+      expect(error.message).toBe('/reports is not a report unit or JRXML file');
+    });
+  });
+
+  describe('copyResource and moveResource', () => {
+    const descriptor = (uri, type) => ({
+      status: 200,
+      headers: { 'content-type': `application/repository.${type}+json` },
+      data: { uri, label: uri.split('/').pop() },
+    });
+    const listing = (...resources) => ({
+      status: 200,
+      data: { resourceLookup: resources.map(([uri, resourceType]) => ({ uri, resourceType })) },
+    });
+
+    beforeEach(() => {
+      mockApiClient.post.mockResolvedValue({ status: 201, data: {} });
+      mockApiClient.get.mockImplementation((url, options) => {
+        const resources = {
+          '/reports/sales': descriptor('/reports/sales', 'folder'),
+          '/reports/sales/monthly': descriptor('/reports/sales/monthly', 'reportUnit'),
+          '/archive/sales': descriptor('/archive/sales', 'folder'),
+        };
+        if (url === '/rest_v2/resources') {
+          return Promise.resolve(
+            options.params.folderUri === '/reports/sales'
+              ? listing(
+                  ['/reports/sales/monthly', 'reportUnit'],
+                  ['/reports/sales/images', 'folder'],
+                  ['/reports/sales/images/logo.png', 'file']
+                )
+              : listing(['/archive/sales/monthly', 'reportUnit'], ['/archive/sales/q1', 'folder'])
+          );
+        }
+        return Promise.resolve(resources[url.replace('/rest_v2/resources', '')] || { status: 404 });
+      });
+    });
+
+    test('should copy a report unit with a Content-Location request to the target folder', async () => {
+      const result = await resourceService.copyResource({
+        sourceUri: '/reports/sales/monthly',
+        targetFolderUri: '/reports/shared/',
+      });
+
+      expect(mockApiClient.post).toHaveBeenCalledWith('/rest_v2/resources/reports/shared', null, {
+        headers: { 'Content-Location': '/reports/sales/monthly' },
+        params: { createFolders: true, overwrite: false },
+      });
+      expect(result).toMatchObject({
+        sourceUri: '/reports/sales/monthly',
+        targetUri: '/reports/shared/monthly',
+        resourceType: 'reportUnit',
+        resourcesCopied: 1,
+        overwritten: [],
+      });
+    });
+
+    test('should report conflicts inside an existing target folder', async () => {
+      const error = await resourceService
+        .moveResource({ sourceUri: '/reports/sales', targetFolderUri: '/archive' })
+        .catch(caught => caught);
+
+      expect(error.type).toBe('InvalidRequest');
+      expect(error.message).toContain('2 resource(s) already exist at the target');
+      expect(error.details.conflicts).toEqual([
+        {
+          sourceUri: '/reports/sales',
+          targetUri: '/archive/sales',
+          sourceType: 'folder',
+          targetType: 'folder',
+        },
+        {
+          sourceUri: '/reports/sales/monthly',
+          targetUri: '/archive/sales/monthly',
+          sourceType: 'reportUnit',
+          targetType: 'reportUnit',
+        },
+      ]);
+      expect(mockApiClient.put).not.toHaveBeenCalled();
+    });
+
+    test('should move a folder recursively over existing resources with overwrite', async () => {
+      const result = await resourceService.moveResource({
+        sourceUri: '/reports/sales',
+        targetFolderUri: '/archive',
+        overwrite: true,
+      });
+
+      expect(mockApiClient.put).toHaveBeenCalledWith('/rest_v2/resources/archive', null, {
+        headers: { 'Content-Location': '/reports/sales' },
+        params: { createFolders: true, overwrite: true },
+      });
+      expect(result).toMatchObject({
+        targetUri: '/archive/sales',
+        resourceType: 'folder',
+        resourcesMoved: 4,
+        overwritten: ['/archive/sales', '/archive/sales/monthly'],
+      });
+    });
+
+    test.each([
+      [{ sourceUri: '/reports/sales', targetFolderUri: '/reports/sales/2024' }, 'into itself'],
+      [{ sourceUri: '/reports/sales', targetFolderUri: '/reports' }, 'is already in /reports'],
+    ])('should reject moving %j', async (params, message) => {
+      await expect(resourceService.moveResource(params)).rejects.toThrow(message);
+      expect(mockApiClient.get).not.toHaveBeenCalled();
+    });
+
+    test('should require the target folder when folders are not created', async () => {
+      const error = await resourceService
+        .copyResource({
+          sourceUri: '/reports/sales/monthly',
+          targetFolderUri: '/reports/missing',
+          createFolders: false,
+        })
+        .catch(caught => caught);
+
+      expect(error.type).toBe('ResourceNotFound');
+      expect(mockApiClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createDatasource', () => {
+    test('should create a JDBC datasource with the driver mapped from the database type', async () => {
+      const result = await resourceService.createDatasource({
+        datasourceUri: '/datasources/sales',
+        label: 'Sales',
+        databaseType: 'postgresql',
+        connectionUrl: 'jdbc:postgresql://db:5432/sales',
+        username: 'report',
+        password: 'secret',
+      });
+
+      expect(mockApiClient.put).toHaveBeenCalledWith(
+        '/rest_v2/resources/datasources/sales',
+        expect.objectContaining({
+          label: 'Sales',
+          driverClass: 'org.postgresql.Driver',
+          connectionUrl: 'jdbc:postgresql://db:5432/sales',
+          username: 'report',
+          password: 'secret',
+        }),
+        expect.objectContaining({
+          headers: { 'Content-Type': 'application/repository.jdbcDataSource+json' },
+          params: { createFolders: true, overwrite: false },
+        })
+      );
+      expect(result).toMatchObject({
+        success: true,
+        datasourceUri: '/datasources/sales',
+        resourceType: 'jdbcDataSource',
+        driverClass: 'org.postgresql.Driver',
+      });
+      expect(result).not.toHaveProperty('password');
+    });
+
+    test('should require the fields described by the datasource structure', async () => {
+      await expect(
+        resourceService.createDatasource({
+          datasourceUri: '/datasources/sales',
+          label: 'Sales',
+          connectionUrl: 'jdbc:postgresql://db:5432/sales',
+          username: 'report',
+        })
+      ).rejects.toMatchObject({
+        type: 'InvalidParams',
+        details: expect.objectContaining({ field: 'driverClass' }),
+      });
+
+      await expect(
+        resourceService.createDatasource({
+          datasourceUri: '/datasources/legacy',
+          label: 'Legacy',
+          datasourceType: 'jndi',
+        })
+      ).rejects.toMatchObject({ details: expect.objectContaining({ field: 'jndiName' }) });
+
+      expect(mockApiClient.put).not.toHaveBeenCalled();
+    });
+
+    test('should reject connection URLs that are not JDBC URLs', async () => {
+      await expect(
+        resourceService.createDatasource({
+          datasourceUri: '/datasources/sales',
+          label: 'Sales',
+          databaseType: 'mysql',
+          connectionUrl: 'mysql://db:3306/sales',
+          username: 'report',
+        })
+      ).rejects.toMatchObject({ details: expect.objectContaining({ field: 'connectionUrl' }) });
+    });
+
+    test('should map AWS fields to the awsDataSource descriptor', async () => {
+      await resourceService.createDatasource({
+        datasourceUri: '/datasources/warehouse',
+        label: 'Warehouse',
+        datasourceType: 'aws',
+        databaseType: 'postgresql',
+        awsAccessKey: 'AKIA',
+        awsSecretKey: 'secret',
+        region: 'eu-west-1',
+        service: 'redshift',
+      });
+
+      const [, descriptor, options] = mockApiClient.put.mock.calls[0];
+      expect(descriptor).toMatchObject({
+        accessKey: 'AKIA',
+        secretKey: 'secret',
+        region: 'eu-west-1',
+        dbService: 'redshift',
+        driverClass: 'org.postgresql.Driver',
+      });
+      expect(options.headers['Content-Type']).toBe('application/repository.awsDataSource+json');
+    });
+
+    test('should create MongoDB datasources through the MongoDB connector', async () => {
+      const result = await resourceService.createDatasource({
+        datasourceUri: '/datasources/events',
+        label: 'Events',
+        datasourceType: 'mongodb',
+        mongoURI: 'mongodb://mongo:27017',
+        database: 'events',
+        username: 'reader',
+      });
+
+      const [, descriptor, options] = mockApiClient.put.mock.calls[0];
+      expect(descriptor).toMatchObject({
+        dataSourceName: 'MongoDbDataSource',
+        properties: [
+          { key: 'mongoURI', value: 'mongodb://mongo:27017/events' },
+          { key: 'username', value: 'reader' },
+        ],
+      });
+      expect(options.headers['Content-Type']).toBe('application/repository.customDataSource+json');
+      expect(result.resourceType).toBe('customDataSource');
+    });
+
+    test('should create bean and custom datasources', async () => {
+      await resourceService.createDatasource({
+        datasourceUri: '/datasources/beans',
+        label: 'Beans',
+        datasourceType: 'bean',
+        beanName: 'salesBean',
+        beanMethod: 'getDataSource',
+      });
+      await resourceService.createDatasource({
+        datasourceUri: '/datasources/custom',
+        label: 'Custom',
+        datasourceType: 'custom',
+        serviceClass: 'CsvDataSource',
+        properties: { fileName: '/data/sales.csv', columnCount: 3 },
+      });
+
+      expect(mockApiClient.put.mock.calls[0][1]).toMatchObject({
+        beanName: 'salesBean',
+        beanMethod: 'getDataSource',
+      });
+      expect(mockApiClient.put.mock.calls[1][1]).toMatchObject({
+        dataSourceName: 'CsvDataSource',
+        properties: [
+          { key: 'fileName', value: '/data/sales.csv' },
+          { key: 'columnCount', value: '3' },
+        ],
+      });
+    });
+
+    test('should surface server errors', async () => {
+      mockApiClient.put.mockResolvedValue({ status: 403, data: { message: 'Access denied' } });
+
+      await expect(
+        resourceService.createDatasource({
+          datasourceUri: '/datasources/legacy',
+          label: 'Legacy',
+          datasourceType: 'jndi',
+          jndiName: 'java:comp/env/jdbc/legacy',
+        })
+      ).rejects.toMatchObject({ type: 'PermissionDenied' });
+    });
+  });
+  describe('testDatasource', () => {
+    test('should test an inline JDBC definition through the connections API', async () => {
+      mockApiClient.post.mockResolvedValue({ status: 200, data: {} });
+
+      const result = await resourceService.testDatasource({
+        databaseType: 'mysql',
+        connectionUrl: 'jdbc:mysql://db:3306/sales',
+        username: 'report',
+        password: 'secret',
+      });
+
+      expect(mockApiClient.post).toHaveBeenCalledWith(
+        '/rest_v2/connections',
+        expect.objectContaining({
+          driverClass: 'com.mysql.cj.jdbc.Driver',
+          connectionUrl: 'jdbc:mysql://db:3306/sales',
+          password: 'secret',
+        }),
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            'Content-Type': 'application/repository.jdbcDataSource+json',
+          }),
+        })
+      );
+      expect(result).toMatchObject({ connected: true, resourceType: 'jdbcDataSource' });
+    });
+
+    test('should test a repository datasource using its stored descriptor', async () => {
+      mockApiClient.get.mockResolvedValue({
+        status: 200,
+        headers: { 'content-type': 'application/repository.jndiJdbcDataSource+json' },
+        data: { label: 'Legacy', jndiName: 'java:comp/env/jdbc/legacy' },
+      });
+      mockApiClient.post.mockResolvedValue({ status: 200, data: {} });
+
+      const result = await resourceService.testDatasource({
+        datasourceUri: '/datasources/legacy',
+      });
+
+      expect(mockApiClient.post).toHaveBeenCalledWith(
+        '/rest_v2/connections',
+        {
+          label: 'Legacy',
+          jndiName: 'java:comp/env/jdbc/legacy',
+          uri: '/datasources/legacy',
+        },
+        expect.anything()
+      );
+      expect(result).toMatchObject({
+        connected: true,
+        datasourceType: 'jndi',
+        resourceType: 'jndiJdbcDataSource',
+      });
+    });
+
+    test('should return the driver error and troubleshooting hints on failure', async () => {
+      mockApiClient.post.mockResolvedValue({
+        status: 400,
+        data: {
+          errorCode: 'connection.failed',
+          message: 'Connection failed',
+          parameters: ['Communications link failure: Connection refused'],
+        },
+      });
+
+      const result = await resourceService.testDatasource({
+        databaseType: 'mysql',
+        connectionUrl: 'jdbc:mysql://db:3306/sales',
+        username: 'report',
+      });
+
+      expect(result).toMatchObject({
+        success: true,
+        connected: false,
+        errorCode: 'connection.failed',
+        errorMessage: 'Connection failed',
+        driverError: 'Communications link failure: Connection refused',
+      });
+      expect(result.troubleshooting).toContain(
+        'SQLException: Connection refused - check host and port'
+      );
+    });
+
+    test('should reject datasources the connections API cannot test', async () => {
+      mockApiClient.get.mockResolvedValue({
+        status: 200,
+        headers: { 'content-type': 'application/repository.beanDataSource+json' },
+        data: { label: 'Beans' },
+      });
+
+      await expect(
+        resourceService.testDatasource({ datasourceUri: '/datasources/beans' })
+      ).rejects.toMatchObject({ type: 'InvalidParams' });
+      await expect(resourceService.testDatasource({})).rejects.toMatchObject({
+        details: expect.objectContaining({ field: 'datasourceUri' }),
+      });
+      expect(mockApiClient.post).not.toHaveBeenCalled();
+    });
+
+    test('should report missing repository datasources', async () => {
+      mockApiClient.get.mockResolvedValue({ status: 404, data: {} });
+
+      await expect(
+        resourceService.testDatasource({ datasourceUri: '/datasources/missing' })
+      ).rejects.toMatchObject({ type: 'ResourceNotFound' });
+    });
+  });
+  describe('getDatasourceMetadata', () => {
+    const salesSchema = {
+      group: {
+        name: 'sales',
+        kind: 'schema',
+        elements: [
+          {
+            group: {
+              name: 'orders',
+              kind: 'table',
+              elements: [
+                { element: { name: 'id', type: 'java.lang.Integer', sqlType: 'INTEGER' } },
+                { element: { name: 'total', type: 'java.math.BigDecimal' } },
+              ],
+            },
+          },
+          { group: { name: 'customers', kind: 'table', elements: [] } },
+          { group: { name: 'products', kind: 'table', elements: [] } },
+        ],
+      },
+    };
+
+    beforeEach(() => {
+      mockApiClient.get.mockImplementation(url =>
+        Promise.resolve(
+          url.startsWith('/rest_v2/resources')
+            ? {
+                status: 200,
+                headers: { 'content-type': 'application/repository.jdbcDataSource+json' },
+                data: { label: 'Sales', driverClass: 'org.postgresql.Driver' },
+              }
+            : { status: 200, data: { elements: [salesSchema, { group: { name: 'hr' } }] } }
+        )
+      );
+      mockApiClient.post.mockImplementation(url =>
+        Promise.resolve(
+          url === '/rest_v2/contexts'
+            ? { status: 201, headers: { location: '/rest_v2/contexts/ctx-1' }, data: {} }
+            : { status: 200, data: { elements: [salesSchema] } }
+        )
+      );
+    });
+
+    test('should list schemas through a datasource context', async () => {
+      const result = await resourceService.getDatasourceMetadata({
+        datasourceUri: '/datasources/sales',
+      });
+
+      expect(mockApiClient.post).toHaveBeenCalledWith(
+        '/rest_v2/contexts',
+        expect.objectContaining({ uri: '/datasources/sales' }),
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            'Content-Type': 'application/repository.jdbcDataSource+json',
+          }),
+        })
+      );
+      expect(mockApiClient.get).toHaveBeenCalledWith(
+        '/rest_v2/contexts/ctx-1/metadata',
+        expect.anything()
+      );
+      expect(mockApiClient.delete).toHaveBeenCalledWith('/rest_v2/contexts/ctx-1');
+      expect(result).toMatchObject({
+        level: 'schemas',
+        items: [
+          { name: 'sales', kind: 'schema' },
+          { name: 'hr', kind: 'group' },
+        ],
+        totalCount: 2,
+        cached: false,
+      });
+    });
+
+    test('should list columns with their types', async () => {
+      const result = await resourceService.getDatasourceMetadata({
+        datasourceUri: '/datasources/sales',
+        schema: 'sales',
+        table: 'orders',
+      });
+
+      expect(mockApiClient.post).toHaveBeenCalledWith(
+        '/rest_v2/contexts/ctx-1/metadata',
+        { includes: ['sales.orders'] },
+        expect.anything()
+      );
+      expect(result.level).toBe('columns');
+      expect(result.items).toEqual([
+        { name: 'id', kind: 'column', type: 'java.lang.Integer', sqlType: 'INTEGER' },
+        { name: 'total', kind: 'column', type: 'java.math.BigDecimal' },
+      ]);
+    });
+
+    test('should page through cached tables', async () => {
+      const firstPage = await resourceService.getDatasourceMetadata({
+        datasourceUri: '/datasources/sales',
+        schema: 'sales',
+        limit: 2,
+      });
+      const secondPage = await resourceService.getDatasourceMetadata({
+        datasourceUri: '/datasources/sales',
+        schema: 'sales',
+        limit: 2,
+        offset: 2,
+      });
+
+      expect(firstPage.items.map(item => item.name)).toEqual(['orders', 'customers']);
+      expect(firstPage).toMatchObject({ totalCount: 3, hasMore: true, cached: false });
+      expect(secondPage.items.map(item => item.name)).toEqual(['products']);
+      expect(secondPage).toMatchObject({ hasMore: false, cached: true });
+      expect(mockApiClient.post).toHaveBeenCalledTimes(2);
+
+      await resourceService.getDatasourceMetadata({
+        datasourceUri: '/datasources/sales',
+        schema: 'sales',
+        refresh: true,
+      });
+      expect(mockApiClient.post).toHaveBeenCalledTimes(4);
+    });
+
+    test('should delete the datasource context when reading metadata fails', async () => {
+      mockApiClient.post.mockImplementation(url =>
+        Promise.resolve(
+          url === '/rest_v2/contexts'
+            ? { status: 201, headers: { location: '/rest_v2/contexts/ctx-1' }, data: {} }
+            : { status: 500, data: { message: 'Connection refused' } }
+        )
+      );
+      mockApiClient.delete.mockRejectedValueOnce(new Error('Context expired'));
+
+      await expect(
+        resourceService.getDatasourceMetadata({
+          datasourceUri: '/datasources/sales',
+          schema: 'sales',
+        })
+      ).rejects.toMatchObject({ type: 'InternalError' });
+      expect(mockApiClient.delete).toHaveBeenCalledWith('/rest_v2/contexts/ctx-1');
+    });
+
+    test('should report unknown schemas and tables', async () => {
+      await expect(
+        resourceService.getDatasourceMetadata({
+          datasourceUri: '/datasources/sales',
+          schema: 'sales',
+          table: 'invoices',
+        })
+      ).rejects.toMatchObject({ type: 'ResourceNotFound' });
+    });
+  });
+  describe('generateReportFromQuery', () => {
+    test('should generate typed fields, headers and detail text fields from the query columns', async () => {
+      mockApiClient.post.mockResolvedValue({
+        status: 200,
+        data: {
+          columns: [
+            { name: 'order_id', sqlType: 'INTEGER' },
+            { name: 'order_date', sqlType: 'TIMESTAMP' },
+            { name: 'total', javaType: 'java.math.BigDecimal' },
+            { name: 'customer' },
+          ],
+          rows: [],
+        },
+      });
+
+      const result = await resourceService.generateReportFromQuery({
+        datasourceUri: '/datasources/sales',
+        query: 'SELECT order_id, order_date, total, customer FROM orders',
+        title: 'Orders',
+      });
+
+      expect(mockApiClient.post).toHaveBeenCalledWith(
+        '/rest_v2/queryExecutor/datasources/sales',
+        expect.objectContaining({
+          query: 'SELECT order_id, order_date, total, customer FROM orders',
+          limit: 1,
+        }),
+        expect.anything()
+      );
+      expect(result.fields).toEqual([
+        { name: 'order_id', class: 'java.lang.Integer', label: 'Order Id' },
+        { name: 'order_date', class: 'java.sql.Timestamp', label: 'Order Date' },
+        { name: 'total', class: 'java.math.BigDecimal', label: 'Total' },
+        { name: 'customer', class: 'java.lang.String', label: 'Customer' },
+      ]);
+      expect(result.jrxmlContent).toContain(
+        '<![CDATA[SELECT order_id, order_date, total, customer FROM orders]]>'
+      );
+      expect(result.jrxmlContent).toContain(
+        '<field name="order_date" class="java.sql.Timestamp"/>'
+      );
+      expect(result.jrxmlContent).toContain('<text><![CDATA[Order Date]]></text>');
+      expect(result.jrxmlContent).toContain('<textFieldExpression><![CDATA[$F{total}]]>');
+      expect(result.jrxmlContent).toContain('<![CDATA["Orders"]]>');
+      expect(Buffer.from(result.base64Content, 'base64').toString('utf8')).toBe(
+        result.jrxmlContent
+      );
+    });
+
+    test('should read columns described as name and type lists', async () => {
+      mockApiClient.post.mockResolvedValue({
+        status: 200,
+        data: { names: ['region', 'amount'], types: ['java.lang.String', 'DOUBLE'] },
+      });
+
+      const result = await resourceService.generateReportFromQuery({
+        datasourceUri: '/datasources/sales',
+        query: 'SELECT region, amount FROM sales',
+      });
+
+      expect(result.fields.map(field => field.class)).toEqual([
+        'java.lang.String',
+        'java.lang.Double',
+      ]);
+    });
+
+    test('should ask for aliases of result columns that are not Java identifiers', async () => {
+      mockApiClient.post.mockResolvedValue({
+        status: 200,
+        data: { names: ['region', 'count(*)', 'unit price', 'net-total'], types: [] },
+      });
+
+      const error = await resourceService
+        .generateReportFromQuery({
+          datasourceUri: '/datasources/sales',
+          query: 'SELECT region, count(*), "unit price", "net-total" FROM sales GROUP BY 1, 3, 4',
+        })
+        .catch(e => e);
+
+      expect(error).toMatchObject({
+        type: 'InvalidParams',
+        message: expect.stringContaining('alias them in the query'),
+        details: { field: 'query', value: ['count(*)', 'unit price', 'net-total'] },
+      });
+    });
+
+    test('should reject queries without result columns', async () => {
+      mockApiClient.post.mockResolvedValue({ status: 200, data: { columns: [] } });
+
+      await expect(
+        resourceService.generateReportFromQuery({
+          datasourceUri: '/datasources/sales',
+          query: 'DELETE FROM orders',
+        })
+      ).rejects.toMatchObject({ details: expect.objectContaining({ field: 'query' }) });
+    });
+  });
+});
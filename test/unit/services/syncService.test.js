@@ -0,0 +1,404 @@
+/**
+ * Unit tests for Sync Service
+ */
+
+import { jest } from '@jest/globals';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import SyncService from '../../../src/services/syncService.js';
+import { ErrorHandler } from '../../../src/utils/errorHandler.js';
+
+const mockConfig = {
+  jasperUrl: 'http://localhost:8080/jasperserver',
+  username: 'testuser',
+  password: 'testpass',
+  authType: 'basic',
+  timeout: 30000,
+  debugMode: false,
+};
+
+const jrxml = title => `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders">
+  <title>
+    <band height="30">
+      <staticText>
+        <reportElement x="0" y="0" width="200" height="30"/>
+        <text><![CDATA[${title}]]></text>
+      </staticText>
+    </band>
+  </title>
+</jasperReport>`;
+
+/**
+ * Mock API client serving a repository of resources keyed by URI. Uploaded file content
+ * replaces the stored content and bumps the version of the resource.
+ */
+const createServer = () => {
+  const repository = {
+    '/reports': { type: 'folder', label: 'Reports', version: 0 },
+    '/reports/sales': { type: 'folder', label: 'Sales', version: 0 },
+    '/reports/sales/images': { type: 'folder', label: 'Images', version: 0 },
+    '/reports/sales/images/logo.png': {
+      type: 'file',
+      label: 'Logo',
+      version: 1,
+      descriptor: { type: 'img' },
+    },
+    '/reports/sales/orders': {
+      type: 'reportUnit',
+      label: 'Orders',
+      version: 3,
+      descriptor: {
+        jrxml: {
+          jrxmlFile: {
+            uri: '/reports/sales/orders_files/main.jrxml',
+            label: 'Main',
+            type: 'jrxml',
+          },
+        },
+        resources: {
+          resource: [
+            {
+              name: 'orders.properties',
+              file: {
+                fileResource: {
+                  uri: '/reports/sales/orders_files/orders.properties',
+                  type: 'prop',
+                },
+              },
+            },
+            { name: 'stamp.png', file: { fileReference: { uri: '/images/stamp.png' } } },
+          ],
+        },
+        dataSource: { dataSourceReference: { uri: '/datasources/sales' } },
+      },
+    },
+    '/reports/sales/region': { type: 'inputControl', label: 'Region', version: 1 },
+  };
+  const files = {
+    '/reports/sales/images/logo.png': Buffer.from('\x89PNG logo', 'latin1'),
+    '/reports/sales/orders_files/main.jrxml': Buffer.from(jrxml('Orders')),
+    '/reports/sales/orders_files/orders.properties': Buffer.from('title=Orders\n'),
+  };
+
+  const bump = uri => {
+    const entry = repository[uri] || repository[uri.replace(/_files\/[^/]+$/, '')];
+    entry.version++;
+  };
+
+  const client = {
+    repository,
+    files,
+    bump,
+    isSessionValid: jest.fn(() => true),
+    authenticate: jest.fn(),
+    put: jest.fn(async (url, body) => {
+      const uri = url.replace('/rest_v2/resources', '');
+      if (body.content !== undefined) {
+        files[uri] = Buffer.from(body.content, 'base64');
+      }
+      if (repository[uri] || repository[uri.replace(/_files\/[^/]+$/, '')]) {
+        bump(uri);
+      } else if (body.type === 'reportUnit') {
+        repository[uri] = {
+          type: 'reportUnit',
+          label: body.label,
+          version: 0,
+          descriptor: { jrxml: { jrxmlFile: { uri: `${uri}_files/main.jrxml`, type: 'jrxml' } } },
+        };
+      } else {
+        repository[uri] = { type: 'file', label: body.label, version: 0 };
+      }
+      return { status: 201, data: { uri } };
+    }),
+    get: jest.fn(async (url, options = {}) => {
+      if (url === '/rest_v2/resources') {
+        const resourceLookup = Object.entries(repository)
+          .filter(([uri]) => uri.startsWith(`${options.params.folderUri}/`))
+          .map(([uri, entry]) => ({ uri, label: entry.label, resourceType: entry.type }));
+        return { status: 200, data: { resourceLookup } };
+      }
+
+      const uri = url.replace('/rest_v2/resources', '');
+      if (options.headers?.Accept === 'application/octet-stream') {
+        return files[uri]
+          ? { status: 200, data: files[uri], headers: {} }
+          : { status: 404, data: {} };
+      }
+
+      const entry = repository[uri];
+      if (!entry) {
+        return { status: 404, data: {} };
+      }
+      return {
+        status: 200,
+        data: JSON.parse(
+          JSON.stringify({
+            uri,
+            label: entry.label,
+            version: entry.version,
+            updateDate: `2024-03-0${entry.version + 1}T10:00:00`,
+            ...entry.descriptor,
+          })
+        ),
+        headers: { 'content-type': `application/repository.${entry.type}+json` },
+      };
+    }),
+  };
+  return client;
+};
+
+describe('SyncService', () => {
+  let server;
+  let syncService;
+  let syncRoot;
+  let localDirectory;
+
+  const local = path => join(localDirectory, ...path.split('/'));
+  const readState = () => JSON.parse(readFileSync(local('.jasper-sync.json'), 'utf8'));
+  const pull = params =>
+    syncService.pullFolder({ folderUri: '/reports/sales', localDirectory, ...params });
+  const push = params => syncService.pushFolder({ localDirectory, ...params });
+
+  beforeEach(() => {
+    syncRoot = mkdtempSync(join(tmpdir(), 'jasper-sync-'));
+    localDirectory = join(syncRoot, 'sales');
+    server = createServer();
+    syncService = new SyncService(
+      { ...mockConfig, syncRoot },
+      server,
+      new ErrorHandler(mockConfig)
+    );
+  });
+
+  afterEach(() => {
+    syncService.dispose();
+    rmSync(syncRoot, { recursive: true, force: true });
+  });
+
+  test('should write folders, report unit files, file resources and descriptors', async () => {
+    const result = await pull();
+
+    expect(result.resources).toEqual([
+      {
+        uri: '/reports/sales/images',
+        type: 'folder',
+        path: 'images',
+        files: [],
+      },
+      {
+        uri: '/reports/sales/images/logo.png',
+        type: 'file',
+        path: 'images/logo.png',
+        files: ['images/logo.png'],
+      },
+      {
+        uri: '/reports/sales/orders',
+        type: 'reportUnit',
+        path: 'orders',
+        files: ['orders/main.jrxml', 'orders/orders.properties'],
+      },
+      { uri: '/reports/sales/region', type: 'inputControl', path: 'region', files: [] },
+    ]);
+    expect(readFileSync(local('orders/main.jrxml'), 'utf8')).toBe(jrxml('Orders'));
+    expect(readFileSync(local('images/logo.png'), 'latin1')).toBe('\x89PNG logo');
+    expect(JSON.parse(readFileSync(local('orders.resource.json'), 'utf8'))).toMatchObject({
+      resourceType: 'reportUnit',
+      label: 'Orders',
+      version: 3,
+      dataSource: { dataSourceReference: { uri: '/datasources/sales' } },
+    });
+    expect(existsSync(local('region.resource.json'))).toBe(true);
+    expect(readState()).toMatchObject({
+      folderUri: '/reports/sales',
+      resources: {
+        '/reports/sales/orders': {
+          path: 'orders',
+          version: 3,
+          files: {
+            'orders/main.jrxml': {
+              uri: '/reports/sales/orders_files/main.jrxml',
+              fileType: 'jrxml',
+              main: true,
+            },
+          },
+        },
+      },
+    });
+  });
+
+  test('should push changed and new files and record them in the sync state', async () => {
+    await pull();
+    writeFileSync(local('orders/main.jrxml'), jrxml('Orders 2024'));
+    writeFileSync(local('images/banner.png'), 'banner');
+    server.put.mockClear();
+
+    const result = await push();
+
+    expect(result.changes).toEqual([
+      {
+        uri: '/reports/sales/images/banner.png',
+        type: 'file',
+        action: 'create',
+        path: 'images/banner.png',
+        files: ['images/banner.png'],
+      },
+      {
+        uri: '/reports/sales/orders',
+        type: 'reportUnit',
+        action: 'update',
+        path: 'orders',
+        files: ['orders/main.jrxml'],
+        metadata: [],
+      },
+    ]);
+    expect(result.conflicts).toEqual([]);
+    expect(result.pushed).toEqual(['/reports/sales/images/banner.png', '/reports/sales/orders']);
+    expect(server.put).toHaveBeenCalledTimes(2);
+    expect(server.put).toHaveBeenCalledWith(
+      '/rest_v2/resources/reports/sales/orders_files/main.jrxml',
+      expect.objectContaining({
+        type: 'jrxml',
+        content: Buffer.from(jrxml('Orders 2024')).toString('base64'),
+      }),
+      expect.objectContaining({ params: { createFolders: false, overwrite: true } })
+    );
+    expect(readState().resources['/reports/sales/orders'].version).toBe(4);
+
+    const again = await push();
+    expect(again.changes).toEqual([]);
+  });
+
+  test('should report resources changed on the server since the last pull as conflicts', async () => {
+    await pull();
+    writeFileSync(local('orders/main.jrxml'), jrxml('Local title'));
+    server.bump('/reports/sales/orders');
+    server.put.mockClear();
+
+    const result = await push();
+
+    expect(result.conflicts).toEqual([
+      {
+        uri: '/reports/sales/orders',
+        path: 'orders',
+        reason: 'Changed on the server since the last pull',
+        pulledVersion: 3,
+        serverVersion: 4,
+        serverUpdateDate: '2024-03-05T10:00:00',
+      },
+    ]);
+    expect(result.pushed).toEqual([]);
+    expect(server.put).not.toHaveBeenCalled();
+
+    const forced = await push({ force: true });
+    expect(forced.pushed).toEqual(['/reports/sales/orders']);
+  });
+
+  test('should update labels edited in descriptors and create described report units', async () => {
+    await pull();
+    const descriptor = JSON.parse(readFileSync(local('images.resource.json'), 'utf8'));
+    writeFileSync(
+      local('images.resource.json'),
+      JSON.stringify({ ...descriptor, label: 'Pictures' })
+    );
+    writeFileSync(
+      local('invoices.resource.json'),
+      JSON.stringify({
+        resourceType: 'reportUnit',
+        label: 'Invoices',
+        dataSource: { dataSourceReference: { uri: '/datasources/sales' } },
+      })
+    );
+    mkdirSync(local('invoices'));
+    writeFileSync(local('invoices/invoices.jrxml'), jrxml('Invoices'));
+    server.put.mockClear();
+
+    const dryRun = await push({ dryRun: true });
+    expect(dryRun.changes.map(({ path, action, files }) => [path, action, files])).toEqual([
+      ['images', 'update', []],
+      ['invoices', 'create', ['invoices/invoices.jrxml']],
+    ]);
+    expect(server.put).not.toHaveBeenCalled();
+
+    const result = await push();
+
+    expect(result.pushed).toEqual(['/reports/sales/images', '/reports/sales/invoices']);
+    expect(server.put).toHaveBeenCalledWith(
+      '/rest_v2/resources/reports/sales/images',
+      { label: 'Pictures', description: '' },
+      expect.anything()
+    );
+    expect(server.put).toHaveBeenCalledWith(
+      '/rest_v2/resources/reports/sales/invoices',
+      expect.objectContaining({
+        type: 'reportUnit',
+        label: 'Invoices',
+        dataSource: { dataSourceReference: { uri: '/datasources/sales' } },
+      }),
+      expect.anything()
+    );
+    expect(readState().resources['/reports/sales/invoices']).toMatchObject({
+      type: 'reportUnit',
+      files: {
+        'invoices/invoices.jrxml': {
+          uri: '/reports/sales/invoices_files/main.jrxml',
+          main: true,
+        },
+      },
+    });
+  });
+
+  test('should refuse to overwrite local changes on pull and to push without a pull', async () => {
+    await expect(push()).rejects.toMatchObject({ type: 'InvalidRequest' });
+
+    await pull();
+    writeFileSync(local('orders/orders.properties'), 'title=Local\n');
+
+    await expect(pull()).rejects.toMatchObject({
+      type: 'InvalidRequest',
+      details: { changes: [expect.objectContaining({ uri: '/reports/sales/orders' })] },
+    });
+
+    delete server.repository['/reports/sales/region'];
+    const result = await pull({ force: true });
+    expect(result.removedFiles).toEqual(['region.resource.json']);
+    expect(readFileSync(local('orders/orders.properties'), 'utf8')).toBe('title=Orders\n');
+  });
+
+  test('should only use directories inside the sync root', async () => {
+    const result = await pull({ localDirectory: 'sales' });
+    expect(result.localDirectory).toBe(localDirectory);
+
+    await expect(pull({ localDirectory: join(syncRoot, '..', 'elsewhere') })).rejects.toMatchObject(
+      { type: 'InvalidRequest', message: expect.stringContaining('is outside of') }
+    );
+    await expect(push({ localDirectory: tmpdir() })).rejects.toMatchObject({
+      type: 'InvalidRequest',
+    });
+    expect(existsSync(join(syncRoot, '..', 'elsewhere'))).toBe(false);
+
+    const disabled = new SyncService(mockConfig, server, new ErrorHandler(mockConfig));
+    await expect(disabled.pushFolder({ localDirectory })).rejects.toMatchObject({
+      type: 'InvalidRequest',
+      message: expect.stringContaining('JASPER_SYNC_ROOT'),
+    });
+    disabled.dispose();
+  });
+
+  test('should not push JRXML that fails offline validation', async () => {
+    await pull();
+    writeFileSync(local('orders/main.jrxml'), jrxml('Broken').replace('</title>', ''));
+    server.put.mockClear();
+
+    const result = await push();
+
+    expect(result.failed).toEqual([
+      expect.objectContaining({
+        uri: '/reports/sales/orders',
+        message: expect.stringContaining('JRXML validation failed'),
+      }),
+    ]);
+    expect(server.put).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for MCP tool registry metadata
+ */
+
+import MCPToolRegistry, { TOOL_CATEGORIES } from '../../../src/tools/mcpTools.js';
+
+describe('MCP Tool Registry', () => {
+  const mockConfig = {
+    jasperUrl: 'http://localhost:8080/jasperserver',
+    username: 'jasperadmin',
+    password: 'jasperadmin',
+    authType: 'basic',
+    timeout: 30000,
+    debugMode: false,
+    syncRoot: '/srv/reports',
+  };
+
+  let registry;
+
+  beforeEach(() => {
+    registry = new MCPToolRegistry(mockConfig);
+  });
+
+  afterEach(() => {
+    registry.dispose();
+  });
+
+  describe('annotations', () => {
+    test('should declare all hints for every tool', () => {
+      for (const tool of registry.getToolList()) {
+        expect(tool.annotations).toEqual({
+          readOnlyHint: expect.any(Boolean),
+          destructiveHint: expect.any(Boolean),
+          idempotentHint: expect.any(Boolean),
+          openWorldHint: expect.any(Boolean),
+        });
+      }
+    });
+
+    test('should derive hints from the tool operation', () => {
+      expect(registry.getTool('jasper_list_resources').annotations).toMatchObject({
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+      });
+      expect(registry.getTool('jasper_delete_resource').annotations).toMatchObject({
+        readOnlyHint: false,
+        destructiveHint: true,
+      });
+      expect(registry.getTool('jasper_create_job').annotations).toMatchObject({
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false,
+      });
+      expect(registry.getTool('jasper_run_report_sync').annotations.readOnlyHint).toBe(false);
+      expect(registry.getTool('jasper_copy_resource').annotations.destructiveHint).toBe(false);
+      expect(registry.getTool('jasper_move_resource').annotations.destructiveHint).toBe(true);
+      expect(registry.getTool('jasper_export_repository').annotations.readOnlyHint).toBe(true);
+      expect(registry.getTool('jasper_import_repository').annotations.destructiveHint).toBe(true);
+      expect(registry.getTool('jasper_promote_resources').annotations.readOnlyHint).toBe(false);
+      expect(registry.getTool('jasper_pull_folder').annotations).toMatchObject({
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true,
+      });
+      expect(registry.getTool('jasper_push_folder').annotations.destructiveHint).toBe(true);
+      expect(registry.getTool('jasper_set_input_control_values').annotations).toEqual({
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true,
+        openWorldHint: true,
+      });
+      expect(registry.getTool('jasper_run_job_now').annotations).toMatchObject({
+        readOnlyHint: false,
+        idempotentHint: false,
+      });
+    });
+
+    test('should treat read-only categories as read-only', () => {
+      const healthTools = Object.values(
+        registry.getToolsByCategory(TOOL_CATEGORIES.HEALTH_MONITORING)
+      );
+
+      expect(healthTools.length).toBeGreaterThan(0);
+      healthTools.forEach(tool => expect(tool.annotations.readOnlyHint).toBe(true));
+    });
+
+    test('should only mark tools that reach JasperReports Server as open world', () => {
+      expect(registry.getTool('jasper_get_resource').annotations.openWorldHint).toBe(true);
+      expect(registry.getTool('jasper_diff_jrxml').annotations).toMatchObject({
+        readOnlyHint: true,
+        openWorldHint: true,
+      });
+      expect(registry.getTool('jasper_get_report_template').annotations.openWorldHint).toBe(false);
+      expect(registry.getTool('jasper_compile_report_spec').annotations.openWorldHint).toBe(false);
+      expect(registry.getTool('jasper_validate_jrxml').annotations.openWorldHint).toBe(false);
+      expect(registry.getTool('jasper_lint_jrxml').annotations.openWorldHint).toBe(false);
+      expect(registry.getTool('jasper_resilience_stats').annotations.openWorldHint).toBe(false);
+    });
+  });
+
+  describe('output schemas', () => {
+    test('should declare an object output schema for every tool', () => {
+      for (const tool of registry.getToolList()) {
+        expect(tool.outputSchema).toMatchObject({
+          type: 'object',
+          required: ['success'],
+          properties: expect.objectContaining({ success: { type: 'boolean' } }),
+        });
+      }
+    });
+
+    test('should match the response format of the tool', () => {
+      expect(registry.getTool('jasper_list_jobs').outputSchema.properties).toHaveProperty('items');
+      expect(registry.getTool('jasper_run_report_sync').outputSchema.properties).toHaveProperty(
+        'resourceUri'
+      );
+      expect(registry.getTool('jasper_export_repository').outputSchema.properties).toHaveProperty(
+        'resourceUri'
+      );
+      expect(registry.getTool('jasper_component_health').outputSchema.properties).toHaveProperty(
+        'healthy'
+      );
+    });
+  });
+
+  describe('tool access', () => {
+    const createRegistry = options => {
+      registry.dispose();
+      registry = new MCPToolRegistry({ ...mockConfig, ...options });
+      return registry;
+    };
+
+    const toolNames = () => registry.getToolList().map(tool => tool.name);
+
+    test('should enable all tools by default', () => {
+      expect(registry.getToolCount()).toBe(Object.keys(registry.getAllTools()).length);
+    });
+
+    test('should hide mutating tools in read-only mode', () => {
+      createRegistry({ readOnly: true });
+
+      expect(toolNames()).toEqual(
+        expect.arrayContaining([
+          'jasper_list_resources',
+          'jasper_test_datasource',
+          'jasper_run_report_sync',
+          'jasper_set_input_control_values',
+          'jasper_authenticate',
+        ])
+      );
+      expect(toolNames()).not.toContain('jasper_run_job_now');
+      expect(toolNames()).not.toContain('jasper_delete_resource');
+      expect(toolNames()).not.toContain('jasper_create_datasource');
+      expect(toolNames()).not.toContain('jasper_set_permissions');
+      expect(toolNames()).not.toContain('jasper_create_user');
+      expect(toolNames()).not.toContain('jasper_update_job');
+      expect(toolNames()).not.toContain('jasper_pull_folder');
+      expect(registry.hasTool('jasper_upload_resource')).toBe(false);
+    });
+
+    test('should hide the folder sync tools without a sync root', () => {
+      createRegistry({ syncRoot: null });
+
+      expect(toolNames()).toContain('jasper_list_resources');
+      expect(toolNames()).not.toContain('jasper_pull_folder');
+      expect(toolNames()).not.toContain('jasper_push_folder');
+    });
+
+    test('should apply allow lists by tool name and category', () => {
+      createRegistry({
+        allowedTools: [TOOL_CATEGORIES.REPORT_EXECUTION, 'jasper_list_resources'],
+      });
+
+      expect(toolNames()).toContain('jasper_list_resources');
+      expect(toolNames()).toContain('jasper_get_execution_status');
+      expect(toolNames()).not.toContain('jasper_get_resource');
+    });
+
+    test('should let the deny list take precedence over the allow list', () => {
+      createRegistry({
+        allowedTools: [TOOL_CATEGORIES.REPORT_EXECUTION],
+        deniedTools: ['jasper_cancel_execution', TOOL_CATEGORIES.USER_MANAGEMENT],
+      });
+
+      expect(toolNames()).toContain('jasper_run_report_async');
+      expect(toolNames()).not.toContain('jasper_cancel_execution');
+      expect(toolNames()).not.toContain('jasper_list_users');
+    });
+
+    test('should reject disabled tools on execution', async () => {
+      createRegistry({ readOnly: true });
+
+      const result = await registry.executeTool('jasper_delete_resource', {
+        resourceUri: '/reports/sales',
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatchObject({ type: 'PermissionDenied' });
+      expect(result.error.message).toContain('disabled by the server configuration');
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for the HTTP transport host
+ */
+
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { HttpTransportServer, TRANSPORT_TYPES } from '../../../src/transports/httpTransport.js';
+
+const ACCEPT_HEADER = 'application/json, text/event-stream';
+
+const initializeRequest = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '1.0.0' },
+  },
+};
+
+describe('HttpTransportServer', () => {
+  let mockConfig;
+  let createSession;
+  let createdSessions;
+  let host;
+
+  beforeEach(() => {
+    mockConfig = {
+      transport: TRANSPORT_TYPES.HTTP,
+      httpHost: '127.0.0.1',
+      httpPort: 0,
+      httpPath: '/mcp',
+      sessionTimeout: 1800000,
+      maxFileSize: 1024 * 1024,
+    };
+
+    createdSessions = [];
+    createSession = jest.fn(() => {
+      const server = new Server(
+        { name: 'test-server', version: '1.0.0' },
+        { capabilities: { tools: {} } }
+      );
+      server.setRequestHandler(ListToolsRequestSchema, async (_request, extra) => ({
+        tools: [{ name: extra.sessionId, inputSchema: { type: 'object' } }],
+      }));
+
+      const session = { server, toolRegistry: { dispose: jest.fn() } };
+      createdSessions.push(session);
+      return session;
+    });
+
+    host = new HttpTransportServer(mockConfig, { createSession });
+  });
+
+  afterEach(async () => {
+    await host.stop();
+  });
+
+  const initializeSession = async () => {
+    const response = await request(host.app)
+      .post('/mcp')
+      .set('Accept', ACCEPT_HEADER)
+      .send(initializeRequest);
+
+    expect(response.status).toBe(200);
+    return response.headers['mcp-session-id'];
+  };
+
+  describe('constructor', () => {
+    test('should require a session factory', () => {
+      expect(() => new HttpTransportServer(mockConfig)).toThrow('createSession');
+    });
+
+    test('should default to streamable HTTP for non-SSE transports', () => {
+      expect(host.type).toBe(TRANSPORT_TYPES.HTTP);
+    });
+  });
+
+  describe('Streamable HTTP', () => {
+    test('should create a session on initialize', async () => {
+      const sessionId = await initializeSession();
+
+      expect(sessionId).toBeDefined();
+      expect(createSession).toHaveBeenCalledTimes(1);
+      expect(host.getSessionCount()).toBe(1);
+      expect(host.getSession(sessionId).toolRegistry).toBe(createdSessions[0].toolRegistry);
+    });
+
+    test('should give each client its own session state', async () => {
+      const first = await initializeSession();
+      const second = await initializeSession();
+
+      expect(first).not.toBe(second);
+      expect(host.getSessionCount()).toBe(2);
+      expect(host.getSession(first).toolRegistry).not.toBe(host.getSession(second).toolRegistry);
+    });
+
+    test('should route requests to the session server', async () => {
+      const sessionId = await initializeSession();
+
+      const response = await request(host.app)
+        .post('/mcp')
+        .set('Accept', ACCEPT_HEADER)
+        .set('Mcp-Session-Id', sessionId)
+        .set('Mcp-Protocol-Version', '2025-03-26')
+        .send({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} });
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain(sessionId);
+    });
+
+    test('should reject non-initialize requests without a session', async () => {
+      const response = await request(host.app)
+        .post('/mcp')
+        .set('Accept', ACCEPT_HEADER)
+        .send({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain('No valid session ID');
+      expect(createSession).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown session IDs', async () => {
+      const response = await request(host.app)
+        .post('/mcp')
+        .set('Accept', ACCEPT_HEADER)
+        .set('Mcp-Session-Id', 'unknown-session')
+        .send(initializeRequest);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should terminate sessions on DELETE and dispose the registry', async () => {
+      const sessionId = await initializeSession();
+
+      const response = await request(host.app)
+        .delete('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .set('Mcp-Protocol-Version', '2025-03-26');
+
+      expect(response.status).toBe(200);
+      expect(host.getSessionCount()).toBe(0);
+      expect(createdSessions[0].toolRegistry.dispose).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('session lifecycle', () => {
+    test('should close idle sessions', async () => {
+      const sessionId = await initializeSession();
+      host.getSession(sessionId).lastActivity = Date.now() - mockConfig.sessionTimeout - 1;
+
+      await host._closeIdleSessions();
+
+      expect(host.getSessionCount()).toBe(0);
+      expect(createdSessions[0].toolRegistry.dispose).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep active sessions', async () => {
+      await initializeSession();
+
+      await host._closeIdleSessions();
+
+      expect(host.getSessionCount()).toBe(1);
+    });
+
+    test('should return false when closing an unknown session', async () => {
+      expect(await host.closeSession('missing')).toBe(false);
+    });
+
+    test('should close all sessions on stop', async () => {
+      await initializeSession();
+      await initializeSession();
+
+      await host.stop();
+
+      expect(host.getSessionCount()).toBe(0);
+      createdSessions.forEach(session => {
+        expect(session.toolRegistry.dispose).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('legacy SSE', () => {
+    beforeEach(() => {
+      host = new HttpTransportServer(
+        { ...mockConfig, transport: TRANSPORT_TYPES.SSE },
+        { createSession }
+      );
+    });
+
+    test('should only expose SSE endpoints', async () => {
+      const response = await request(host.app)
+        .post('/mcp')
+        .set('Accept', ACCEPT_HEADER)
+        .send(initializeRequest);
+
+      expect(host.type).toBe(TRANSPORT_TYPES.SSE);
+      expect(response.status).toBe(404);
+    });
+
+    test('should reject messages for unknown sessions', async () => {
+      const response = await request(host.app)
+        .post('/messages?sessionId=unknown')
+        .send(initializeRequest);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.message).toBe('Session not found');
+    });
+  });
+
+  describe('health endpoint', () => {
+    test('should report transport and session count', async () => {
+      await initializeSession();
+
+      const response = await request(host.app).get('/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ status: 'ok', transport: 'http', sessions: 1 });
+    });
+  });
+});
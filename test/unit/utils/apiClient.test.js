@@ -31,6 +31,7 @@ const {
   AUTH_TYPES,
   HTTP_STATUS,
 } = await import('../../../src/utils/apiClient.js');
+const { logManager } = await import('../../../src/utils/logger.js');
 
 // Mock configuration
 const mockConfig = {
@@ -132,6 +133,34 @@ describe('APIClient', () => {
         const decoded = Buffer.from(credentials, 'base64').toString('utf8');
         expect(decoded).toBe('testuser|testorg:testpass');
       });
+
+      it('should not share cached credentials between servers with the same username', async () => {
+        const decode = client =>
+          Buffer.from(client.authHeaders.Authorization.replace('Basic ', ''), 'base64').toString(
+            'utf8'
+          );
+        const dev = new APIClient({
+          ...mockConfig,
+          jasperUrl: 'http://dev:8080/jasperserver',
+          username: 'jasperadmin',
+          password: 'devpass',
+          organization: null,
+        });
+        const prod = new APIClient({
+          ...mockConfig,
+          jasperUrl: 'https://prod/jasperserver',
+          username: 'jasperadmin',
+          password: 'prodpass',
+          organization: null,
+        });
+
+        await dev.authenticate();
+        await prod.authenticate();
+
+        expect(decode(dev)).toBe('jasperadmin:devpass');
+        expect(decode(prod)).toBe('jasperadmin:prodpass');
+        expect(mockAxiosInstance.get).toHaveBeenCalledTimes(2);
+      });
     });
 
     describe('login service authentication', () => {
@@ -250,6 +279,46 @@ describe('APIClient', () => {
     });
   });
 
+  describe('response logging', () => {
+    const download = {
+      status: HTTP_STATUS.OK,
+      config: { url: '/rest_v2/reports/sales.pdf' },
+      headers: { 'content-type': 'application/pdf' },
+      data: Buffer.alloc(1024),
+    };
+
+    let consoleSpy;
+    let stringifySpy;
+
+    beforeEach(() => {
+      consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      stringifySpy = jest.spyOn(JSON, 'stringify');
+    });
+
+    afterEach(() => {
+      stringifySpy.mockRestore();
+      consoleSpy.mockRestore();
+      logManager.configure({});
+    });
+
+    it('should not build response log data unless debug logging is enabled', () => {
+      logManager.configure({ logLevel: 'info' });
+
+      expect(apiClient._handleResponseInterceptor(download)).toBe(download);
+      expect(stringifySpy).not.toHaveBeenCalled();
+      expect(consoleSpy).not.toHaveBeenCalled();
+    });
+
+    it('should log the size of binary responses without serializing them', () => {
+      logManager.configure({ logLevel: 'debug' });
+
+      apiClient._handleResponseInterceptor(download);
+
+      expect(stringifySpy).not.toHaveBeenCalledWith(download.data);
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('"dataSize":1024'));
+    });
+  });
+
   describe('server info and connection testing', () => {
     it('should get server info successfully', async () => {
       const mockServerInfo = {
@@ -408,6 +408,17 @@ describe('ErrorHandler', () => {
     });
   });
 
+  describe('analyzePermissionError', () => {
+    test('should keep errors already mapped by a service', () => {
+      const error = errorHandler.createValidationError('spec', 'Unknown field');
+
+      const result = errorHandler.analyzePermissionError(error, 'jasper_compile_report_spec');
+
+      expect(result).toBe(error);
+      expect(result.type).toBe(MCP_ERROR_TYPES.INVALID_PARAMS);
+    });
+  });
+
   describe('logError', () => {
     test('should log error with context', () => {
       const error = new MCPError(MCP_ERROR_TYPES.INVALID_REQUEST, 'Test error');
@@ -427,9 +438,9 @@ describe('ErrorHandler', () => {
       debugHandler.logError(error, 'Test context');
 
       expect(consoleSpy).toHaveBeenCalledWith(
-        expect.stringContaining('[Error Handler] Detailed error:'),
-        expect.any(String)
+        expect.stringContaining('[Error Handler] Test context: Test error')
       );
+      expect(consoleSpy.mock.calls[0][0]).toContain('"stack"');
     });
 
     test('should not log when log level is none', () => {
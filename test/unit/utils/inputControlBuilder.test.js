@@ -0,0 +1,195 @@
+/**
+ * Unit tests for the input control builder
+ */
+
+import InputControlBuilder from '../../../src/utils/inputControlBuilder.js';
+
+const jrxml = parameters => `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders">
+${parameters}
+  <subDataset name="Lookup">
+    <parameter name="LookupId" class="java.lang.Integer"/>
+  </subDataset>
+  <detail><band height="20"/></detail>
+</jasperReport>`;
+
+describe('Input Control Builder', () => {
+  let builder;
+
+  beforeEach(() => {
+    builder = new InputControlBuilder();
+  });
+
+  test('should infer control types from parameter classes', () => {
+    const result = builder.build(
+      jrxml(`  <parameter name="Active" class="java.lang.Boolean"/>
+  <parameter name="From" class="java.util.Date">
+    <parameterDescription><![CDATA[Start date]]></parameterDescription>
+  </parameter>
+  <parameter name="At" class="java.sql.Timestamp"/>
+  <parameter name="Amount" class="java.math.BigDecimal"/>
+  <parameter name="Customer"/>
+  <parameter name="Hidden" class="java.lang.String" isForPrompting="false"/>`),
+      { reportUri: '/reports/orders' }
+    );
+
+    expect(result.created).toEqual([
+      { parameter: 'Active', type: 'bool' },
+      { parameter: 'From', type: 'singleValue', dataType: 'date' },
+      { parameter: 'At', type: 'singleValue', dataType: 'dateTime' },
+      { parameter: 'Amount', type: 'singleValue', dataType: 'number' },
+      { parameter: 'Customer', type: 'singleValue', dataType: 'text' },
+    ]);
+    expect(result.skipped).toEqual([]);
+    expect(result.inputControls[1]).toEqual({
+      inputControl: {
+        uri: '/reports/orders_files/From',
+        label: 'Start date',
+        description: 'Start date',
+        mandatory: false,
+        readOnly: false,
+        visible: true,
+        type: 2,
+        dataType: { dataType: { label: 'date', type: 'date' } },
+      },
+    });
+    expect(result.inputControls[0].inputControl).toMatchObject({ label: 'Active', type: 1 });
+    expect(result.inputControls[2].inputControl.dataType).toEqual({
+      dataType: { label: 'dateTime', type: 'dateTime' },
+    });
+  });
+
+  test('should build list-of-values controls, multi-select for collections', () => {
+    const result = builder.build(
+      jrxml(`  <parameter name="Status" class="java.lang.String"/>
+  <parameter name="Regions" class="java.util.List"/>`),
+      {
+        reportUri: '/reports/orders',
+        controls: [
+          {
+            parameter: 'Status',
+            label: 'Order status',
+            mandatory: true,
+            values: [{ value: 'OPEN', label: 'Open' }, { value: 'CLOSED' }],
+          },
+          { parameter: 'Regions', values: [{ value: 'EU' }] },
+        ],
+      }
+    );
+
+    expect(result.created.map(control => control.type)).toEqual([
+      'singleSelectListOfValues',
+      'multiSelectListOfValues',
+    ]);
+    expect(result.inputControls[0].inputControl).toMatchObject({
+      label: 'Order status',
+      mandatory: true,
+      type: 3,
+      listOfValues: {
+        listOfValues: {
+          label: 'Order status values',
+          items: [
+            { label: 'Open', value: 'OPEN' },
+            { label: 'CLOSED', value: 'CLOSED' },
+          ],
+        },
+      },
+    });
+    expect(result.inputControls[1].inputControl.type).toBe(6);
+  });
+
+  test('should build query-backed controls on the given or report datasource', () => {
+    const result = builder.build(
+      jrxml(`  <parameter name="Customer" class="java.lang.Integer"/>
+  <parameter name="Regions" class="java.util.Collection"/>`),
+      {
+        reportUri: '/reports/orders',
+        dataSourceUri: '/datasources/sales',
+        controls: [
+          {
+            parameter: 'Customer',
+            query: 'SELECT id, name FROM customers',
+            valueColumn: 'id',
+            visibleColumns: ['name'],
+          },
+          {
+            parameter: 'Regions',
+            query: 'SELECT code FROM regions',
+            valueColumn: 'code',
+            dataSourceUri: '/datasources/reference',
+          },
+        ],
+      }
+    );
+
+    expect(result.inputControls[0].inputControl).toMatchObject({
+      type: 4,
+      query: {
+        query: {
+          label: 'Customer query',
+          value: 'SELECT id, name FROM customers',
+          language: 'sql',
+        },
+      },
+      queryValueColumn: 'id',
+      visibleColumns: ['name'],
+    });
+    expect(result.inputControls[0].inputControl.query.query.dataSource).toBeUndefined();
+    expect(result.inputControls[1].inputControl).toMatchObject({
+      type: 7,
+      query: {
+        query: { dataSource: { dataSourceReference: { uri: '/datasources/reference' } } },
+      },
+      visibleColumns: ['code'],
+    });
+  });
+
+  test('should skip parameters without a matching control', () => {
+    const result = builder.build(
+      jrxml(`  <parameter name="Regions" class="java.util.Set"/>
+  <parameter name="Logo" class="java.awt.Image"/>
+  <parameter name="Active" class="java.lang.Boolean"/>`),
+      {
+        reportUri: '/reports/orders',
+        controls: [{ parameter: 'Active', values: [{ value: 'true' }] }],
+      }
+    );
+
+    expect(result.inputControls).toEqual([]);
+    expect(result.skipped).toEqual([
+      {
+        parameter: 'Regions',
+        reason: 'java.util.Set needs values or a query to offer a multi-select',
+      },
+      {
+        parameter: 'Logo',
+        reason: 'java.awt.Image has no single value input; give values or a query',
+      },
+      {
+        parameter: 'Active',
+        reason: 'Boolean parameters get a checkbox and take no values or query',
+      },
+    ]);
+  });
+
+  test.each([
+    [[{ parameter: 'LookupId' }], "parameter 'LookupId', which the report does not declare"],
+    [[{ parameter: 'Status' }, { parameter: 'Status' }], 'options are given more than once'],
+    [
+      [{ parameter: 'Status', values: [{ value: 'A' }], query: 'SELECT 1', valueColumn: 'a' }],
+      'use either values or a query, not both',
+    ],
+    [[{ parameter: 'Status', query: 'SELECT 1' }], 'a query needs the valueColumn'],
+    [
+      [{ parameter: 'Status', query: 'SELECT 1', valueColumn: 'a' }],
+      'a query needs a dataSourceUri when the report has no datasource',
+    ],
+  ])('should reject invalid options %j', (controls, message) => {
+    expect(() =>
+      builder.build(jrxml('  <parameter name="Status" class="java.lang.String"/>'), {
+        reportUri: '/reports/orders',
+        controls,
+      })
+    ).toThrow(message);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Unit tests for the JRXML diff
+ */
+
+import { readFileSync } from 'fs';
+import { JRXMLDiff } from '../../../src/utils/jrxmlDiff.js';
+
+const report = ({ declarations = '', query = 'SELECT * FROM orders', detail = '' } = {}) =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders" uuid="1">
+  <parameter name="Region"/>
+${declarations}  <queryString><![CDATA[${query}]]></queryString>
+  <field name="customer"/>
+  <field name="amount" class="java.math.BigDecimal"/>
+  <detail>
+    <band height="20">
+${detail}    </band>
+  </detail>
+</jasperReport>`;
+
+const textField = (expression, geometry = 'x="0" y="0" width="100" height="20"', extra = '') =>
+  `      <textField${extra}>
+        <reportElement ${geometry}/>
+        <textFieldExpression><![CDATA[${expression}]]></textFieldExpression>
+      </textField>
+`;
+
+describe('JRXML Diff', () => {
+  let diff;
+
+  const changes = (original, modified) =>
+    diff.compare(original, modified).changes.map(change => change.message);
+
+  beforeEach(() => {
+    diff = new JRXMLDiff();
+  });
+
+  test('should ignore formatting, attribute order and uuids', () => {
+    const content = readFileSync('test/fixtures/reports/complex_report.jrxml', 'utf8');
+    const reformatted = content
+      .replace(/ uuid="[^"]*"/g, '')
+      .replace(/\n\s*/g, '\n')
+      .replace(/<reportElement x="(\d+)" y="(\d+)"/g, '<reportElement y="$2" x="$1"');
+
+    expect(diff.compare(content, reformatted)).toEqual({
+      identical: true,
+      summary: { added: 0, removed: 0, changed: 0, moved: 0, resized: 0 },
+      changes: [],
+    });
+  });
+
+  test('should list added, removed and changed declarations and query changes', () => {
+    const original = report();
+    const modified = report({
+      declarations: '  <parameter name="Year" class="java.lang.Integer"/>\n',
+      query: 'SELECT *\n  FROM orders WHERE region = $P{Region}',
+    })
+      .replace('<parameter name="Region"/>', '<parameter name="Region" class="java.lang.Object"/>')
+      .replace('  <field name="customer"/>\n', '');
+
+    const result = diff.compare(original, modified);
+
+    expect(result.changes).toEqual([
+      {
+        kind: 'changed',
+        target: 'parameter',
+        name: 'Region',
+        property: '@class',
+        after: 'java.lang.Object',
+        message: 'Changed class of parameter \'Region\' from unset to "java.lang.Object"',
+        line: 3,
+        originalLine: 3,
+      },
+      {
+        kind: 'added',
+        target: 'parameter',
+        name: 'Year',
+        message: "Added parameter 'Year'",
+        line: 4,
+      },
+      {
+        kind: 'removed',
+        target: 'field',
+        name: 'customer',
+        message: "Removed field 'customer'",
+        originalLine: 5,
+      },
+      {
+        kind: 'changed',
+        target: 'query',
+        property: 'text()',
+        before: 'SELECT * FROM orders',
+        after: 'SELECT *\n  FROM orders WHERE region = $P{Region}',
+        message: 'Changed the query',
+        line: 5,
+        originalLine: 4,
+      },
+    ]);
+    expect(result.summary).toEqual({ added: 1, removed: 1, changed: 2, moved: 0, resized: 0 });
+  });
+
+  test('should report moved and resized elements and changed expressions', () => {
+    const original = report({
+      detail:
+        textField('$F{customer}') +
+        textField('$F{amount}', 'x="100" y="0" width="100" height="20"', ' pattern="#,##0"'),
+    });
+    const modified = report({
+      detail:
+        textField('$F{amount}', 'x="200" y="0" width="120" height="20"', ' pattern="#,##0.00"') +
+        textField('$F{customer}.toUpperCase()', 'x="0" y="0" width="100" height="20" key="name"'),
+    });
+
+    expect(changes(original, modified)).toEqual([
+      'Moved <textField> $F{amount} from (100, 0) to (200, 0) in the detail band',
+      'Resized <textField> $F{amount} from 100x20 to 120x20',
+      'Changed pattern of <textField> $F{amount} from "#,##0" to "#,##0.00"',
+      'Changed textFieldExpression of <textField> $F{customer}.toUpperCase()',
+      'Changed reportElement/@key of <textField> $F{customer}.toUpperCase() from unset to "name"',
+    ]);
+
+    const expressionChange = diff.compare(original, modified).changes[3];
+    expect(expressionChange).toMatchObject({
+      property: 'textFieldExpression',
+      before: '$F{customer}',
+      after: '$F{customer}.toUpperCase()',
+      line: 13,
+      originalLine: 9,
+    });
+  });
+
+  test('should match elements by uuid and key before their content', () => {
+    const original = report({
+      detail:
+        textField('$F{customer}', 'uuid="a" x="0" y="0" width="100" height="20"') +
+        textField('$F{amount}', 'key="amount" x="100" y="0" width="100" height="20"'),
+    });
+    const modified = report({
+      detail:
+        textField('$F{amount}', 'uuid="a" x="0" y="0" width="100" height="20"') +
+        textField('$V{total}', 'key="amount" x="100" y="0" width="100" height="20"'),
+    });
+
+    expect(changes(original, modified)).toEqual([
+      'Changed textFieldExpression of <textField> $F{amount}',
+      'Changed textFieldExpression of <textField> $V{total}',
+    ]);
+  });
+
+  test('should report elements moved to another band and added or removed bands', () => {
+    const original = report({ detail: textField('$F{amount}') });
+    const modified = report().replace(
+      '  </detail>',
+      `  </detail>
+  <summary>
+    <band height="30" splitType="Prevent">
+${textField('$F{amount}', 'x="0" y="10" width="100" height="20"')}    </band>
+  </summary>`
+    );
+
+    expect(changes(original, modified)).toEqual([
+      'Added the summary band',
+      'Moved <textField> $F{amount} from (0, 0) in the detail band to (0, 10) in the summary band',
+    ]);
+    expect(changes(modified, original)).toEqual([
+      'Removed the summary band',
+      'Moved <textField> $F{amount} from (0, 10) in the summary band to (0, 0) in the detail band',
+    ]);
+  });
+
+  test('should list added and removed elements, elements inside frames and band changes', () => {
+    const original = report({
+      detail: `      <frame>
+        <reportElement x="0" y="0" width="300" height="20"/>
+${textField('$F{customer}')}      </frame>
+      <staticText>
+        <reportElement x="300" y="0" width="100" height="20"/>
+        <text><![CDATA[Total]]></text>
+      </staticText>
+`,
+    });
+    const modified = report({
+      detail: `      <frame>
+        <reportElement x="0" y="0" width="300" height="20"/>
+${textField('$F{customer}', 'x="10" y="0" width="100" height="20"')}${textField('$F{amount}', 'x="150" y="0" width="100" height="20"')}      </frame>
+`,
+    }).replace('<band height="20">', '<band height="24">');
+
+    expect(changes(original, modified)).toEqual([
+      'Changed height of the detail band from "20" to "24"',
+      'Moved <textField> $F{customer} from (0, 0) to (10, 0) in frame 1 in the detail band',
+      'Added <textField> $F{amount} at (150, 0) in frame 1 in the detail band',
+      'Removed <staticText> "Total" from the detail band',
+    ]);
+  });
+
+  test('should compare subdatasets and their queries', () => {
+    const subDataset = (query, field) => `  <subDataset name="Items">
+    <queryString><![CDATA[${query}]]></queryString>
+    ${field}
+  </subDataset>
+`;
+    const original = report({
+      declarations: subDataset('SELECT product FROM items', '<field name="product"/>'),
+    });
+    const modified = report({
+      declarations: subDataset(
+        'SELECT product, quantity FROM items',
+        '<field name="product"/>\n    <field name="quantity" class="java.lang.Integer"/>'
+      ),
+    });
+
+    expect(changes(original, modified)).toEqual([
+      "Added field 'quantity' in subdataset 'Items'",
+      "Changed the query of subdataset 'Items'",
+    ]);
+  });
+
+  test('should name the version that cannot be parsed', () => {
+    expect(() => diff.compare(report(), '<jasperReport>')).toThrow(
+      'The modified JRXML cannot be compared. Malformed JRXML at line 1'
+    );
+    expect(() => diff.compare('<report/>', report())).toThrow(
+      'The original JRXML has <report> as root element instead of <jasperReport>'
+    );
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Unit tests for the JRXML expression checker
+ */
+
+import { JRXMLValidator } from '../../../src/utils/jrxmlValidator.js';
+import { parseProperties } from '../../../src/utils/jrxmlExpressionChecker.js';
+
+const report = (body, attributes = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders"${attributes}>
+  <parameter name="Region"/>
+  <field name="customer"/>
+  <field name="amount" class="java.math.BigDecimal"/>
+  <field name="quantity" class="java.lang.Integer"/>
+  <field name="paid" class="java.lang.Boolean"/>
+${body}
+</jasperReport>`;
+
+const textField = expression => `  <detail>
+    <band height="20">
+      <textField>
+        <reportElement x="0" y="0" width="200" height="20"/>
+        <textFieldExpression><![CDATA[${expression}]]></textFieldExpression>
+      </textField>
+    </band>
+  </detail>`;
+
+describe('JRXML Expression Checker', () => {
+  let validator;
+
+  const findings = (content, options) => {
+    const { errors, warnings } = validator.validate(content, options);
+    return [...errors, ...warnings].map(
+      finding => `${finding.line}:${finding.column} ${finding.rule}: ${finding.message}`
+    );
+  };
+
+  beforeEach(() => {
+    validator = new JRXMLValidator();
+  });
+
+  describe('references', () => {
+    test('should accept declared and built-in references', () => {
+      const content = report(
+        `  <group name="Customer">
+    <groupExpression><![CDATA[$F{customer}]]></groupExpression>
+  </group>
+${textField('$F{customer} + $P{Region} + $V{PAGE_NUMBER} + $V{Customer_COUNT} + $P{REPORT_LOCALE}')}`
+      );
+
+      expect(findings(content)).toEqual([]);
+    });
+
+    test('should report undeclared references at their position', () => {
+      const content = report(
+        textField('"Customer: " + $F{custmer}\n + $P{region} + $V{total} + $F{Region}')
+      );
+
+      expect(findings(content)).toEqual([
+        '12:54 undeclared-reference: $F{custmer} refers to an undeclared field; did you mean $F{customer}?',
+        '13:4 undeclared-reference: $P{region} refers to an undeclared parameter; did you mean $P{Region}?',
+        '13:17 undeclared-reference: $V{total} refers to an undeclared variable',
+        "13:29 undeclared-reference: $F{Region} refers to an undeclared field; 'Region' is a parameter, use $P{Region}",
+      ]);
+    });
+
+    test('should check query parameters', () => {
+      const content = report(
+        `  <queryString><![CDATA[SELECT * FROM orders WHERE region = $P{Region} AND $X{IN, status, Statuses} ORDER BY $P!{SortColumn}]]></queryString>`
+      );
+
+      const references = findings(content).filter(finding =>
+        finding.includes('undeclared-reference')
+      );
+
+      expect(references.map(finding => finding.split(': ')[1])).toEqual([
+        "$X{IN, status, Statuses} in the query refers to an undeclared parameter 'Statuses'",
+        "$P!{SortColumn} in the query refers to an undeclared parameter 'SortColumn'",
+      ]);
+    });
+
+    test('should resolve chart expressions against the subdataset they run on', () => {
+      const content = report(`  <summary>
+    <band height="200">
+      <pieChart>
+        <chart>
+          <reportElement x="0" y="0" width="200" height="200"/>
+        </chart>
+        <pieDataset>
+          <dataset>
+            <datasetRun subDataset="Items">
+              <datasetParameter name="Customer">
+                <datasetParameterExpression><![CDATA[$F{customer}]]></datasetParameterExpression>
+              </datasetParameter>
+            </datasetRun>
+          </dataset>
+          <keyExpression><![CDATA[$F{product}]]></keyExpression>
+          <valueExpression><![CDATA[$F{amount}]]></valueExpression>
+        </pieDataset>
+      </pieChart>
+    </band>
+  </summary>`).replace(
+        '  <parameter name="Region"/>',
+        `  <subDataset name="Items">
+    <parameter name="Customer"/>
+    <queryString><![CDATA[SELECT product FROM items WHERE customer = $P{Customer}]]></queryString>
+    <field name="product"/>
+  </subDataset>
+  <parameter name="Region"/>`
+      );
+
+      expect(findings(content)).toEqual([
+        "28:37 undeclared-reference: $F{amount} refers to an undeclared field in subdataset 'Items'",
+      ]);
+    });
+
+    test('should check resource keys against the resource bundle', () => {
+      const content = report(textField('$R{title} + $R{subtitle}'), ' resourceBundle="messages"');
+
+      expect(findings(content, { resourceBundles: ['title=Orders'] })).toEqual([
+        "12:51 resource-key: $R{subtitle} is not defined in resource bundle 'messages'",
+      ]);
+      expect(findings(content)).toEqual([]);
+      expect(findings(report(textField('$R{title}')))).toEqual([
+        '12:39 resource-key: $R{title} is used, but the report declares no resourceBundle',
+      ]);
+    });
+  });
+
+  describe('types', () => {
+    test('should reject operators on classes that do not support them', () => {
+      const content = report(
+        textField(
+          '$F{quantity} * 2 + ($F{amount} * 2) + (10 - $F{customer}) + $F{customer}.length() * 2 + ((Integer) $F{customer}) * 2'
+        )
+      );
+
+      expect(findings(content)).toEqual([
+        "12:59 type-mismatch: $F{amount} is java.math.BigDecimal, which does not support the '*' operator in Java expressions",
+        "12:83 type-mismatch: $F{customer} is java.lang.String, which does not support the '-' operator in Java expressions",
+      ]);
+    });
+
+    test('should warn about comparing strings with ==', () => {
+      const content = report(textField('$F{customer} == "ACME" ? "yes" : $F{customer} != null'));
+
+      expect(findings(content)).toEqual([
+        '12:39 string-comparison: $F{customer} is compared to a string with == or !=, which compares references; use equals() instead',
+      ]);
+    });
+
+    test('should require Boolean conditions and numeric calculations', () => {
+      const content = report(`  <variable name="total" calculation="Sum">
+    <variableExpression><![CDATA[$F{amount}]]></variableExpression>
+  </variable>
+  <detail>
+    <band height="20">
+      <printWhenExpression><![CDATA[$F{customer}]]></printWhenExpression>
+    </band>
+    <band height="20">
+      <printWhenExpression><![CDATA[$F{paid}]]></printWhenExpression>
+    </band>
+  </detail>`);
+
+      expect(findings(content)).toEqual([
+        "8:3 type-mismatch: Variable 'total' is java.lang.String, but the Sum calculation needs a numeric class",
+        '13:37 type-mismatch: <printWhenExpression> must evaluate to java.lang.Boolean, but $F{customer} is java.lang.String',
+      ]);
+    });
+
+    test('should not check types in reports written in Groovy', () => {
+      const content = report(textField('$F{amount} * 2'), ' language="groovy"');
+
+      expect(findings(content)).toEqual([]);
+    });
+  });
+
+  describe('parseProperties', () => {
+    test('should parse keys, separators, comments and continuation lines', () => {
+      expect(
+        parseProperties(
+          '# comment\ntitle = Orders\nfooter:Page \\\n    end\nkey\\ with\\ spaces value\n'
+        )
+      ).toEqual({ title: 'Orders', footer: 'Page end', 'key with spaces': 'value' });
+    });
+  });
+});
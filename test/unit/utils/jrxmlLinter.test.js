@@ -0,0 +1,231 @@
+/**
+ * Unit tests for the JRXML linter
+ */
+
+import { readFileSync } from 'fs';
+import { JRXMLLinter } from '../../../src/utils/jrxmlLinter.js';
+import { JRXMLValidator } from '../../../src/utils/jrxmlValidator.js';
+
+const report = (body, attributes = ' whenNoDataType="AllSectionsNoDetail"') =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders"${attributes}>
+  <field name="customer"/>
+  <field name="orderDate" class="java.util.Date"/>
+${body}
+</jasperReport>`;
+
+const textField = (x, y, width, height, attributes = '') => `      <textField${attributes}>
+        <reportElement x="${x}" y="${y}" width="${width}" height="${height}"/>
+        <textFieldExpression><![CDATA[$F{customer}]]></textFieldExpression>
+      </textField>`;
+
+const staticText = (x, y, width, height, text = 'Customer') => `      <staticText>
+        <reportElement x="${x}" y="${y}" width="${width}" height="${height}"/>
+        <text><![CDATA[${text}]]></text>
+      </staticText>`;
+
+const band = (section, height, ...elements) => `  <${section}>
+    <band height="${height}">
+${elements.join('\n')}
+    </band>
+  </${section}>`;
+
+describe('JRXML Linter', () => {
+  let linter;
+
+  const findings = (content, options) =>
+    linter
+      .lint(content, options)
+      .findings.map(finding => `${finding.line} ${finding.rule}: ${finding.message}`);
+
+  beforeEach(() => {
+    linter = new JRXMLLinter();
+  });
+
+  test('should accept the test fixtures apart from their detail labels', () => {
+    ['complex_report.jrxml', 'parameterized_report.jrxml', 'simple_report.jrxml'].forEach(name => {
+      const content = readFileSync(`test/fixtures/reports/${name}`, 'utf8');
+      const rules = new Set(linter.lint(content).findings.map(finding => finding.rule));
+
+      rules.delete('missing-when-no-data');
+      rules.delete('static-text-in-detail');
+      expect([name, ...rules]).toEqual([name]);
+    });
+  });
+
+  test('should add whenNoDataType', () => {
+    const content = report(band('title', 20, staticText(0, 0, 100, 20)), '');
+
+    expect(findings(content)).toEqual([
+      '2 missing-when-no-data: The report has no whenNoDataType, so it renders no pages when its query returns no rows',
+    ]);
+    expect(linter.fix(content).jrxmlContent).toContain(
+      'name="Orders" whenNoDataType="AllSectionsNoDetail">'
+    );
+  });
+
+  test('should move elements back inside the page margins', () => {
+    const content = report(
+      band('title', 20, staticText(500, 0, 100, 20), staticText(-5, 0, 100, 20, 'Date'))
+    );
+
+    expect(findings(content)).toEqual([
+      '8 outside-margins: <staticText> at x=500 with width 100 reaches outside the title band (width 555)',
+      '12 outside-margins: <staticText> at x=-5 with width 100 reaches outside the title band (width 555)',
+    ]);
+    expect(linter.fix(content).changes.map(change => change.message)).toEqual([
+      'Moved <staticText> at x=500 with width 100 to x=455 to fit the title band',
+      'Moved <staticText> at x=-5 with width 100 to x=0 to fit the title band',
+    ]);
+  });
+
+  test('should grow bands and frames that elements reach below', () => {
+    const content = report(
+      band(
+        'title',
+        30,
+        `      <frame>
+        <reportElement x="0" y="0" width="300" height="20"/>
+${staticText(0, 10, 100, 20)}
+      </frame>`
+      )
+    );
+
+    expect(findings(content)).toEqual([
+      '10 band-overflow: <staticText> at y=10 with height 20 reaches outside the frame (height 20)',
+    ]);
+
+    const result = linter.fix(content);
+    expect(result.changes.map(change => change.message)).toEqual([
+      'Grew the frame from height 20 to 30 to fit <staticText>',
+    ]);
+    expect(result.jrxmlContent).toContain('<reportElement x="0" y="0" width="300" height="30"/>');
+    expect(result.findings).toEqual([]);
+  });
+
+  test('should separate overlapping elements', () => {
+    const content = report(
+      band(
+        'columnHeader',
+        40,
+        staticText(0, 0, 120, 20),
+        staticText(100, 0, 100, 20, 'Date'),
+        staticText(0, 10, 100, 20, 'Total'),
+        `      <rectangle>
+        <reportElement x="0" y="0" width="555" height="40"/>
+      </rectangle>`,
+        staticText(0, 0, 555, 40, '')
+      )
+    );
+
+    expect(findings(content)).toEqual([
+      '12 element-overlap: <staticText> overlaps <staticText> at line 7',
+      '16 element-overlap: <staticText> overlaps <staticText> at line 7',
+    ]);
+
+    const result = linter.fix(content);
+    expect(result.changes.map(change => change.message)).toEqual([
+      'Narrowed <staticText> at line 7 to width 100 so it ends where <staticText> at line 11 starts',
+      'Moved <staticText> at line 15 to y=20 below <staticText> at line 7',
+    ]);
+    expect(result.findings).toEqual([]);
+  });
+
+  test('should widen text fields too narrow for their pattern', () => {
+    const content = report(
+      band(
+        'detail',
+        20,
+        textField(0, 0, 40, 20, ' pattern="dd/MM/yyyy"'),
+        textField(45, 0, 40, 20, ' pattern="#,##0.00"').replace(
+          'height="20"/>',
+          'height="20" style="Large"/>'
+        ),
+        textField(110, 0, 60, 20, ' pattern="dd/MM/yyyy"')
+      )
+    ).replace('  <field name="customer"/>', '  <style name="Large" fontSize="12"/>\n$&');
+
+    expect(findings(content)).toEqual([
+      "9 narrow-pattern: <textField> is 40 wide, but pattern 'dd/MM/yyyy' needs about 55 at font size 10",
+      "13 narrow-pattern: <textField> is 40 wide, but pattern '#,##0.00' needs about 59 at font size 12",
+    ]);
+
+    // The first field can only grow up to the second one
+    const result = linter.fix(content);
+    expect(result.changes.map(change => change.message)).toEqual([
+      "Widened <textField> from width 40 to 45 for pattern 'dd/MM/yyyy'",
+      "Widened <textField> from width 40 to 59 for pattern '#,##0.00'",
+    ]);
+    expect(result.findings.map(finding => `${finding.line} ${finding.message}`)).toEqual([
+      "9 <textField> is 45 wide, but pattern 'dd/MM/yyyy' needs about 55 at font size 10",
+    ]);
+  });
+
+  test('should flag isStretchWithOverflow misuse', () => {
+    const content = report(
+      `${band(
+        'detail',
+        40,
+        textField(0, 0, 200, 20, ' isStretchWithOverflow="true"'),
+        staticText(0, 20, 200, 20, 'Notes').replace(
+          '<staticText>',
+          '<staticText isStretchWithOverflow="true">'
+        )
+      )}
+${band('pageFooter', 20, textField(0, 0, 200, 20, ' textAdjust="StretchHeight"'))}`
+    );
+
+    expect(findings(content, { rules: ['stretch-with-overflow'] })).toEqual([
+      '11 stretch-with-overflow: isStretchWithOverflow only applies to <textField>, not <staticText>',
+      '12 stretch-with-overflow: <staticText> below the stretching <textField> at line 7 keeps its position, so the text field overlaps it when it stretches',
+      '19 stretch-with-overflow: Text fields do not stretch in pageFooter bands, so textAdjust has no effect',
+    ]);
+
+    const { jrxmlContent, findings: remaining } = linter.fix(content, {
+      rules: ['stretch-with-overflow'],
+    });
+    expect(jrxmlContent).toContain('      <staticText>\n');
+    expect(jrxmlContent).toContain(
+      '<reportElement x="0" y="20" width="200" height="20" positionType="Float"/>'
+    );
+    expect(jrxmlContent).toContain(
+      '      <textField>\n        <reportElement x="0" y="0" width="200" height="20"/>'
+    );
+    expect(remaining).toEqual([]);
+  });
+
+  test('should flag static text in the detail band without fixing it', () => {
+    const content = report(
+      band('detail', 20, staticText(0, 0, 100, 20), staticText(100, 0, 100, 20, ''))
+    );
+
+    expect(findings(content)).toEqual([
+      '7 static-text-in-detail: Static text "Customer" in the detail band repeats on every row; labels usually belong in the columnHeader band',
+    ]);
+    expect(linter.fix(content)).toMatchObject({ jrxmlContent: content, changes: [] });
+  });
+
+  test('should keep formatting and comments when fixing the real-world report', () => {
+    const content = readFileSync(
+      'test/fixtures/real_report/resources/reports/GRH/recompense_files/main_jrxml.data',
+      'utf8'
+    );
+
+    const result = linter.fix(content);
+    const changedLines = content
+      .split('\n')
+      .filter((line, index) => line !== result.jrxmlContent.split('\n')[index]);
+
+    expect(result.changes.length).toBeGreaterThan(0);
+    expect(result.findings).toEqual([]);
+    expect(result.jrxmlContent.split('\n')).toHaveLength(content.split('\n').length);
+    changedLines.forEach(line => expect(line).toMatch(/<reportElement /));
+    expect(new JRXMLValidator().validate(result.jrxmlContent).valid).toBe(true);
+  });
+
+  test('should reject unknown rules', () => {
+    expect(() => linter.lint(report(''), { rules: ['overlap'] })).toThrow(
+      'Unknown lint rule(s): overlap'
+    );
+  });
+});
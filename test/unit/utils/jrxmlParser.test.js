@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the JRXML parser
+ */
+
+import { parseJRXML, getChild, getChildren, walkElements } from '../../../src/utils/jrxmlParser.js';
+
+describe('JRXML Parser', () => {
+  test('should build an element tree with line and column numbers', () => {
+    const root = parseJRXML(`<?xml version="1.0" encoding="UTF-8"?>
+<!-- Orders report -->
+<jasperReport name="Orders" pageWidth='595'>
+  <field name="id" class="java.lang.Integer"/>
+  <queryString><![CDATA[SELECT id FROM orders WHERE id < 10]]></queryString>
+</jasperReport>`);
+
+    expect(root).toMatchObject({
+      name: 'jasperReport',
+      attributes: { name: 'Orders', pageWidth: '595' },
+      line: 3,
+      column: 1,
+    });
+    expect(getChildren(root, 'field')).toEqual([
+      {
+        name: 'field',
+        attributes: { name: 'id', class: 'java.lang.Integer' },
+        children: [],
+        text: '',
+        line: 4,
+        column: 3,
+      },
+    ]);
+    expect(getChild(root, 'queryString').text).toBe('SELECT id FROM orders WHERE id < 10');
+    expect(getChild(root, 'queryString').textLocation).toEqual({ line: 5, column: 25, index: 0 });
+    expect(getChild(root, 'title')).toBeNull();
+  });
+
+  test('should decode entities in text and attributes', () => {
+    const root = parseJRXML(
+      '<jasperReport name="A &amp; B"><text>x &lt; y &#65;&#x42;</text></jasperReport>'
+    );
+
+    expect(root.attributes.name).toBe('A & B');
+    expect(getChild(root, 'text').text).toBe('x < y AB');
+  });
+
+  test('should visit every element depth first', () => {
+    const root = parseJRXML('<a><b><c/></b><d/></a>');
+    const visited = [];
+
+    walkElements(root, (node, parent) =>
+      visited.push(`${parent ? parent.name : '-'}>${node.name}`)
+    );
+
+    expect(visited).toEqual(['->a', 'a>b', 'b>c', 'a>d']);
+  });
+
+  test.each([
+    ['<a><b></a>', 'line 1, column 7: End tag </a> does not match <b> opened at line 1'],
+    ['<a>\n  <b>\n</a>', 'line 3, column 1: End tag </a> does not match <b>'],
+    ['<a name="x" name="y"/>', "line 1, column 13: Duplicate attribute 'name' in <a>"],
+    ['<a name=x/>', "Value of attribute 'name' in <a> must be quoted"],
+    ['<a>R&D</a>', "line 1, column 5: Unescaped '&'"],
+    ['<a>\n<b>', 'line 2, column 1: Element <b> is not closed'],
+    ['<a/><b/>', 'Only one root element is allowed'],
+    ['<?xml version="1.0"?>', 'No root element found'],
+  ])('should reject malformed XML %j', (content, message) => {
+    expect(() => parseJRXML(content)).toThrow(message);
+  });
+
+  test('should report the location of malformed XML in the error details', () => {
+    expect.assertions(2);
+    try {
+      parseJRXML('<jasperReport>\n  <field name="id">\n</jasperReport>');
+    } catch (error) {
+      expect(error.type).toBe('InvalidParams');
+      expect(error.details).toMatchObject({ line: 3, column: 1 });
+    }
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for the JRXML validator
+ */
+
+import { readFileSync } from 'fs';
+import { JRXMLValidator } from '../../../src/utils/jrxmlValidator.js';
+import { ReportSpecCompiler } from '../../../src/utils/reportSpecCompiler.js';
+
+const report = (body, attributes = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Test"${attributes}>
+${body}
+</jasperReport>`;
+
+describe('JRXML Validator', () => {
+  let validator;
+
+  const findings = (content, rule) =>
+    validator
+      .validate(content)
+      .errors.filter(error => !rule || error.rule === rule)
+      .map(error => `${error.line}: ${error.message}`);
+
+  beforeEach(() => {
+    validator = new JRXMLValidator();
+  });
+
+  test('should accept the test fixtures and compiled report specs', () => {
+    const fixture = readFileSync('test/fixtures/reports/complex_report.jrxml', 'utf8');
+    const { jrxmlContent } = new ReportSpecCompiler().compile({
+      name: 'Compiled',
+      title: 'Compiled',
+      fields: [{ name: 'region' }, { name: 'amount', class: 'java.lang.Double' }],
+      groups: [{ name: 'Region', expression: 'region' }],
+      columns: [{ field: 'region' }, { field: 'amount', total: 'Sum' }],
+      charts: [{ type: 'pie', category: 'region', value: 'amount' }],
+    });
+
+    expect(validator.validate(fixture)).toMatchObject({ valid: true, errors: [] });
+    expect(validator.validate(jrxmlContent)).toMatchObject({ valid: true, errors: [] });
+  });
+
+  test('should summarize the declarations of the report', () => {
+    const result = validator.validate(
+      report(`  <parameter name="Region"/>
+  <field name="id" class="java.lang.Integer"/>
+  <variable name="total" class="java.lang.Integer" calculation="Count">
+    <variableExpression><![CDATA[$F{id}]]></variableExpression>
+  </variable>`)
+    );
+
+    expect(result.report).toMatchObject({
+      name: 'Test',
+      parameters: ['Region'],
+      fields: ['id'],
+      variables: ['total'],
+      page: { usableWidth: 555, usableHeight: 782 },
+    });
+  });
+
+  test('should report XML syntax errors with their location', () => {
+    const result = validator.validate(report('  <field name="id">'));
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      expect.objectContaining({ rule: 'xml-syntax', line: 4, column: 1, element: null }),
+    ]);
+  });
+
+  test('should require a jasperReport root element', () => {
+    expect(findings('<report name="x"/>')).toEqual([
+      '1: Root element must be <jasperReport>, found <report>',
+    ]);
+  });
+
+  test('should check the element order of the schema', () => {
+    const content = report(`  <field name="id"/>
+  <parameter name="Region"/>
+  <title><band height="20"/></title>
+  <title><band height="20"/></title>`);
+
+    expect(findings(content, 'element-order')).toEqual([
+      '4: <parameter> must come before <field> in <jasperReport>',
+      '6: Only one <title> is allowed in <jasperReport>',
+    ]);
+  });
+
+  test('should check required and integer attributes', () => {
+    const content = report(`  <field class="java.lang.String"/>
+  <detail>
+    <band height="20px">
+      <staticText>
+        <reportElement x="0" y="0" width="100"/>
+        <text><![CDATA[Name]]></text>
+      </staticText>
+    </band>
+  </detail>`);
+
+    expect(findings(content)).toEqual([
+      "3: <field> is missing required attribute 'name'",
+      "5: Attribute 'height' of <band> must be an integer, found '20px'",
+      "7: <reportElement> is missing required attribute 'height'",
+    ]);
+  });
+
+  test('should flag unknown elements but not component elements', () => {
+    const content = report(`  <detail>
+    <band height="50">
+      <textBox/>
+      <componentElement>
+        <reportElement x="0" y="0" width="200" height="50"/>
+        <jr:list xmlns:jr="http://jasperreports.sourceforge.net/jasperreports/components">
+          <jr:listContents height="50"/>
+        </jr:list>
+      </componentElement>
+    </band>
+  </detail>`);
+
+    expect(findings(content)).toEqual(['5: Unknown element <textBox> in <band>']);
+  });
+
+  test('should flag duplicate declarations per dataset', () => {
+    const content = report(`  <subDataset name="Items">
+    <field name="id"/>
+  </subDataset>
+  <parameter name="Region"/>
+  <parameter name="Region"/>
+  <field name="id"/>`);
+
+    expect(findings(content, 'duplicate-name')).toEqual([
+      "7: Duplicate parameter 'Region' (first declared at line 6)",
+    ]);
+  });
+
+  test('should check band heights against the usable page height', () => {
+    const content = report(
+      `  <pageHeader><band height="300"/></pageHeader>
+  <columnHeader><band height="100"/></columnHeader>
+  <summary><band height="400"/></summary>`,
+      ' pageHeight="400" topMargin="20" bottomMargin="20"'
+    );
+
+    expect(findings(content, 'band-height')).toEqual([
+      '2: Page header, column header, column footer and page footer bands are 400 high together, more than the usable page height 360',
+      '5: The summary band height 400 exceeds the usable page height 360',
+    ]);
+  });
+
+  test('should flag elements below their band or frame, leaving the width to the linter', () => {
+    const content = report(`  <group name="Region">
+    <groupExpression><![CDATA[$F{region}]]></groupExpression>
+    <groupHeader>
+      <band height="20">
+        <textField>
+          <reportElement x="0" y="5" width="100" height="20"/>
+          <textFieldExpression><![CDATA[$F{region}]]></textFieldExpression>
+        </textField>
+      </band>
+    </groupHeader>
+  </group>
+  <title>
+    <band height="60">
+      <frame>
+        <reportElement x="0" y="0" width="300" height="60"/>
+        <staticText>
+          <reportElement x="250" y="0" width="100" height="20"/>
+          <text><![CDATA[Title]]></text>
+        </staticText>
+      </frame>
+      <pieChart>
+        <chart>
+          <reportElement x="-10" y="0" width="200" height="60"/>
+        </chart>
+      </pieChart>
+    </band>
+  </title>`);
+
+    const result = validator.validate(content);
+
+    expect(findings(content, 'element-bounds')).toEqual([
+      '8: <textField> at y=5 with height 20 reaches outside the Region group header band (height 20)',
+    ]);
+    expect(result.warnings).toEqual([]);
+  });
+});
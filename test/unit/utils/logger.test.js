@@ -0,0 +1,156 @@
+/**
+ * Unit tests for central logger
+ */
+
+import { jest } from '@jest/globals';
+import { LogManager, Logger, normalizeLogLevel } from '../../../src/utils/logger.js';
+
+describe('Logger', () => {
+  let manager;
+  let logger;
+  let consoleSpy;
+
+  const createServer = sessionId => ({
+    transport: { sessionId },
+    sendLoggingMessage: jest.fn().mockResolvedValue(),
+  });
+
+  beforeEach(() => {
+    manager = new LogManager();
+    logger = new Logger('Test Service', manager);
+    consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  describe('normalizeLogLevel', () => {
+    test('should map configuration levels to MCP levels', () => {
+      expect(normalizeLogLevel('trace')).toBe('debug');
+      expect(normalizeLogLevel('warn')).toBe('warning');
+      expect(normalizeLogLevel('critical')).toBe('critical');
+      expect(normalizeLogLevel('verbose')).toBeNull();
+    });
+  });
+
+  describe('stderr output', () => {
+    test('should write records at or above the configured level', () => {
+      manager.configure({ logLevel: 'warn' });
+
+      logger.info('Ignored');
+      logger.warning('Slow response', { responseTime: 1200 });
+
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+      expect(consoleSpy).toHaveBeenCalledWith(
+        '[WARNING] [Test Service] Slow response {"responseTime":1200}'
+      );
+    });
+
+    test('should write debug records as JSON in debug mode', () => {
+      manager.configure({ logLevel: 'info', debugMode: true });
+
+      logger.debug('Details', { executionId: 'exec-1' });
+
+      const record = JSON.parse(consoleSpy.mock.calls[0][0]);
+      expect(record).toMatchObject({
+        level: 'debug',
+        service: 'Test Service',
+        message: 'Details',
+        executionId: 'exec-1',
+      });
+    });
+
+    test('should not log when logging is disabled', () => {
+      manager.configure({ logLevel: 'none' });
+
+      logger.error('Failure');
+
+      expect(consoleSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('client forwarding', () => {
+    test('should forward records to the session that logged them', async () => {
+      const sessionA = createServer('session-a');
+      const sessionB = createServer('session-b');
+      manager.addServer(sessionA);
+      manager.addServer(sessionB);
+
+      await manager.runWithContext({ sessionId: 'session-a' }, () =>
+        manager.runWithContext({ tool: 'jasper_run_report_sync', correlationId: 'corr-1' }, () =>
+          logger.info('Report started', { reportUri: '/reports/sales' })
+        )
+      );
+
+      expect(sessionB.sendLoggingMessage).not.toHaveBeenCalled();
+      expect(sessionA.sendLoggingMessage).toHaveBeenCalledWith({
+        level: 'info',
+        logger: 'Test Service',
+        data: expect.objectContaining({
+          message: 'Report started',
+          tool: 'jasper_run_report_sync',
+          correlationId: 'corr-1',
+          reportUri: '/reports/sales',
+        }),
+      });
+      expect(sessionA.sendLoggingMessage.mock.calls[0][0].data).not.toHaveProperty('sessionId');
+    });
+
+    test('should forward records without a session to stdio clients', () => {
+      const server = createServer(undefined);
+      manager.addServer(server);
+
+      logger.info('Server started');
+
+      expect(server.sendLoggingMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should apply the level requested by the client', () => {
+      const server = createServer(undefined);
+      manager.addServer(server);
+      manager.setServerLevel(server, 'debug');
+
+      logger.debug('Polling');
+
+      expect(server.sendLoggingMessage).toHaveBeenCalledTimes(1);
+      expect(consoleSpy).not.toHaveBeenCalled();
+
+      manager.setServerLevel(server, 'error');
+      logger.warning('Retrying');
+
+      expect(server.sendLoggingMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report whether a level is logged to stderr or the client', () => {
+      const server = createServer(undefined);
+      manager.addServer(server);
+
+      expect(logger.isEnabled('debug')).toBe(false);
+      expect(logger.isEnabled('info')).toBe(true);
+
+      manager.setServerLevel(server, 'debug');
+      expect(logger.isEnabled('debug')).toBe(true);
+
+      manager.configure({ logLevel: 'none' });
+      expect(logger.isEnabled('error')).toBe(false);
+    });
+
+    test('should skip disconnected and removed servers and ignore send failures', () => {
+      const disconnected = { sendLoggingMessage: jest.fn() };
+      const failing = createServer(undefined);
+      failing.sendLoggingMessage.mockRejectedValue(new Error('Not connected'));
+      const removed = createServer(undefined);
+
+      manager.addServer(disconnected);
+      manager.addServer(failing);
+      const remove = manager.addServer(removed);
+      remove();
+
+      expect(() => logger.error('Failure')).not.toThrow();
+      expect(disconnected.sendLoggingMessage).not.toHaveBeenCalled();
+      expect(failing.sendLoggingMessage).toHaveBeenCalledTimes(1);
+      expect(removed.sendLoggingMessage).not.toHaveBeenCalled();
+    });
+  });
+});
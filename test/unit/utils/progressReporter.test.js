@@ -0,0 +1,117 @@
+/**
+ * Unit tests for progress reporter
+ */
+
+import { jest } from '@jest/globals';
+import { ProgressReporter } from '../../../src/utils/progressReporter.js';
+
+describe('ProgressReporter', () => {
+  let sendNotification;
+
+  beforeEach(() => {
+    sendNotification = jest.fn().mockResolvedValue();
+  });
+
+  describe('fromRequest', () => {
+    test('should create a reporter when a progress token is supplied', () => {
+      const reporter = ProgressReporter.fromRequest({
+        _meta: { progressToken: 'token-1' },
+        sendNotification,
+      });
+
+      expect(reporter).toBeInstanceOf(ProgressReporter);
+      expect(reporter.progressToken).toBe('token-1');
+    });
+
+    test('should accept numeric progress tokens', () => {
+      const reporter = ProgressReporter.fromRequest({
+        _meta: { progressToken: 0 },
+        sendNotification,
+      });
+
+      expect(reporter.progressToken).toBe(0);
+    });
+
+    test('should return null without a progress token', () => {
+      expect(ProgressReporter.fromRequest({ sendNotification })).toBeNull();
+      expect(ProgressReporter.fromRequest(undefined)).toBeNull();
+    });
+  });
+
+  describe('report', () => {
+    test('should send status, pages and elapsed time', async () => {
+      const reporter = new ProgressReporter('token-1', sendNotification, {
+        startTime: Date.now() - 12000,
+      });
+
+      await reporter.report({
+        executionId: 'exec_1',
+        status: 'running',
+        currentPage: 4,
+        totalPages: 10,
+      });
+
+      expect(sendNotification).toHaveBeenCalledWith({
+        method: 'notifications/progress',
+        params: expect.objectContaining({
+          progressToken: 'token-1',
+          progress: 12,
+          status: 'running',
+          currentPage: 4,
+          totalPages: 10,
+          executionId: 'exec_1',
+          message: 'Execution running, page 4 of 10, 12s elapsed',
+        }),
+      });
+      expect(sendNotification.mock.calls[0][0].params.elapsedMs).toBeGreaterThanOrEqual(12000);
+    });
+
+    test('should always increase the progress value', async () => {
+      const reporter = new ProgressReporter('token-1', sendNotification);
+
+      await reporter.report({ status: 'queued' });
+      await reporter.report({ status: 'running' });
+      await reporter.report({ status: 'running' });
+
+      const progressValues = sendNotification.mock.calls.map(([n]) => n.params.progress);
+      expect(progressValues).toEqual([0, 1, 2]);
+    });
+
+    test('should omit unknown page counts', async () => {
+      const reporter = new ProgressReporter('token-1', sendNotification);
+
+      await reporter.report({ status: 'running' });
+
+      const { params } = sendNotification.mock.calls[0][0];
+      expect(params).not.toHaveProperty('currentPage');
+      expect(params).not.toHaveProperty('totalPages');
+      expect(params.message).toMatch(/^Execution running, \d+s elapsed$/);
+    });
+
+    test('should not throw when the notification cannot be sent', async () => {
+      sendNotification.mockRejectedValue(new Error('Connection closed'));
+      const reporter = new ProgressReporter('token-1', sendNotification);
+
+      await expect(reporter.report({ status: 'running' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('heartbeat', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should report periodically until stopped', () => {
+      jest.useFakeTimers();
+      const reporter = new ProgressReporter('token-1', sendNotification);
+
+      reporter.startHeartbeat(() => ({ status: 'running' }), 1000);
+      jest.advanceTimersByTime(3000);
+      reporter.stopHeartbeat();
+      jest.advanceTimersByTime(3000);
+
+      expect(sendNotification).toHaveBeenCalledTimes(3);
+      expect(reporter.heartbeatTimer).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Unit tests for the report bundler
+ */
+
+import { readFileSync } from 'fs';
+import ReportBundler, { readZip } from '../../../src/utils/reportBundler.js';
+
+const base64 = text => Buffer.from(text).toString('base64');
+
+const jrxml = body => `<?xml version="1.0" encoding="UTF-8"?>
+<jasperReport xmlns="http://jasperreports.sourceforge.net/jasperreports" name="Orders"${body}
+</jasperReport>`;
+
+const image = expression => `
+      <image>
+        <reportElement x="0" y="0" width="40" height="40"/>
+        <imageExpression>${expression}</imageExpression>
+      </image>`;
+
+describe('Report Bundler', () => {
+  let bundler;
+
+  beforeEach(() => {
+    bundler = new ReportBundler();
+  });
+
+  test('should read stored and deflated zip entries', () => {
+    const files = readZip(readFileSync('test/fixtures/bundles/orders_bundle.zip'));
+
+    expect(files.map(file => file.path)).toEqual([
+      'orders/subreports/order_lines.jrxml',
+      'orders/subreports/order_lines.jasper',
+      'orders/images/logo.png',
+      'orders/images/product.png',
+      'orders/styles.jrtx',
+      'orders/messages.properties',
+      'orders/messages_fr.properties',
+      'orders/README.txt',
+    ]);
+    expect(files[3].content.toString('latin1')).toBe('\x89PNG\r\n\x1a\nproduct');
+    expect(files[5].content.toString('utf8')).toBe('title=Orders\n');
+  });
+
+  test.each([
+    ['local header offset', 42, 'local header of orders/README.txt is damaged'],
+    ['compressed size', 20, 'data of orders/README.txt is truncated'],
+  ])('should reject an archive with a damaged %s', (_field, position, message) => {
+    const zip = readFileSync('test/fixtures/bundles/orders_bundle.zip');
+    const entry = zip.lastIndexOf('orders/README.txt') - 46;
+    zip.writeUInt32LE(zip.length, entry + position);
+
+    expect(() => readZip(zip)).toThrow(
+      expect.objectContaining({
+        type: 'InvalidParams',
+        message: `Bundle zip is not readable: ${message}`,
+      })
+    );
+  });
+
+  test('should upload the referenced files of a zip bundle and rewrite their references', () => {
+    const result = bundler.bundle(
+      jrxml(` resourceBundle="i18n/messages">
+  <template><![CDATA["styles/styles.jrtx"]]></template>
+  <title>
+    <band height="40">${image('<![CDATA["repo:/images/shared/logo.png"]]>')}
+    </band>
+  </title>
+  <detail>
+    <band height="20">
+      <subreport>
+        <reportElement x="0" y="0" width="200" height="20"/>
+        <subreportExpression><![CDATA[$P{SUBREPORT_DIR} + "order_lines.jasper"]]></subreportExpression>
+      </subreport>
+    </band>
+  </detail>`),
+      {
+        reportUri: '/reports/orders',
+        bundle: {
+          zip: readFileSync('test/fixtures/bundles/orders_bundle.zip').toString('base64'),
+        },
+      }
+    );
+
+    expect(result.dependencies).toEqual([
+      {
+        kind: 'resourceBundle',
+        reference: 'i18n/messages',
+        line: 2,
+        status: 'bundled',
+        resource: 'messages.properties',
+        rewrittenTo: 'messages',
+      },
+      {
+        kind: 'template',
+        reference: '"styles/styles.jrtx"',
+        line: 3,
+        status: 'bundled',
+        resource: 'styles.jrtx',
+        rewrittenTo: '"repo:styles.jrtx"',
+      },
+      {
+        kind: 'image',
+        reference: '"repo:/images/shared/logo.png"',
+        line: 8,
+        status: 'bundled',
+        resource: 'logo.png',
+        rewrittenTo: '"repo:logo.png"',
+      },
+      {
+        kind: 'subreport',
+        reference: '$P{SUBREPORT_DIR} + "order_lines.jasper"',
+        line: 16,
+        status: 'bundled',
+        resource: 'order_lines.jrxml',
+        rewrittenTo: '"repo:order_lines.jrxml"',
+      },
+      {
+        source: 'order_lines.jrxml',
+        kind: 'image',
+        reference: '"../images/product.png"',
+        line: 8,
+        status: 'bundled',
+        resource: 'product.png',
+        rewrittenTo: '"repo:product.png"',
+      },
+    ]);
+    expect(result.jrxmlContent).toContain('resourceBundle="messages"');
+    expect(result.jrxmlContent).toContain('<template><![CDATA["repo:styles.jrtx"]]></template>');
+    expect(result.jrxmlContent).toContain('<![CDATA["repo:logo.png"]]>');
+    expect(result.jrxmlContent).toContain('<![CDATA["repo:order_lines.jrxml"]]>');
+    expect(result.localResources.map(({ name, type }) => ({ name, type }))).toEqual([
+      { name: 'messages.properties', type: 'prop' },
+      { name: 'messages_fr.properties', type: 'prop' },
+      { name: 'styles.jrtx', type: 'jrtx' },
+      { name: 'logo.png', type: 'img' },
+      { name: 'order_lines.jrxml', type: 'jrxml' },
+      { name: 'product.png', type: 'img' },
+    ]);
+    expect(result.localResources[4].content.toString('utf8')).toContain(
+      '<imageExpression><![CDATA["repo:product.png"]]></imageExpression>'
+    );
+    expect(result.bundledResources).toHaveLength(6);
+    expect(result.unusedBundleFiles).toEqual([
+      'orders/subreports/order_lines.jasper',
+      'orders/README.txt',
+    ]);
+  });
+
+  test('should report missing, external and dynamic references', () => {
+    const result = bundler.bundle(
+      jrxml(`>
+  <title>
+    <band height="40">${[
+      '"logo.png"',
+      '"images/chart.png"',
+      '"images/missing.png"',
+      '"repo:/images/shared/banner.png"',
+      '"https://example.com/stamp.png"',
+      '$P{LOGO}',
+    ]
+      .map(image)
+      .join('')}
+    </band>
+  </title>`),
+      {
+        reportUri: '/reports/orders',
+        localResources: [{ name: 'logo.png', type: 'img', content: base64('logo') }],
+        bundle: { files: { 'images/chart.png': base64('chart'), 'notes.txt': base64('notes') } },
+      }
+    );
+
+    expect(result.dependencies.map(({ reference, status }) => [reference, status])).toEqual([
+      ['"logo.png"', 'local'],
+      ['"images/chart.png"', 'bundled'],
+      ['"images/missing.png"', 'missing'],
+      ['"repo:/images/shared/banner.png"', 'external'],
+      ['"https://example.com/stamp.png"', 'external'],
+      ['$P{LOGO}', 'dynamic'],
+    ]);
+    expect(result.dependencies[0].rewrittenTo).toBeUndefined();
+    expect(result.jrxmlContent).toContain('<imageExpression>"repo:chart.png"</imageExpression>');
+    expect(result.jrxmlContent).toContain(
+      '<imageExpression>"images/missing.png"</imageExpression>'
+    );
+    expect(result.localResources.map(localResource => localResource.name)).toEqual([
+      'logo.png',
+      'chart.png',
+    ]);
+    expect(result.unusedBundleFiles).toEqual(['notes.txt']);
+  });
+
+  test('should keep the quoting style of plain text expressions', () => {
+    const result = bundler.bundle(
+      jrxml(`>
+  <title>
+    <band height="40">${image('&quot;images/chart.png&quot;')}
+    </band>
+  </title>`),
+      { reportUri: '/reports/orders', bundle: { files: { 'chart.png': base64('chart') } } }
+    );
+
+    expect(result.jrxmlContent).toContain(
+      '<imageExpression>&quot;repo:chart.png&quot;</imageExpression>'
+    );
+  });
+
+  test.each([
+    [
+      "both be uploaded as 'logo.png'",
+      { files: { 'a/logo.png': base64('a'), 'b/logo.png': base64('b') } },
+    ],
+    ["Bundle file 'logo.png' must have base64 content", { files: { 'logo.png': 42 } }],
+    ['no end of central directory record found', { zip: base64('not a zip archive') }],
+  ])('should reject malformed bundles: %s', (message, bundle) => {
+    expect(() => bundler.bundle(jrxml('>'), { reportUri: '/reports/orders', bundle })).toThrow(
+      message
+    );
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Unit tests for the report spec compiler
+ */
+
+import { ReportSpecCompiler } from '../../../src/utils/reportSpecCompiler.js';
+import { JRXMLLinter } from '../../../src/utils/jrxmlLinter.js';
+import { MCP_ERROR_TYPES } from '../../../src/utils/errorHandler.js';
+
+describe('ReportSpecCompiler', () => {
+  let compiler;
+
+  const salesSpec = () => ({
+    name: 'SalesReport',
+    title: 'Sales by Region',
+    query: 'SELECT region, product, amount, quantity FROM sales ORDER BY region',
+    fields: [
+      { name: 'region' },
+      { name: 'product' },
+      { name: 'amount', class: 'java.math.BigDecimal' },
+      { name: 'quantity', class: 'java.lang.Integer' },
+    ],
+    groups: [{ name: 'RegionGroup', expression: 'region', header: { label: 'Region:' } }],
+    columns: [
+      { field: 'product', header: 'Product', width: 255 },
+      { field: 'amount', header: 'Amount', total: 'Sum' },
+      { field: 'quantity', header: 'Quantity', total: 'Count' },
+    ],
+  });
+
+  beforeEach(() => {
+    compiler = new ReportSpecCompiler();
+  });
+
+  describe('layout', () => {
+    test('should share the remaining width between columns without a width', () => {
+      const { layout } = compiler.compile(salesSpec());
+
+      expect(layout.columnWidth).toBe(555);
+      expect(layout.columns).toEqual([
+        { header: 'Product', x: 0, width: 255 },
+        { header: 'Amount', x: 255, width: 150 },
+        { header: 'Quantity', x: 405, width: 150 },
+      ]);
+    });
+
+    test('should compute band heights from the largest font', () => {
+      const spec = { ...salesSpec(), styles: [{ name: 'Large', isDefault: true, fontSize: 20 }] };
+
+      const { layout, jrxmlContent } = compiler.compile(spec);
+
+      expect(layout.bandHeights).toMatchObject({
+        title: 40,
+        columnHeader: 37,
+        'groupHeader:RegionGroup': 37,
+        'groupFooter:RegionGroup': 37,
+        detail: 32,
+        summary: 37,
+      });
+      expect(jrxmlContent).toContain('<reportElement x="255" y="0" width="150" height="32"/>');
+    });
+
+    test('should use landscape page dimensions and custom margins', () => {
+      const spec = {
+        ...salesSpec(),
+        page: { format: 'Letter', orientation: 'landscape', margins: { left: 36, right: 36 } },
+      };
+
+      const { layout, jrxmlContent } = compiler.compile(spec);
+
+      expect(layout).toMatchObject({ pageWidth: 792, pageHeight: 612, columnWidth: 720 });
+      expect(jrxmlContent).toContain('leftMargin="36"');
+    });
+  });
+
+  describe('JRXML output', () => {
+    test('should emit elements in JRXML schema order', () => {
+      const spec = {
+        ...salesSpec(),
+        styles: [{ name: 'Base', isDefault: true, fontName: 'DejaVu Sans' }],
+        parameters: [{ name: 'Region', defaultValue: '"EMEA"' }],
+      };
+
+      const { jrxmlContent } = compiler.compile(spec);
+      const order = [
+        '<style ',
+        '<parameter ',
+        '<queryString',
+        '<field ',
+        '<variable ',
+        '<group ',
+        '<title>',
+        '<columnHeader>',
+        '<detail>',
+        '<pageFooter>',
+        '<summary>',
+      ].map(tag => jrxmlContent.indexOf(tag));
+
+      expect(order.every(index => index > 0)).toBe(true);
+      expect([...order].sort((a, b) => a - b)).toEqual(order);
+    });
+
+    test('should render all sections without data unless the spec says otherwise', () => {
+      const { jrxmlContent } = compiler.compile(salesSpec());
+      const { findings } = new JRXMLLinter().lint(jrxmlContent);
+
+      expect(jrxmlContent).toContain('whenNoDataType="AllSectionsNoDetail"');
+      expect(findings.filter(finding => finding.rule === 'missing-when-no-data')).toEqual([]);
+      expect(
+        compiler.compile({ ...salesSpec(), whenNoDataType: 'NoDataSection' }).jrxmlContent
+      ).toContain('whenNoDataType="NoDataSection"');
+    });
+
+    test('should generate group and report totals', () => {
+      const { jrxmlContent, variables } = compiler.compile(salesSpec());
+
+      expect(variables).toEqual([
+        'RegionGroup_amount_Sum',
+        'amount_Sum',
+        'RegionGroup_quantity_Count',
+        'quantity_Count',
+      ]);
+      expect(jrxmlContent).toContain(
+        '<variable name="RegionGroup_amount_Sum" class="java.math.BigDecimal" resetType="Group" resetGroup="RegionGroup" calculation="Sum">'
+      );
+      expect(jrxmlContent).toContain(
+        '<variable name="quantity_Count" class="java.lang.Integer" calculation="Count">'
+      );
+      expect(jrxmlContent).toContain('<![CDATA["Region: " + $F{region}]]>');
+      expect(jrxmlContent).toContain('<text><![CDATA[Grand Total]]></text>');
+    });
+
+    test('should apply default patterns and alignment per field class', () => {
+      const { jrxmlContent } = compiler.compile(salesSpec());
+
+      expect(jrxmlContent).toContain('<textField isBlankWhenNull="true" pattern="#,##0.00">');
+      expect(jrxmlContent).toContain('<textElement textAlignment="Right"/>');
+      expect(jrxmlContent).toContain('<textElement textAlignment="Left"/>');
+    });
+
+    test('should place charts in the summary after the totals', () => {
+      const spec = {
+        ...salesSpec(),
+        charts: [{ type: 'bar', title: 'Amount by Region', category: 'region', value: 'amount' }],
+      };
+
+      const { jrxmlContent, layout } = compiler.compile(spec);
+
+      expect(layout.bandHeights.summary).toBe(25 + 255);
+      expect(jrxmlContent).toContain('<reportElement x="0" y="25" width="555" height="250"/>');
+      expect(jrxmlContent).toContain(
+        '<categoryExpression><![CDATA[$F{region}]]></categoryExpression>'
+      );
+      expect(jrxmlContent).toContain('<barPlot>');
+    });
+
+    test('should escape text and expressions', () => {
+      const spec = {
+        name: 'Escaped',
+        title: 'Say "hi" & <bye>',
+        query: 'SELECT 1 WHERE a ]]> b',
+        fields: [{ name: 'a' }],
+        columns: [{ field: 'a', header: 'A & B' }],
+      };
+
+      const { jrxmlContent } = compiler.compile(spec);
+
+      expect(jrxmlContent).toContain('<![CDATA["Say \\"hi\\" & <bye>"]]>');
+      expect(jrxmlContent).toContain('a ]]]]><![CDATA[> b');
+      expect(jrxmlContent).toContain('<text><![CDATA[A & B]]></text>');
+    });
+  });
+
+  describe('validation', () => {
+    test('should report every problem in the spec at once', () => {
+      const spec = {
+        name: 'Broken',
+        fields: [{ name: 'a' }, { name: 'a' }],
+        variables: [{ name: 'v', expression: 'a', resetType: 'Group', resetGroup: 'Missing' }],
+        columns: [{ field: 'b', style: 'Missing' }, { header: 'Empty' }],
+      };
+
+      expect.assertions(3);
+      try {
+        compiler.compile(spec);
+      } catch (error) {
+        expect(error.type).toBe(MCP_ERROR_TYPES.INVALID_PARAMS);
+        expect(error.details.validationErrors.map(item => item.path)).toEqual([
+          'fields[1].name',
+          'columns[0].field',
+          'columns[0].style',
+          'columns[1]',
+          'variables[0].resetGroup',
+        ]);
+        expect(error.message).toContain("Unknown field 'b'");
+      }
+    });
+
+    test('should reject columns wider than the page', () => {
+      const spec = { ...salesSpec(), columns: [{ field: 'product', width: 600 }] };
+
+      expect(() => compiler.compile(spec)).toThrow('Column widths add up to 600, more than 555');
+    });
+
+    test('should reject bands taller than the page', () => {
+      const spec = {
+        ...salesSpec(),
+        charts: [{ type: 'pie', category: 'region', value: 'amount', height: 900 }],
+      };
+
+      expect(() => compiler.compile(spec)).toThrow(
+        'summary: Band height 930 exceeds the available page height 802'
+      );
+    });
+
+    test('should reject generated totals colliding with spec variables', () => {
+      const spec = { ...salesSpec(), variables: [{ name: 'amount_Sum', expression: 'amount' }] };
+
+      expect(() => compiler.compile(spec)).toThrow("Duplicate name 'amount_Sum'");
+    });
+  });
+});